@@ -0,0 +1,648 @@
+/**
+ * Annotations - Highlights and notes on report pages for StrongToby
+ * Marks text (by selecting it) or a rectangular region on a PDF page or a
+ * report image, with a note attached, and lists them in a side panel next
+ * to the report. Annotations are kept per report id in the "annotations"
+ * dataset (data/annotations.json) through LocalStore, so they survive a
+ * reload and go into exports and backups with the rest of the data.
+ *
+ * Annotation: { id, reportId, page, type: "text" | "region", quote,
+ *               rects: [[x, y, width, height]], color, note, createdAt, updatedAt }
+ * `page` is the 1-based PDF page (null for images); rects are fractions of
+ * the page / image size, so they hold at any zoom.
+ *
+ * Depends on: window.AppData.annotations, window.LocalStore, window.App (escapeHtml)
+ * Usage:
+ *   window.Annotations.forReport(reportId)         - A report's annotations, by page and position
+ *   window.Annotations.createPanel(report, host)   - Side panel for a rendered report
+ *       host: { goTo(annotation) }  returns { el, addSurface(element, page), destroy() }
+ */
+(function () {
+  'use strict';
+
+  /* ======================================================================
+   *  Constants
+   * ====================================================================== */
+
+  var DATASET = 'annotations';
+  var PATH = 'annotations';
+
+  /** Highlight colours: key stored on the record -> label */
+  var COLORS = {
+    yellow: '黄',
+    green:  '绿',
+    pink:   '粉',
+    blue:   '蓝'
+  };
+  var DEFAULT_COLOR = 'yellow';
+
+  /** Smallest region that counts as drawn, as a fraction of the surface */
+  var MIN_REGION = 0.01;
+
+  /* ======================================================================
+   *  Helpers
+   * ====================================================================== */
+
+  function esc(str) {
+    return window.App.escapeHtml(String(str == null ? '' : str));
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined && text !== null) node.textContent = text;
+    return node;
+  }
+
+  function collection() {
+    var data = window.AppData && window.AppData[DATASET];
+    return (data && data[PATH]) || null;
+  }
+
+  function newId() {
+    return 'an-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function round4(n) {
+    return Math.round(n * 10000) / 10000;
+  }
+
+  /**
+   * Client rect -> [x, y, width, height] as fractions of `box`, clipped to it.
+   * @returns {number[]|null} null when the rect lies outside the box
+   */
+  function normalizeRect(rect, box) {
+    var left = Math.max(rect.left, box.left);
+    var top = Math.max(rect.top, box.top);
+    var right = Math.min(rect.right, box.right);
+    var bottom = Math.min(rect.bottom, box.bottom);
+    if (right <= left || bottom <= top || !box.width || !box.height) return null;
+    return [
+      round4((left - box.left) / box.width),
+      round4((top - box.top) / box.height),
+      round4((right - left) / box.width),
+      round4((bottom - top) / box.height)
+    ];
+  }
+
+  function formatDate(iso) {
+    return iso ? iso.slice(0, 10) : '';
+  }
+
+  /**
+   * @param {string} reportId
+   * @returns {Array<object>} Live records, ordered by page, then top to bottom
+   */
+  function forReport(reportId) {
+    return (collection() || []).filter(function (a) {
+      return a.reportId === reportId;
+    }).sort(function (a, b) {
+      var pa = a.page || 0;
+      var pb = b.page || 0;
+      if (pa !== pb) return pa - pb;
+      var ra = (a.rects && a.rects[0]) || [0, 0];
+      var rb = (b.rects && b.rects[0]) || [0, 0];
+      return ra[1] - rb[1] || ra[0] - rb[0];
+    });
+  }
+
+  /* ======================================================================
+   *  Styles
+   * ====================================================================== */
+
+  function injectStyles() {
+    if (document.getElementById('an-styles')) return;
+
+    var css = [
+      /* Highlights on the page / image */
+      '.an-surface { position: relative; }',
+      '.an-layer { position: absolute; inset: 0; pointer-events: none; z-index: 1; }',
+      '.an-hl { position: absolute; mix-blend-mode: multiply; border-radius: 2px; }',
+      '.an-hl--region { border: 2px solid; background-clip: padding-box; }',
+      '.an-hl--yellow { background: rgba(250,204,21,0.4); border-color: #eab308; }',
+      '.an-hl--green { background: rgba(74,222,128,0.35); border-color: #22c55e; }',
+      '.an-hl--pink { background: rgba(244,114,182,0.35); border-color: #ec4899; }',
+      '.an-hl--blue { background: rgba(96,165,250,0.35); border-color: #3b82f6; }',
+      '.an-hl--active { outline: 2px solid #f97316; outline-offset: 1px; }',
+      '.an-hl--draft { outline: 2px dashed #64748b; }',
+      '.an-draw {',
+      '  position: absolute; inset: 0; z-index: 2;',
+      '  cursor: crosshair; touch-action: none;',
+      '}',
+      '.an-draw-box { position: absolute; border: 2px dashed #2563eb; background: rgba(37,99,235,0.1); }',
+
+      /* Side panel */
+      '.an-panel {',
+      '  background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 8px;',
+      '  padding: 12px 14px; font-size: 13px; color: #334155;',
+      '}',
+      '.an-panel-title { margin: 0 0 10px 0; font-size: 15px; font-weight: 600; color: #1e293b; }',
+      '.an-actions { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 8px; }',
+      '.an-btn {',
+      '  padding: 5px 10px; border: 1px solid #cbd5e1; border-radius: 4px;',
+      '  background: #fff; color: #334155; font-size: 13px; cursor: pointer;',
+      '}',
+      '.an-btn:hover { background: #eef2f7; }',
+      '.an-btn--active { background: #dbeafe; border-color: #93c5fd; }',
+      '.an-btn--primary { background: #2563eb; border-color: #2563eb; color: #fff; }',
+      '.an-btn--primary:hover { background: #1d4ed8; }',
+      '.an-btn--danger { color: #dc2626; }',
+      '.an-hint { margin: 0 0 8px 0; color: #64748b; font-size: 12px; }',
+      '.an-error { margin: 0 0 8px 0; color: #dc2626; font-size: 12px; }',
+      '.an-error:empty, .an-hint:empty { display: none; }',
+      '.an-list { list-style: none; margin: 0; padding: 0; }',
+      '.an-item {',
+      '  padding: 8px 10px; margin-bottom: 6px;',
+      '  background: #fff; border: 1px solid #e2e8f0; border-left-width: 4px;',
+      '  border-radius: 4px; cursor: pointer;',
+      '}',
+      '.an-item--yellow { border-left-color: #eab308; }',
+      '.an-item--green { border-left-color: #22c55e; }',
+      '.an-item--pink { border-left-color: #ec4899; }',
+      '.an-item--blue { border-left-color: #3b82f6; }',
+      '.an-item--active { box-shadow: 0 0 0 2px #fdba74; }',
+      '.an-item-meta { font-size: 12px; color: #94a3b8; }',
+      '.an-item-quote { margin: 4px 0; color: #475569; font-style: italic; }',
+      '.an-item-note { margin: 4px 0 0 0; white-space: pre-wrap; word-break: break-word; }',
+      '.an-item-note--empty { color: #94a3b8; }',
+      '.an-item-actions { display: flex; gap: 6px; margin-top: 6px; }',
+      '.an-empty { color: #94a3b8; text-align: center; padding: 12px 0; }',
+      '.an-editor { margin-bottom: 8px; }',
+      '.an-editor textarea {',
+      '  width: 100%; min-height: 64px; box-sizing: border-box; padding: 6px 8px;',
+      '  border: 1px solid #cbd5e1; border-radius: 4px; font: inherit; resize: vertical;',
+      '}',
+      '.an-colors { display: flex; gap: 6px; margin: 6px 0; }',
+      '.an-color {',
+      '  width: 22px; height: 22px; border-radius: 50%; cursor: pointer;',
+      '  border: 2px solid transparent; padding: 0;',
+      '}',
+      '.an-color--selected { border-color: #1e293b; }',
+      '.an-color--yellow { background: #facc15; }',
+      '.an-color--green { background: #4ade80; }',
+      '.an-color--pink { background: #f472b6; }',
+      '.an-color--blue { background: #60a5fa; }'
+    ].join('\n');
+
+    var style = document.createElement('style');
+    style.id = 'an-styles';
+    style.textContent = css;
+    document.head.appendChild(style);
+  }
+
+  /* ======================================================================
+   *  Panel
+   * ====================================================================== */
+
+  /**
+   * Build the annotation panel for a report. The caller registers the
+   * elements annotations are drawn on (PDF pages, the report image) with
+   * addSurface() once they exist.
+   * @param {object} report - Entry of reports-index.json
+   * @param {object} host
+   * @param {function(object)} host.goTo - Bring an annotation's page into view
+   * @returns {{ el: HTMLElement, addSurface: function(HTMLElement, ?number), destroy: function() }}
+   */
+  function createPanel(report, host) {
+    injectStyles();
+
+    var surfaces = [];     // { el, page, layer, draw }
+    var draft = null;      // unsaved annotation awaiting its note
+    var editingId = null;
+    var activeId = null;
+    var drawing = false;
+    var isPdf = report.fileType === 'pdf';
+
+    var panel = el('aside', 'an-panel');
+    panel.setAttribute('aria-label', '批注');
+
+    /* --- Highlights --- */
+
+    function renderHighlights() {
+      var all = forReport(report.id);
+      if (draft) all = all.concat([draft]);
+
+      surfaces.forEach(function (surface) {
+        surface.layer.innerHTML = '';
+        all.forEach(function (a) {
+          if ((a.page || null) !== surface.page) return;
+          (a.rects || []).forEach(function (r) {
+            var hl = el('div', 'an-hl an-hl--' + (COLORS[a.color] ? a.color : DEFAULT_COLOR) +
+              (a.type === 'region' ? ' an-hl--region' : '') +
+              (a === draft ? ' an-hl--draft' : '') +
+              (a.id && a.id === activeId ? ' an-hl--active' : ''));
+            hl.style.left = (r[0] * 100) + '%';
+            hl.style.top = (r[1] * 100) + '%';
+            hl.style.width = (r[2] * 100) + '%';
+            hl.style.height = (r[3] * 100) + '%';
+            surface.layer.appendChild(hl);
+          });
+        });
+      });
+    }
+
+    /** Annotation under a click, if any; the last drawn one wins. */
+    function hitTest(surface, e) {
+      var box = surface.el.getBoundingClientRect();
+      if (!box.width || !box.height) return null;
+      var x = (e.clientX - box.left) / box.width;
+      var y = (e.clientY - box.top) / box.height;
+      var hit = null;
+      forReport(report.id).forEach(function (a) {
+        if ((a.page || null) !== surface.page) return;
+        (a.rects || []).forEach(function (r) {
+          if (x >= r[0] && x <= r[0] + r[2] && y >= r[1] && y <= r[1] + r[3]) hit = a;
+        });
+      });
+      return hit;
+    }
+
+    /* --- Capturing new annotations --- */
+
+    function startDraft(fields) {
+      draft = {
+        type: fields.type,
+        page: fields.page,
+        quote: fields.quote || '',
+        rects: fields.rects,
+        color: DEFAULT_COLOR,
+        note: ''
+      };
+      editingId = null;
+      render();
+      var textarea = panel.querySelector('.an-editor textarea');
+      if (textarea) textarea.focus();
+    }
+
+    /** Turn the current text selection inside a PDF page into a draft. */
+    function annotateSelection() {
+      var sel = window.getSelection();
+      if (!sel || sel.isCollapsed || !sel.rangeCount) {
+        showHint('请先在 PDF 页面中选中要标注的文字。');
+        return;
+      }
+      var range = sel.getRangeAt(0);
+      var surface = surfaces.filter(function (s) {
+        return s.el.contains(range.startContainer);
+      })[0];
+      if (!surface) {
+        showHint('请先在 PDF 页面中选中要标注的文字。');
+        return;
+      }
+
+      var box = surface.el.getBoundingClientRect();
+      var rects = Array.prototype.map.call(range.getClientRects(), function (r) {
+        return normalizeRect(r, box);
+      }).filter(Boolean);
+      if (!rects.length) {
+        showHint('所选文字没有可标注的位置，可改用“框选区域”。');
+        return;
+      }
+
+      var quote = sel.toString().replace(/\s+/g, ' ').trim();
+      sel.removeAllRanges();
+      startDraft({ type: 'text', page: surface.page, quote: quote, rects: rects });
+    }
+
+    function setDrawing(on) {
+      drawing = on;
+      surfaces.forEach(function (surface) {
+        surface.draw.hidden = !on;
+      });
+      render();
+    }
+
+    /** Drag-to-draw handling on a surface's capture layer. */
+    function bindDrawing(surface) {
+      var start = null;
+      var box = null;
+      var preview = null;
+
+      function point(e) {
+        return {
+          x: Math.max(0, Math.min(1, (e.clientX - box.left) / box.width)),
+          y: Math.max(0, Math.min(1, (e.clientY - box.top) / box.height))
+        };
+      }
+
+      function rectFrom(a, b) {
+        return [
+          round4(Math.min(a.x, b.x)), round4(Math.min(a.y, b.y)),
+          round4(Math.abs(a.x - b.x)), round4(Math.abs(a.y - b.y))
+        ];
+      }
+
+      surface.draw.addEventListener('pointerdown', function (e) {
+        box = surface.el.getBoundingClientRect();
+        if (!box.width || !box.height) return;
+        e.preventDefault();
+        start = point(e);
+        preview = el('div', 'an-draw-box');
+        surface.draw.appendChild(preview);
+        if (surface.draw.setPointerCapture) surface.draw.setPointerCapture(e.pointerId);
+      });
+
+      surface.draw.addEventListener('pointermove', function (e) {
+        if (!start) return;
+        var r = rectFrom(start, point(e));
+        preview.style.left = (r[0] * 100) + '%';
+        preview.style.top = (r[1] * 100) + '%';
+        preview.style.width = (r[2] * 100) + '%';
+        preview.style.height = (r[3] * 100) + '%';
+      });
+
+      function finish(e) {
+        if (!start) return;
+        var r = rectFrom(start, point(e));
+        start = null;
+        preview.remove();
+        if (r[2] < MIN_REGION || r[3] < MIN_REGION) return;
+        drawing = false;
+        surfaces.forEach(function (s) { s.draw.hidden = true; });
+        startDraft({ type: 'region', page: surface.page, rects: [r] });
+      }
+
+      surface.draw.addEventListener('pointerup', finish);
+      surface.draw.addEventListener('pointercancel', function () {
+        start = null;
+        if (preview) preview.remove();
+      });
+    }
+
+    /**
+     * Register an element annotations are drawn on.
+     * @param {HTMLElement} element - A PDF page or the report image's frame
+     * @param {?number} page        - 1-based PDF page, or null for an image
+     */
+    function addSurface(element, page) {
+      var surface = {
+        el: element,
+        page: page || null,
+        layer: el('div', 'an-layer'),
+        draw: el('div', 'an-draw')
+      };
+      surface.draw.hidden = !drawing;
+      element.classList.add('an-surface');
+      element.appendChild(surface.layer);
+      element.appendChild(surface.draw);
+      bindDrawing(surface);
+
+      // Capture phase, so a click on a highlight doesn't also reach the
+      // image (which would open the lightbox)
+      element.addEventListener('click', function (e) {
+        if (drawing) return;
+        var sel = window.getSelection();
+        if (sel && !sel.isCollapsed) return;
+        var hit = hitTest(surface, e);
+        if (!hit) return;
+        e.stopPropagation();
+        e.preventDefault();
+        select(hit.id, true);
+      }, true);
+
+      surfaces.push(surface);
+      renderHighlights();
+    }
+
+    /* --- Saving --- */
+
+    function findLive(id) {
+      return (collection() || []).filter(function (a) { return a.id === id; })[0] || null;
+    }
+
+    function showError(err) {
+      console.error('[Annotations] Failed to save:', err);
+      var errorEl = panel.querySelector('.an-error');
+      if (errorEl) errorEl.textContent = '保存失败：' + (err && err.message ? err.message : err);
+    }
+
+    function showHint(text) {
+      var hintEl = panel.querySelector('.an-hint');
+      if (hintEl) hintEl.textContent = text;
+    }
+
+    function saveDraft(note, color) {
+      var now = new Date().toISOString();
+      var record = {
+        id: newId(),
+        reportId: report.id,
+        page: draft.page,
+        type: draft.type,
+        quote: draft.quote,
+        rects: draft.rects,
+        color: color,
+        note: note,
+        createdAt: now,
+        updatedAt: now
+      };
+      window.LocalStore.addRecord(DATASET, PATH, record).then(function () {
+        draft = null;
+        activeId = record.id;
+        render();
+      }).catch(showError);
+    }
+
+    function saveEdit(id, note, color) {
+      var old = findLive(id);
+      if (!old) return;
+      var record = JSON.parse(JSON.stringify(old));
+      record.note = note;
+      record.color = color;
+      record.updatedAt = new Date().toISOString();
+      window.LocalStore.updateRecord(DATASET, PATH, old, record).then(function () {
+        editingId = null;
+        render();
+      }).catch(showError);
+    }
+
+    function remove(id) {
+      var old = findLive(id);
+      if (!old || !window.confirm('确定删除这条批注？')) return;
+      window.LocalStore.removeRecord(DATASET, PATH, old).then(function () {
+        if (activeId === id) activeId = null;
+        render();
+      }).catch(showError);
+    }
+
+    function select(id, fromPage) {
+      activeId = id;
+      render();
+      var item = panel.querySelector('.an-item[data-id="' + id + '"]');
+      if (fromPage && item) item.scrollIntoView({ block: 'nearest' });
+      if (!fromPage) {
+        var a = findLive(id);
+        if (a) host.goTo(a);
+      }
+    }
+
+    /* --- Panel rendering --- */
+
+    function editorHtml(note, color) {
+      return '<div class="an-editor">' +
+        '<textarea placeholder="写下批注…" aria-label="批注内容">' + esc(note) + '</textarea>' +
+        '<div class="an-colors" role="radiogroup" aria-label="颜色">' +
+        Object.keys(COLORS).map(function (key) {
+          return '<button type="button" class="an-color an-color--' + key +
+            (key === color ? ' an-color--selected' : '') + '" data-color="' + key + '" role="radio"' +
+            ' aria-checked="' + (key === color) + '" title="' + COLORS[key] + '"></button>';
+        }).join('') +
+        '</div>' +
+        '<div class="an-item-actions">' +
+        '<button type="button" class="an-btn an-btn--primary" data-action="save">保存</button>' +
+        '<button type="button" class="an-btn" data-action="cancel">取消</button>' +
+        '</div></div>';
+    }
+
+    function itemHtml(a) {
+      var meta = [];
+      if (a.page) meta.push('第 ' + a.page + ' 页');
+      meta.push(a.type === 'region' ? '区域' : '文字');
+      meta.push(formatDate(a.updatedAt || a.createdAt));
+
+      var html = '<li class="an-item an-item--' + (COLORS[a.color] ? a.color : DEFAULT_COLOR) +
+        (a.id === activeId ? ' an-item--active' : '') + '" data-id="' + esc(a.id) + '">' +
+        '<div class="an-item-meta">' + esc(meta.join(' · ')) + '</div>';
+      if (a.quote) html += '<div class="an-item-quote">“' + esc(a.quote) + '”</div>';
+
+      if (a.id === editingId) {
+        html += editorHtml(a.note, a.color);
+      } else {
+        html += a.note
+          ? '<p class="an-item-note">' + esc(a.note) + '</p>'
+          : '<p class="an-item-note an-item-note--empty">（无备注）</p>';
+        html += '<div class="an-item-actions">' +
+          '<button type="button" class="an-btn" data-action="edit">编辑</button>' +
+          '<button type="button" class="an-btn an-btn--danger" data-action="delete">删除</button>' +
+          '</div>';
+      }
+      return html + '</li>';
+    }
+
+    function render() {
+      var list = forReport(report.id);
+      var html = '<h3 class="an-panel-title">批注 (' + list.length + ')</h3>';
+
+      if (!collection()) {
+        panel.innerHTML = html + '<p class="an-empty">批注数据未加载，暂不能添加批注。</p>';
+        renderHighlights();
+        return;
+      }
+
+      html += '<div class="an-actions">';
+      if (isPdf) html += '<button type="button" class="an-btn" data-action="text">标注所选文字</button>';
+      html += '<button type="button" class="an-btn' + (drawing ? ' an-btn--active' : '') +
+        '" data-action="region" aria-pressed="' + drawing + '">框选区域</button>';
+      html += '</div>';
+      html += '<p class="an-hint">' + (drawing ? '在' + (isPdf ? '页面' : '图片') + '上拖动以框选区域。' : '') + '</p>';
+      html += '<p class="an-error"></p>';
+
+      if (draft) {
+        html += '<div class="an-item an-item--' + draft.color + '">' +
+          '<div class="an-item-meta">新批注' + (draft.page ? ' · 第 ' + draft.page + ' 页' : '') + '</div>' +
+          (draft.quote ? '<div class="an-item-quote">“' + esc(draft.quote) + '”</div>' : '') +
+          editorHtml('', draft.color) + '</div>';
+      }
+
+      html += list.length
+        ? '<ul class="an-list">' + list.map(itemHtml).join('') + '</ul>'
+        : (draft ? '' : '<p class="an-empty">暂无批注。' +
+            (isPdf ? '选中 PDF 中的文字或' : '') + '框选区域后添加批注。</p>');
+
+      panel.innerHTML = html;
+      renderHighlights();
+    }
+
+    /* --- Events --- */
+
+    // Keep the PDF text selection when the "annotate selection" button is pressed
+    panel.addEventListener('mousedown', function (e) {
+      if (e.target.closest('[data-action="text"]')) e.preventDefault();
+    });
+
+    panel.addEventListener('click', function (e) {
+      var colorBtn = e.target.closest('.an-color');
+      if (colorBtn) {
+        var editor = colorBtn.closest('.an-editor');
+        Array.prototype.forEach.call(editor.querySelectorAll('.an-color'), function (b) {
+          var on = b === colorBtn;
+          b.classList.toggle('an-color--selected', on);
+          b.setAttribute('aria-checked', String(on));
+        });
+        if (draft && !colorBtn.closest('.an-list')) {
+          draft.color = colorBtn.getAttribute('data-color');
+          renderHighlights();
+        }
+        return;
+      }
+
+      var btn = e.target.closest('[data-action]');
+      var item = e.target.closest('.an-item[data-id]');
+      var id = item ? item.getAttribute('data-id') : null;
+
+      if (!btn) {
+        if (id && id !== editingId) select(id, false);
+        return;
+      }
+
+      switch (btn.getAttribute('data-action')) {
+        case 'text':
+          setDrawing(false);
+          annotateSelection();
+          break;
+        case 'region':
+          draft = null;
+          setDrawing(!drawing);
+          break;
+        case 'save':
+          var editorEl = btn.closest('.an-item').querySelector('.an-editor');
+          var note = editorEl.querySelector('textarea').value.trim();
+          var selected = editorEl.querySelector('.an-color--selected');
+          var color = selected ? selected.getAttribute('data-color') : DEFAULT_COLOR;
+          if (id) saveEdit(id, note, color);
+          else saveDraft(note, color);
+          break;
+        case 'cancel':
+          if (id) editingId = null;
+          else draft = null;
+          render();
+          break;
+        case 'edit':
+          editingId = id;
+          draft = null;
+          render();
+          var textarea = panel.querySelector('.an-item[data-id="' + id + '"] textarea');
+          if (textarea) textarea.focus();
+          break;
+        case 'delete':
+          remove(id);
+          break;
+      }
+    });
+
+    render();
+
+    return {
+      el: panel,
+      addSurface: addSurface,
+
+      /** Detach from the surfaces (they're thrown away with the report view). */
+      destroy: function () {
+        surfaces.forEach(function (surface) {
+          surface.layer.remove();
+          surface.draw.remove();
+        });
+        surfaces = [];
+      }
+    };
+  }
+
+  /* ======================================================================
+   *  Public API
+   * ====================================================================== */
+
+  window.Annotations = {
+    forReport: forReport,
+    createPanel: createPanel
+  };
+
+})();
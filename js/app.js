@@ -14,8 +14,12 @@
     'reports-index.json',
     'blood-pressure.json',
     'weight.json',
+    'fluid-log.json',
+    'journal.json',
     'medications.json',
-    'blood-work.json'
+    'blood-work.json',
+    'indicator-catalog.json',
+    'annotations.json'
   ];
 
   var DATA_KEYS = {
@@ -23,8 +27,12 @@
     'reports-index.json': 'reportsIndex',
     'blood-pressure.json': 'bloodPressure',
     'weight.json': 'weight',
+    'fluid-log.json': 'fluidLog',
+    'journal.json': 'journal',
     'medications.json': 'medications',
-    'blood-work.json': 'bloodWork'
+    'blood-work.json': 'bloodWork',
+    'indicator-catalog.json': 'indicatorCatalog',
+    'annotations.json': 'annotations'
   };
 
   var DEFAULT_ROUTE = 'overview';
@@ -45,8 +53,12 @@
     ]},
     { key: 'bloodwork',    label: '血常规/生化',  icon: 'bloodwork',  type: 'static', hash: '#bloodwork' },
     { key: 'bp',           label: '血压/体重',    icon: 'bp',         type: 'static', hash: '#bp' },
+    { key: 'fluids',       label: '饮水/排尿',    icon: 'fluids',     type: 'static', hash: '#fluids' },
+    { key: 'journal',      label: '日常记录',     icon: 'journal',    type: 'static', hash: '#journal' },
     { key: 'medications',  label: '服药记录',     icon: 'medications',type: 'static', hash: '#medications' },
-    { key: 'archive',      label: '过往体检',     icon: 'archive',    type: 'report-group', subcategories: [] }
+    { key: 'archive',      label: '过往体检',     icon: 'archive',    type: 'report-group', subcategories: [] },
+    { key: 'print',        label: '就诊摘要',     icon: 'print',      type: 'static', hash: '#print' },
+    { key: 'data',         label: '数据管理',     icon: 'data',       type: 'static', hash: '#data' }
   ];
 
   /* ======================================================================
@@ -94,16 +106,33 @@
   }
 
   /**
-   * Parse the current hash into its route segments.
-   * @returns {{ section: string, subsection: string|null, id: string|null }}
+   * Parse the current hash into its route segments. A trailing
+   * "key=value&key=value" segment carries view parameters, e.g.
+   * "#imaging/ct/<id>/page=3&q=腹水" -> params { page: "3", q: "腹水" }.
+   * @returns {{ section: string, subsection: string|null, id: string|null, params: object }}
    */
   function parseHash() {
     var hash = window.location.hash.replace(/^#\/?/, '') || DEFAULT_ROUTE;
     var parts = hash.split('/');
+    var params = {};
+
+    if (parts.length > 1 && parts[parts.length - 1].indexOf('=') !== -1) {
+      parts.pop().split('&').forEach(function (pair) {
+        var eq = pair.indexOf('=');
+        if (eq < 1) return;
+        try {
+          params[decodeURIComponent(pair.slice(0, eq))] = decodeURIComponent(pair.slice(eq + 1));
+        } catch (e) {
+          // Ignore malformed escapes
+        }
+      });
+    }
+
     return {
       section:    parts[0] || DEFAULT_ROUTE,
       subsection: parts[1] || null,
-      id:         parts[2] || null
+      id:         parts[2] || null,
+      params:     params
     };
   }
 
@@ -121,6 +150,17 @@
     return null;
   }
 
+  /**
+   * Resolve an asset path from reports-index.json to a loadable URL,
+   * preferring a copy restored from a backup when one exists.
+   * @param {string} path - e.g. "assets/reports/cbc-20260224.pdf"
+   * @returns {string}
+   */
+  function assetUrl(path) {
+    var local = window.LocalStore && window.LocalStore.assetUrl(path);
+    return local || path;
+  }
+
   /**
    * Navigate to a hash route programmatically.
    * @param {string} hash - e.g. "#overview" or "overview" (leading # is optional)
@@ -155,7 +195,8 @@
   }
 
   /**
-   * Load all data files in parallel and populate window.AppData.
+   * Load all data files in parallel and populate window.AppData,
+   * then overlay any records entered locally in this browser.
    * @returns {Promise<void>}
    */
   function loadAllData() {
@@ -171,7 +212,12 @@
       });
     });
 
-    return Promise.all(promises);
+    return Promise.all(promises).then(function () {
+      if (!window.LocalStore) return;
+      return window.LocalStore.mergeInto(window.AppData).catch(function (err) {
+        console.error('[StrongToby] Error merging local records:', err);
+      });
+    });
   }
 
   /* ======================================================================
@@ -240,8 +286,12 @@
     pathology:   '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 2h6v2H9zM12 10v4M10 12h4"/><rect x="5" y="4" width="14" height="18" rx="2"/></svg>',
     bloodwork:   '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2C12 2 6 9 6 14a6 6 0 0 0 12 0c0-5-6-12-6-12z"/></svg>',
     bp:          '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="22 12 18 12 15 21 9 3 6 12 2 12"/></svg>',
+    fluids:      '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M5 3h14l-2 18H7z"/><path d="M6 9c2-1 4 1 6 0s4-1 6 0"/></svg>',
+    journal:     '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 4h12a4 4 0 0 1 4 4v12H8a4 4 0 0 1-4-4z"/><line x1="8" y1="9" x2="16" y2="9"/><line x1="8" y1="13" x2="14" y2="13"/></svg>',
     medications: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="11" width="18" height="7" rx="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/></svg>',
-    archive:     '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 8v13H3V8"/><rect x="1" y="3" width="22" height="5"/><line x1="10" y1="12" x2="14" y2="12"/></svg>'
+    archive:     '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 8v13H3V8"/><rect x="1" y="3" width="22" height="5"/><line x1="10" y1="12" x2="14" y2="12"/></svg>',
+    print:       '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 6 2 18 2 18 9"/><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/><rect x="6" y="14" width="12" height="8"/></svg>',
+    data:        '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><ellipse cx="12" cy="5" rx="9" ry="3"/><path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"/><path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"/></svg>'
   };
 
   var CHEVRON_SVG = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>';
@@ -311,18 +361,36 @@
   }
 
   /**
-   * Build HTML for an individual report link in the nav tree.
+   * Hash route of a report, e.g. "#imaging/ct/<id>" or "#archive/<id>",
+   * optionally with view parameters ("#archive/<id>/page=2").
+   * @param {object} report   - Entry of reports-index.json
+   * @param {object} [params] - e.g. { page: 2, q: '腹水' }; empty values are skipped
+   * @returns {string}
    */
-  function buildReportNavLeaf(category, subcategory, report) {
+  function reportHash(report, params) {
     var hash;
-    if (category === 'archive') {
+    if (report.category === 'archive') {
       hash = '#archive/' + report.id;
-    } else if (subcategory) {
-      hash = '#' + category + '/' + subcategory + '/' + report.id;
+    } else if (report.subcategory) {
+      hash = '#' + report.category + '/' + report.subcategory + '/' + report.id;
     } else {
-      hash = '#' + category + '/' + report.id;
+      hash = '#' + report.category + '/' + report.id;
     }
 
+    var pairs = Object.keys(params || {}).filter(function (key) {
+      return params[key] !== null && params[key] !== undefined && params[key] !== '';
+    }).map(function (key) {
+      return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+    });
+    return pairs.length ? hash + '/' + pairs.join('&') : hash;
+  }
+
+  /**
+   * Build HTML for an individual report link in the nav tree.
+   */
+  function buildReportNavLeaf(category, subcategory, report) {
+    var hash = reportHash({ id: report.id, category: category, subcategory: subcategory });
+
     var dateLabel = formatDateShort(report.date);
     return '<li class="nav-subitem" data-report-id="' + report.id + '">' +
            '<a class="nav-sublink" href="' + hash + '">' +
@@ -388,6 +456,11 @@
     var route = parseHash();
     var targetEl = null;
 
+    if (route.section === 'compare') {
+      // Two reports on screen; neither is "the" active one
+      return;
+    }
+
     if (route.id) {
       // Deep link to a specific report
       targetEl = navEl.querySelector('[data-report-id="' + route.id + '"]');
@@ -498,6 +571,11 @@
 
     highlightActiveNav();
 
+    // Report / compare views hold pdf.js documents and window listeners
+    if (window.ReportViewer && typeof window.ReportViewer.release === 'function') {
+      window.ReportViewer.release();
+    }
+
     switch (section) {
       case 'overview':
         callRenderer('Overview', 'render');
@@ -506,7 +584,7 @@
       case 'imaging':
         // #imaging/ct/report-id  |  #imaging/ultrasound/report-id  |  #imaging/xray/report-id
         if (subsection && id) {
-          callRenderer('ReportViewer', 'render', id);
+          callRenderer('ReportViewer', 'render', id, route.params);
         } else {
           // Fallback: show overview if no specific report
           callRenderer('Overview', 'render');
@@ -516,34 +594,63 @@
       case 'pathology':
         // #pathology/biopsy/report-id  etc.
         if (subsection && id) {
-          callRenderer('ReportViewer', 'render', id);
+          callRenderer('ReportViewer', 'render', id, route.params);
         } else {
           callRenderer('Overview', 'render');
         }
         break;
 
       case 'bloodwork':
-        callRenderer('BloodWork', 'render');
+        // #bloodwork  |  #bloodwork/report-id (the report's original file)
+        if (subsection) {
+          callRenderer('ReportViewer', 'render', subsection, route.params);
+        } else {
+          callRenderer('BloodWork', 'render');
+        }
         break;
 
       case 'bp':
-        callRenderer('BPWeightTracker', 'render');
+        // #bp  |  #bp/7d  |  #bp/2026-02-17~2026-02-22
+        callRenderer('BPWeightTracker', 'render', subsection);
+        break;
+
+      case 'fluids':
+        // #fluids  |  #fluids/7d
+        callRenderer('FluidTracker', 'render', subsection);
+        break;
+
+      case 'journal':
+        // #journal  |  #journal/<entryId>
+        callRenderer('Journal', 'render', subsection);
         break;
 
       case 'medications':
         callRenderer('Medication', 'render');
         break;
 
+      case 'print':
+        callRenderer('VetSummary', 'render');
+        break;
+
+      case 'data':
+        callRenderer('DataManager', 'render');
+        break;
+
       case 'archive':
         // #archive/report-id
         if (subsection) {
           // subsection is actually the report-id for archive routes
-          callRenderer('ReportViewer', 'render', subsection);
+          callRenderer('ReportViewer', 'render', subsection, route.params);
         } else {
           callRenderer('Overview', 'render');
         }
         break;
 
+      case 'compare':
+        // #compare/idA/idB  |  #compare/idA (pick the second report)
+        callRenderer('ReportViewer', 'renderCompare', subsection, id);
+        break;
+
       default:
         // Unknown route -- go to overview
         navigateTo(DEFAULT_ROUTE);
@@ -640,9 +747,15 @@
     /** Find a report by its id from AppData.reportsIndex */
     getReport: getReport,
 
+    /** Hash route of a report (e.g. "#imaging/ct/<id>"), optionally with view params */
+    reportHash: reportHash,
+
     /** Navigate to a hash route programmatically */
     navigateTo: navigateTo,
 
+    /** Resolve an asset path, preferring a locally restored copy */
+    assetUrl: assetUrl,
+
     /** Returns the #content element */
     getContentEl: getContentEl,
 
@@ -664,6 +777,12 @@
     /** Escape HTML special characters */
     escapeHtml: escapeHtml,
 
+    /** Data files loaded from data/ */
+    DATA_FILES: DATA_FILES,
+
+    /** Data file name -> AppData key mapping (e.g. "blood-pressure.json" -> "bloodPressure") */
+    DATA_KEYS: DATA_KEYS,
+
     /** Re-run the current route (e.g., after dynamically loading a module) */
     handleRoute: handleRoute
   };
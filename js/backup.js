@@ -0,0 +1,458 @@
+/**
+ * Backup - Full backup / restore of the medical record for StrongToby
+ * Bundles every data file (merged with local changes) and every asset
+ * referenced by reports-index.json or journal photos into one zip with a checksummed manifest,
+ * and restores such an archive into LocalStore.
+ *
+ * Archive layout:
+ *   manifest.json            - format, version, file list with sizes and SHA-256
+ *   data/<file>.json         - merged snapshot of each DATA_FILES entry
+ *   assets/...               - report PDFs / images and journal photos, at their original paths
+ *
+ * Depends on: JSZip (CDN), window.App, window.LocalStore
+ * Usage:
+ *   window.Backup.createArchive(onProgress)   - Promise<{ blob, filename, manifest }>
+ *   window.Backup.download(onProgress)        - Build and save the archive
+ *   window.Backup.downloadDatasets(datasets)  - Save several merged data files as one zip
+ *   window.Backup.restoreArchive(file, onProgress) - Validate and restore; Promise<manifest>
+ */
+(function () {
+  'use strict';
+
+  /* ======================================================================
+   *  Constants
+   * ====================================================================== */
+
+  var FORMAT = 'strongtoby-backup';
+  var FORMAT_VERSION = 1;
+  var MANIFEST_PATH = 'manifest.json';
+
+  /* ======================================================================
+   *  Utility Helpers
+   * ====================================================================== */
+
+  function noop() {}
+
+  function requireJSZip() {
+    if (typeof JSZip === 'undefined') {
+      throw new Error('压缩组件 (JSZip) 未加载，请检查网络后刷新页面。');
+    }
+  }
+
+  /**
+   * Hex SHA-256 of an ArrayBuffer. crypto.subtle only exists in secure
+   * contexts (https:// or localhost).
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<string>}
+   */
+  function sha256(buffer) {
+    if (!window.crypto || !window.crypto.subtle) {
+      return Promise.reject(new Error('当前环境不支持校验和计算，请通过 https 或 localhost 访问。'));
+    }
+    return window.crypto.subtle.digest('SHA-256', buffer).then(function (digest) {
+      return Array.prototype.map.call(new Uint8Array(digest), function (b) {
+        return ('0' + b.toString(16)).slice(-2);
+      }).join('');
+    });
+  }
+
+  function encodeJSON(data) {
+    return new TextEncoder().encode(JSON.stringify(data, null, 2) + '\n').buffer;
+  }
+
+  /** "strongtoby-backup-20260224.zip" */
+  function archiveName(date, prefix) {
+    var stamp = date.getFullYear() +
+      String(date.getMonth() + 1).padStart(2, '0') +
+      String(date.getDate()).padStart(2, '0');
+    return (prefix || FORMAT) + '-' + stamp + '.zip';
+  }
+
+  /**
+   * Every asset path referenced by reports-index.json (`filePath` and
+   * gallery `files[].path`), then by journal entries (`photos`),
+   * de-duplicated, in index order.
+   * @returns {string[]}
+   */
+  function collectAssetPaths() {
+    var index = window.AppData && window.AppData.reportsIndex;
+    var reports = (index && index.reports) || [];
+    var seen = {};
+    var paths = [];
+
+    function addPath(p) {
+      if (p && !seen[p]) {
+        seen[p] = true;
+        paths.push(p);
+      }
+    }
+
+    reports.forEach(function (r) {
+      addPath(r.filePath);
+      (r.files || []).forEach(function (f) { addPath(f.path); });
+    });
+
+    var journal = window.AppData && window.AppData.journal;
+    ((journal && journal.entries) || []).forEach(function (e) {
+      (e.photos || []).forEach(addPath);
+    });
+
+    return paths;
+  }
+
+  /**
+   * Fetch an asset as an ArrayBuffer, preferring a locally restored copy.
+   * Resolves to null when it cannot be loaded.
+   */
+  function fetchAsset(path) {
+    var url = window.App && window.App.assetUrl ? window.App.assetUrl(path) : path;
+    return fetch(url).then(function (res) {
+      if (!res.ok) return null;
+      return res.arrayBuffer();
+    }).catch(function () {
+      return null;
+    });
+  }
+
+  /* ======================================================================
+   *  Export
+   * ====================================================================== */
+
+  /**
+   * Build the backup archive.
+   * @param {function(string)} [onProgress] - Receives human-readable status text
+   * @returns {Promise<{ blob: Blob, filename: string, manifest: object }>}
+   */
+  function createArchive(onProgress) {
+    onProgress = onProgress || noop;
+
+    try {
+      requireJSZip();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    var zip = new JSZip();
+    var now = new Date();
+    var basicInfo = window.AppData && window.AppData.basicInfo;
+    var manifest = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      createdAt: now.toISOString(),
+      pet: basicInfo ? basicInfo.name : null,
+      files: [],
+      missing: []
+    };
+
+    function addEntry(path, buffer, meta) {
+      return sha256(buffer).then(function (hash) {
+        var entry = { path: path, kind: meta.kind, size: buffer.byteLength, sha256: hash };
+        if (meta.dataset) entry.dataset = meta.dataset;
+        manifest.files.push(entry);
+        // Assets are already compressed (PDF/JPEG/PNG); only deflate the JSON
+        zip.file(path, buffer, { compression: meta.kind === 'data' ? 'DEFLATE' : 'STORE' });
+      });
+    }
+
+    var files = window.App.DATA_FILES;
+    var keys = window.App.DATA_KEYS;
+
+    // Data files, one at a time to keep memory use flat
+    var chain = Promise.resolve();
+    files.forEach(function (file) {
+      chain = chain.then(function () {
+        var dataset = keys[file];
+        var snapshot = window.LocalStore ? window.LocalStore.exportDataset(dataset) : window.AppData[dataset];
+        if (!snapshot) {
+          manifest.missing.push('data/' + file);
+          return;
+        }
+        onProgress('打包数据文件 ' + file);
+        return addEntry('data/' + file, encodeJSON(snapshot), { kind: 'data', dataset: dataset });
+      });
+    });
+
+    var assets = collectAssetPaths();
+    assets.forEach(function (path, i) {
+      chain = chain.then(function () {
+        onProgress('打包附件 (' + (i + 1) + '/' + assets.length + ') ' + path);
+        return fetchAsset(path).then(function (buffer) {
+          if (!buffer) {
+            manifest.missing.push(path);
+            return;
+          }
+          return addEntry(path, buffer, { kind: 'asset' });
+        });
+      });
+    });
+
+    return chain.then(function () {
+      zip.file(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+      onProgress('生成压缩包...');
+      return zip.generateAsync({ type: 'blob' });
+    }).then(function (blob) {
+      return { blob: blob, filename: archiveName(now), manifest: manifest };
+    });
+  }
+
+  /**
+   * Build the archive and trigger a browser download.
+   * @param {function(string)} [onProgress]
+   * @returns {Promise<object>} The manifest
+   */
+  function download(onProgress) {
+    return createArchive(onProgress).then(function (result) {
+      saveBlob(result.blob, result.filename);
+      return result.manifest;
+    });
+  }
+
+  function saveBlob(blob, filename) {
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+  }
+
+  /**
+   * Save the merged snapshots of several datasets as one zip of data/*.json
+   * files; browsers block a burst of separate downloads.
+   * @param {string[]} datasets - AppData keys
+   * @returns {Promise<string>} The zip's file name
+   */
+  function downloadDatasets(datasets) {
+    try {
+      requireJSZip();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    var zip = new JSZip();
+    datasets.forEach(function (dataset) {
+      var snapshot = window.LocalStore.exportDataset(dataset);
+      if (snapshot) {
+        zip.file('data/' + window.LocalStore.fileNameFor(dataset), JSON.stringify(snapshot, null, 2) + '\n');
+      }
+    });
+    var filename = archiveName(new Date(), 'strongtoby-data');
+    return zip.generateAsync({ type: 'blob' }).then(function (blob) {
+      saveBlob(blob, filename);
+      return filename;
+    });
+  }
+
+  /* ======================================================================
+   *  Import
+   * ====================================================================== */
+
+  /**
+   * Check the manifest structure and every listed file's presence, size and
+   * checksum. Resolves with the verified entries (each with its buffer);
+   * rejects with an Error listing every problem found.
+   */
+  function verifyArchive(zip, onProgress) {
+    var manifestFile = zip.file(MANIFEST_PATH);
+    if (!manifestFile) return Promise.reject(new Error('不是有效的备份文件：缺少 ' + MANIFEST_PATH));
+
+    return manifestFile.async('string').then(function (text) {
+      var manifest;
+      try {
+        manifest = JSON.parse(text);
+      } catch (e) {
+        throw new Error('备份清单无法解析：' + e.message);
+      }
+
+      if (manifest.format !== FORMAT) throw new Error('不是 StrongToby 备份文件');
+      if (typeof manifest.version !== 'number' || manifest.version > FORMAT_VERSION) {
+        throw new Error('备份格式版本 ' + manifest.version + ' 不受支持，请更新应用后重试');
+      }
+      if (!Array.isArray(manifest.files)) throw new Error('备份清单缺少文件列表');
+
+      var knownDatasets = {};
+      Object.keys(window.App.DATA_KEYS).forEach(function (file) {
+        knownDatasets[window.App.DATA_KEYS[file]] = true;
+      });
+
+      var errors = [];
+      var verified = [];
+      var chain = Promise.resolve();
+
+      manifest.files.forEach(function (entry, i) {
+        chain = chain.then(function () {
+          onProgress('校验 (' + (i + 1) + '/' + manifest.files.length + ') ' + entry.path);
+          var file = entry.path && zip.file(entry.path);
+          if (!file) {
+            errors.push('缺少文件：' + entry.path);
+            return;
+          }
+          if (entry.kind === 'data' && !knownDatasets[entry.dataset]) {
+            errors.push('未知数据集：' + entry.path);
+            return;
+          }
+          return file.async('arraybuffer').then(function (buffer) {
+            if (buffer.byteLength !== entry.size) {
+              errors.push('文件大小不符：' + entry.path);
+              return;
+            }
+            return sha256(buffer).then(function (hash) {
+              if (hash !== entry.sha256) {
+                errors.push('校验和不符：' + entry.path);
+                return;
+              }
+              verified.push({ entry: entry, buffer: buffer });
+            });
+          });
+        });
+      });
+
+      return chain.then(function () {
+        if (errors.length) {
+          var err = new Error('备份校验失败：\n' + errors.join('\n'));
+          err.problems = errors;
+          throw err;
+        }
+        return { manifest: manifest, verified: verified };
+      });
+    });
+  }
+
+  /**
+   * Whether the server already serves an identical copy of an asset, in
+   * which case there is no need to keep it locally.
+   */
+  function serverHasAsset(path, hash) {
+    return fetch(path).then(function (res) {
+      if (!res.ok) return false;
+      return res.arrayBuffer().then(sha256).then(function (serverHash) {
+        return serverHash === hash;
+      });
+    }).catch(function () {
+      return false;
+    });
+  }
+
+  /**
+   * Whether the server's data file already holds exactly this data, in
+   * which case storing it as a local snapshot would only mask later
+   * updates to the file.
+   */
+  function serverHasData(dataset, data) {
+    return fetch('data/' + window.LocalStore.fileNameFor(dataset)).then(function (res) {
+      if (!res.ok) return false;
+      return res.json().then(function (served) {
+        return window.LocalStore.stableStringify(served) === window.LocalStore.stableStringify(data);
+      });
+    }).catch(function () {
+      return false;
+    });
+  }
+
+  /**
+   * Validate a backup archive and restore it into LocalStore. The archive
+   * is verified and compared with the server's files first; everything is
+   * then written in one transaction, so nothing changes unless all of it
+   * does. Every data file loses its local changes: datasets in the archive
+   * take its data as their baseline, unless it matches the server's copy;
+   * datasets missing from it fall back to the server's copy. Assets that
+   * match the server's copies are not stored.
+   * @param {File|Blob} file
+   * @param {function(string)} [onProgress]
+   * @returns {Promise<object>} The archive's manifest
+   */
+  function restoreArchive(file, onProgress) {
+    onProgress = onProgress || noop;
+
+    try {
+      requireJSZip();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    if (!window.LocalStore) return Promise.reject(new Error('本地存储模块未加载'));
+
+    onProgress('读取备份文件...');
+
+    return JSZip.loadAsync(file).then(function (zip) {
+      return verifyArchive(zip, onProgress);
+    }).then(function (result) {
+      var dataEntries = [];
+      result.verified.forEach(function (item) {
+        if (item.entry.kind !== 'data') return;
+        try {
+          dataEntries.push({
+            dataset: item.entry.dataset,
+            data: JSON.parse(new TextDecoder().decode(item.buffer))
+          });
+        } catch (e) {
+          throw new Error('数据文件无法解析：' + item.entry.path);
+        }
+      });
+
+      var plan = { reset: [], replace: {}, assets: [] };
+      Object.keys(window.App.DATA_KEYS).forEach(function (fileName) {
+        plan.reset.push(window.App.DATA_KEYS[fileName]);
+      });
+
+      var chain = Promise.resolve();
+
+      dataEntries.forEach(function (d) {
+        chain = chain.then(function () {
+          onProgress('比对数据 ' + window.LocalStore.fileNameFor(d.dataset));
+          return serverHasData(d.dataset, d.data).then(function (same) {
+            // Identical to the shipped file: resetting its changes is enough
+            if (!same) plan.replace[d.dataset] = d.data;
+          });
+        });
+      });
+
+      result.verified.forEach(function (item) {
+        if (item.entry.kind !== 'asset') return;
+        chain = chain.then(function () {
+          onProgress('比对附件 ' + item.entry.path);
+          return serverHasAsset(item.entry.path, item.entry.sha256).then(function (same) {
+            if (same) return;
+            plan.assets.push({
+              path: item.entry.path,
+              blob: new Blob([item.buffer], { type: guessMimeType(item.entry.path) }),
+              sha256: item.entry.sha256
+            });
+          });
+        });
+      });
+
+      return chain.then(function () {
+        onProgress('写入本地存储...');
+        return window.LocalStore.restoreBackup(plan);
+      }).then(function () {
+        return result.manifest;
+      });
+    });
+  }
+
+  function guessMimeType(path) {
+    var ext = String(path).split('.').pop().toLowerCase();
+    switch (ext) {
+      case 'pdf':  return 'application/pdf';
+      case 'png':  return 'image/png';
+      case 'jpg':
+      case 'jpeg': return 'image/jpeg';
+      case 'mp4':  return 'video/mp4';
+      default:     return 'application/octet-stream';
+    }
+  }
+
+  /* ======================================================================
+   *  Public API
+   * ====================================================================== */
+
+  window.Backup = {
+    createArchive: createArchive,
+    download: download,
+    downloadDatasets: downloadDatasets,
+    restoreArchive: restoreArchive,
+    collectAssetPaths: collectAssetPaths
+  };
+
+})();
@@ -2,9 +2,22 @@
  * BloodWork - Blood Work Comparison Table for StrongToby Pet Medical Records SPA
  * Renders a tabbed, horizontally-scrollable comparison table of lab results
  * across multiple test dates, with status-based cell styling and tooltips.
+ * Clicking an indicator row opens a trend chart of that indicator below the
+ * table, with its reference range shaded and each point linked to its report.
+ * Results are entered per report against the indicator catalog
+ * (data/indicator-catalog.json) and saved through LocalStore.
  *
- * Data source: window.AppData.bloodWork
- * Export:      window.BloodWork = { render() }
+ * Rows are normalized through window.IndicatorCatalog before display: items
+ * that name the same analyte differently are merged, and values reported in
+ * other units are converted to the catalog unit (marked "*"). A toggle
+ * switches the cells to each value's position within its own refRange.
+ *
+ * Result status is computed from `value` and `refRange`; the stored `status`
+ * is only used when the range can't be parsed, and disagreements between
+ * the two are flagged in the table.
+ *
+ * Data source: window.AppData.bloodWork, window.AppData.indicatorCatalog
+ * Export:      window.BloodWork = { render(), parseRefRange(str), evaluateResult(result) }
  */
 (function () {
   'use strict';
@@ -24,6 +37,39 @@
     critical_low:  { bg: '#FFEBEE',      text: '#D0021B',  dotColor: null }
   };
 
+  /** Display labels for result statuses */
+  var STATUS_LABELS = {
+    normal:        '正常',
+    high:          '偏高',
+    low:           '偏低',
+    critical_high: '严重偏高',
+    critical_low:  '严重偏低'
+  };
+
+  /**
+   * A value counts as critical once it lies outside the reference range by
+   * more than this fraction of the range's width (for one-sided ranges such
+   * as "<10", of the bound itself).
+   */
+  var CRITICAL_MARGIN = 0.5;
+
+  /**
+   * Span of the inline bar in the percent-of-range view, in percent of the
+   * reference range: the range itself (0–100%) sits in the middle half and
+   * values further out are pinned to the ends.
+   */
+  var PERCENT_BAR_MIN = -50;
+  var PERCENT_BAR_MAX = 150;
+
+  /** Point colors on the trend chart, by result status */
+  var STATUS_POINT_COLORS = {
+    normal:        '#22c55e',
+    high:          '#F5A623',
+    low:           '#F5A623',
+    critical_high: '#D0021B',
+    critical_low:  '#D0021B'
+  };
+
   /* ======================================================================
    *  CSS Injection
    * ====================================================================== */
@@ -33,7 +79,7 @@
 
     var css = [
       /* Page header */
-      '.bw-header { margin-bottom: 24px; }',
+      '.bw-header { display: flex; justify-content: space-between; align-items: flex-start; gap: 16px; margin-bottom: 24px; }',
       '.bw-header h2 { font-size: 1.4rem; font-weight: 700; color: #111827; margin: 0 0 6px 0; }',
       '.bw-header p { font-size: 0.9rem; color: #6b7280; margin: 0; line-height: 1.5; }',
 
@@ -181,7 +227,7 @@
       '  padding: 5px 10px;',
       '  border-radius: 5px;',
       '  font-size: 0.75rem;',
-      '  white-space: nowrap;',
+      '  white-space: pre;',
       '  pointer-events: none;',
       '  z-index: 10;',
       '  opacity: 0;',
@@ -199,6 +245,123 @@
       '.bw-cell:hover .bw-tooltip { opacity: 1; }',
       '.bw-cell { position: relative; }',
 
+      /* Value / percent-of-range view toggle */
+      '.bw-view-toggle { display: inline-flex; margin-bottom: 12px; border: 1px solid #d1d5db; border-radius: 6px; overflow: hidden; }',
+      '.bw-view-toggle button {',
+      '  padding: 5px 12px;',
+      '  border: none;',
+      '  background: #fff;',
+      '  color: #374151;',
+      '  font-size: 0.8rem;',
+      '  cursor: pointer;',
+      '}',
+      '.bw-view-toggle button + button { border-left: 1px solid #d1d5db; }',
+      '.bw-view-toggle button.active { background: #2563eb; color: #fff; }',
+
+      /* Inline percent-of-range bar */
+      '.bw-pct-bar {',
+      '  position: relative;',
+      '  display: block;',
+      '  width: 64px;',
+      '  height: 6px;',
+      '  margin: 4px auto 0;',
+      '  border-radius: 3px;',
+      '  background: #e5e7eb;',
+      '}',
+      '.bw-pct-bar-band { position: absolute; top: 0; bottom: 0; background: rgba(34, 197, 94, 0.35); }',
+      '.bw-pct-bar-marker {',
+      '  position: absolute;',
+      '  top: -2px;',
+      '  width: 3px;',
+      '  height: 10px;',
+      '  margin-left: -1px;',
+      '  border-radius: 1px;',
+      '}',
+      '.bw-pct-na { color: #9ca3af; cursor: help; }',
+
+      /* Values converted from / left in another unit */
+      '.bw-converted { margin-left: 2px; font-size: 0.75rem; color: #6b7280; cursor: help; }',
+      '.bw-cell-unit { margin-left: 4px; font-size: 0.72rem; color: #b45309; cursor: help; }',
+
+      /* Stored status disagrees with value / refRange */
+      '.bw-mismatch { margin-left: 4px; font-size: 0.8rem; color: #b45309; cursor: help; }',
+      '.bw-mismatch-note {',
+      '  margin-bottom: 12px;',
+      '  padding: 8px 12px;',
+      '  border-left: 3px solid #f59e0b;',
+      '  background: #fffbeb;',
+      '  font-size: 0.82rem;',
+      '  color: #92400e;',
+      '}',
+
+      /* Clickable indicator rows */
+      '.bw-table tbody tr.bw-row-trend { cursor: pointer; }',
+      '.bw-table tbody tr.bw-row-trend:hover td:first-child { color: #2563eb; }',
+      '.bw-table tbody tr.is-selected td { background-color: #eff6ff; }',
+      '.bw-table tbody tr.is-selected td:first-child { background-color: #eff6ff; color: #2563eb; }',
+      '.bw-trend-icon { margin-left: 6px; font-size: 0.75rem; color: #9ca3af; }',
+
+      /* Trend chart panel */
+      '.bw-trend {',
+      '  margin-top: 16px;',
+      '  padding: 16px 20px;',
+      '  border: 1px solid #e5e7eb;',
+      '  border-radius: 8px;',
+      '  background: #fff;',
+      '}',
+      '.bw-trend-head { display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 10px; }',
+      '.bw-trend-title { font-size: 1rem; font-weight: 700; color: #111827; }',
+      '.bw-trend-hint { font-size: 0.78rem; color: #9ca3af; }',
+      '.bw-trend-close {',
+      '  border: none;',
+      '  background: none;',
+      '  font-size: 1.2rem;',
+      '  color: #9ca3af;',
+      '  cursor: pointer;',
+      '  line-height: 1;',
+      '}',
+      '.bw-trend-close:hover { color: #374151; }',
+      '.bw-trend-chart { position: relative; max-width: 900px; }',
+
+      /* Result entry form */
+      '.bw-action {',
+      '  padding: 7px 14px;',
+      '  border: 1px solid #d1d5db;',
+      '  border-radius: 6px;',
+      '  background: #fff;',
+      '  color: #374151;',
+      '  font-size: 0.85rem;',
+      '  cursor: pointer;',
+      '  white-space: nowrap;',
+      '}',
+      '.bw-action:hover { border-color: #2563eb; color: #2563eb; }',
+      '.bw-action--primary { background: #2563eb; border-color: #2563eb; color: #fff; }',
+      '.bw-action--primary:hover { background: #1d4ed8; color: #fff; }',
+      '.bw-entry {',
+      '  margin-bottom: 24px;',
+      '  padding: 16px 20px;',
+      '  border: 1px solid #e2e8f0;',
+      '  border-radius: 8px;',
+      '  background: #f8fafc;',
+      '}',
+      '.bw-entry-meta { display: grid; grid-template-columns: 2fr 1fr 1fr; gap: 12px 16px; margin-bottom: 16px; }',
+      '.bw-field { display: flex; flex-direction: column; gap: 4px; font-size: 0.78rem; color: #555; font-weight: 600; }',
+      '.bw-field input, .bw-field select { padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 0.9rem; font-weight: 400; background: #fff; }',
+      '.bw-entry-group { margin-bottom: 16px; }',
+      '.bw-entry-group h3 { font-size: 0.95rem; font-weight: 700; color: #111827; margin: 0 0 8px 0; }',
+      '.bw-entry-table { border-collapse: collapse; font-size: 0.85rem; }',
+      '.bw-entry-table th { text-align: left; font-weight: 600; color: #6b7280; padding: 4px 10px 4px 0; }',
+      '.bw-entry-table td { padding: 3px 10px 3px 0; white-space: nowrap; }',
+      '.bw-entry-table input { width: 100px; padding: 4px 6px; border: 1px solid #ccc; border-radius: 4px; font-size: 0.85rem; }',
+      '.bw-entry-table input.bw-entry-range { width: 120px; }',
+      '.bw-entry-table .bw-entry-unit { color: #6b7280; }',
+      '.bw-entry-table select { padding: 3px 4px; border: 1px solid #ccc; border-radius: 4px; font-size: 0.8rem; background: #fff; }',
+      '.bw-entry-table tr.has-value td:first-child { color: #2563eb; font-weight: 600; }',
+      '.bw-entry-errors { margin-top: 12px; color: #c0392b; font-size: 0.85rem; }',
+      '.bw-entry-errors:empty { display: none; }',
+      '.bw-entry-actions { display: flex; gap: 8px; margin-top: 14px; }',
+      '@media (max-width: 640px) { .bw-entry-meta { grid-template-columns: 1fr; } }',
+
       /* Empty state */
       '.bw-empty {',
       '  text-align: center;',
@@ -281,6 +444,129 @@
     return null;
   }
 
+  /**
+   * Open a report's original file in the PDF modal.
+   */
+  function openReport(report) {
+    if (window.ReportViewer && typeof window.ReportViewer.showPdfModal === 'function') {
+      window.ReportViewer.showPdfModal(report.filePath, report.title || '报告');
+    } else {
+      console.warn('[BloodWork] ReportViewer.showPdfModal is not available.');
+    }
+  }
+
+  /**
+   * Convert a (possibly partial) "YYYY[-MM[-DD]]" date string to a Date.
+   */
+  function toDate(dateStr) {
+    var v = parseDateValue(dateStr);
+    return new Date(Math.floor(v / 10000), Math.floor(v / 100) % 100 - 1, v % 100);
+  }
+
+  /**
+   * Parse a reference range string into numeric bounds. Accepts
+   *   "5.5-16.9", "5.5 – 16.9", "5.5~16.9", "5.5-16.9 10⁹/L" (trailing unit),
+   *   "<10", "≤10", "< 10 U/L", ">2", "≥2" and full-width variants.
+   * @param {string} refRange
+   * @returns {{ low: number|null, high: number|null }|null} null when unparseable
+   */
+  function parseRefRange(refRange) {
+    if (refRange === null || refRange === undefined) return null;
+    var str = String(refRange)
+      .replace(/[０-９．]/g, function (c) { return String.fromCharCode(c.charCodeAt(0) - 0xFEE0); })
+      .trim();
+    var num = '(-?\\d+(?:\\.\\d+)?)';
+    var m;
+
+    // Range; the unit (if any) follows the upper bound
+    m = new RegExp('^' + num + '\\s*[-–—－~～至]\\s*' + num + '(?![\\d.])').exec(str);
+    if (m) {
+      var a = parseFloat(m[1]);
+      var b = parseFloat(m[2]);
+      return { low: Math.min(a, b), high: Math.max(a, b) };
+    }
+
+    m = new RegExp('^[<≤＜≦]=?\\s*' + num).exec(str);
+    if (m) return { low: null, high: parseFloat(m[1]) };
+
+    m = new RegExp('^[>≥＞≧]=?\\s*' + num).exec(str);
+    if (m) return { low: parseFloat(m[1]), high: null };
+
+    return null;
+  }
+
+  /**
+   * Status of a numeric value against a parsed reference range.
+   * @returns {string} One of the STATUS_STYLES keys
+   */
+  function statusFromRange(value, range) {
+    var width = range.low !== null && range.high !== null ? range.high - range.low : null;
+
+    if (range.high !== null && value > range.high) {
+      var overBy = width !== null ? width : Math.abs(range.high);
+      return value - range.high > overBy * CRITICAL_MARGIN ? 'critical_high' : 'high';
+    }
+    if (range.low !== null && value < range.low) {
+      var underBy = width !== null ? width : Math.abs(range.low);
+      return range.low - value > underBy * CRITICAL_MARGIN ? 'critical_low' : 'low';
+    }
+    return 'normal';
+  }
+
+  function hasValue(result) {
+    return result.value !== null && result.value !== undefined && result.value !== '' &&
+      !isNaN(Number(result.value));
+  }
+
+  /**
+   * Position of a result's value within its own reference range, in percent:
+   * 0 at the lower bound, 100 at the upper. A "<X" range is taken to start at
+   * 0; ">X" ranges have no upper bound and give null, as do unparseable ones.
+   * @param {object} result - { value, refRange }
+   * @returns {number|null}
+   */
+  function rangePosition(result) {
+    if (!hasValue(result)) return null;
+    var range = parseRefRange(result.refRange);
+    if (!range || range.high === null) return null;
+    var low = range.low === null ? 0 : range.low;
+    if (range.high <= low) return null;
+    return (Number(result.value) - low) / (range.high - low) * 100;
+  }
+
+  /**
+   * Work out a result's status from its value and refRange, and compare it
+   * with the manually entered `status`.
+   *
+   * @param {object} result - { value, refRange, status, ... }
+   * @returns {{ status: string|null, computed: string|null, stored: string|null, mismatch: string|null }}
+   *   `status` is what to display (computed when possible, else stored);
+   *   `mismatch` describes a disagreement, or is null.
+   */
+  function evaluateResult(result) {
+    var stored = result.status || null;
+    var range = parseRefRange(result.refRange);
+    var computed = null;
+    var mismatch = null;
+
+    if (!hasValue(result)) {
+      if (stored) mismatch = '无检测数值，但录入状态为「' + (STATUS_LABELS[stored] || stored) + '」';
+    } else if (range) {
+      computed = statusFromRange(Number(result.value), range);
+      if (stored && stored !== computed) {
+        mismatch = '录入状态「' + (STATUS_LABELS[stored] || stored) + '」与参考范围计算结果「' +
+          STATUS_LABELS[computed] + '」不一致';
+      }
+    }
+
+    return {
+      status: computed || (hasValue(result) ? stored : null),
+      computed: computed,
+      stored: stored,
+      mismatch: mismatch
+    };
+  }
+
   /* ======================================================================
    *  Data Processing
    * ====================================================================== */
@@ -354,19 +640,147 @@
     return count > 1;
   }
 
+  /* ======================================================================
+   *  Unit Normalization
+   * ====================================================================== */
+
+  /**
+   * Round a converted number to 4 significant digits, so 1.5 mg/dL of
+   * creatinine shows as 132.6 μmol/L rather than 132.60000000000002.
+   */
+  function roundConverted(n) {
+    return Number(n.toPrecision(4));
+  }
+
+  /**
+   * Scale a reference range string by `factor`. Unparseable ranges are
+   * returned unchanged.
+   */
+  function convertRefRange(refRange, factor) {
+    var range = parseRefRange(refRange);
+    if (!range || factor === 1) return refRange;
+    if (range.low !== null && range.high !== null) {
+      return roundConverted(range.low * factor) + '-' + roundConverted(range.high * factor);
+    }
+    if (range.high !== null) return '<' + roundConverted(range.high * factor);
+    return '>' + roundConverted(range.low * factor);
+  }
+
+  function sameUnit(a, b) {
+    if (!window.IndicatorCatalog) return a === b;
+    return window.IndicatorCatalog.normalizeUnit(a) === window.IndicatorCatalog.normalizeUnit(b);
+  }
+
+  /**
+   * Catalog entry for an indicator name, or null when the catalog isn't
+   * loaded or doesn't know the name.
+   */
+  function catalogEntry(name) {
+    return window.IndicatorCatalog ? window.IndicatorCatalog.find(name) : null;
+  }
+
+  /**
+   * Express one result in its row's unit. Results already in that unit are
+   * returned as is; converted ones are copies carrying the reported figures
+   * in `original`. A result whose unit can't be converted keeps its value
+   * and is marked `unconverted`.
+   * @param {object} result
+   * @param {object} item   - Lab item the result belongs to
+   * @param {object} row    - Normalized row ({ unit, entry })
+   * @returns {object}
+   */
+  function normalizeResult(result, item, row) {
+    var unit = result.unit || item.unit || '';
+    var factor;
+    if (row.entry) {
+      factor = window.IndicatorCatalog.factor(row.entry, unit);
+    } else {
+      factor = !unit || !row.unit || sameUnit(unit, row.unit) ? 1 : null;
+    }
+    if (factor === 1) return result;
+
+    var copy = {};
+    Object.keys(result).forEach(function (k) { copy[k] = result[k]; });
+    copy.original = { value: result.value, unit: unit, refRange: result.refRange };
+
+    if (factor === null) {
+      copy.unconverted = true;
+      return copy;
+    }
+    copy.value = hasValue(result) ? roundConverted(Number(result.value) * factor) : result.value;
+    copy.refRange = convertRefRange(result.refRange, factor);
+    return copy;
+  }
+
+  /**
+   * Normalize a category for display: items that the indicator catalog
+   * resolves to the same analyte (e.g. "PLT 血小板" and "血小板 PLT" from
+   * two clinics) are merged into one row named after the catalog entry,
+   * and every result is converted into the catalog's unit.
+   *
+   * @param {object} category - Category from blood-work.json
+   * @returns {{ name: string, items: Array<{ name, unit, entry, sourceNames, results }> }}
+   */
+  function normalizeCategory(category) {
+    var rows = [];
+    var byName = {};
+
+    (category.items || []).forEach(function (item) {
+      var entry = catalogEntry(item.name);
+      var name = entry ? entry.name : item.name;
+      var row = byName[name];
+      if (!row) {
+        row = byName[name] = {
+          name: name,
+          unit: entry ? entry.unit : item.unit,
+          entry: entry,
+          sourceNames: [],
+          results: []
+        };
+        rows.push(row);
+      }
+      if (row.sourceNames.indexOf(item.name) === -1) row.sourceNames.push(item.name);
+      (item.results || []).forEach(function (r) {
+        row.results.push(normalizeResult(r, item, row));
+      });
+    });
+
+    return { name: category.name, items: rows };
+  }
+
+  /**
+   * One-line description of a converted result's reported figures.
+   */
+  function describeOriginal(result) {
+    var o = result.original;
+    return '原始: ' + (hasValue(o) ? o.value : '—') + (o.unit ? ' ' + o.unit : '') +
+      (o.refRange ? '（参考 ' + o.refRange + '）' : '');
+  }
+
   /* ======================================================================
    *  DOM Building
    * ====================================================================== */
 
   /**
-   * Build the page header.
+   * Build the page header with the result-entry toggle.
+   * @param {boolean}  entryOpen    - Whether the entry form is shown
+   * @param {function} onEntryClick - Toggles the entry form
    */
-  function buildHeader() {
+  function buildHeader(entryOpen, onEntryClick) {
     var div = document.createElement('div');
     div.className = 'bw-header';
     div.innerHTML =
+      '<div>' +
       '<h2>' + esc('血常规 / 生化检查') + '</h2>' +
-      '<p>' + esc('对比不同日期的检验指标，追踪数值变化趋势。颜色标注表示超出或低于参考范围。') + '</p>';
+      '<p>' + esc('对比不同日期的检验指标，追踪数值变化趋势。颜色标注表示超出或低于参考范围。') + '</p>' +
+      '</div>';
+
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'bw-action' + (entryOpen ? '' : ' bw-action--primary');
+    btn.textContent = entryOpen ? '收起录入' : '+ 录入检验结果';
+    btn.addEventListener('click', onEntryClick);
+    div.appendChild(btn);
     return div;
   }
 
@@ -395,12 +809,72 @@
     return wrap;
   }
 
+  /**
+   * Build the value / percent-of-range view toggle.
+   * @param {boolean}  percentView - Whether the percent view is active
+   * @param {function} onChange    - Callback(percentView)
+   * @returns {HTMLElement}
+   */
+  function buildViewToggle(percentView, onChange) {
+    var wrap = document.createElement('div');
+    wrap.className = 'bw-view-toggle';
+    [
+      { percent: false, label: '原始数值' },
+      { percent: true, label: '参考范围百分比' }
+    ].forEach(function (opt) {
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = opt.label;
+      if (opt.percent === percentView) btn.className = 'active';
+      if (opt.percent) btn.title = '0% 为参考下限，100% 为参考上限';
+      btn.addEventListener('click', function () {
+        if (opt.percent !== percentView) onChange(opt.percent);
+      });
+      wrap.appendChild(btn);
+    });
+    return wrap;
+  }
+
+  /**
+   * Inline bar showing where a value sits relative to its reference range
+   * (the green band).
+   * @param {number} position - Percent of range (see rangePosition)
+   * @param {object} styles   - STATUS_STYLES entry for the result
+   */
+  function buildPercentBar(position, styles) {
+    var span = PERCENT_BAR_MAX - PERCENT_BAR_MIN;
+    var toLeft = function (pct) {
+      var clamped = Math.min(PERCENT_BAR_MAX, Math.max(PERCENT_BAR_MIN, pct));
+      return ((clamped - PERCENT_BAR_MIN) / span * 100) + '%';
+    };
+
+    var bar = document.createElement('span');
+    bar.className = 'bw-pct-bar';
+
+    var band = document.createElement('span');
+    band.className = 'bw-pct-bar-band';
+    band.style.left = toLeft(0);
+    band.style.width = (100 / span * 100) + '%';
+    bar.appendChild(band);
+
+    var marker = document.createElement('span');
+    marker.className = 'bw-pct-bar-marker';
+    marker.style.left = toLeft(position);
+    marker.style.background = styles.dotColor || styles.text;
+    bar.appendChild(marker);
+
+    return bar;
+  }
+
   /**
    * Build the comparison table for a category.
-   * @param {object} category - Category object with .name and .items
+   * @param {object}   category       - Normalized category (see normalizeCategory)
+   * @param {string}   [selectedName] - Name of the row whose trend chart is open
+   * @param {function} [onItemClick]  - Callback(item) when a row is clicked
+   * @param {boolean}  [percentView]  - Show values as percent of their refRange
    * @returns {HTMLElement}
    */
-  function buildTable(category) {
+  function buildTable(category, selectedName, onItemClick, percentView) {
     var items = category.items || [];
 
     // Empty state
@@ -464,11 +938,7 @@
         link.addEventListener('click', (function (rpt) {
           return function (e) {
             e.preventDefault();
-            if (window.ReportViewer && typeof window.ReportViewer.showPdfModal === 'function') {
-              window.ReportViewer.showPdfModal(rpt.filePath, rpt.title || '报告');
-            } else {
-              console.warn('[BloodWork] ReportViewer.showPdfModal is not available.');
-            }
+            openReport(rpt);
           };
         })(report));
         th.appendChild(link);
@@ -487,10 +957,29 @@
       var tr = document.createElement('tr');
       var multiRef = hasMultipleRefRanges(item);
 
+      if (onItemClick) {
+        tr.className = 'bw-row-trend' + (item.name === selectedName ? ' is-selected' : '');
+        tr.title = '点击查看趋势图';
+        tr.addEventListener('click', function (e) {
+          // Let the value tooltips / links inside the row behave normally
+          if (e.target.closest('a')) return;
+          onItemClick(item);
+        });
+      }
+
       // First cell: indicator name + unit
       var tdName = document.createElement('td');
+      if (item.sourceNames && (item.sourceNames.length > 1 || item.sourceNames[0] !== item.name)) {
+        tdName.title = '报告中的名称：' + item.sourceNames.join('、');
+      }
       var nameText = document.createTextNode(item.name || '');
       tdName.appendChild(nameText);
+      if (onItemClick) {
+        var icon = document.createElement('span');
+        icon.className = 'bw-trend-icon';
+        icon.textContent = '\u2197'; // ↗
+        tdName.appendChild(icon);
+      }
       if (item.unit) {
         var unitSpan = document.createElement('span');
         unitSpan.className = 'bw-item-unit';
@@ -504,16 +993,17 @@
         var td = document.createElement('td');
         td.className = 'bw-cell';
         var result = findResult(item, col);
+        var evaluation = result ? evaluateResult(result) : null;
 
-        if (!result || result.value === null || result.value === undefined) {
+        if (!result || !hasValue(result)) {
           // Null / missing value
           var nullSpan = document.createElement('span');
           nullSpan.className = 'bw-cell-null';
           nullSpan.textContent = '\u2014'; // em dash
           td.appendChild(nullSpan);
         } else {
-          // Apply status styling
-          var status = result.status || 'normal';
+          // Apply status styling (computed from refRange where possible)
+          var status = evaluation.status || 'normal';
           var styles = STATUS_STYLES[status] || STATUS_STYLES.normal;
 
           if (styles.bg && styles.bg !== 'transparent') {
@@ -530,18 +1020,44 @@
             valueWrap.appendChild(dot);
           }
 
+          var position = percentView ? rangePosition(result) : null;
           var valueText = document.createElement('span');
-          valueText.textContent = result.value;
+          if (position !== null) {
+            valueText.textContent = Math.round(position) + '%';
+          } else {
+            valueText.textContent = result.value;
+            if (percentView) {
+              valueText.className = 'bw-pct-na';
+              valueText.title = '参考范围缺失或无上限，显示原始数值';
+            }
+          }
           if (styles.text && styles.text !== 'inherit') {
             valueText.style.color = styles.text;
             valueText.style.fontWeight = '600';
           }
           valueWrap.appendChild(valueText);
 
+          // Converted from another unit: mark it; unconvertible: show its own unit
+          if (result.original) {
+            var unitMark = document.createElement('span');
+            if (result.unconverted) {
+              unitMark.className = 'bw-cell-unit';
+              unitMark.textContent = result.original.unit;
+              unitMark.title = '该单位无法换算为 ' + (item.unit || '统一单位');
+            } else {
+              unitMark.className = 'bw-converted';
+              unitMark.textContent = '*';
+              unitMark.title = '由 ' + result.original.unit + ' 换算';
+            }
+            valueWrap.appendChild(unitMark);
+          }
+
           td.appendChild(valueWrap);
+          if (position !== null) td.appendChild(buildPercentBar(position, styles));
 
-          // Show ref range below value when institutions differ
-          if (multiRef && result.refRange) {
+          // Show ref range below value when institutions differ (the percent
+          // view already accounts for it)
+          if (multiRef && result.refRange && !percentView) {
             var refSpan = document.createElement('span');
             refSpan.className = 'bw-ref-range';
             refSpan.textContent = '(' + esc(result.refRange) + ')';
@@ -552,11 +1068,22 @@
           if (result.refRange) {
             var tooltip = document.createElement('span');
             tooltip.className = 'bw-tooltip';
-            tooltip.textContent = '参考范围: ' + result.refRange;
+            tooltip.textContent = (percentView ? '数值: ' + result.value + (item.unit ? ' ' + item.unit : '') + '\n' : '') +
+              '参考范围: ' + result.refRange +
+              (result.original ? '\n' + describeOriginal(result) : '');
             td.appendChild(tooltip);
           }
         }
 
+        // Flag stored status that disagrees with the value / refRange
+        if (evaluation && evaluation.mismatch) {
+          var flag = document.createElement('span');
+          flag.className = 'bw-mismatch';
+          flag.textContent = '\u26A0'; // ⚠
+          flag.title = evaluation.mismatch;
+          td.appendChild(flag);
+        }
+
         tr.appendChild(td);
       });
 
@@ -568,6 +1095,27 @@
     return tableWrap;
   }
 
+  /**
+   * Notice listing results whose stored status disagrees with the computed
+   * one. Returns null when everything agrees.
+   */
+  function buildMismatchNote(category) {
+    var lines = [];
+    (category.items || []).forEach(function (item) {
+      (item.results || []).forEach(function (r) {
+        var evaluation = evaluateResult(r);
+        if (evaluation.mismatch) lines.push(item.name + ' (' + r.date + ')：' + evaluation.mismatch);
+      });
+    });
+    if (!lines.length) return null;
+
+    var div = document.createElement('div');
+    div.className = 'bw-mismatch-note';
+    div.innerHTML = '<strong>' + lines.length + ' 项结果的录入状态需核对：</strong><br>' +
+      lines.map(esc).join('<br>');
+    return div;
+  }
+
   /**
    * Build the footer note element.
    */
@@ -578,6 +1126,549 @@
     return div;
   }
 
+  /* ======================================================================
+   *  Trend Chart
+   * ====================================================================== */
+
+  var trendChartInstance = null;
+
+  function destroyTrendChart() {
+    if (trendChartInstance) {
+      trendChartInstance.destroy();
+      trendChartInstance = null;
+    }
+  }
+
+  /**
+   * Shaded reference-range boxes. With a single range the band spans the
+   * whole chart; when institutions use different ranges, each result's
+   * range covers the span halfway to its neighbours.
+   */
+  function buildRefAnnotations(points) {
+    var annotations = {};
+    var distinct = {};
+    points.forEach(function (p) { distinct[p.result.refRange || ''] = true; });
+    var single = Object.keys(distinct).length === 1;
+
+    points.forEach(function (p, i) {
+      if (single && i > 0) return;
+      var bounds = parseRefRange(p.result.refRange);
+      if (!bounds) return;
+
+      var box = {
+        type: 'box',
+        yMin: bounds.low === null ? undefined : bounds.low,
+        yMax: bounds.high === null ? undefined : bounds.high,
+        backgroundColor: 'rgba(34, 197, 94, 0.10)',
+        borderColor: 'rgba(34, 197, 94, 0.35)',
+        borderWidth: 1,
+        drawTime: 'beforeDatasetsDraw'
+      };
+      if (!single) {
+        if (i > 0) box.xMin = (points[i - 1].x.getTime() + p.x.getTime()) / 2;
+        if (i < points.length - 1) box.xMax = (p.x.getTime() + points[i + 1].x.getTime()) / 2;
+      } else {
+        box.label = {
+          display: true,
+          content: '参考范围 ' + p.result.refRange,
+          position: { x: 'start', y: 'start' },
+          color: '#15803d',
+          backgroundColor: 'transparent',
+          font: { size: 11 }
+        };
+      }
+      annotations['ref' + i] = box;
+    });
+
+    return annotations;
+  }
+
+  /**
+   * Build the trend panel for one indicator. Values are plotted in the
+   * row's normalized unit; results that couldn't be converted are left out.
+   * @param {object}   item    - Normalized row with .name, .unit, .results
+   * @param {function} onClose - Callback when the panel is closed
+   * @returns {HTMLElement}
+   */
+  function buildTrendPanel(item, onClose) {
+    var panel = document.createElement('div');
+    panel.className = 'bw-trend';
+
+    var head = document.createElement('div');
+    head.className = 'bw-trend-head';
+    head.innerHTML =
+      '<span><span class="bw-trend-title">' + esc(item.name) + ' 趋势</span>' +
+      (item.unit ? ' <span class="bw-trend-hint">(' + esc(item.unit) + ')</span>' : '') + '</span>';
+
+    var closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'bw-trend-close';
+    closeBtn.setAttribute('aria-label', '关闭趋势图');
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', onClose);
+    head.appendChild(closeBtn);
+    panel.appendChild(head);
+
+    var plotted = (item.results || []).filter(function (r) {
+      return hasValue(r) && !r.unconverted;
+    });
+    var skipped = (item.results || []).filter(hasValue).length - plotted.length;
+    var points = plotted.map(function (r) {
+      return { x: toDate(r.date), y: Number(r.value), result: r };
+    }).sort(function (a, b) {
+      return a.x - b.x;
+    });
+
+    if (!points.length) {
+      var empty = document.createElement('div');
+      empty.className = 'bw-empty';
+      empty.textContent = '该指标暂无数值记录';
+      panel.appendChild(empty);
+      return panel;
+    }
+
+    var hint = document.createElement('div');
+    hint.className = 'bw-trend-hint';
+    hint.textContent = '绿色区域为参考范围；点击数据点可查看对应报告原文。' +
+      (skipped ? skipped + ' 个结果的单位无法换算，未绘制。' : '');
+    panel.appendChild(hint);
+
+    var chartWrap = document.createElement('div');
+    chartWrap.className = 'bw-trend-chart';
+    var canvas = document.createElement('canvas');
+    chartWrap.appendChild(canvas);
+    panel.appendChild(chartWrap);
+
+    var colors = points.map(function (p) {
+      return STATUS_POINT_COLORS[evaluateResult(p.result).status || 'normal'] || STATUS_POINT_COLORS.normal;
+    });
+
+    // The canvas must be in the document before Chart.js measures it
+    setTimeout(function () {
+      if (!canvas.isConnected) return;
+      destroyTrendChart();
+      trendChartInstance = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+          datasets: [{
+            label: item.name,
+            data: points.map(function (p) { return { x: p.x, y: p.y }; }),
+            borderColor: '#64748b',
+            borderWidth: 2,
+            pointBackgroundColor: colors,
+            pointBorderColor: colors,
+            pointRadius: 6,
+            pointHoverRadius: 8,
+            tension: 0.2,
+            fill: false
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: true,
+          aspectRatio: 2.4,
+          scales: {
+            x: {
+              type: 'time',
+              time: {
+                tooltipFormat: 'yyyy-MM-dd',
+                displayFormats: { day: 'yyyy-MM-dd', month: 'yyyy-MM' }
+              },
+              offset: points.length === 1
+            },
+            y: {
+              title: { display: !!item.unit, text: item.unit || '' },
+              grace: '10%'
+            }
+          },
+          onHover: function (evt, elements) {
+            var target = evt.native && evt.native.target;
+            if (target) target.style.cursor = elements.length ? 'pointer' : 'default';
+          },
+          onClick: function (evt, elements) {
+            if (!elements.length) return;
+            var report = findReport(points[elements[0].index].result.reportId);
+            if (report && report.filePath) openReport(report);
+          },
+          plugins: {
+            legend: { display: false },
+            annotation: { annotations: buildRefAnnotations(points) },
+            tooltip: {
+              callbacks: {
+                afterLabel: function (ctx) {
+                  var r = points[ctx.dataIndex].result;
+                  var lines = [];
+                  if (r.refRange) lines.push('参考范围: ' + r.refRange);
+                  if (r.original) lines.push(describeOriginal(r));
+                  if (r.institution) lines.push('机构: ' + r.institution);
+                  if (findReport(r.reportId)) lines.push('点击查看报告');
+                  return lines;
+                }
+              }
+            }
+          }
+        }
+      });
+    }, 0);
+
+    return panel;
+  }
+
+  /* ======================================================================
+   *  Result Entry
+   * ====================================================================== */
+
+  /**
+   * Find an element by its `name` in a list of categories or items.
+   */
+  function findByName(list, name) {
+    for (var i = 0; i < (list || []).length; i++) {
+      if (list[i] && list[i].name === name) return list[i];
+    }
+    return null;
+  }
+
+  /**
+   * Reports in reports-index.json with category "bloodwork", newest first.
+   */
+  function bloodworkReports() {
+    var index = window.AppData && window.AppData.reportsIndex;
+    return ((index && index.reports) || []).filter(function (r) {
+      return r.category === 'bloodwork';
+    }).sort(function (a, b) {
+      return parseDateValue(b.date) - parseDateValue(a.date);
+    });
+  }
+
+  /**
+   * Indicator groups offered by the entry form: every catalog category with
+   * its indicators, followed by indicators (and categories) already present
+   * in blood-work.json but missing from the catalog.
+   * @param {Array} categories - AppData.bloodWork.categories
+   * @returns {Array<{ name: string, indicators: Array }>}
+   */
+  function entryGroups(categories) {
+    var catalog = window.AppData && window.AppData.indicatorCatalog;
+    var catalogCats = (catalog && catalog.categories) || [];
+    var groups = [];
+
+    catalogCats.concat(categories).forEach(function (cat) {
+      if (findByName(groups, cat.name)) return;
+      var indicators = ((findByName(catalogCats, cat.name) || {}).items || []).slice();
+      ((findByName(categories, cat.name) || {}).items || []).forEach(function (item) {
+        if (findByName(indicators, item.name) || indicators.indexOf(catalogEntry(item.name)) !== -1) return;
+        var results = item.results || [];
+        var last = results[results.length - 1];
+        indicators.push({ name: item.name, unit: item.unit || '', refRange: last ? last.refRange : '' });
+      });
+      groups.push({ name: cat.name, indicators: indicators });
+    });
+
+    return groups;
+  }
+
+  /**
+   * Reference range to prefill: the institution's own range from the
+   * catalog, else the catalog's default canine range.
+   */
+  function defaultRefRange(indicator, institution) {
+    var ranges = indicator.institutionRanges || {};
+    return ranges[institution] || indicator.refRange || '';
+  }
+
+  /**
+   * Where an indicator's result for a report lives in a blood-work category.
+   * Items recorded under an alias of the indicator count too; `item` is the
+   * one holding the report's result, else the one with the indicator's own
+   * name, else the first alias.
+   * @returns {{ item: object|null, result: object|null }}
+   */
+  function findReportEntry(category, indicator, reportId) {
+    var items = ((category && category.items) || []).filter(function (item) {
+      return item.name === indicator.name || catalogEntry(item.name) === indicator;
+    });
+    for (var i = 0; i < items.length; i++) {
+      var result = findReportResult(items[i], reportId);
+      if (result) return { item: items[i], result: result };
+    }
+    return { item: findByName(items, indicator.name) || items[0] || null, result: null };
+  }
+
+  /**
+   * Units offered for an indicator: the catalog's canonical unit and every
+   * unit it converts from.
+   */
+  function entryUnits(indicator) {
+    if (window.IndicatorCatalog && indicator.conversions) return window.IndicatorCatalog.units(indicator);
+    return [indicator.unit || ''];
+  }
+
+  /**
+   * The result of `item` that was taken from the given report, if any.
+   */
+  function findReportResult(item, reportId) {
+    var results = (item && item.results) || [];
+    for (var i = 0; i < results.length; i++) {
+      if (results[i].reportId === reportId) return results[i];
+    }
+    return null;
+  }
+
+  /**
+   * Build the indicator tables for one report, prefilled with the values
+   * already recorded for it.
+   */
+  function buildEntryGroupsHtml(groups, categories, reportId, institution) {
+    var html = '';
+    groups.forEach(function (group, g) {
+      var dataCategory = findByName(categories, group.name);
+      html += '<div class="bw-entry-group"><h3>' + esc(group.name) + '</h3>';
+      html += '<table class="bw-entry-table"><thead><tr>' +
+        '<th>指标</th><th>数值</th><th>单位</th><th>参考范围</th></tr></thead><tbody>';
+      group.indicators.forEach(function (indicator, i) {
+        var found = findReportEntry(dataCategory, indicator, reportId);
+        var item = found.item;
+        var existing = found.result;
+        var value = existing && hasValue(existing) ? String(existing.value) : '';
+        var refRange = existing && existing.refRange ? existing.refRange : defaultRefRange(indicator, institution);
+        var unit = (existing && existing.unit) || (item && item.unit) || indicator.unit || '';
+        var units = entryUnits(indicator);
+        if (units.indexOf(unit) === -1) units = [unit].concat(units);
+
+        var unitCell = units.length > 1
+          ? '<select class="bw-entry-unit-select">' + units.map(function (u) {
+              return '<option value="' + esc(u) + '"' + (u === unit ? ' selected' : '') + '>' + esc(u) + '</option>';
+            }).join('') + '</select>'
+          : esc(unit);
+
+        html += '<tr data-group="' + g + '" data-index="' + i + '" data-unit="' + esc(unit) + '"' +
+          (value ? ' class="has-value" data-saved="true"' : '') + '>' +
+          '<td>' + esc(indicator.name) + '</td>' +
+          '<td><input type="text" inputmode="decimal" class="bw-entry-value" value="' + esc(value) + '"></td>' +
+          '<td class="bw-entry-unit">' + unitCell + '</td>' +
+          '<td><input type="text" class="bw-entry-range" value="' + esc(refRange) + '"' +
+          (existing && existing.refRange ? ' data-edited="true"' : '') + '></td>' +
+          '</tr>';
+      });
+      html += '</tbody></table></div>';
+    });
+    return html;
+  }
+
+  /**
+   * Read and validate the entry form. A saved value that was cleared comes
+   * back as an entry with `remove: true`.
+   * @returns {{ entries: Array<{ category: string, indicator: object, record: object, remove: boolean }>, errors: string[] }}
+   */
+  function readEntryForm(form, groups) {
+    var errors = [];
+    var entries = [];
+    var reportId = form.elements.report.value;
+    var date = form.elements.date.value;
+    var institution = form.elements.institution.value.trim();
+
+    if (!reportId) errors.push('请选择报告');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) errors.push('请选择检验日期');
+    if (!institution) errors.push('请填写检验机构');
+
+    Array.prototype.forEach.call(form.querySelectorAll('tr[data-group]'), function (tr) {
+      var raw = tr.querySelector('.bw-entry-value').value.trim();
+      var group = groups[Number(tr.getAttribute('data-group'))];
+      var indicator = group.indicators[Number(tr.getAttribute('data-index'))];
+
+      if (raw === '') {
+        // Clearing a saved value removes that result; untouched empty rows are skipped
+        if (tr.getAttribute('data-saved')) {
+          entries.push({ category: group.name, indicator: indicator, remove: true, record: { reportId: reportId } });
+        }
+        return;
+      }
+
+      var value = Number(raw);
+      if (!/^-?\d+(\.\d+)?$/.test(raw) || !isFinite(value)) {
+        errors.push(indicator.name + '：数值无效');
+        return;
+      }
+      var refRange = tr.querySelector('.bw-entry-range').value.trim();
+      if (refRange && !parseRefRange(refRange)) {
+        errors.push(indicator.name + '：参考范围无法识别');
+        return;
+      }
+
+      // Key order mirrors data/blood-work.json so exports diff cleanly;
+      // `unit` is filled in by saveEntry when it differs from the item's
+      var select = tr.querySelector('.bw-entry-unit-select');
+      var unit = select ? select.value : tr.getAttribute('data-unit');
+      var record = { date: date, value: value, refRange: refRange, institution: institution };
+      var status = evaluateResult(record).computed;
+      if (status) record.status = status;
+      record.reportId = reportId;
+
+      entries.push({ category: group.name, indicator: indicator, unit: unit, record: record });
+    });
+
+    if (!errors.length && !entries.length) errors.push('请至少填写一项数值');
+    return { entries: entries, errors: errors };
+  }
+
+  /** Fields compared when deciding whether a re-entered result changed */
+  var RESULT_FIELDS = ['date', 'value', 'unit', 'refRange', 'institution', 'status', 'reportId'];
+
+  /**
+   * Save one result through LocalStore. A result already recorded for the
+   * same report is updated in place; new indicators are created with their
+   * catalog unit before the result is added. Results are stored with an
+   * own `unit` only when it differs from their item's. Entries marked
+   * `remove` delete the report's result instead.
+   * @returns {Promise}
+   */
+  function saveEntry(entry) {
+    var store = window.LocalStore;
+    var data = window.AppData.bloodWork;
+    var found = findReportEntry(findByName(data.categories, entry.category), entry.indicator, entry.record.reportId);
+    var item = found.item;
+    var existing = found.result;
+    var itemName = item ? item.name : entry.indicator.name;
+    var itemUnit = item ? item.unit : entry.indicator.unit;
+    var itemPath = 'categories[' + entry.category + '].items[' + itemName + ']';
+
+    if (entry.remove) {
+      return existing ? store.removeRecord('bloodWork', itemPath + '.results', existing) : Promise.resolve();
+    }
+
+    var record = {};
+    Object.keys(entry.record).forEach(function (k) {
+      record[k] = entry.record[k];
+      if (k === 'value' && entry.unit && entry.unit !== itemUnit) record.unit = entry.unit;
+    });
+
+    if (existing) {
+      var unchanged = RESULT_FIELDS.every(function (k) { return existing[k] === record[k]; });
+      if (unchanged) return Promise.resolve();
+      return store.updateRecord('bloodWork', itemPath + '.results', existing, record);
+    }
+
+    var ready = item ? Promise.resolve() : store.setValue('bloodWork', itemPath + '.unit', itemUnit || '');
+    return ready.then(function () {
+      return store.addRecord('bloodWork', itemPath + '.results', record);
+    });
+  }
+
+  /**
+   * Build the result entry form: pick a blood-work report, then fill values
+   * for the catalog's indicators.
+   * @param {Array}    categories - AppData.bloodWork.categories
+   * @param {function} onSaved    - Called after every entry has been saved
+   * @param {function} onCancel
+   * @returns {HTMLElement}
+   */
+  function buildEntryForm(categories, onSaved, onCancel) {
+    var reports = bloodworkReports();
+    var groups = entryGroups(categories);
+
+    var wrap = document.createElement('div');
+    wrap.className = 'bw-entry';
+
+    if (!reports.length) {
+      wrap.innerHTML = '<div class="bw-empty">报告索引中没有血检类报告，请先添加报告。</div>';
+      return wrap;
+    }
+
+    var html = '<form novalidate>';
+    html += '<div class="bw-entry-meta">';
+    html += '  <label class="bw-field">报告<select name="report">';
+    reports.forEach(function (r) {
+      html += '<option value="' + esc(r.id) + '">' +
+        esc(formatDateForColumn(r.date) + ' ' + (r.institution || '') + ' · ' + (r.title || r.id)) + '</option>';
+    });
+    html += '  </select></label>';
+    html += '  <label class="bw-field">检验日期<input type="date" name="date" required></label>';
+    html += '  <label class="bw-field">检验机构<input type="text" name="institution" maxlength="50" required></label>';
+    html += '</div>';
+    html += '<div class="bw-entry-groups"></div>';
+    html += '<div class="bw-entry-errors"></div>';
+    html += '<div class="bw-entry-actions">';
+    html += '  <button type="submit" class="bw-action bw-action--primary">保存</button>';
+    html += '  <button type="button" class="bw-action bw-entry-cancel">取消</button>';
+    html += '</div>';
+    html += '</form>';
+    wrap.innerHTML = html;
+
+    var form = wrap.querySelector('form');
+    var groupsEl = wrap.querySelector('.bw-entry-groups');
+    var errorsEl = wrap.querySelector('.bw-entry-errors');
+
+    /**
+     * Prefill a row's range from the catalog for the current institution,
+     * in the row's unit, unless the user (or an existing result) set it.
+     */
+    function refreshRange(tr) {
+      var input = tr.querySelector('.bw-entry-range');
+      if (input.getAttribute('data-edited')) return;
+      var indicator = groups[Number(tr.getAttribute('data-group'))].indicators[Number(tr.getAttribute('data-index'))];
+      var range = defaultRefRange(indicator, form.elements.institution.value.trim());
+      var factor = window.IndicatorCatalog ? window.IndicatorCatalog.factor(indicator, tr.getAttribute('data-unit')) : 1;
+      input.value = factor ? convertRefRange(range, 1 / factor) : range;
+    }
+
+    function refreshAllRanges() {
+      Array.prototype.forEach.call(groupsEl.querySelectorAll('tr[data-group]'), refreshRange);
+    }
+
+    function loadReport() {
+      var report = findReport(form.elements.report.value) || {};
+      form.elements.date.value = /^\d{4}-\d{2}-\d{2}$/.test(report.date || '') ? report.date : '';
+      form.elements.institution.value = report.institution || '';
+      groupsEl.innerHTML = buildEntryGroupsHtml(groups, categories, report.id, report.institution || '');
+      refreshAllRanges();
+      errorsEl.textContent = '';
+    }
+
+    form.elements.report.addEventListener('change', loadReport);
+    form.elements.institution.addEventListener('input', refreshAllRanges);
+
+    groupsEl.addEventListener('change', function (e) {
+      if (!e.target.classList.contains('bw-entry-unit-select')) return;
+      var tr = e.target.closest('tr');
+      tr.setAttribute('data-unit', e.target.value);
+      refreshRange(tr);
+    });
+
+    groupsEl.addEventListener('input', function (e) {
+      if (e.target.classList.contains('bw-entry-range')) e.target.setAttribute('data-edited', 'true');
+      if (e.target.classList.contains('bw-entry-value')) {
+        e.target.closest('tr').classList.toggle('has-value', e.target.value.trim() !== '');
+      }
+    });
+
+    wrap.querySelector('.bw-entry-cancel').addEventListener('click', onCancel);
+
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      var result = readEntryForm(form, groups);
+      errorsEl.innerHTML = result.errors.map(esc).join('<br>');
+      if (result.errors.length) return;
+
+      if (!window.LocalStore || !window.AppData.bloodWork) {
+        errorsEl.textContent = '本地存储模块未加载，无法保存。';
+        return;
+      }
+
+      // One at a time: later entries may rely on items created by earlier ones
+      var chain = Promise.resolve();
+      result.entries.forEach(function (entry) {
+        chain = chain.then(function () { return saveEntry(entry); });
+      });
+      chain.then(onSaved).catch(function (err) {
+        console.error('[BloodWork] Failed to save results:', err);
+        errorsEl.textContent = '保存失败：' + (err && err.message ? err.message : err);
+      });
+    });
+
+    loadReport();
+    return wrap;
+  }
+
   /* ======================================================================
    *  Main Render
    * ====================================================================== */
@@ -598,19 +1689,44 @@
     var data = window.AppData && window.AppData.bloodWork;
     var categories = (data && data.categories) || [];
 
-    // Track active tab index
+    // Track active tab index, the indicator row whose trend is shown and
+    // whether the result entry form is open
     var activeIndex = 0;
+    var selectedName = null;
+    var entryOpen = false;
+    var percentView = false;
+
+    function toggleEntry() {
+      entryOpen = !entryOpen;
+      renderView(activeIndex);
+    }
+
+    function toggleTrend(item) {
+      selectedName = selectedName === item.name ? null : item.name;
+      renderView(activeIndex);
+    }
 
     /**
      * Full re-render of the blood work view for the given active tab.
      * @param {number} tabIdx
      */
     function renderView(tabIdx) {
+      if (tabIdx !== activeIndex) selectedName = null;
       activeIndex = tabIdx;
+      destroyTrendChart();
       contentEl.innerHTML = '';
 
       // Header
-      contentEl.appendChild(buildHeader());
+      contentEl.appendChild(buildHeader(entryOpen, toggleEntry));
+
+      // Result entry form
+      if (entryOpen) {
+        contentEl.appendChild(buildEntryForm(categories, function () {
+          entryOpen = false;
+          categories = (data && data.categories) || [];
+          renderView(activeIndex);
+        }, toggleEntry));
+      }
 
       // Tabs
       if (categories.length > 0) {
@@ -626,8 +1742,22 @@
         emptyDiv.textContent = '暂无数据，待从报告中提取';
         contentEl.appendChild(emptyDiv);
       } else {
-        var activeCategory = categories[activeIndex];
-        contentEl.appendChild(buildTable(activeCategory));
+        // Merge alias rows and convert every result into the catalog unit
+        var activeCategory = normalizeCategory(categories[activeIndex]);
+        var note = buildMismatchNote(activeCategory);
+        if (note) contentEl.appendChild(note);
+        contentEl.appendChild(buildViewToggle(percentView, function (value) {
+          percentView = value;
+          renderView(activeIndex);
+        }));
+        contentEl.appendChild(buildTable(activeCategory, selectedName, toggleTrend, percentView));
+
+        var selectedItem = findByName(activeCategory.items, selectedName);
+        if (selectedItem) {
+          contentEl.appendChild(buildTrendPanel(selectedItem, function () {
+            toggleTrend(selectedItem);
+          }));
+        }
       }
 
       // Footer note
@@ -643,7 +1773,9 @@
    * ====================================================================== */
 
   window.BloodWork = {
-    render: render
+    render: render,
+    parseRefRange: parseRefRange,
+    evaluateResult: evaluateResult
   };
 
 })();
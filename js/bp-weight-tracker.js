@@ -5,10 +5,32 @@
  *
  * Data sources:
  *   window.AppData.bloodPressure  - { records: [...] }
- *   window.AppData.weight         - { records: [...] }
- *   window.AppData.medications    - { dosageChanges: [...] }
+ *   window.AppData.weight         - { settings: {...}, records: [...] }
+ *   window.AppData.medications    - { current: [...], history: [...], dosageChanges: [...],
+ *                                     administrations: [...] } (via window.Medication)
  *
- * Exports: window.BPWeightTracker = { render() }
+ * The BP tab also shows a statistics panel (per-day / per-period summaries,
+ * share of readings over the 140/160/180 mmHg thresholds) and overlays a
+ * 7-day rolling mean on the chart, followed by a before/after comparison
+ * of readings around each amlodipine dosage change. Reading tooltips show
+ * the time since each drug's last dose logged on the medication page.
+ *
+ * The weight tab converts records in kg / lb / 斤 to one display unit, and
+ * shows the ideal-weight band, a linear or LOESS trend with its change per
+ * week and a linear projection, an alert when weight dropped by more than a threshold
+ * within N days, and optional body condition scores (BCS, 1-9) on a second
+ * axis. Band and alert thresholds live in weight.json "settings".
+ *
+ * Both charts share a date range (presets counted back from the latest
+ * record, or custom from/to dates), support Ctrl+wheel / pinch zoom and
+ * drag-to-pan via chartjs-plugin-zoom, and mirror the range in the URL
+ * hash (#bp/7d, #bp/2026-02-17~2026-02-22) so a view can be shared.
+ *
+ * New BP and weight readings entered through the "添加记录" forms are
+ * persisted with window.LocalStore and can be exported as updated
+ * blood-pressure.json / weight.json.
+ *
+ * Exports: window.BPWeightTracker = { render(rangeParam), toKg(value, unit) }
  */
 
 (function () {
@@ -24,7 +46,7 @@
    * to the same calendar day (late night / early morning).
    */
   function parseDateTime(date, time) {
-    return new Date(date + 'T' + time + ':00');
+    return new Date(date + 'T' + (time || '00:00') + ':00');
   }
 
   /** Format a Date to "MM-DD HH:mm" for axis tick labels. */
@@ -36,6 +58,41 @@
     return mm + '-' + dd + ' ' + hh + ':' + mi;
   }
 
+  /** Format a Date as "YYYY-MM-DD" (local time). */
+  function isoDate(dt) {
+    return dt.getFullYear() + '-' +
+      String(dt.getMonth() + 1).padStart(2, '0') + '-' +
+      String(dt.getDate()).padStart(2, '0');
+  }
+
+  /** Format a Date as "HH:mm" (local time). */
+  function isoTime(dt) {
+    return String(dt.getHours()).padStart(2, '0') + ':' + String(dt.getMinutes()).padStart(2, '0');
+  }
+
+  /**
+   * Derive the period label used in blood-pressure.json from an "HH:mm" time.
+   * Boundaries follow the existing records: 00-05 深夜, 05-12 上午,
+   * 12-17 下午, 17-24 晚上.
+   */
+  function derivePeriod(time) {
+    var hour = parseInt(String(time).split(':')[0], 10);
+    if (isNaN(hour)) return '';
+    if (hour < 5) return '深夜';
+    if (hour < 12) return '上午';
+    if (hour < 17) return '下午';
+    return '晚上';
+  }
+
+  function escapeHtml(str) {
+    if (str == null) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /** Return the number of days between two dates (ignoring time). */
   function daysBetween(a, b) {
     var msPerDay = 86400000;
@@ -44,6 +101,69 @@
     return Math.abs(utcB - utcA) / msPerDay;
   }
 
+  /** Sort records ascending by date + time. */
+  function sortByDateTime(records) {
+    return records.slice().sort(function (a, b) {
+      return parseDateTime(a.date, a.time) - parseDateTime(b.date, b.time);
+    });
+  }
+
+  /** Local midnight of a "YYYY-MM-DD" date, in ms. */
+  function dayStart(date) {
+    return new Date(date + 'T00:00:00').getTime();
+  }
+
+  /**
+   * Latest "YYYY-MM-DD" across the BP and weight records, so both charts
+   * count "近N天" back from the same day.
+   * @returns {string|null}
+   */
+  function latestRecordDate() {
+    var data = window.AppData || {};
+    var latest = null;
+    [data.bloodPressure, data.weight].forEach(function (ds) {
+      ((ds && ds.records) || []).forEach(function (r) {
+        if (r.date && (!latest || r.date > latest)) latest = r.date;
+      });
+    });
+    return latest;
+  }
+
+  /**
+   * Resolve a date range to [min, max) timestamps.
+   *
+   * A range is null (everything), { days: n } - the last n calendar days up
+   * to and including the day of the latest BP or weight record, so "近7天"
+   * still shows data long after the last reading - or { from, to } with
+   * inclusive "YYYY-MM-DD" bounds, either of which may be null.
+   *
+   * @returns {{ min: number|null, max: number|null }}
+   */
+  function resolveRange(range) {
+    if (!range) return { min: null, max: null };
+
+    if (range.days) {
+      var latest = latestRecordDate();
+      if (!latest) return { min: null, max: null };
+      var max = dayStart(latest) + 86400000;
+      return { min: max - range.days * 86400000, max: max };
+    }
+
+    return {
+      min: range.from ? dayStart(range.from) : null,
+      max: range.to ? dayStart(range.to) + 86400000 : null
+    };
+  }
+
+  /** Keep only records inside `range` (see resolveRange). */
+  function filterByRange(records, range) {
+    var bounds = resolveRange(range);
+    return records.filter(function (r) {
+      var t = parseDateTime(r.date, r.time).getTime();
+      return (bounds.min === null || t >= bounds.min) && (bounds.max === null || t < bounds.max);
+    });
+  }
+
   /* ------------------------------------------------------------------ */
   /*  Build the DOM skeleton                                             */
   /* ------------------------------------------------------------------ */
@@ -60,20 +180,55 @@
     html += '  <button class="bpw-tab" data-tab="weight">体重</button>';
     html += '</div>';
 
-    // Blood Pressure section
-    html += '<div id="bpw-section-bp" class="bpw-section">';
+    // Date range shared by both charts (presets count back from the latest record)
+    html += '<div class="bpw-range-bar">';
     html += '  <div class="bpw-filter-bar">';
     html += '    <button class="bpw-filter bpw-filter--active" data-range="all">全部</button>';
-    html += '    <button class="bpw-filter" data-range="7">近7天</button>';
-    html += '    <button class="bpw-filter" data-range="3">近3天</button>';
+    RANGE_PRESETS.forEach(function (days) {
+      html += '    <button class="bpw-filter" data-range="' + days + '" title="截至最近一次记录">近' + days + '天</button>';
+    });
+    html += '  </div>';
+    html += '  <div class="bpw-range-custom">';
+    html += '    <input type="date" id="bpw-range-from" aria-label="开始日期"> 至 <input type="date" id="bpw-range-to" aria-label="结束日期">';
     html += '  </div>';
+    html += '  <span class="bpw-range-hint">Ctrl+滚轮 / 双指缩放，拖动平移</span>';
+    html += '</div>';
+
+    // Blood Pressure section
+    html += '<div id="bpw-section-bp" class="bpw-section">';
+    html += '  <div class="bpw-toolbar">';
+    html += '    <div class="bpw-actions">';
+    html += '      <button class="bpw-action bpw-action--primary" id="bpw-bp-add">+ 添加记录</button>';
+    html += '      <button class="bpw-action" id="bpw-bp-export">导出 JSON</button>';
+    html += '    </div>';
+    html += '  </div>';
+    html += '  <div class="bpw-form-wrap" id="bpw-bp-form-wrap" style="display:none;"></div>';
+    html += '  <div class="bpw-med-legend" id="bpw-med-legend"></div>';
     html += '  <div class="bpw-chart-wrap"><canvas id="bpw-bp-chart"></canvas></div>';
+    html += '  <div class="bpw-stats" id="bpw-bp-stats"></div>';
+    html += '  <div class="bpw-stats" id="bpw-dose"></div>';
     html += '  <div class="bpw-table-wrap" id="bpw-bp-table-wrap"></div>';
     html += '</div>';
 
     // Weight section
     html += '<div id="bpw-section-weight" class="bpw-section" style="display:none;">';
+    html += '  <div class="bpw-toolbar">';
+    html += '    <form class="bpw-view-controls" id="bpw-weight-view">';
+    html += '      <label>单位 <select name="unit">' + unitOptions(weightView.unit) + '</select></label>';
+    html += '      <label>趋势 <select name="trend">';
+    html += '        <option value="linear"' + (weightView.trend === 'linear' ? ' selected' : '') + '>线性</option>';
+    html += '        <option value="loess"' + (weightView.trend === 'loess' ? ' selected' : '') + '>LOESS 平滑</option>';
+    html += '      </select></label>';
+    html += '    </form>';
+    html += '    <div class="bpw-actions">';
+    html += '      <button class="bpw-action bpw-action--primary" id="bpw-weight-add">+ 添加记录</button>';
+    html += '      <button class="bpw-action" id="bpw-weight-settings-btn">理想体重 / 预警</button>';
+    html += '      <button class="bpw-action" id="bpw-weight-export">导出 JSON</button>';
+    html += '    </div>';
+    html += '  </div>';
+    html += '  <div class="bpw-form-wrap" id="bpw-weight-form-wrap" style="display:none;"></div>';
     html += '  <div class="bpw-chart-wrap"><canvas id="bpw-weight-chart"></canvas></div>';
+    html += '  <div class="bpw-stats" id="bpw-weight-stats"></div>';
     html += '  <div class="bpw-table-wrap" id="bpw-weight-table-wrap"></div>';
     html += '</div>';
 
@@ -101,9 +256,71 @@
     css += '.bpw-filter:hover { border-color:#3498db; color:#3498db; }';
     css += '.bpw-filter--active { background:#3498db; color:#fff; border-color:#3498db; }';
 
+    /* Date range bar */
+    css += '.bpw-range-bar { display:flex; flex-wrap:wrap; align-items:center; gap:8px 16px; margin-bottom:16px; }';
+    css += '.bpw-range-bar .bpw-filter-bar { margin-bottom:0; }';
+    css += '.bpw-range-custom { display:flex; align-items:center; gap:6px; font-size:13px; color:#555; }';
+    css += '.bpw-range-custom input { padding:4px 6px; border:1px solid #ccc; border-radius:4px; font-size:13px; }';
+    css += '.bpw-range-hint { font-size:12px; color:#999; }';
+
+    /* Toolbar + actions */
+    css += '.bpw-toolbar { display:flex; flex-wrap:wrap; align-items:center; justify-content:flex-end; gap:8px; margin-bottom:16px; }';
+    css += '.bpw-actions { display:flex; gap:8px; }';
+    css += '.bpw-action { padding:5px 14px; border:1px solid #ccc; border-radius:6px; background:#fff; font-size:13px; cursor:pointer; transition:all .15s; }';
+    css += '.bpw-action:hover { border-color:#3498db; color:#3498db; }';
+    css += '.bpw-action--primary { background:#27ae60; border-color:#27ae60; color:#fff; }';
+    css += '.bpw-action--primary:hover { background:#219150; border-color:#219150; color:#fff; }';
+
+    /* Entry form */
+    css += '.bpw-form-wrap { max-width:900px; margin-bottom:24px; padding:16px 20px; background:#f8fafc; border:1px solid #e2e8f0; border-radius:8px; }';
+    css += '.bpw-form-grid { display:grid; grid-template-columns:repeat(auto-fill, minmax(150px, 1fr)); gap:12px 16px; }';
+    css += '.bpw-field { display:flex; flex-direction:column; gap:4px; font-size:12px; color:#555; font-weight:600; }';
+    css += '.bpw-field input, .bpw-field select { padding:6px 8px; border:1px solid #ccc; border-radius:4px; font-size:14px; font-weight:400; background:#fff; }';
+    css += '.bpw-field--wide { grid-column:1 / -1; }';
+    css += '.bpw-field-hint { font-weight:400; color:#888; }';
+    css += '.bpw-form-errors { margin-top:12px; color:#c0392b; font-size:13px; }';
+    css += '.bpw-form-errors:empty { display:none; }';
+    css += '.bpw-form-actions { display:flex; gap:8px; margin-top:14px; }';
+
+    /* Locally entered (not yet exported) records */
+    css += '.bpw-local-badge { display:inline-block; margin-left:6px; padding:0 6px; border-radius:8px; background:#eafaf1; color:#27ae60; font-size:11px; font-weight:600; }';
+
+    /* Medication legend / annotation toggles */
+    css += '.bpw-med-legend { display:flex; flex-wrap:wrap; align-items:center; gap:6px 8px; max-width:900px; margin-bottom:10px; }';
+    css += '.bpw-med-toggle { display:inline-flex; align-items:center; gap:6px; padding:3px 10px; border:1px solid #ccc; border-radius:12px; background:#fff; font-size:12px; color:#333; cursor:pointer; }';
+    css += '.bpw-med-toggle--off { color:#aaa; border-style:dashed; }';
+    css += '.bpw-med-toggle--off .bpw-med-swatch { opacity:.3; }';
+    css += '.bpw-med-swatch { width:10px; height:10px; border-radius:2px; }';
+    css += '.bpw-med-key { margin-left:auto; font-size:11px; color:#999; }';
+
     /* Chart wrapper */
     css += '.bpw-chart-wrap { position:relative; width:100%; max-width:900px; margin-bottom:28px; }';
 
+    /* Statistics panel */
+    css += '.bpw-stats { max-width:900px; margin-bottom:28px; }';
+    css += '.bpw-stat-cards { display:grid; grid-template-columns:repeat(auto-fill, minmax(120px, 1fr)); gap:10px; margin-bottom:18px; }';
+    css += '.bpw-stat-card { padding:10px 14px; background:#fff; border:1px solid #e0e0e0; border-radius:8px; }';
+    css += '.bpw-stat-label { font-size:12px; color:#888; margin-bottom:4px; }';
+    css += '.bpw-stat-value { font-size:20px; font-weight:700; color:#2c3e50; }';
+    css += '.bpw-stats-title { font-size:14px; font-weight:700; color:#2c3e50; margin:0 0 8px 0; }';
+    css += '.bpw-stats .bpw-table-wrap { margin-bottom:18px; }';
+    css += '.bpw-stats-table td, .bpw-stats-table th { padding:6px 10px; }';
+    css += '.bpw-stats-empty { color:#aaa; font-size:14px; }';
+    css += '.bpw-stat-card--low { border-color:#f5b7b1; background:#fdf2f1; }';
+    css += '.bpw-stat-card--high { border-color:#f8c471; background:#fef9e7; }';
+
+    /* Weight view controls and loss alert */
+    css += '.bpw-toolbar .bpw-view-controls { display:flex; gap:12px; margin-right:auto; font-size:13px; color:#555; }';
+    css += '.bpw-view-controls select { margin-left:4px; padding:3px 6px; border:1px solid #ccc; border-radius:4px; font-size:13px; }';
+    css += '.bpw-trend-loss { color:#e74c3c; font-weight:700; }';
+    css += '.bpw-alert { margin-bottom:14px; padding:10px 14px; border-left:4px solid #e74c3c; border-radius:4px; background:#fdedec; color:#922b21; font-size:13px; }';
+
+    /* Dosage response */
+    css += '.bpw-dose-controls { display:flex; flex-wrap:wrap; gap:8px 18px; margin-bottom:12px; font-size:13px; color:#555; }';
+    css += '.bpw-dose-field select { margin-left:4px; padding:3px 6px; border:1px solid #ccc; border-radius:4px; font-size:13px; }';
+    css += '.bpw-dose-down { color:#27ae60; font-weight:700; }';
+    css += '.bpw-dose-up { color:#e74c3c; font-weight:700; }';
+
     /* Table wrapper */
     css += '.bpw-table-wrap { overflow-x:auto; margin-bottom:32px; }';
 
@@ -149,26 +366,195 @@
   }
 
   /* ------------------------------------------------------------------ */
-  /*  Blood Pressure Chart                                               */
+  /*  Medication Events (chart annotations)                              */
   /* ------------------------------------------------------------------ */
 
-  var bpChartInstance = null;
+  /** Per-drug colors, assigned in medications.json order */
+  var MED_COLORS = ['#9b59b6', '#16a085', '#d35400', '#2c3e50', '#c2185b', '#7f8c8d', '#b7950b', '#1f618d'];
 
-  function buildBPChart(records, dosageChanges, rangeDays) {
-    // Sort ascending by datetime for plotting
-    var sorted = records.slice().sort(function (a, b) {
-      return parseDateTime(a.date, a.time) - parseDateTime(b.date, b.time);
+  /** Line style and label prefix per event type */
+  var MED_EVENT_STYLES = {
+    start:  { borderDash: [], borderWidth: 2, prefix: '▶ ', label: '开始' },
+    change: { borderDash: [5, 3], borderWidth: 1.5, prefix: '', label: '调整' },
+    stop:   { borderDash: [2, 3], borderWidth: 2, prefix: '■ ', label: '停药' }
+  };
+
+  /** Medications hidden via the legend toggles; kept across re-renders */
+  var hiddenMeds = {};
+
+  /**
+   * Short name used to match a drug across current / history / dosageChanges:
+   * "氨氯地平 (Amlodipine)" and "氨氯地平" both become "氨氯地平".
+   */
+  function medKey(name) {
+    return String(name || '').split(/[\s(（]/)[0];
+  }
+
+  /**
+   * Tooltip lines with the time since each drug's last logged dose before a
+   * reading, from the dose checklist on the medication page.
+   */
+  function sinceLastDoseLines(r) {
+    if (!window.Medication || !window.Medication.lastDoses || !r.time) return [];
+    return window.Medication.lastDoses(r.date, r.time).map(function (d) {
+      var minutes = Math.round(d.hours * 60);
+      var ago = Math.floor(minutes / 60) + '小时' + String(minutes % 60).padStart(2, '0') + '分';
+      var at = d.date === r.date ? d.time : d.date.slice(5) + ' ' + d.time;
+      return '距上次服药 ' + medKey(d.medication) + ': ' + ago + ' (' + at + ')';
     });
+  }
 
-    // Apply range filter
-    if (rangeDays !== 'all') {
-      var now = new Date();
-      var cutoff = new Date(now.getTime() - rangeDays * 86400000);
-      sorted = sorted.filter(function (r) {
-        return parseDateTime(r.date, r.time) >= cutoff;
-      });
+  function hexToRgba(hex, alpha) {
+    var n = parseInt(hex.slice(1), 16);
+    return 'rgba(' + (n >> 16) + ', ' + ((n >> 8) & 255) + ', ' + (n & 255) + ', ' + alpha + ')';
+  }
+
+  /**
+   * Collect start / dosage-change / stop events for every medication.
+   *
+   * dosageChanges entries are the primary source: "—" in `from` marks a
+   * start and "停药" in `to` marks a stop. current[].startDate,
+   * history[].startDate and history[].endDate add a start / stop unless
+   * that drug already has an event on that date, so a drug taken in
+   * several courses gets a start and stop for each.
+   *
+   * @returns {{ events: Array<{ date, med, type, text }>, colors: Object<string,string> }}
+   */
+  function buildMedicationEvents(medications) {
+    var meds = medications || {};
+    var events = [];
+    var colors = {};
+    // "drug|date" of every start / stop / change already added
+    var seen = {};
+
+    function color(key) {
+      if (!colors[key]) colors[key] = MED_COLORS[Object.keys(colors).length % MED_COLORS.length];
+      return colors[key];
+    }
+
+    (meds.current || []).concat(meds.history || []).forEach(function (m) { color(medKey(m.name)); });
+
+    (meds.dosageChanges || []).forEach(function (dc) {
+      var key = medKey(dc.medication);
+      var type = dc.to === '停药' ? 'stop' : (!dc.from || dc.from === '—') ? 'start' : 'change';
+      color(key);
+      seen[key + '|' + dc.date] = true;
+      events.push({ date: dc.date, med: key, type: type, text: type === 'stop' ? '' : dc.to });
+    });
+
+    function addOnce(date, key, type, text) {
+      if (!date || seen[key + '|' + date]) return;
+      seen[key + '|' + date] = true;
+      events.push({ date: date, med: key, type: type, text: text });
+    }
+
+    (meds.current || []).forEach(function (m) {
+      addOnce(m.startDate, medKey(m.name), 'start', m.dosage);
+    });
+
+    (meds.history || []).forEach(function (m) {
+      var key = medKey(m.name);
+      addOnce(m.startDate, key, 'start', m.dosage);
+      addOnce(m.endDate, key, 'stop', '');
+    });
+
+    events.sort(function (a, b) {
+      return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+    });
+
+    return { events: events, colors: colors };
+  }
+
+  /**
+   * Vertical line annotations for the medication events that aren't toggled
+   * off. Events on the same day are fanned out horizontally so their labels
+   * don't overlap.
+   */
+  function medicationAnnotations(medEvents) {
+    var annotations = {};
+    var perDay = {};
+
+    medEvents.events.forEach(function (evt, i) {
+      if (hiddenMeds[evt.med]) return;
+      var dt = new Date(evt.date + 'T00:00:00');
+      var slot = perDay[evt.date] = (perDay[evt.date] || 0) + 1;
+      var style = MED_EVENT_STYLES[evt.type];
+      var color = medEvents.colors[evt.med];
+
+      annotations['med' + i] = {
+        type: 'line',
+        xMin: dt.getTime(),
+        xMax: dt.getTime(),
+        borderColor: hexToRgba(color, 0.7),
+        borderWidth: style.borderWidth,
+        borderDash: style.borderDash,
+        label: {
+          display: true,
+          content: style.prefix + evt.med + ' ' + (evt.text || style.label),
+          position: 'start',
+          backgroundColor: hexToRgba(color, 0.85),
+          color: '#fff',
+          font: { size: 10 },
+          padding: 3,
+          rotation: -90,
+          xAdjust: (slot - 1) * 16,
+          yAdjust: -10
+        }
+      };
+    });
+
+    return annotations;
+  }
+
+  /**
+   * Render the medication legend; clicking a drug toggles its annotations.
+   */
+  function buildMedLegend(medEvents, onToggle) {
+    var wrap = document.getElementById('bpw-med-legend');
+    var keys = Object.keys(medEvents.colors).filter(function (key) {
+      return medEvents.events.some(function (evt) { return evt.med === key; });
+    });
+
+    if (!keys.length) {
+      wrap.innerHTML = '';
+      return;
     }
 
+    var html = '';
+    keys.forEach(function (key) {
+      var off = !!hiddenMeds[key];
+      html += '<button type="button" class="bpw-med-toggle' + (off ? ' bpw-med-toggle--off' : '') + '"' +
+        ' data-med="' + escapeHtml(key) + '" aria-pressed="' + !off + '">' +
+        '<span class="bpw-med-swatch" style="background:' + medEvents.colors[key] + '"></span>' +
+        escapeHtml(key) + '</button>';
+    });
+    html += '<span class="bpw-med-key">▶ 开始　┆ 调整　■ 停药</span>';
+    wrap.innerHTML = html;
+
+    wrap.querySelectorAll('.bpw-med-toggle').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        var key = btn.getAttribute('data-med');
+        if (hiddenMeds[key]) delete hiddenMeds[key];
+        else hiddenMeds[key] = true;
+        onToggle();
+      });
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Blood Pressure Chart                                               */
+  /* ------------------------------------------------------------------ */
+
+  var bpChartInstance = null;
+
+  function buildBPChart(records, medications) {
+    // Sort ascending by datetime for plotting. Every record is plotted; the
+    // selected date range only sets the visible part of the x axis, so the
+    // chart can be zoomed back out and the rolling mean always averages over
+    // a full window.
+    var sorted = sortByDateTime(records);
+    var rolling = rollingMeans(sorted, ROLLING_DAYS);
+
     // Build data arrays
     var labels = [];
     var systolicData = [];
@@ -179,13 +565,17 @@
     var pointBorderDiastolic = [];
     var pointRadiusSystolic = [];
     var pointRadiusDiastolic = [];
+    var rollingSystolic = [];
+    var rollingDiastolic = [];
     var tooltipMeta = [];
 
-    sorted.forEach(function (r) {
+    sorted.forEach(function (r, i) {
       var dt = parseDateTime(r.date, r.time);
       labels.push(dt);
       systolicData.push(r.systolic);
       diastolicData.push(r.diastolic);
+      rollingSystolic.push(rolling[i].systolic);
+      rollingDiastolic.push(rolling[i].diastolic);
 
       // Marker styling based on medicated status
       var isMedicated = r.medicated;
@@ -218,7 +608,7 @@
       tooltipMeta.push(r);
     });
 
-    // Build annotation objects for dosage changes (only amlodipine)
+    // Chart annotations: threshold line + medication events
     var annotations = {};
 
     // Hypertension threshold line
@@ -240,40 +630,15 @@
       }
     };
 
-    // Dosage change vertical lines (only for amlodipine)
-    var amlodipineChanges = (dosageChanges || []).filter(function (dc) {
-      return dc.medication === '氨氯地平';
+    // Start / dosage-change / stop lines for every medication
+    var medEvents = buildMedicationEvents(medications);
+    var medAnnotations = medicationAnnotations(medEvents);
+    Object.keys(medAnnotations).forEach(function (key) {
+      annotations[key] = medAnnotations[key];
     });
 
-    amlodipineChanges.forEach(function (dc, i) {
-      var dcDate = new Date(dc.date + 'T00:00:00');
-
-      // Only include if within the current visible range
-      if (rangeDays !== 'all') {
-        var now = new Date();
-        var cutoff = new Date(now.getTime() - rangeDays * 86400000);
-        if (dcDate < cutoff) return;
-      }
-
-      annotations['dosage' + i] = {
-        type: 'line',
-        xMin: dcDate.getTime(),
-        xMax: dcDate.getTime(),
-        borderColor: 'rgba(155, 89, 182, 0.6)',
-        borderWidth: 1.5,
-        borderDash: [5, 3],
-        label: {
-          display: true,
-          content: dc.to,
-          position: 'start',
-          backgroundColor: 'rgba(155, 89, 182, 0.8)',
-          color: '#fff',
-          font: { size: 10 },
-          padding: 3,
-          rotation: -90,
-          yAdjust: -10
-        }
-      };
+    buildMedLegend(medEvents, function () {
+      buildBPChart(records, medications);
     });
 
     // Destroy previous chart if exists
@@ -283,6 +648,7 @@
     }
 
     var ctx = document.getElementById('bpw-bp-chart').getContext('2d');
+    var axisBounds = rangeAxisBounds();
 
     bpChartInstance = new Chart(ctx, {
       type: 'line',
@@ -314,6 +680,30 @@
             borderWidth: 2,
             tension: 0.25,
             fill: false
+          },
+          {
+            label: '收缩压 ' + ROLLING_DAYS + '日均值',
+            data: rollingSystolic,
+            borderColor: 'rgba(192,57,43,0.55)',
+            borderWidth: 3,
+            borderDash: [8, 4],
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            pointStyle: 'line',
+            tension: 0.4,
+            fill: false
+          },
+          {
+            label: '舒张压 ' + ROLLING_DAYS + '日均值',
+            data: rollingDiastolic,
+            borderColor: 'rgba(36,113,163,0.55)',
+            borderWidth: 3,
+            borderDash: [8, 4],
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            pointStyle: 'line',
+            tension: 0.4,
+            fill: false
           }
         ]
       },
@@ -327,6 +717,8 @@
         scales: {
           x: {
             type: 'time',
+            min: axisBounds.min,
+            max: axisBounds.max,
             time: {
               tooltipFormat: 'yyyy-MM-dd HH:mm',
               displayFormats: {
@@ -357,6 +749,7 @@
           annotation: {
             annotations: annotations
           },
+          zoom: zoomOptions(sorted),
           tooltip: {
             callbacks: {
               title: function (items) {
@@ -378,6 +771,7 @@
                 } else {
                   lines.push('服药: --');
                 }
+                sinceLastDoseLines(r).forEach(function (line) { lines.push(line); });
                 if (r.note) {
                   lines.push('备注: ' + r.note);
                 }
@@ -428,7 +822,9 @@
         html += '<td></td>';
       }
 
-      html += '<td>' + r.time + '</td>';
+      var localBadge = window.LocalStore && window.LocalStore.isLocal(r)
+        ? '<span class="bpw-local-badge" title="本地录入，尚未导出">本地</span>' : '';
+      html += '<td>' + r.time + localBadge + '</td>';
       html += '<td>' + (r.period || '') + '</td>';
 
       // Medicated
@@ -436,16 +832,10 @@
       html += '<td>' + medLabel + '</td>';
 
       // Systolic with color coding
-      var sysClass = '';
-      if (r.systolic >= 180) {
-        sysClass = ' class="bpw-sys-red"';
-      } else if (r.systolic >= 160) {
-        sysClass = ' class="bpw-sys-orange"';
-      }
-      html += '<td' + sysClass + '>' + r.systolic + '</td>';
+      html += '<td' + systolicClass(r.systolic) + '>' + r.systolic + '</td>';
       html += '<td>' + r.diastolic + '</td>';
       html += '<td>' + r.heartRate + '</td>';
-      html += '<td>' + (r.note || '') + '</td>';
+      html += '<td>' + escapeHtml(r.note) + '</td>';
 
       html += '</tr>';
     });
@@ -456,159 +846,1532 @@
   }
 
   /* ------------------------------------------------------------------ */
-  /*  BP Range Filter                                                    */
+  /*  Blood Pressure Statistics                                          */
   /* ------------------------------------------------------------------ */
 
-  function initBPFilters(records, dosageChanges) {
-    var buttons = document.querySelectorAll('.bpw-filter');
-    buttons.forEach(function (btn) {
-      btn.addEventListener('click', function () {
-        buttons.forEach(function (b) { b.classList.remove('bpw-filter--active'); });
-        btn.classList.add('bpw-filter--active');
+  /** Window of the rolling mean overlaid on the BP chart, in days */
+  var ROLLING_DAYS = 7;
 
-        var range = btn.getAttribute('data-range');
-        var days = range === 'all' ? 'all' : parseInt(range, 10);
-        buildBPChart(records, dosageChanges, days);
-      });
+  /** Systolic thresholds (mmHg) reported as "share of readings at or above" */
+  var SYSTOLIC_THRESHOLDS = [140, 160, 180];
+
+  var PERIOD_ORDER = ['上午', '下午', '晚上', '深夜'];
+
+  function round1(n) {
+    return Math.round(n * 10) / 10;
+  }
+
+  /**
+   * Trailing mean of systolic / diastolic over the `days` preceding each
+   * reading (inclusive). `sorted` must be in ascending time order.
+   * @returns {Array<{ systolic: number, diastolic: number }>} One per reading
+   */
+  function rollingMeans(sorted, days) {
+    var windowMs = days * 86400000;
+    var start = 0;
+    var sumSys = 0;
+    var sumDia = 0;
+    var times = sorted.map(function (r) { return parseDateTime(r.date, r.time).getTime(); });
+
+    return sorted.map(function (r, i) {
+      sumSys += r.systolic;
+      sumDia += r.diastolic;
+      while (times[i] - times[start] >= windowMs) {
+        sumSys -= sorted[start].systolic;
+        sumDia -= sorted[start].diastolic;
+        start++;
+      }
+      var n = i - start + 1;
+      return { systolic: round1(sumSys / n), diastolic: round1(sumDia / n) };
     });
   }
 
-  /* ------------------------------------------------------------------ */
-  /*  Weight Chart                                                       */
-  /* ------------------------------------------------------------------ */
+  /**
+   * Mean / min / max of systolic and diastolic, plus the share of readings
+   * whose systolic is at or above each of SYSTOLIC_THRESHOLDS.
+   */
+  function summarizeBP(records) {
+    var stats = {
+      count: records.length,
+      systolic: { mean: 0, min: Infinity, max: -Infinity },
+      diastolic: { mean: 0, min: Infinity, max: -Infinity },
+      over: {}
+    };
+    if (!records.length) return stats;
+
+    var sumSys = 0;
+    var sumDia = 0;
+    SYSTOLIC_THRESHOLDS.forEach(function (t) { stats.over[t] = 0; });
+
+    records.forEach(function (r) {
+      sumSys += r.systolic;
+      sumDia += r.diastolic;
+      stats.systolic.min = Math.min(stats.systolic.min, r.systolic);
+      stats.systolic.max = Math.max(stats.systolic.max, r.systolic);
+      stats.diastolic.min = Math.min(stats.diastolic.min, r.diastolic);
+      stats.diastolic.max = Math.max(stats.diastolic.max, r.diastolic);
+      SYSTOLIC_THRESHOLDS.forEach(function (t) {
+        if (r.systolic >= t) stats.over[t]++;
+      });
+    });
 
-  var weightChartInstance = null;
+    stats.systolic.mean = round1(sumSys / records.length);
+    stats.diastolic.mean = round1(sumDia / records.length);
+    SYSTOLIC_THRESHOLDS.forEach(function (t) {
+      stats.over[t] = Math.round(stats.over[t] / records.length * 100);
+    });
+    return stats;
+  }
 
-  function buildWeightChart(records) {
-    var sorted = records.slice().sort(function (a, b) {
-      return new Date(a.date) - new Date(b.date);
+  /** Group records by a key function, preserving first-seen order. */
+  function groupBy(records, keyFn) {
+    var groups = {};
+    var keys = [];
+    records.forEach(function (r) {
+      var k = keyFn(r);
+      if (!groups[k]) {
+        groups[k] = [];
+        keys.push(k);
+      }
+      groups[k].push(r);
     });
+    return { keys: keys, groups: groups };
+  }
 
-    var labels = sorted.map(function (r) { return r.date; });
-    var data = sorted.map(function (r) {
-      return r.unit === 'kg' ? r.weight : r.weight; // assume kg
+  /**
+   * Amlodipine dosage in effect at the end of `date`, from dosageChanges.
+   */
+  function amlodipineDoseOn(date, dosageChanges) {
+    var dose = '';
+    (dosageChanges || []).forEach(function (dc) {
+      if (dc.medication === '氨氯地平' && dc.date <= date) dose = dc.to;
     });
+    return dose;
+  }
 
-    if (weightChartInstance) {
-      weightChartInstance.destroy();
-      weightChartInstance = null;
-    }
+  function systolicClass(value) {
+    if (value >= 180) return ' class="bpw-sys-red"';
+    if (value >= 160) return ' class="bpw-sys-orange"';
+    return '';
+  }
 
-    var ctx = document.getElementById('bpw-weight-chart').getContext('2d');
+  function statCells(stats) {
+    var html = '';
+    html += '<td>' + stats.count + '</td>';
+    html += '<td' + systolicClass(stats.systolic.mean) + '>' + stats.systolic.mean + '</td>';
+    html += '<td>' + stats.systolic.min + '–' + stats.systolic.max + '</td>';
+    html += '<td>' + stats.diastolic.mean + '</td>';
+    html += '<td>' + stats.diastolic.min + '–' + stats.diastolic.max + '</td>';
+    SYSTOLIC_THRESHOLDS.forEach(function (t) {
+      html += '<td>' + stats.over[t] + '%</td>';
+    });
+    return html;
+  }
 
-    weightChartInstance = new Chart(ctx, {
-      type: 'line',
-      data: {
-        labels: labels,
-        datasets: [{
-          label: '体重 (kg)',
-          data: data,
-          borderColor: '#27ae60',
-          backgroundColor: 'rgba(39,174,96,0.1)',
-          pointBackgroundColor: '#27ae60',
-          pointBorderColor: '#27ae60',
-          pointRadius: 5,
-          pointHoverRadius: 7,
-          borderWidth: 2.5,
-          tension: 0.3,
-          fill: true
-        }]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: true,
-        scales: {
-          x: {
-            title: {
-              display: true,
-              text: '日期'
-            }
-          },
-          y: {
-            title: {
-              display: true,
-              text: 'kg'
-            },
-            suggestedMin: 0
-          }
-        },
-        plugins: {
-          legend: {
-            labels: { usePointStyle: true }
-          },
-          tooltip: {
-            callbacks: {
-              afterBody: function (items) {
-                if (!items.length) return '';
-                var idx = items[0].dataIndex;
-                var r = sorted[idx];
-                if (r.note) return '备注: ' + r.note;
-                return '';
-              }
-            }
-          }
-        }
-      }
+  function statHeaders() {
+    var html = '<th>次数</th><th>收缩压均值</th><th>收缩压范围</th><th>舒张压均值</th><th>舒张压范围</th>';
+    SYSTOLIC_THRESHOLDS.forEach(function (t) {
+      html += '<th>&ge;' + t + '</th>';
     });
+    return html;
   }
 
-  /* ------------------------------------------------------------------ */
-  /*  Weight Table                                                       */
-  /* ------------------------------------------------------------------ */
+  function buildBPStats(records, dosageChanges, range) {
+    var wrap = document.getElementById('bpw-bp-stats');
+    var sorted = filterByRange(sortByDateTime(records), range);
 
-  function buildWeightTable(records) {
-    var sorted = records.slice().sort(function (a, b) {
-      return new Date(b.date) - new Date(a.date);
-    });
+    if (!sorted.length) {
+      wrap.innerHTML = '<p class="bpw-stats-empty">所选范围内没有血压记录。</p>';
+      return;
+    }
 
-    var html = '<table class="bpw-table">';
-    html += '<thead><tr><th>日期</th><th>体重 (kg)</th><th>备注</th></tr></thead><tbody>';
+    var overall = summarizeBP(sorted);
+    var html = '';
 
-    sorted.forEach(function (r) {
-      var wt = r.unit === 'kg' ? r.weight : r.weight;
-      html += '<tr>';
-      html += '<td>' + r.date + '</td>';
-      html += '<td>' + wt + '</td>';
-      html += '<td>' + (r.note || '') + '</td>';
-      html += '</tr>';
+    // Summary cards
+    html += '<div class="bpw-stat-cards">';
+    html += '<div class="bpw-stat-card"><div class="bpw-stat-label">读数</div><div class="bpw-stat-value">' + overall.count + '</div></div>';
+    html += '<div class="bpw-stat-card"><div class="bpw-stat-label">收缩压均值</div><div class="bpw-stat-value">' + overall.systolic.mean + '</div></div>';
+    html += '<div class="bpw-stat-card"><div class="bpw-stat-label">舒张压均值</div><div class="bpw-stat-value">' + overall.diastolic.mean + '</div></div>';
+    SYSTOLIC_THRESHOLDS.forEach(function (t) {
+      html += '<div class="bpw-stat-card"><div class="bpw-stat-label">收缩压 &ge;' + t + '</div><div class="bpw-stat-value">' + overall.over[t] + '%</div></div>';
     });
+    html += '</div>';
 
-    html += '</tbody></table>';
+    // Per period
+    var byPeriod = groupBy(sorted, function (r) { return r.period || derivePeriod(r.time); });
+    html += '<div class="bpw-stats-title">按时间段</div>';
+    html += '<div class="bpw-table-wrap"><table class="bpw-table bpw-stats-table">';
+    html += '<thead><tr><th>时间段</th>' + statHeaders() + '</tr></thead><tbody>';
+    PERIOD_ORDER.forEach(function (period) {
+      if (!byPeriod.groups[period]) return;
+      html += '<tr><td>' + period + '</td>' + statCells(summarizeBP(byPeriod.groups[period])) + '</tr>';
+    });
+    html += '</tbody></table></div>';
+
+    // Per day, with the amlodipine dose in effect to judge each increase
+    var byDay = groupBy(sorted, function (r) { return r.date; });
+    html += '<div class="bpw-stats-title">按日</div>';
+    html += '<div class="bpw-table-wrap"><table class="bpw-table bpw-stats-table">';
+    html += '<thead><tr><th>日期</th><th>氨氯地平剂量</th>' + statHeaders() + '</tr></thead><tbody>';
+    var lastDose = null;
+    byDay.keys.forEach(function (date) {
+      var dose = amlodipineDoseOn(date, dosageChanges);
+      var trClass = lastDose !== null && dose !== lastDose ? ' class="bpw-day-start"' : '';
+      lastDose = dose;
+      html += '<tr' + trClass + '><td><strong>' + date + '</strong></td><td>' + escapeHtml(dose || '—') + '</td>' +
+        statCells(summarizeBP(byDay.groups[date])) + '</tr>';
+    });
+    html += '</tbody></table></div>';
 
-    document.getElementById('bpw-weight-table-wrap').innerHTML = html;
+    wrap.innerHTML = html;
   }
 
   /* ------------------------------------------------------------------ */
-  /*  Public render()                                                    */
+  /*  Dosage Response (before / after each amlodipine change)            */
   /* ------------------------------------------------------------------ */
 
-  function render() {
-    var bpData = (window.AppData && window.AppData.bloodPressure) || { records: [] };
-    var weightData = (window.AppData && window.AppData.weight) || { records: [] };
-    var medData = (window.AppData && window.AppData.medications) || { dosageChanges: [] };
+  var WINDOW_OPTIONS = [1, 2, 3, 5, 7, 14];
+  var LAG_OPTIONS = [0, 1, 2, 3];
 
-    var bpRecords = bpData.records || [];
-    var weightRecords = weightData.records || [];
-    var dosageChanges = medData.dosageChanges || [];
+  /** User-selected analysis settings; kept across re-renders of the tab */
+  var doseSettings = { before: 3, after: 3, lag: 0, clip: true };
 
-    injectStyles();
-    buildSkeleton();
-    initTabs();
+  var doseChartInstance = null;
 
-    // Blood Pressure
-    buildBPChart(bpRecords, dosageChanges, 'all');
-    buildBPTable(bpRecords);
-    initBPFilters(bpRecords, dosageChanges);
+  /** Value at quantile q (0..1) of an ascending array, linear interpolation. */
+  function quantile(sortedValues, q) {
+    var pos = (sortedValues.length - 1) * q;
+    var lo = Math.floor(pos);
+    var hi = Math.ceil(pos);
+    return sortedValues[lo] + (sortedValues[hi] - sortedValues[lo]) * (pos - lo);
+  }
 
-    // Weight
-    buildWeightChart(weightRecords);
-    buildWeightTable(weightRecords);
+  /**
+   * Descriptive statistics for a list of numbers.
+   * @returns {{ n, mean, median, sd, q1, q3, min, max }|null} null when empty
+   */
+  function describe(values) {
+    if (!values.length) return null;
+    var sorted = values.slice().sort(function (a, b) { return a - b; });
+    var sum = sorted.reduce(function (acc, v) { return acc + v; }, 0);
+    var mean = sum / sorted.length;
+    var variance = sorted.reduce(function (acc, v) { return acc + (v - mean) * (v - mean); }, 0) /
+      (sorted.length > 1 ? sorted.length - 1 : 1);
+    return {
+      n: sorted.length,
+      mean: round1(mean),
+      median: round1(quantile(sorted, 0.5)),
+      sd: round1(Math.sqrt(variance)),
+      q1: round1(quantile(sorted, 0.25)),
+      q3: round1(quantile(sorted, 0.75)),
+      min: sorted[0],
+      max: sorted[sorted.length - 1]
+    };
+  }
+
+  /**
+   * Split readings around each amlodipine dosage change.
+   *
+   * The change date has day precision, so readings on the change day count
+   * as "after". The before window is [change - before days, change); the
+   * after window starts `lag` days after the change and lasts `after` days.
+   * With `clip`, windows never extend past the neighbouring changes, so
+   * each window reflects a single dose.
+   */
+  function analyzeDosageChanges(records, dosageChanges, settings) {
+    var changes = (dosageChanges || []).filter(function (dc) {
+      return dc.medication === '氨氯地平';
+    }).sort(function (a, b) {
+      return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+    });
+
+    return changes.map(function (dc, i) {
+      var change = dayStart(dc.date);
+      var beforeStart = change - settings.before * 86400000;
+      var afterStart = change + settings.lag * 86400000;
+      var afterEnd = afterStart + settings.after * 86400000;
+
+      if (settings.clip) {
+        if (i > 0) beforeStart = Math.max(beforeStart, dayStart(changes[i - 1].date));
+        if (i < changes.length - 1) afterEnd = Math.min(afterEnd, dayStart(changes[i + 1].date));
+      }
+
+      var before = [];
+      var after = [];
+      records.forEach(function (r) {
+        var t = parseDateTime(r.date, r.time).getTime();
+        if (t >= beforeStart && t < change) before.push(r);
+        else if (t >= afterStart && t < afterEnd) after.push(r);
+      });
+
+      function stats(list) {
+        return {
+          systolic: describe(list.map(function (r) { return r.systolic; })),
+          diastolic: describe(list.map(function (r) { return r.diastolic; }))
+        };
+      }
+
+      return { change: dc, before: stats(before), after: stats(after) };
+    });
+  }
+
+  function buildDoseControls() {
+    function select(name, label, selected, options) {
+      var html = '<label class="bpw-dose-field">' + label + ' <select name="' + name + '">';
+      options.forEach(function (d) {
+        html += '<option value="' + d + '"' + (d === selected ? ' selected' : '') + '>' + d + ' 天</option>';
+      });
+      return html + '</select></label>';
+    }
+
+    var html = '<form class="bpw-dose-controls" id="bpw-dose-controls">';
+    html += select('before', '调整前', doseSettings.before, WINDOW_OPTIONS);
+    html += select('after', '调整后', doseSettings.after, WINDOW_OPTIONS);
+    html += select('lag', '起效延迟', doseSettings.lag, LAG_OPTIONS);
+    html += '<label class="bpw-dose-field"><input type="checkbox" name="clip"' + (doseSettings.clip ? ' checked' : '') + '> 不跨越相邻调整</label>';
+    html += '</form>';
+    return html;
+  }
+
+  function formatStat(s, key) {
+    return s ? String(s[key]) : '—';
+  }
+
+  function buildDoseTable(results) {
+    var html = '<table class="bpw-table bpw-stats-table">';
+    html += '<thead><tr>';
+    html += '<th>调整日期</th><th>剂量调整</th><th>窗口</th><th>次数</th>';
+    html += '<th>收缩压均值</th><th>中位数</th><th>标准差</th><th>四分位距</th><th>范围</th>';
+    html += '<th>舒张压均值</th><th>收缩压均值变化</th>';
+    html += '</tr></thead><tbody>';
+
+    results.forEach(function (res) {
+      var dc = res.change;
+      var delta = '—';
+      if (res.before.systolic && res.after.systolic) {
+        var d = round1(res.after.systolic.mean - res.before.systolic.mean);
+        var cls = d < 0 ? 'bpw-dose-down' : d > 0 ? 'bpw-dose-up' : '';
+        delta = '<span class="' + cls + '">' + (d > 0 ? '+' : '') + d + '</span>';
+      }
+
+      [['before', '调整前'], ['after', '调整后']].forEach(function (w, j) {
+        var sys = res[w[0]].systolic;
+        var dia = res[w[0]].diastolic;
+        html += '<tr' + (j === 0 ? ' class="bpw-day-start"' : '') + '>';
+        if (j === 0) {
+          html += '<td rowspan="2"><strong>' + escapeHtml(dc.date) + '</strong></td>';
+          html += '<td rowspan="2">' + escapeHtml(dc.from) + ' &rarr; ' + escapeHtml(dc.to) + '</td>';
+        }
+        html += '<td>' + w[1] + '</td>';
+        html += '<td>' + (sys ? sys.n : 0) + '</td>';
+        html += '<td' + (sys ? systolicClass(sys.mean) : '') + '>' + formatStat(sys, 'mean') + '</td>';
+        html += '<td>' + formatStat(sys, 'median') + '</td>';
+        html += '<td>' + formatStat(sys, 'sd') + '</td>';
+        html += '<td>' + (sys ? sys.q1 + '–' + sys.q3 : '—') + '</td>';
+        html += '<td>' + (sys ? sys.min + '–' + sys.max : '—') + '</td>';
+        html += '<td>' + formatStat(dia, 'mean') + '</td>';
+        if (j === 0) html += '<td rowspan="2">' + delta + '</td>';
+        html += '</tr>';
+      });
+    });
+
+    html += '</tbody></table>';
+    return html;
+  }
+
+  /**
+   * Chart.js plugin drawing box-plot whiskers and median lines on top of
+   * the floating IQR bars of the dosage-response chart.
+   */
+  var boxWhiskerPlugin = {
+    id: 'bpwBoxWhisker',
+    afterDatasetsDraw: function (chart) {
+      var ctx = chart.ctx;
+      var yScale = chart.scales.y;
+
+      chart.data.datasets.forEach(function (ds, di) {
+        var meta = chart.getDatasetMeta(di);
+        if (meta.hidden || !ds.boxStats) return;
+
+        meta.data.forEach(function (bar, i) {
+          var s = ds.boxStats[i];
+          if (!s) return;
+          var half = bar.width / 2;
+          var cap = half / 2;
+          var yMin = yScale.getPixelForValue(s.min);
+          var yMax = yScale.getPixelForValue(s.max);
+          var yQ1 = yScale.getPixelForValue(s.q1);
+          var yQ3 = yScale.getPixelForValue(s.q3);
+          var yMed = yScale.getPixelForValue(s.median);
+
+          ctx.save();
+          ctx.strokeStyle = ds.borderColor;
+          ctx.lineWidth = 1.5;
+          ctx.beginPath();
+          // Whiskers
+          ctx.moveTo(bar.x, yQ1);
+          ctx.lineTo(bar.x, yMin);
+          ctx.moveTo(bar.x - cap, yMin);
+          ctx.lineTo(bar.x + cap, yMin);
+          ctx.moveTo(bar.x, yQ3);
+          ctx.lineTo(bar.x, yMax);
+          ctx.moveTo(bar.x - cap, yMax);
+          ctx.lineTo(bar.x + cap, yMax);
+          ctx.stroke();
+          // Median
+          ctx.lineWidth = 3;
+          ctx.beginPath();
+          ctx.moveTo(bar.x - half, yMed);
+          ctx.lineTo(bar.x + half, yMed);
+          ctx.stroke();
+          ctx.restore();
+        });
+      });
+    }
+  };
+
+  function buildDoseChart(results) {
+    if (doseChartInstance) {
+      doseChartInstance.destroy();
+      doseChartInstance = null;
+    }
+
+    var labels = results.map(function (res) {
+      return [res.change.date, res.change.to];
+    });
+
+    function dataset(key, label, color, fill) {
+      var boxStats = results.map(function (res) { return res[key].systolic; });
+      return {
+        label: label,
+        data: boxStats.map(function (s) { return s ? [s.q1, s.q3] : null; }),
+        boxStats: boxStats,
+        backgroundColor: fill,
+        borderColor: color,
+        borderWidth: 1.5,
+        borderSkipped: false,
+        minBarLength: 3,
+        barPercentage: 0.7
+      };
+    }
+
+    var ctx = document.getElementById('bpw-dose-chart').getContext('2d');
+
+    doseChartInstance = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: labels,
+        datasets: [
+          dataset('before', '调整前 收缩压', '#7f8c8d', 'rgba(127,140,141,0.25)'),
+          dataset('after', '调整后 收缩压', '#9b59b6', 'rgba(155,89,182,0.25)')
+        ]
+      },
+      plugins: [boxWhiskerPlugin],
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        scales: {
+          y: {
+            title: { display: true, text: '收缩压 (mmHg)' },
+            suggestedMin: 120,
+            suggestedMax: 200
+          }
+        },
+        plugins: {
+          annotation: {
+            annotations: {
+              hypertensionLine: {
+                type: 'line',
+                yMin: 140,
+                yMax: 140,
+                borderColor: 'rgba(231, 76, 60, 0.45)',
+                borderWidth: 1.5,
+                borderDash: [6, 4]
+              }
+            }
+          },
+          tooltip: {
+            callbacks: {
+              label: function (item) {
+                var s = item.dataset.boxStats[item.dataIndex];
+                if (!s) return item.dataset.label + ': 无数据';
+                return item.dataset.label + ': 均值 ' + s.mean + '，中位数 ' + s.median +
+                  '，四分位 ' + s.q1 + '–' + s.q3 + '，范围 ' + s.min + '–' + s.max + '（' + s.n + ' 次）';
+              }
+            }
+          },
+          legend: {
+            labels: { padding: 16 }
+          }
+        }
+      }
+    });
+  }
+
+  function buildDoseResponse(records, dosageChanges) {
+    var wrap = document.getElementById('bpw-dose');
+    var results = analyzeDosageChanges(records, dosageChanges, doseSettings);
+
+    if (!results.length) {
+      wrap.innerHTML = '';
+      return;
+    }
+
+    var html = '<div class="bpw-stats-title">氨氯地平剂量调整前后对比</div>';
+    html += buildDoseControls();
+    html += '<div class="bpw-chart-wrap"><canvas id="bpw-dose-chart"></canvas></div>';
+    html += '<div class="bpw-table-wrap">' + buildDoseTable(results) + '</div>';
+    wrap.innerHTML = html;
+
+    buildDoseChart(results);
+
+    document.getElementById('bpw-dose-controls').addEventListener('change', function (e) {
+      var form = e.currentTarget;
+      doseSettings = {
+        before: parseInt(form.elements.before.value, 10),
+        after: parseInt(form.elements.after.value, 10),
+        lag: parseInt(form.elements.lag.value, 10),
+        clip: form.elements.clip.checked
+      };
+      buildDoseResponse(records, dosageChanges);
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Date Range (presets, custom from/to, zoom & pan, URL hash)         */
+  /* ------------------------------------------------------------------ */
+
+  /** "近N天" presets, counted back from the latest record */
+  var RANGE_PRESETS = [30, 7, 3];
+
+  /** Active range shared by both charts; see resolveRange() for the shape */
+  var currentRange = null;
+
+  /** Set by initRangeControls(); called when a chart is zoomed or panned */
+  var rangeHandler = null;
+
+  /**
+   * Parse the range part of the hash: "7d" -> { days: 7 },
+   * "2026-02-17~2026-02-22" -> { from, to } (either side may be empty).
+   * Anything else means the full range.
+   */
+  function parseRangeToken(token) {
+    var m;
+    if (!token) return null;
+    if ((m = /^(\d{1,4})d$/.exec(token)) && +m[1] > 0) return { days: +m[1] };
+    if ((m = /^(\d{4}-\d{2}-\d{2})?~(\d{4}-\d{2}-\d{2})?$/.exec(token)) && (m[1] || m[2])) {
+      return { from: m[1] || null, to: m[2] || null };
+    }
+    return null;
+  }
+
+  function rangeToken(range) {
+    if (!range) return '';
+    if (range.days) return range.days + 'd';
+    return (range.from || '') + '~' + (range.to || '');
+  }
+
+  /** Reflect the range in the URL (#bp/7d) without triggering a re-route. */
+  function updateRangeHash() {
+    if (window.location.hash.indexOf('#bp') !== 0 || !window.history.replaceState) return;
+    var token = rangeToken(currentRange);
+    window.history.replaceState(null, '', '#bp' + (token ? '/' + token : ''));
+  }
+
+  /** Visible x-axis bounds for either chart under currentRange. */
+  function rangeAxisBounds() {
+    var bounds = resolveRange(currentRange);
+    return {
+      min: bounds.min === null ? undefined : bounds.min,
+      max: bounds.max === null ? undefined : bounds.max
+    };
+  }
+
+  function applyRangeToChart(chart) {
+    if (!chart) return;
+    var bounds = rangeAxisBounds();
+    chart.options.scales.x.min = bounds.min;
+    chart.options.scales.x.max = bounds.max;
+    chart.update('none');
+  }
+
+  /**
+   * chartjs-plugin-zoom options: x-axis only, Ctrl+wheel (so the page still
+   * scrolls normally), pinch and drag-to-pan, limited to the data's extent.
+   */
+  function zoomOptions(records) {
+    var times = records.map(function (r) { return parseDateTime(r.date, r.time).getTime(); });
+    var limits = {};
+    if (times.length) {
+      limits.x = {
+        min: Math.min.apply(null, times) - 86400000,
+        max: Math.max.apply(null, times) + 86400000,
+        minRange: 6 * 3600000
+      };
+    }
+
+    return {
+      limits: limits,
+      pan: { enabled: true, mode: 'x', onPanComplete: onChartZoomed },
+      zoom: {
+        wheel: { enabled: true, modifierKey: 'ctrl' },
+        pinch: { enabled: true },
+        mode: 'x',
+        onZoomComplete: onChartZoomed
+      }
+    };
+  }
+
+  function onChartZoomed(context) {
+    var xs = context.chart.scales.x;
+    if (!rangeHandler) return;
+    rangeHandler({ from: isoDate(new Date(xs.min)), to: isoDate(new Date(xs.max - 1)) }, context.chart);
+  }
+
+  function syncRangeControls() {
+    var active = !currentRange ? 'all' : currentRange.days ? String(currentRange.days) : null;
+    document.querySelectorAll('.bpw-range-bar .bpw-filter').forEach(function (btn) {
+      btn.classList.toggle('bpw-filter--active', btn.getAttribute('data-range') === active);
+    });
+
+    var bounds = resolveRange(currentRange);
+    document.getElementById('bpw-range-from').value = bounds.min === null ? '' : isoDate(new Date(bounds.min));
+    document.getElementById('bpw-range-to').value = bounds.max === null ? '' : isoDate(new Date(bounds.max - 1));
+  }
+
+  function initRangeControls(bpRecords, weightData, medications) {
+    var dosageChanges = medications.dosageChanges || [];
+    var fromInput = document.getElementById('bpw-range-from');
+    var toInput = document.getElementById('bpw-range-to');
+
+    // `zoomedChart` already shows the new range; only the others follow
+    function setRange(range, zoomedChart) {
+      currentRange = range;
+      if (bpChartInstance !== zoomedChart) applyRangeToChart(bpChartInstance);
+      if (weightChartInstance !== zoomedChart) applyRangeToChart(weightChartInstance);
+      buildBPStats(bpRecords, dosageChanges, currentRange);
+      refreshWeightTrend(weightData);
+      buildWeightStats(weightData);
+      syncRangeControls();
+      updateRangeHash();
+    }
+
+    rangeHandler = setRange;
+
+    document.querySelectorAll('.bpw-range-bar .bpw-filter').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        var range = btn.getAttribute('data-range');
+        setRange(range === 'all' ? null : { days: parseInt(range, 10) });
+      });
+    });
+
+    function onDateInput() {
+      var from = fromInput.value || null;
+      var to = toInput.value || null;
+      if (from && to && from > to) {
+        var tmp = from;
+        from = to;
+        to = tmp;
+      }
+      setRange(from || to ? { from: from, to: to } : null);
+    }
+
+    fromInput.addEventListener('change', onDateInput);
+    toInput.addEventListener('change', onDateInput);
+
+    syncRangeControls();
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  BP Entry Form                                                      */
+  /* ------------------------------------------------------------------ */
+
+  function buildBPForm() {
+    var now = new Date();
+    var html = '<form id="bpw-bp-form" novalidate>';
+    html += '<div class="bpw-form-grid">';
+    html += '  <label class="bpw-field">日期<input type="date" name="date" value="' + isoDate(now) + '" required></label>';
+    html += '  <label class="bpw-field">时间 <span class="bpw-field-hint" id="bpw-bp-period">' + derivePeriod(isoTime(now)) + '</span>';
+    html += '    <input type="time" name="time" value="' + isoTime(now) + '" required></label>';
+    html += '  <label class="bpw-field">收缩压 (mmHg)<input type="number" name="systolic" min="50" max="300" step="1" inputmode="numeric" required></label>';
+    html += '  <label class="bpw-field">舒张压 (mmHg)<input type="number" name="diastolic" min="20" max="200" step="1" inputmode="numeric" required></label>';
+    html += '  <label class="bpw-field">心率 (bpm)<input type="number" name="heartRate" min="30" max="300" step="1" inputmode="numeric" required></label>';
+    html += '  <label class="bpw-field">服药';
+    html += '    <select name="medicated">';
+    html += '      <option value="">未记录</option>';
+    html += '      <option value="true">是</option>';
+    html += '      <option value="false">否</option>';
+    html += '    </select></label>';
+    html += '  <label class="bpw-field bpw-field--wide">备注<input type="text" name="note" maxlength="200"></label>';
+    html += '</div>';
+    html += '<div class="bpw-form-errors" id="bpw-bp-form-errors"></div>';
+    html += '<div class="bpw-form-actions">';
+    html += '  <button type="submit" class="bpw-action bpw-action--primary">保存</button>';
+    html += '  <button type="button" class="bpw-action" id="bpw-bp-form-cancel">取消</button>';
+    html += '</div>';
+    html += '</form>';
+    return html;
+  }
+
+  /**
+   * Read and validate the entry form.
+   * @returns {{ record: object|null, errors: string[] }}
+   */
+  function readBPForm(form) {
+    var errors = [];
+
+    function intField(name, label, min, max) {
+      var raw = form.elements[name].value.trim();
+      if (raw === '') {
+        errors.push('请填写' + label);
+        return null;
+      }
+      var n = Number(raw);
+      if (!/^\d+$/.test(raw) || n < min || n > max) {
+        errors.push(label + '应为 ' + min + '–' + max + ' 之间的整数');
+        return null;
+      }
+      return n;
+    }
+
+    var date = form.elements.date.value;
+    var time = form.elements.time.value;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) errors.push('请选择日期');
+    if (!/^\d{2}:\d{2}$/.test(time)) errors.push('请选择时间');
+
+    var systolic = intField('systolic', '收缩压', 50, 300);
+    var diastolic = intField('diastolic', '舒张压', 20, 200);
+    var heartRate = intField('heartRate', '心率', 30, 300);
+
+    if (systolic !== null && diastolic !== null && diastolic >= systolic) {
+      errors.push('舒张压应低于收缩压');
+    }
+
+    if (errors.length) return { record: null, errors: errors };
+
+    // Key order mirrors data/blood-pressure.json so exports diff cleanly
+    var record = {
+      date: date,
+      time: time,
+      period: derivePeriod(time),
+      systolic: systolic,
+      diastolic: diastolic,
+      heartRate: heartRate
+    };
+    var medicated = form.elements.medicated.value;
+    if (medicated !== '') record.medicated = medicated === 'true';
+    var note = form.elements.note.value.trim();
+    if (note) record.note = note;
+
+    return { record: record, errors: [] };
+  }
+
+  function initBPForm(bpData, medications) {
+    var dosageChanges = medications.dosageChanges || [];
+    var wrap = document.getElementById('bpw-bp-form-wrap');
+    var addBtn = document.getElementById('bpw-bp-add');
+    var exportBtn = document.getElementById('bpw-bp-export');
+
+    function closeForm() {
+      wrap.style.display = 'none';
+      wrap.innerHTML = '';
+    }
+
+    addBtn.addEventListener('click', function () {
+      if (wrap.style.display !== 'none') {
+        closeForm();
+        return;
+      }
+      wrap.innerHTML = buildBPForm();
+      wrap.style.display = '';
+
+      var form = document.getElementById('bpw-bp-form');
+      var errorsEl = document.getElementById('bpw-bp-form-errors');
+      var periodEl = document.getElementById('bpw-bp-period');
+
+      form.elements.time.addEventListener('input', function () {
+        periodEl.textContent = derivePeriod(form.elements.time.value);
+      });
+      document.getElementById('bpw-bp-form-cancel').addEventListener('click', closeForm);
+
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        var result = readBPForm(form);
+        errorsEl.innerHTML = result.errors.map(escapeHtml).join('<br>');
+        if (!result.record) return;
+
+        if (!window.LocalStore) {
+          errorsEl.textContent = '本地存储模块未加载，无法保存。';
+          return;
+        }
+
+        // LocalStore appends the saved record to AppData.bloodPressure.records
+        window.LocalStore.addRecord('bloodPressure', 'records', result.record).then(function () {
+          closeForm();
+          buildBPChart(bpData.records, medications);
+          buildBPStats(bpData.records, dosageChanges, currentRange);
+          buildDoseResponse(bpData.records, dosageChanges);
+          buildBPTable(bpData.records);
+        }).catch(function (err) {
+          console.error('[BPWeightTracker] Failed to save record:', err);
+          errorsEl.textContent = '保存失败：' + (err && err.message ? err.message : err);
+        });
+      });
+
+      form.elements.systolic.focus();
+    });
+
+    exportBtn.addEventListener('click', function () {
+      if (!window.LocalStore) return;
+      window.LocalStore.downloadDataset('bloodPressure');
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Weight Units, Settings and Analysis                                */
+  /* ------------------------------------------------------------------ */
+
+  /** Kilograms per unit; records may be in any of these (jin = 市斤) */
+  var WEIGHT_UNITS = { kg: 1, lb: 0.45359237, jin: 0.5 };
+  var WEIGHT_UNIT_LABELS = { kg: 'kg', lb: 'lb', jin: '斤' };
+
+  /**
+   * Used where weight.json has no "settings": the breed standard range of
+   * an adult male Pembroke corgi, and an alert for more than 5% loss
+   * within 30 days.
+   */
+  var DEFAULT_WEIGHT_SETTINGS = {
+    idealRange: { min: 10, max: 14, unit: 'kg' },
+    lossAlert: { percent: 5, days: 30 }
+  };
+
+  /** Days the linear trend is projected past the latest record */
+  var PROJECTION_DAYS = 14;
+
+  /** Share of the points each LOESS fit uses */
+  var LOESS_SPAN = 0.6;
+
+  /** Body condition score (1-9 scale) regarded as ideal */
+  var BCS_IDEAL = [4, 5];
+
+  /** Entries above this are taken as typos (e.g. grams or a person's weight) */
+  var MAX_WEIGHT_KG = 150;
+
+  /** User-selected weight view; kept across re-renders of the tab */
+  var weightView = { unit: 'kg', trend: 'linear' };
+
+  /** A weight in `unit` converted to kg; null for an unknown unit. */
+  function toKg(value, unit) {
+    var factor = WEIGHT_UNITS[unit || 'kg'];
+    return factor && typeof value === 'number' ? value * factor : null;
+  }
+
+  function fromKg(kg, unit) {
+    return kg / WEIGHT_UNITS[unit];
+  }
+
+  function round2(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  /** A kg value formatted in the display unit, e.g. "27.3 lb". */
+  function formatWeight(kg, unit) {
+    return round2(fromKg(kg, unit)) + ' ' + WEIGHT_UNIT_LABELS[unit];
+  }
+
+  /** weight.json settings over the defaults. */
+  function weightSettings(weightData) {
+    var s = weightData.settings || {};
+    return {
+      // null switches the band off, so only a missing key uses the default
+      idealRange: 'idealRange' in s ? s.idealRange : DEFAULT_WEIGHT_SETTINGS.idealRange,
+      lossAlert: s.lossAlert || DEFAULT_WEIGHT_SETTINGS.lossAlert
+    };
+  }
+
+  /**
+   * Records as { t, kg, record } points, ascending by date. Records with an
+   * unknown unit are left out (and reported in the console).
+   */
+  function weightSeries(records) {
+    var points = [];
+    sortByDateTime(records).forEach(function (r) {
+      var kg = toKg(r.weight, r.unit);
+      if (kg === null) {
+        console.warn('[BPWeightTracker] Skipping weight record with unknown unit:', r);
+        return;
+      }
+      points.push({ t: parseDateTime(r.date, r.time).getTime(), kg: kg, record: r });
+    });
+    return points;
+  }
+
+  /**
+   * Least-squares line through the points, x in days.
+   * @returns {{ slope: number, intercept: number }|null} kg per day and kg
+   *   at day 0; null with fewer than two distinct days
+   */
+  function linearFit(points) {
+    var n = points.length;
+    if (n < 2) return null;
+    var xs = points.map(function (p) { return p.t / 86400000; });
+    var mx = xs.reduce(function (a, x) { return a + x; }, 0) / n;
+    var my = points.reduce(function (a, p) { return a + p.kg; }, 0) / n;
+    var sxx = 0;
+    var sxy = 0;
+    points.forEach(function (p, i) {
+      sxx += (xs[i] - mx) * (xs[i] - mx);
+      sxy += (xs[i] - mx) * (p.kg - my);
+    });
+    if (sxx < 0.5) return null; // all on (about) the same day
+    var slope = sxy / sxx;
+    return { slope: slope, intercept: my - slope * mx };
+  }
+
+  function fitAt(fit, t) {
+    return fit.intercept + fit.slope * t / 86400000;
+  }
+
+  /**
+   * LOESS smoothing: at each point, a line fitted to its nearest
+   * neighbours with tricube weights.
+   * @returns {number[]|null} Smoothed kg per point; null below three points
+   */
+  function loess(points, span) {
+    var n = points.length;
+    if (n < 3) return null;
+    // At least four neighbours, and a slightly wider bandwidth than the
+    // farthest of them, so short series are smoothed rather than traced
+    var k = Math.min(n, Math.max(4, Math.ceil(span * n)));
+    var xs = points.map(function (p) { return p.t / 86400000; });
+
+    return xs.map(function (x0) {
+      var dists = xs.map(function (x) { return Math.abs(x - x0); }).sort(function (a, b) { return a - b; });
+      var h = Math.max(dists[k - 1], 1e-6) * 1.2;
+      var sw = 0, swx = 0, swy = 0, swxx = 0, swxy = 0;
+      points.forEach(function (p, i) {
+        var d = Math.abs(xs[i] - x0) / h;
+        if (d >= 1) return;
+        var w = Math.pow(1 - d * d * d, 3);
+        var x = xs[i] - x0;
+        sw += w;
+        swx += w * x;
+        swy += w * p.kg;
+        swxx += w * x * x;
+        swxy += w * x * p.kg;
+      });
+      var det = sw * swxx - swx * swx;
+      // Intercept of the weighted line at x0 (weighted mean if degenerate)
+      return Math.abs(det) < 1e-9 ? swy / sw : (swxx * swy - swx * swxy) / det;
+    });
+  }
+
+  /**
+   * Change per week of the LOESS curve over its last week (or its last two
+   * points when they are further apart), in percent.
+   * @returns {number|null}
+   */
+  function loessPercentPerWeek(points, smoothed) {
+    if (!smoothed) return null;
+    var last = points.length - 1;
+    var from = last - 1;
+    while (from > 0 && points[from - 1].t >= points[last].t - 7 * 86400000) from--;
+    var weeks = (points[last].t - points[from].t) / (7 * 86400000);
+    if (!(weeks > 0) || !(smoothed[from] > 0)) return null;
+    return (smoothed[last] - smoothed[from]) / weeks / smoothed[from] * 100;
+  }
+
+  /**
+   * Largest loss within `days` before the latest record, compared with the
+   * heaviest record in that window.
+   * @returns {{ percent: number, from: object, to: object }|null} when the
+   *   loss reaches the threshold
+   */
+  function checkWeightLoss(series, lossAlert) {
+    if (series.length < 2 || !lossAlert || !(lossAlert.percent > 0)) return null;
+    var latest = series[series.length - 1];
+    var since = latest.t - lossAlert.days * 86400000;
+    var peak = null;
+    series.forEach(function (p) {
+      if (p.t >= since && p !== latest && (!peak || p.kg > peak.kg)) peak = p;
+    });
+    if (!peak) return null;
+    var percent = (peak.kg - latest.kg) / peak.kg * 100;
+    return percent >= lossAlert.percent ? { percent: percent, from: peak, to: latest } : null;
+  }
+
+  /**
+   * Everything the weight chart and statistics show, for the current range.
+   */
+  function analyzeWeight(weightData) {
+    var records = weightData.records || [];
+    var series = weightSeries(records);
+    var bounds = resolveRange(currentRange);
+    var inRange = series.filter(function (p) {
+      return (bounds.min === null || p.t >= bounds.min) && (bounds.max === null || p.t < bounds.max);
+    });
+    var fit = linearFit(inRange);
+    var latest = inRange.length ? inRange[inRange.length - 1] : null;
+    var result = {
+      settings: weightSettings(weightData),
+      series: series,
+      inRange: inRange,
+      fit: fit,
+      loess: loess(inRange, LOESS_SPAN),
+      percentPerWeek: null,
+      loessPercentPerWeek: null,
+      projected: null,
+      alert: null
+    };
+    if (fit && latest) {
+      var fitted = fitAt(fit, latest.t);
+      result.percentPerWeek = fit.slope * 7 / fitted * 100;
+      result.projected = { t: latest.t + PROJECTION_DAYS * 86400000 };
+      result.projected.kg = fitAt(fit, result.projected.t);
+    }
+    result.loessPercentPerWeek = loessPercentPerWeek(inRange, result.loess);
+    result.alert = checkWeightLoss(series, result.settings.lossAlert);
+    return result;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Weight Chart                                                       */
+  /* ------------------------------------------------------------------ */
+
+  var weightChartInstance = null;
+
+  /** Data of the trend and projection datasets, in the display unit. */
+  function weightTrendData(analysis) {
+    var unit = weightView.unit;
+    var points = analysis.inRange;
+    var trend = [];
+    var projection = [];
+
+    if (weightView.trend === 'loess' && analysis.loess) {
+      trend = points.map(function (p, i) { return { x: p.t, y: fromKg(analysis.loess[i], unit) }; });
+    } else if (analysis.fit) {
+      trend = [points[0], points[points.length - 1]].map(function (p) {
+        return { x: p.t, y: fromKg(fitAt(analysis.fit, p.t), unit) };
+      });
+    }
+    if (analysis.projected) {
+      var last = points[points.length - 1];
+      projection = [
+        { x: last.t, y: fromKg(fitAt(analysis.fit, last.t), unit) },
+        { x: analysis.projected.t, y: fromKg(analysis.projected.kg, unit) }
+      ];
+    }
+    return { trend: trend, projection: projection };
+  }
+
+  function buildWeightChart(weightData) {
+    var analysis = analyzeWeight(weightData);
+    var series = analysis.series;
+    var unit = weightView.unit;
+    var unitLabel = WEIGHT_UNIT_LABELS[unit];
+    var ideal = analysis.settings.idealRange;
+    var idealMin = ideal ? fromKg(toKg(ideal.min, ideal.unit), unit) : null;
+    var idealMax = ideal ? fromKg(toKg(ideal.max, ideal.unit), unit) : null;
+    var trendData = weightTrendData(analysis);
+    var bcsData = series.filter(function (p) {
+      return typeof p.record.bcs === 'number';
+    }).map(function (p) { return { x: p.t, y: p.record.bcs }; });
+
+    if (weightChartInstance) {
+      weightChartInstance.destroy();
+      weightChartInstance = null;
+    }
+
+    var annotations = {};
+    if (idealMin !== null && idealMax !== null) {
+      annotations.idealBand = {
+        type: 'box',
+        yScaleID: 'y',
+        yMin: idealMin,
+        yMax: idealMax,
+        backgroundColor: 'rgba(39,174,96,0.08)',
+        borderWidth: 0,
+        label: {
+          display: true,
+          content: '理想体重 ' + round2(idealMin) + '–' + round2(idealMax) + ' ' + unitLabel,
+          position: { x: 'start', y: 'start' },
+          color: '#27ae60',
+          font: { size: 11 }
+        }
+      };
+    }
+
+    var ctx = document.getElementById('bpw-weight-chart').getContext('2d');
+    var axisBounds = rangeAxisBounds();
+
+    weightChartInstance = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: [
+          {
+            label: '体重 (' + unitLabel + ')',
+            data: series.map(function (p) { return { x: p.t, y: fromKg(p.kg, unit) }; }),
+            borderColor: '#27ae60',
+            backgroundColor: 'rgba(39,174,96,0.1)',
+            pointBackgroundColor: '#27ae60',
+            pointBorderColor: '#27ae60',
+            pointRadius: 5,
+            pointHoverRadius: 7,
+            borderWidth: 2.5,
+            tension: 0.3,
+            fill: false
+          },
+          {
+            label: weightView.trend === 'loess' ? '趋势 (LOESS)' : '趋势 (线性)',
+            data: trendData.trend,
+            borderColor: 'rgba(39,120,70,0.6)',
+            borderWidth: 3,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            pointStyle: 'line',
+            tension: 0.4,
+            fill: false
+          },
+          {
+            label: '预测 (' + PROJECTION_DAYS + '天)',
+            data: trendData.projection,
+            borderColor: 'rgba(39,120,70,0.6)',
+            borderWidth: 2,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            pointStyle: 'line',
+            fill: false
+          },
+          {
+            label: '体况评分 BCS',
+            data: bcsData,
+            yAxisID: 'bcs',
+            showLine: false,
+            borderColor: '#8e44ad',
+            backgroundColor: '#8e44ad',
+            pointStyle: 'rectRot',
+            pointRadius: 6,
+            pointHoverRadius: 8,
+            hidden: !bcsData.length
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        scales: {
+          x: {
+            type: 'time',
+            min: axisBounds.min,
+            max: axisBounds.max,
+            time: {
+              unit: 'day',
+              tooltipFormat: 'yyyy-MM-dd',
+              displayFormats: {
+                day: 'MM-dd'
+              }
+            },
+            title: {
+              display: true,
+              text: '日期'
+            }
+          },
+          y: {
+            title: {
+              display: true,
+              text: unitLabel
+            },
+            suggestedMin: idealMin !== null ? idealMin * 0.9 : undefined,
+            suggestedMax: idealMax !== null ? idealMax * 1.05 : undefined
+          },
+          bcs: {
+            position: 'right',
+            display: bcsData.length > 0,
+            min: 1,
+            max: 9,
+            ticks: { stepSize: 1 },
+            grid: { drawOnChartArea: false },
+            title: {
+              display: true,
+              text: 'BCS (1–9)'
+            }
+          }
+        },
+        plugins: {
+          legend: {
+            labels: {
+              usePointStyle: true,
+              // Hide the BCS entry until a record has a score
+              filter: function (item) { return item.datasetIndex !== 3 || bcsData.length > 0; }
+            }
+          },
+          annotation: {
+            annotations: annotations
+          },
+          zoom: zoomOptions(series.map(function (p) { return p.record; })),
+          tooltip: {
+            filter: function (item) { return item.datasetIndex === 0 || item.datasetIndex === 3; },
+            callbacks: {
+              afterBody: function (items) {
+                if (!items.length || items[0].datasetIndex !== 0) return '';
+                var r = series[items[0].dataIndex].record;
+                var lines = [];
+                if (r.unit && r.unit !== unit) lines.push('原始记录: ' + r.weight + ' ' + (WEIGHT_UNIT_LABELS[r.unit] || r.unit));
+                if (typeof r.bcs === 'number') lines.push('BCS: ' + r.bcs + '/9');
+                if (r.note) lines.push('备注: ' + r.note);
+                return lines;
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Recompute the range-dependent trend after the date range changed,
+   * without rebuilding the chart (which may be mid zoom / pan).
+   */
+  function refreshWeightTrend(weightData) {
+    if (!weightChartInstance) return;
+    var trendData = weightTrendData(analyzeWeight(weightData));
+    weightChartInstance.data.datasets[1].data = trendData.trend;
+    weightChartInstance.data.datasets[2].data = trendData.projection;
+    weightChartInstance.update('none');
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Weight Statistics                                                  */
+  /* ------------------------------------------------------------------ */
+
+  function statCard(label, value, extraClass) {
+    return '<div class="bpw-stat-card' + (extraClass ? ' ' + extraClass : '') + '">' +
+      '<div class="bpw-stat-label">' + label + '</div><div class="bpw-stat-value">' + value + '</div></div>';
+  }
+
+  function buildWeightStats(weightData) {
+    var wrap = document.getElementById('bpw-weight-stats');
+    var analysis = analyzeWeight(weightData);
+    var unit = weightView.unit;
+    var ideal = analysis.settings.idealRange;
+    var html = '';
+
+    if (analysis.alert) {
+      var a = analysis.alert;
+      html += '<div class="bpw-alert" role="alert">体重预警：' + a.to.record.date + ' 较 ' + a.from.record.date +
+        ' 下降 ' + round1(a.percent) + '%（' + formatWeight(a.from.kg, unit) + ' → ' + formatWeight(a.to.kg, unit) +
+        '），超过 ' + analysis.settings.lossAlert.days + ' 天内 ' + analysis.settings.lossAlert.percent + '% 的预警阈值。</div>';
+    }
+
+    if (!analysis.series.length) {
+      wrap.innerHTML = html + '<p class="bpw-stats-empty">还没有体重记录。</p>';
+      return;
+    }
+
+    var latest = analysis.series[analysis.series.length - 1];
+    var idealMinKg = ideal ? toKg(ideal.min, ideal.unit) : null;
+    var idealMaxKg = ideal ? toKg(ideal.max, ideal.unit) : null;
+    var position = '';
+    if (idealMinKg !== null && latest.kg < idealMinKg) position = ' bpw-stat-card--low';
+    else if (idealMaxKg !== null && latest.kg > idealMaxKg) position = ' bpw-stat-card--high';
+
+    html += '<div class="bpw-stat-cards">';
+    html += statCard('最近体重 (' + latest.record.date + ')', formatWeight(latest.kg, unit), position);
+    if (idealMinKg !== null && idealMaxKg !== null) {
+      html += statCard('理想范围', round2(fromKg(idealMinKg, unit)) + '–' + formatWeight(idealMaxKg, unit));
+    }
+    var useLoess = weightView.trend === 'loess' && analysis.loessPercentPerWeek !== null;
+    var perWeek = useLoess ? analysis.loessPercentPerWeek : analysis.percentPerWeek;
+    if (perWeek !== null) {
+      var pct = round1(perWeek);
+      var trendClass = pct <= -1 ? 'bpw-trend-loss' : '';
+      html += statCard(useLoess ? '趋势 (LOESS 近一周)' : '趋势 (线性拟合)', '<span class="' + trendClass + '">' + (pct > 0 ? '+' : '') + pct + '%/周</span>');
+      // The projection is always extrapolated from the linear fit
+      if (analysis.projected) html += statCard('预计 ' + PROJECTION_DAYS + ' 天后 (线性)', formatWeight(analysis.projected.kg, unit));
+    } else {
+      html += statCard('趋势', '<span class="bpw-stats-empty">记录不足</span>');
+    }
+    var scored = analysis.series.filter(function (p) { return typeof p.record.bcs === 'number'; });
+    if (scored.length) {
+      var bcs = scored[scored.length - 1].record.bcs;
+      var bcsClass = bcs < BCS_IDEAL[0] ? 'bpw-stat-card--low' : bcs > BCS_IDEAL[1] ? 'bpw-stat-card--high' : '';
+      html += statCard('体况评分 (' + scored[scored.length - 1].record.date + ')', bcs + '/9', bcsClass);
+    }
+    html += '</div>';
+
+    wrap.innerHTML = html;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Weight Table                                                       */
+  /* ------------------------------------------------------------------ */
+
+  function buildWeightTable(records) {
+    var unit = weightView.unit;
+    var sorted = records.slice().sort(function (a, b) {
+      return parseDateTime(b.date, b.time) - parseDateTime(a.date, a.time);
+    });
+
+    var html = '<table class="bpw-table">';
+    html += '<thead><tr><th>日期</th><th>体重 (' + WEIGHT_UNIT_LABELS[unit] + ')</th><th>原始记录</th><th>BCS</th><th>备注</th></tr></thead><tbody>';
+
+    sorted.forEach(function (r) {
+      var kg = toKg(r.weight, r.unit);
+      var localBadge = window.LocalStore && window.LocalStore.isLocal(r)
+        ? '<span class="bpw-local-badge" title="本地录入，尚未导出">本地</span>' : '';
+      html += '<tr>';
+      html += '<td>' + r.date + localBadge + '</td>';
+      html += '<td>' + (kg === null ? '—' : round2(fromKg(kg, unit))) + '</td>';
+      html += '<td>' + escapeHtml(r.weight + ' ' + (WEIGHT_UNIT_LABELS[r.unit || 'kg'] || r.unit)) + '</td>';
+      html += '<td>' + (typeof r.bcs === 'number' ? r.bcs + '/9' : '—') + '</td>';
+      html += '<td>' + escapeHtml(r.note) + '</td>';
+      html += '</tr>';
+    });
+
+    html += '</tbody></table>';
+
+    document.getElementById('bpw-weight-table-wrap').innerHTML = html;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Weight Entry and Settings Forms                                    */
+  /* ------------------------------------------------------------------ */
+
+  function unitOptions(selected) {
+    return Object.keys(WEIGHT_UNITS).map(function (u) {
+      return '<option value="' + u + '"' + (u === selected ? ' selected' : '') + '>' + WEIGHT_UNIT_LABELS[u] + '</option>';
+    }).join('');
+  }
+
+  function buildWeightForm() {
+    var html = '<form id="bpw-weight-form" novalidate>';
+    html += '<div class="bpw-form-grid">';
+    html += '  <label class="bpw-field">日期<input type="date" name="date" value="' + isoDate(new Date()) + '" required></label>';
+    html += '  <label class="bpw-field">体重<input type="number" name="weight" min="0" step="0.01" inputmode="decimal" required></label>';
+    html += '  <label class="bpw-field">单位<select name="unit">' + unitOptions(weightView.unit) + '</select></label>';
+    html += '  <label class="bpw-field">体况评分 BCS <span class="bpw-field-hint">1–9，可选</span>';
+    html += '    <select name="bcs"><option value="">未评估</option>';
+    for (var i = 1; i <= 9; i++) html += '<option value="' + i + '">' + i + '</option>';
+    html += '    </select></label>';
+    html += '  <label class="bpw-field bpw-field--wide">备注<input type="text" name="note" maxlength="200"></label>';
+    html += '</div>';
+    html += '<div class="bpw-form-errors" id="bpw-weight-form-errors"></div>';
+    html += '<div class="bpw-form-actions">';
+    html += '  <button type="submit" class="bpw-action bpw-action--primary">保存</button>';
+    html += '  <button type="button" class="bpw-action" data-action="cancel">取消</button>';
+    html += '</div>';
+    html += '</form>';
+    return html;
+  }
+
+  /**
+   * Read and validate the weight entry form.
+   * @returns {{ record: object|null, errors: string[] }}
+   */
+  function readWeightForm(form) {
+    var errors = [];
+    var date = form.elements.date.value;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) errors.push('请选择日期');
+
+    var unit = form.elements.unit.value;
+    var raw = form.elements.weight.value.trim();
+    var weight = Number(raw);
+    if (raw === '') {
+      errors.push('请填写体重');
+    } else if (!(weight > 0)) {
+      errors.push('体重应为大于 0 的数值');
+    } else if (toKg(weight, unit) > MAX_WEIGHT_KG) {
+      errors.push('体重超出合理范围 (≤' + round2(fromKg(MAX_WEIGHT_KG, unit)) + ' ' + WEIGHT_UNIT_LABELS[unit] + ')');
+    }
+
+    if (errors.length) return { record: null, errors: errors };
+
+    // Key order mirrors data/weight.json so exports diff cleanly
+    var record = { date: date, weight: weight, unit: unit };
+    if (form.elements.bcs.value) record.bcs = parseInt(form.elements.bcs.value, 10);
+    var note = form.elements.note.value.trim();
+    if (note) record.note = note;
+
+    return { record: record, errors: [] };
+  }
+
+  function buildWeightSettingsForm(settings) {
+    var unit = weightView.unit;
+    var ideal = settings.idealRange;
+    var min = ideal ? round2(fromKg(toKg(ideal.min, ideal.unit), unit)) : '';
+    var max = ideal ? round2(fromKg(toKg(ideal.max, ideal.unit), unit)) : '';
+    var html = '<form id="bpw-weight-settings" novalidate>';
+    html += '<div class="bpw-form-grid">';
+    html += '  <label class="bpw-field">理想体重下限 (' + WEIGHT_UNIT_LABELS[unit] + ')<input type="number" name="min" min="0" step="0.1" value="' + min + '"></label>';
+    html += '  <label class="bpw-field">理想体重上限 (' + WEIGHT_UNIT_LABELS[unit] + ')<input type="number" name="max" min="0" step="0.1" value="' + max + '"></label>';
+    html += '  <label class="bpw-field">预警：天数内<input type="number" name="days" min="1" max="365" step="1" value="' + settings.lossAlert.days + '"></label>';
+    html += '  <label class="bpw-field">下降超过 (%)<input type="number" name="percent" min="0" max="50" step="0.5" value="' + settings.lossAlert.percent + '"></label>';
+    html += '</div>';
+    html += '<div class="bpw-form-errors" id="bpw-weight-settings-errors"></div>';
+    html += '<div class="bpw-form-actions">';
+    html += '  <button type="submit" class="bpw-action bpw-action--primary">保存设置</button>';
+    html += '  <button type="button" class="bpw-action" data-action="cancel">取消</button>';
+    html += '</div>';
+    html += '</form>';
+    return html;
+  }
+
+  /**
+   * Read and validate the settings form. Empty ideal bounds remove the band.
+   * @returns {{ settings: object|null, errors: string[] }}
+   */
+  function readWeightSettings(form) {
+    var errors = [];
+    var min = form.elements.min.value.trim();
+    var max = form.elements.max.value.trim();
+    var days = Number(form.elements.days.value);
+    var percent = Number(form.elements.percent.value);
+    var idealRange = null;
+
+    if (min !== '' || max !== '') {
+      if (!(Number(min) > 0) || !(Number(max) > Number(min))) {
+        errors.push('理想体重上限应大于下限，且均大于 0');
+      } else {
+        idealRange = { min: Number(min), max: Number(max), unit: weightView.unit };
+      }
+    }
+    if (!/^\d+$/.test(form.elements.days.value) || days < 1 || days > 365) errors.push('预警天数应为 1–365 之间的整数');
+    if (form.elements.percent.value === '' || !(percent >= 0) || percent > 50) errors.push('预警百分比应在 0–50 之间（0 表示关闭）');
+
+    if (errors.length) return { settings: null, errors: errors };
+    return { settings: { idealRange: idealRange, lossAlert: { percent: percent, days: days } }, errors: [] };
+  }
+
+  function initWeightControls(weightData) {
+    var wrap = document.getElementById('bpw-weight-form-wrap');
+    var openForm = null;
+
+    function refresh() {
+      buildWeightChart(weightData);
+      buildWeightStats(weightData);
+      buildWeightTable(weightData.records);
+    }
+
+    function closeForm() {
+      wrap.style.display = 'none';
+      wrap.innerHTML = '';
+      openForm = null;
+    }
+
+    // Opens the entry or settings form; clicking the same button again closes it
+    function showForm(name, html, onSubmit) {
+      if (openForm === name) {
+        closeForm();
+        return;
+      }
+      openForm = name;
+      wrap.innerHTML = html;
+      wrap.style.display = '';
+      var form = wrap.querySelector('form');
+      var errorsEl = wrap.querySelector('.bpw-form-errors');
+      form.querySelector('[data-action="cancel"]').addEventListener('click', closeForm);
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        if (!window.LocalStore) {
+          errorsEl.textContent = '本地存储模块未加载，无法保存。';
+          return;
+        }
+        onSubmit(form, errorsEl);
+      });
+      return form;
+    }
+
+    function saveFailed(errorsEl) {
+      return function (err) {
+        console.error('[BPWeightTracker] Failed to save weight data:', err);
+        errorsEl.textContent = '保存失败：' + (err && err.message ? err.message : err);
+      };
+    }
+
+    document.getElementById('bpw-weight-add').addEventListener('click', function () {
+      var form = showForm('entry', buildWeightForm(), function (form, errorsEl) {
+        var result = readWeightForm(form);
+        errorsEl.innerHTML = result.errors.map(escapeHtml).join('<br>');
+        if (!result.record) return;
+        // LocalStore appends the saved record to AppData.weight.records
+        window.LocalStore.addRecord('weight', 'records', result.record).then(function () {
+          closeForm();
+          refresh();
+        }).catch(saveFailed(errorsEl));
+      });
+      if (form) form.elements.weight.focus();
+    });
+
+    document.getElementById('bpw-weight-settings-btn').addEventListener('click', function () {
+      showForm('settings', buildWeightSettingsForm(weightSettings(weightData)), function (form, errorsEl) {
+        var result = readWeightSettings(form);
+        errorsEl.innerHTML = result.errors.map(escapeHtml).join('<br>');
+        if (!result.settings) return;
+        window.LocalStore.setValue('weight', 'settings', result.settings).then(function () {
+          closeForm();
+          refresh();
+        }).catch(saveFailed(errorsEl));
+      });
+    });
+
+    document.getElementById('bpw-weight-export').addEventListener('click', function () {
+      if (!window.LocalStore) return;
+      window.LocalStore.downloadDataset('weight');
+    });
+
+    document.getElementById('bpw-weight-view').addEventListener('change', function (e) {
+      weightView[e.target.name] = e.target.value;
+      if (openForm === 'settings') closeForm(); // its fields are in the old unit
+      refresh();
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Public render()                                                    */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * @param {string} [rangeParam] - Date range from the hash (#bp/<range>),
+   *   e.g. "7d" or "2026-02-17~2026-02-22"
+   */
+  function render(rangeParam) {
+    var bpData = (window.AppData && window.AppData.bloodPressure) || { records: [] };
+    if (!Array.isArray(bpData.records)) bpData.records = [];
+    var weightData = (window.AppData && window.AppData.weight) || { records: [] };
+    if (!Array.isArray(weightData.records)) weightData.records = [];
+    var medData = (window.AppData && window.AppData.medications) || { dosageChanges: [] };
+
+    var bpRecords = bpData.records || [];
+    var dosageChanges = medData.dosageChanges || [];
+
+    injectStyles();
+    buildSkeleton();
+    initTabs();
+
+    currentRange = parseRangeToken(rangeParam);
+
+    // Blood Pressure
+    buildBPChart(bpRecords, medData);
+    buildBPStats(bpRecords, dosageChanges, currentRange);
+    buildDoseResponse(bpRecords, dosageChanges);
+    buildBPTable(bpRecords);
+    initBPForm(bpData, medData);
+
+    // Weight
+    buildWeightChart(weightData);
+    buildWeightStats(weightData);
+    buildWeightTable(weightData.records);
+    initWeightControls(weightData);
+
+    initRangeControls(bpRecords, weightData, medData);
   }
 
   /* ------------------------------------------------------------------ */
   /*  Export                                                              */
   /* ------------------------------------------------------------------ */
 
-  window.BPWeightTracker = { render: render };
+  window.BPWeightTracker = { render: render, toKg: toKg };
 
 })();
@@ -0,0 +1,333 @@
+/**
+ * data-manager.js
+ * Local data management page for StrongToby pet medical records.
+ * Lists every data/*.json file with the changes made in this browser and
+ * exports merged snapshots so they can be committed back into the repo.
+ * Also hosts full backup / restore of the record (window.Backup).
+ *
+ * Data sources:
+ *   window.App.DATA_FILES / DATA_KEYS - data file list and AppData keys
+ *   window.LocalStore                 - pending change sets, restored assets, journal photos
+ *
+ * Exports: window.DataManager = { render() }
+ */
+
+(function () {
+  'use strict';
+
+  var OP_LABELS = {
+    add: '新增',
+    update: '修改',
+    remove: '删除',
+    set: '设置',
+    replace: '从备份恢复'
+  };
+
+  /* ------------------------------------------------------------------ */
+  /*  Inject scoped CSS                                                  */
+  /* ------------------------------------------------------------------ */
+
+  function injectStyles() {
+    if (document.getElementById('dm-styles')) return;
+
+    var css = '';
+
+    css += '.dm-page { animation: dm-fadeIn .25s ease; max-width:900px; }';
+    css += '@keyframes dm-fadeIn { from { opacity:0; transform:translateY(6px); } to { opacity:1; transform:translateY(0); } }';
+    css += '.dm-section-title { font-size:18px; font-weight:700; color:#2c3e50; margin:28px 0 8px 0; padding-bottom:8px; border-bottom:2px solid #e0e0e0; }';
+    css += '.dm-section-title:first-child { margin-top:0; }';
+    css += '.dm-intro { font-size:13px; color:#666; line-height:1.6; margin-bottom:16px; }';
+
+    /* File table */
+    css += '.dm-table-wrap { overflow-x:auto; margin-bottom:16px; }';
+    css += '.dm-table { width:100%; border-collapse:collapse; font-size:13px; }';
+    css += '.dm-table th { background:#f5f6fa; padding:10px 12px; text-align:left; font-weight:600; color:#555; border-bottom:2px solid #ddd; white-space:nowrap; }';
+    css += '.dm-table td { padding:8px 12px; border-bottom:1px solid #eee; vertical-align:middle; }';
+    css += '.dm-file { font-family:Menlo, Consolas, monospace; color:#2c3e50; }';
+    css += '.dm-muted { color:#aaa; }';
+    css += '.dm-error { color:#c0392b; }';
+    css += '.dm-chip { display:inline-block; margin:0 4px 2px 0; padding:1px 8px; border-radius:10px; background:#eafaf1; color:#27ae60; font-size:11px; font-weight:600; }';
+    css += '.dm-row-actions { display:flex; gap:6px; white-space:nowrap; }';
+
+    /* Buttons */
+    css += '.dm-btn { padding:5px 12px; border:1px solid #ccc; border-radius:6px; background:#fff; font-size:12px; cursor:pointer; transition:all .15s; }';
+    css += '.dm-btn:hover { border-color:#3498db; color:#3498db; }';
+    css += '.dm-btn:disabled { opacity:.45; cursor:default; border-color:#ccc; color:inherit; }';
+    css += '.dm-btn--primary { background:#3498db; border-color:#3498db; color:#fff; }';
+    css += '.dm-btn--primary:hover { background:#2980b9; border-color:#2980b9; color:#fff; }';
+    css += '.dm-btn--danger:hover { border-color:#c0392b; color:#c0392b; }';
+    css += '.dm-toolbar { display:flex; flex-wrap:wrap; align-items:center; gap:8px; margin-bottom:16px; }';
+
+    /* Backup / restore */
+    css += '.dm-file-input { display:none; }';
+    css += '.dm-status { font-size:12px; color:#666; min-height:18px; white-space:pre-line; }';
+    css += '.dm-status--error { color:#c0392b; }';
+    css += '.dm-status--ok { color:#27ae60; }';
+
+    var style = document.createElement('style');
+    style.id = 'dm-styles';
+    style.textContent = css;
+    document.head.appendChild(style);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Utility                                                            */
+  /* ------------------------------------------------------------------ */
+
+  function escapeHtml(str) {
+    if (str == null) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /** Count changes per dataset and op: { bloodPressure: { add: 2 }, ... } */
+  function countChanges(changes) {
+    var counts = {};
+    changes.forEach(function (c) {
+      if (!counts[c.dataset]) counts[c.dataset] = {};
+      counts[c.dataset][c.op] = (counts[c.dataset][c.op] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Data files table                                                   */
+  /* ------------------------------------------------------------------ */
+
+  function renderFileTable(counts) {
+    var files = window.App.DATA_FILES || [];
+    var keys = window.App.DATA_KEYS || {};
+
+    var html = '<div class="dm-table-wrap"><table class="dm-table">';
+    html += '<thead><tr><th>数据文件</th><th>状态</th><th>本地修改</th><th>操作</th></tr></thead><tbody>';
+
+    files.forEach(function (file) {
+      var key = keys[file];
+      var loaded = !!(window.AppData && window.AppData[key]);
+      var ops = counts[key] || {};
+      var opKeys = Object.keys(ops);
+
+      html += '<tr>';
+      html += '<td class="dm-file">' + escapeHtml(file) + '</td>';
+      html += loaded ? '<td>已加载</td>' : '<td class="dm-error">加载失败</td>';
+
+      if (opKeys.length) {
+        html += '<td>' + opKeys.map(function (op) {
+          return '<span class="dm-chip">' + escapeHtml(OP_LABELS[op] || op) + ' ' + ops[op] + '</span>';
+        }).join('') + '</td>';
+      } else {
+        html += '<td class="dm-muted">无</td>';
+      }
+
+      html += '<td><div class="dm-row-actions">';
+      html += '<button class="dm-btn" data-action="export" data-dataset="' + escapeHtml(key) + '"' + (loaded ? '' : ' disabled') + '>导出</button>';
+      html += '<button class="dm-btn dm-btn--danger" data-action="discard" data-dataset="' + escapeHtml(key) + '"' + (opKeys.length ? '' : ' disabled') + '>放弃修改</button>';
+      html += '</div></td>';
+      html += '</tr>';
+    });
+
+    html += '</tbody></table></div>';
+    return html;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Backup / restore section                                           */
+  /* ------------------------------------------------------------------ */
+
+  function formatSize(bytes) {
+    if (bytes >= 1048576) return (bytes / 1048576).toFixed(1) + ' MB';
+    return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+  }
+
+  function sumSize(assets) {
+    return assets.reduce(function (sum, a) { return sum + a.size; }, 0);
+  }
+
+  function renderBackupSection(assets) {
+    var html = '<div class="dm-section-title">备份与恢复</div>';
+    html += '<p class="dm-intro">将全部数据文件（含本地修改）和报告附件打包为一个 zip，附带清单与 SHA-256 校验和，' +
+            '可在其他家庭成员的设备上恢复。恢复时会先校验整个备份，校验通过后才写入本地存储。</p>';
+    html += '<div class="dm-toolbar">';
+    html += '<button class="dm-btn dm-btn--primary" data-action="backup">导出完整备份 (.zip)</button>';
+    html += '<button class="dm-btn" data-action="restore">从备份恢复...</button>';
+    html += '<input type="file" class="dm-file-input" id="dm-restore-input" accept=".zip,application/zip">';
+    html += '</div>';
+    html += '<div class="dm-status" id="dm-backup-status"></div>';
+
+    var restored = assets.filter(function (a) { return a.origin === 'restored'; });
+    var photos = assets.filter(function (a) { return a.origin === 'user'; });
+
+    if (restored.length) {
+      html += '<div class="dm-toolbar">';
+      html += '<span class="dm-intro" style="margin:0;">本地保存了 ' + restored.length + ' 个从备份恢复的附件（' + formatSize(sumSize(restored)) + '）。</span>';
+      html += '<button class="dm-btn dm-btn--danger" data-action="clear-assets">清除恢复的附件</button>';
+      html += '</div>';
+    }
+
+    if (photos.length) {
+      html += '<p class="dm-intro">日常记录中的 ' + photos.length + ' 张照片（' + formatSize(sumSize(photos)) + '）只保存在本浏览器中，' +
+              '请通过完整备份保存；清除恢复的附件不会删除它们。</p>';
+    }
+
+    return html;
+  }
+
+  function setStatus(text, kind) {
+    var el = document.getElementById('dm-backup-status');
+    if (!el) return;
+    el.textContent = text;
+    el.className = 'dm-status' + (kind ? ' dm-status--' + kind : '');
+  }
+
+  function restoreFrom(file) {
+    if (!window.Backup) {
+      setStatus('备份模块未加载。', 'error');
+      return;
+    }
+    if (!window.confirm('恢复会用备份中的数据替换本设备上的全部数据（包括未导出的本地修改）。确定继续？')) return;
+
+    window.Backup.restoreArchive(file, function (text) {
+      setStatus(text);
+    }).then(function (manifest) {
+      setStatus('已恢复 ' + manifest.createdAt.slice(0, 10) + ' 的备份，正在重新加载...', 'ok');
+      setTimeout(function () { window.location.reload(); }, 800);
+    }).catch(function (err) {
+      console.error('[DataManager] Restore failed:', err);
+      setStatus(err && err.message ? err.message : String(err), 'error');
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Public render()                                                    */
+  /* ------------------------------------------------------------------ */
+
+  function render() {
+    injectStyles();
+
+    var container = document.getElementById('content');
+
+    if (!window.LocalStore || !window.App) {
+      container.innerHTML = '<p class="dm-muted">本地存储模块未加载。</p>';
+      return;
+    }
+
+    Promise.all([
+      window.LocalStore.getChanges(),
+      window.LocalStore.getAssets()
+    ]).then(function (results) {
+      var changes = results[0];
+      var assets = results[1];
+      var counts = countChanges(changes);
+      var changedKeys = Object.keys(counts);
+
+      var html = '<div class="dm-page">';
+      html += '<div class="dm-section-title">本地数据</div>';
+      html += '<p class="dm-intro">在浏览器中录入或修改的数据保存在本设备上，并叠加在 data/ 目录的原始文件之上。' +
+              '导出的文件是合并后的完整快照，可直接替换仓库中的同名文件；提交后这些本地修改会被自动识别并清理。</p>';
+      html += '<div class="dm-toolbar">';
+      html += '<button class="dm-btn dm-btn--primary" data-action="export-changed"' + (changedKeys.length ? '' : ' disabled') + '>导出全部有修改的文件</button>';
+      html += '</div>';
+      html += renderFileTable(counts);
+      html += renderBackupSection(assets);
+      html += '</div>';
+
+      container.innerHTML = html;
+      bindActions(container, changedKeys);
+    }).catch(function (err) {
+      console.error('[DataManager] Failed to read local changes:', err);
+      container.innerHTML = '<p class="dm-error">读取本地数据失败：' + escapeHtml(err && err.message ? err.message : err) + '</p>';
+    });
+  }
+
+  function bindActions(container, changedKeys) {
+    var restoreInput = document.getElementById('dm-restore-input');
+    restoreInput.addEventListener('change', function () {
+      var file = restoreInput.files && restoreInput.files[0];
+      restoreInput.value = '';
+      if (file) restoreFrom(file);
+    });
+
+    container.querySelector('.dm-page').addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-action]');
+      if (!btn || btn.disabled) return;
+
+      var dataset = btn.getAttribute('data-dataset');
+
+      switch (btn.getAttribute('data-action')) {
+        case 'export':
+          window.LocalStore.downloadDataset(dataset);
+          break;
+
+        case 'export-changed':
+          // One file downloads directly; several go into one zip
+          if (changedKeys.length === 1 || !window.Backup) {
+            window.LocalStore.downloadDataset(changedKeys[0]);
+            break;
+          }
+          window.Backup.downloadDatasets(changedKeys).then(function (filename) {
+            setStatus('已导出 ' + changedKeys.length + ' 个文件：' + filename, 'ok');
+          }).catch(function (err) {
+            console.error('[DataManager] Export failed:', err);
+            setStatus('导出失败：' + (err && err.message ? err.message : err), 'error');
+          });
+          break;
+
+        case 'discard':
+          var file = window.LocalStore.fileNameFor(dataset);
+          if (!window.confirm('确定放弃 ' + file + ' 的全部本地修改？此操作无法撤销。')) return;
+          window.LocalStore.discardChanges(dataset).then(function () {
+            // AppData still holds the merged records; reload to get the shipped file back
+            window.location.reload();
+          }).catch(function (err) {
+            console.error('[DataManager] Failed to discard changes:', err);
+            setStatus('放弃修改失败：' + (err && err.message ? err.message : err), 'error');
+          });
+          break;
+
+        case 'backup':
+          if (!window.Backup) {
+            setStatus('备份模块未加载。', 'error');
+            return;
+          }
+          btn.disabled = true;
+          window.Backup.download(function (text) {
+            setStatus(text);
+          }).then(function (manifest) {
+            var msg = '备份已生成：' + manifest.files.length + ' 个文件。';
+            if (manifest.missing.length) {
+              msg += '\n以下文件无法读取，未包含在备份中：\n' + manifest.missing.join('\n');
+            }
+            setStatus(msg, manifest.missing.length ? 'error' : 'ok');
+          }).catch(function (err) {
+            console.error('[DataManager] Backup failed:', err);
+            setStatus(err && err.message ? err.message : String(err), 'error');
+          }).then(function () {
+            btn.disabled = false;
+          });
+          break;
+
+        case 'restore':
+          restoreInput.click();
+          break;
+
+        case 'clear-assets':
+          if (!window.confirm('确定清除从备份恢复的附件？日常记录照片会保留。')) return;
+          window.LocalStore.clearAssets().then(render).catch(function (err) {
+            console.error('[DataManager] Failed to clear assets:', err);
+            setStatus('清除附件失败：' + (err && err.message ? err.message : err), 'error');
+          });
+          break;
+      }
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Export                                                              */
+  /* ------------------------------------------------------------------ */
+
+  window.DataManager = { render: render };
+
+})();
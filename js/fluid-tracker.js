@@ -0,0 +1,791 @@
+/**
+ * fluid-tracker.js
+ * Fluid intake & urination log page for StrongToby pet medical records.
+ * Renders charts (Chart.js), summaries and tables into #content.
+ *
+ * Data source: window.AppData.fluidLog
+ *   { settings: { dailyIntakeTargetMl }, intake: [...], urination: [...] }
+ *
+ * Water intake is logged in ml; urination / walk events carry leakage and
+ * urine appearance, and the interval since the previous event is derived
+ * from consecutive records (gaps over a day are treated as missing data).
+ * The page shows daily totals against the intake target, histograms of the
+ * intervals by day and night, each interval over time, a per-day table and
+ * the event log.
+ *
+ * The range presets count back from the latest record and are mirrored in
+ * the hash (#fluids/7d). New entries are persisted with window.LocalStore
+ * and can be exported as an updated fluid-log.json.
+ *
+ * Exports: window.FluidTracker = { render(rangeParam) }
+ */
+
+(function () {
+  'use strict';
+
+  /* ------------------------------------------------------------------ */
+  /*  Constants                                                          */
+  /* ------------------------------------------------------------------ */
+
+  /** "近N天" presets, counted back from the latest record */
+  var RANGE_PRESETS = [7, 14, 30];
+
+  var INTAKE_SOURCES = ['主动', '诱导', '食物'];
+  var APPEARANCES = ['正常', '深黄', '浑浊', '带血', '其他'];
+  var AMOUNTS = ['少', '中', '多'];
+
+  /** Longer gaps between urination records are logging gaps, not intervals */
+  var MAX_INTERVAL_HOURS = 24;
+
+  /** Interval histogram bins: [from, to) hours */
+  var INTERVAL_BINS = [[0, 2], [2, 3], [3, 4], [4, 5], [5, 6], [6, 8], [8, 12], [12, MAX_INTERVAL_HOURS]];
+
+  /** Intervals ending in [NIGHT_START, NIGHT_END) o'clock count as night */
+  var NIGHT_START = 22;
+  var NIGHT_END = 7;
+
+  /** Active range: null (everything) or { days: n } */
+  var currentDays = null;
+
+  var charts = {};
+
+  /* ------------------------------------------------------------------ */
+  /*  Helpers                                                            */
+  /* ------------------------------------------------------------------ */
+
+  function parseDateTime(date, time) {
+    return new Date(date + 'T' + (time || '00:00') + ':00');
+  }
+
+  /** Format a Date as "YYYY-MM-DD" (local time). */
+  function isoDate(dt) {
+    return dt.getFullYear() + '-' +
+      String(dt.getMonth() + 1).padStart(2, '0') + '-' +
+      String(dt.getDate()).padStart(2, '0');
+  }
+
+  /** Format a Date as "HH:mm" (local time). */
+  function isoTime(dt) {
+    return String(dt.getHours()).padStart(2, '0') + ':' + String(dt.getMinutes()).padStart(2, '0');
+  }
+
+  function escapeHtml(str) {
+    if (str == null) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function round1(n) {
+    return Math.round(n * 10) / 10;
+  }
+
+  /** "3.5" hours -> "3小时30分" */
+  function formatHours(h) {
+    var minutes = Math.round(h * 60);
+    var hh = Math.floor(minutes / 60);
+    var mm = minutes % 60;
+    return (hh ? hh + '小时' : '') + (mm || !hh ? mm + '分' : '');
+  }
+
+  function sortByDateTime(records) {
+    return records.slice().sort(function (a, b) {
+      return parseDateTime(a.date, a.time) - parseDateTime(b.date, b.time);
+    });
+  }
+
+  function emptyLog() {
+    return { settings: {}, intake: [], urination: [] };
+  }
+
+  /**
+   * The fluid log, read from AppData each time so records LocalStore just
+   * added are included. When fluid-log.json failed to load, an empty log is
+   * put in its place so new records have somewhere to go.
+   */
+  function currentLog() {
+    var log = window.AppData && window.AppData.fluidLog;
+    if (!log) {
+      log = emptyLog();
+      if (window.AppData) window.AppData.fluidLog = log;
+    }
+    if (!Array.isArray(log.intake)) log.intake = [];
+    if (!Array.isArray(log.urination)) log.urination = [];
+    return log;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Analysis                                                           */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * Urination records ascending, each with `hours` since the previous one
+   * (null for the first record and after a logging gap).
+   * @returns {Array<{ record: object, t: number, hours: number|null, night: boolean }>}
+   */
+  function urinationEvents(records) {
+    var prev = null;
+    return sortByDateTime(records).map(function (r) {
+      var dt = parseDateTime(r.date, r.time);
+      var hours = prev === null ? null : (dt.getTime() - prev) / 3600000;
+      if (hours !== null && hours > MAX_INTERVAL_HOURS) hours = null;
+      prev = dt.getTime();
+      var hour = dt.getHours();
+      return { record: r, t: dt.getTime(), hours: hours, night: hour >= NIGHT_START || hour < NIGHT_END };
+    });
+  }
+
+  /** Latest record date over both logs, or null. */
+  function latestDate(log) {
+    var latest = null;
+    log.intake.concat(log.urination).forEach(function (r) {
+      if (!latest || r.date > latest) latest = r.date;
+    });
+    return latest;
+  }
+
+  /** First date inside the current range ("YYYY-MM-DD"), or null for all. */
+  function rangeStart(log) {
+    var latest = latestDate(log);
+    if (!currentDays || !latest) return null;
+    var dt = parseDateTime(latest);
+    dt.setDate(dt.getDate() - currentDays + 1);
+    return isoDate(dt);
+  }
+
+  /**
+   * Per-day totals inside the range, ascending by date.
+   * @returns {Array<{ date, intakeMl, drinks, urinations, leaks, abnormal, maxHours, meanHours }>}
+   */
+  function dailySummary(log, events, since) {
+    var days = {};
+
+    function day(date) {
+      if (!days[date]) {
+        days[date] = { date: date, intakeMl: 0, drinks: 0, urinations: 0, leaks: 0, abnormal: [], intervals: [] };
+      }
+      return days[date];
+    }
+
+    log.intake.forEach(function (r) {
+      if (since && r.date < since) return;
+      var d = day(r.date);
+      d.intakeMl += Number(r.amountMl) || 0;
+      d.drinks++;
+    });
+    events.forEach(function (e) {
+      var r = e.record;
+      if (since && r.date < since) return;
+      var d = day(r.date);
+      d.urinations++;
+      if (r.leakage) d.leaks++;
+      if (r.appearance && r.appearance !== '正常' && d.abnormal.indexOf(r.appearance) === -1) d.abnormal.push(r.appearance);
+      if (e.hours !== null) d.intervals.push(e.hours);
+    });
+
+    return Object.keys(days).sort().map(function (date) {
+      var d = days[date];
+      d.maxHours = d.intervals.length ? Math.max.apply(null, d.intervals) : null;
+      d.meanHours = d.intervals.length
+        ? d.intervals.reduce(function (a, h) { return a + h; }, 0) / d.intervals.length : null;
+      return d;
+    });
+  }
+
+  /** Interval counts per INTERVAL_BINS entry, split into day and night. */
+  function intervalHistogram(events) {
+    var day = INTERVAL_BINS.map(function () { return 0; });
+    var night = INTERVAL_BINS.map(function () { return 0; });
+    events.forEach(function (e) {
+      if (e.hours === null) return;
+      for (var i = 0; i < INTERVAL_BINS.length; i++) {
+        if (e.hours >= INTERVAL_BINS[i][0] && e.hours < INTERVAL_BINS[i][1]) {
+          (e.night ? night : day)[i]++;
+          break;
+        }
+      }
+    });
+    return { day: day, night: night };
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Inject scoped CSS                                                  */
+  /* ------------------------------------------------------------------ */
+
+  function injectStyles() {
+    if (document.getElementById('fl-styles')) return;
+
+    var css = '';
+
+    /* Range + actions */
+    css += '.fl-toolbar { display:flex; flex-wrap:wrap; align-items:center; justify-content:space-between; gap:8px 16px; margin-bottom:16px; }';
+    css += '.fl-filter-bar, .fl-actions { display:flex; flex-wrap:wrap; gap:8px; }';
+    css += '.fl-filter { padding:5px 16px; border:1px solid #ccc; border-radius:16px; background:#fff; font-size:13px; cursor:pointer; transition:all .15s; }';
+    css += '.fl-filter:hover { border-color:#3498db; color:#3498db; }';
+    css += '.fl-filter--active { background:#3498db; color:#fff; border-color:#3498db; }';
+    css += '.fl-action { padding:5px 14px; border:1px solid #ccc; border-radius:6px; background:#fff; font-size:13px; cursor:pointer; transition:all .15s; }';
+    css += '.fl-action:hover { border-color:#3498db; color:#3498db; }';
+    css += '.fl-action--primary { background:#2e86c1; border-color:#2e86c1; color:#fff; }';
+    css += '.fl-action--primary:hover { background:#21618c; border-color:#21618c; color:#fff; }';
+
+    /* Entry forms */
+    css += '.fl-form-wrap { max-width:900px; margin-bottom:24px; padding:16px 20px; background:#f8fafc; border:1px solid #e2e8f0; border-radius:8px; }';
+    css += '.fl-form-grid { display:grid; grid-template-columns:repeat(auto-fill, minmax(150px, 1fr)); gap:12px 16px; }';
+    css += '.fl-field { display:flex; flex-direction:column; gap:4px; font-size:12px; color:#555; font-weight:600; }';
+    css += '.fl-field input, .fl-field select { padding:6px 8px; border:1px solid #ccc; border-radius:4px; font-size:14px; font-weight:400; background:#fff; }';
+    css += '.fl-field--check { flex-direction:row; align-items:center; gap:6px; padding-top:18px; }';
+    css += '.fl-field--wide { grid-column:1 / -1; }';
+    css += '.fl-form-errors { margin-top:12px; color:#c0392b; font-size:13px; }';
+    css += '.fl-form-errors:empty { display:none; }';
+    css += '.fl-form-actions { display:flex; gap:8px; margin-top:14px; }';
+
+    /* Summary cards */
+    css += '.fl-cards { display:grid; grid-template-columns:repeat(auto-fill, minmax(130px, 1fr)); gap:10px; max-width:900px; margin-bottom:24px; }';
+    css += '.fl-card { padding:10px 14px; background:#fff; border:1px solid #e0e0e0; border-radius:8px; }';
+    css += '.fl-card--warn { border-color:#f5b7b1; background:#fdf2f1; }';
+    css += '.fl-card-label { font-size:12px; color:#888; margin-bottom:4px; }';
+    css += '.fl-card-value { font-size:20px; font-weight:700; color:#2c3e50; }';
+
+    /* Charts */
+    css += '.fl-title { font-size:14px; font-weight:700; color:#2c3e50; margin:0 0 8px 0; }';
+    css += '.fl-chart-wrap { position:relative; width:100%; max-width:900px; margin-bottom:28px; }';
+    css += '.fl-empty { color:#aaa; font-size:14px; margin:0 0 24px 0; }';
+
+    /* Tables */
+    css += '.fl-table-wrap { overflow-x:auto; margin-bottom:32px; }';
+    css += '.fl-table { width:100%; border-collapse:collapse; font-size:13px; }';
+    css += '.fl-table th { background:#f5f6fa; padding:10px 12px; text-align:left; font-weight:600; color:#555; border-bottom:2px solid #ddd; white-space:nowrap; }';
+    css += '.fl-table td { padding:8px 12px; border-bottom:1px solid #eee; vertical-align:middle; }';
+    css += '.fl-table tr:hover { background:#fafbfd; }';
+    css += '.fl-table tr.fl-day-start td { border-top:2px solid #d0d5dd; }';
+    css += '.fl-warn { color:#e74c3c; font-weight:700; }';
+    css += '.fl-local-badge { display:inline-block; margin-left:6px; padding:0 6px; border-radius:8px; background:#eaf2f8; color:#2e86c1; font-size:11px; font-weight:600; }';
+
+    var style = document.createElement('style');
+    style.id = 'fl-styles';
+    style.textContent = css;
+    document.head.appendChild(style);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Build the DOM skeleton                                             */
+  /* ------------------------------------------------------------------ */
+
+  function buildSkeleton() {
+    var container = document.getElementById('content');
+    var html = '';
+
+    html += '<div class="fl-toolbar">';
+    html += '  <div class="fl-filter-bar">';
+    html += '    <button class="fl-filter" data-range="all">全部</button>';
+    RANGE_PRESETS.forEach(function (days) {
+      html += '    <button class="fl-filter" data-range="' + days + '" title="截至最近一次记录">近' + days + '天</button>';
+    });
+    html += '  </div>';
+    html += '  <div class="fl-actions">';
+    html += '    <button class="fl-action fl-action--primary" data-form="intake">+ 饮水</button>';
+    html += '    <button class="fl-action fl-action--primary" data-form="urination">+ 排尿 / 遛狗</button>';
+    html += '    <button class="fl-action" id="fl-export">导出 JSON</button>';
+    html += '  </div>';
+    html += '</div>';
+    html += '<div class="fl-form-wrap" id="fl-form-wrap" style="display:none;"></div>';
+    html += '<div id="fl-body"></div>';
+
+    container.innerHTML = html;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Summary, Charts and Tables                                         */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * Whether a day's intake fell short of the target. Today's total is still
+   * growing, so only finished days can.
+   */
+  function belowTarget(day, target) {
+    return !!target && day.date < isoDate(new Date()) && day.intakeMl < target;
+  }
+
+  function card(label, value, warn) {
+    return '<div class="fl-card' + (warn ? ' fl-card--warn' : '') + '"><div class="fl-card-label">' + label +
+      '</div><div class="fl-card-value">' + value + '</div></div>';
+  }
+
+  function buildCards(days, events, target) {
+    var intakeDays = days.filter(function (d) { return d.drinks > 0; });
+    var meanIntake = intakeDays.length
+      ? intakeDays.reduce(function (a, d) { return a + d.intakeMl; }, 0) / intakeDays.length : null;
+    var urinationDays = days.filter(function (d) { return d.urinations > 0; });
+    var meanCount = urinationDays.length
+      ? urinationDays.reduce(function (a, d) { return a + d.urinations; }, 0) / urinationDays.length : null;
+    var intervals = events.filter(function (e) { return e.hours !== null; }).map(function (e) { return e.hours; });
+    var meanInterval = intervals.length ? intervals.reduce(function (a, h) { return a + h; }, 0) / intervals.length : null;
+    var leaks = events.filter(function (e) { return e.record.leakage; }).length;
+    var last = intakeDays.length ? intakeDays[intakeDays.length - 1] : null;
+
+    var html = '<div class="fl-cards">';
+    html += card('最近饮水' + (last ? ' (' + last.date + ')' : ''), last ? last.intakeMl + ' ml' : '—',
+      last && belowTarget(last, target));
+    html += card('日均饮水', meanIntake === null ? '—' : Math.round(meanIntake) + ' ml', meanIntake !== null && target && meanIntake < target);
+    if (target) html += card('每日参考量', target + ' ml');
+    html += card('日均排尿', meanCount === null ? '—' : round1(meanCount) + ' 次');
+    html += card('平均间隔', meanInterval === null ? '—' : formatHours(meanInterval));
+    html += card('最长间隔', intervals.length ? formatHours(Math.max.apply(null, intervals)) : '—');
+    html += card('漏尿', leaks + ' 次', leaks > 0);
+    html += '</div>';
+    return html;
+  }
+
+  function destroyCharts() {
+    Object.keys(charts).forEach(function (key) {
+      charts[key].destroy();
+    });
+    charts = {};
+  }
+
+  /** Daily intake bars against the target, with urinations per day. */
+  function buildDailyChart(days, target) {
+    var annotations = {};
+    if (target) {
+      annotations.target = {
+        type: 'line',
+        yScaleID: 'y',
+        yMin: target,
+        yMax: target,
+        borderColor: 'rgba(46,134,193,0.6)',
+        borderWidth: 1.5,
+        borderDash: [6, 4],
+        label: {
+          display: true,
+          content: '参考 ' + target + ' ml',
+          position: 'start',
+          backgroundColor: 'rgba(46,134,193,0.75)',
+          color: '#fff',
+          font: { size: 11 },
+          padding: 4
+        }
+      };
+    }
+
+    charts.daily = new Chart(document.getElementById('fl-daily-chart').getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: days.map(function (d) { return d.date.slice(5); }),
+        datasets: [
+          {
+            label: '饮水 (ml)',
+            // No bar (rather than 0) on days without logged drinks
+            data: days.map(function (d) { return d.drinks ? d.intakeMl : null; }),
+            backgroundColor: days.map(function (d) {
+              return belowTarget(d, target) ? 'rgba(231,76,60,0.55)' : 'rgba(46,134,193,0.6)';
+            }),
+            yAxisID: 'y',
+            order: 2
+          },
+          {
+            type: 'line',
+            label: '排尿次数',
+            data: days.map(function (d) { return d.urinations; }),
+            borderColor: '#e67e22',
+            backgroundColor: '#e67e22',
+            pointRadius: 4,
+            borderWidth: 2,
+            tension: 0.2,
+            yAxisID: 'count',
+            order: 1
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          y: { beginAtZero: true, title: { display: true, text: 'ml' } },
+          count: {
+            position: 'right',
+            beginAtZero: true,
+            ticks: { stepSize: 1 },
+            grid: { drawOnChartArea: false },
+            title: { display: true, text: '次' }
+          }
+        },
+        plugins: {
+          annotation: { annotations: annotations },
+          legend: { labels: { usePointStyle: true } }
+        }
+      }
+    });
+  }
+
+  function buildHistogramChart(events) {
+    var hist = intervalHistogram(events);
+    charts.histogram = new Chart(document.getElementById('fl-histogram-chart').getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: INTERVAL_BINS.map(function (b) { return b[0] + '–' + b[1] + 'h'; }),
+        datasets: [
+          { label: '白天', data: hist.day, backgroundColor: 'rgba(243,156,18,0.7)' },
+          { label: '夜间 (' + NIGHT_START + '–' + NIGHT_END + '点)', data: hist.night, backgroundColor: 'rgba(52,73,94,0.7)' }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        scales: {
+          x: { stacked: true, title: { display: true, text: '距上次排尿' } },
+          y: { stacked: true, beginAtZero: true, ticks: { stepSize: 1 }, title: { display: true, text: '次数' } }
+        }
+      }
+    });
+  }
+
+  /** Each interval at the time it ended; leaks and abnormal urine stand out. */
+  function buildIntervalChart(events) {
+    var points = events.filter(function (e) { return e.hours !== null; });
+    charts.intervals = new Chart(document.getElementById('fl-interval-chart').getContext('2d'), {
+      type: 'scatter',
+      data: {
+        datasets: [{
+          label: '排尿间隔 (小时)',
+          data: points.map(function (e) { return { x: e.t, y: round1(e.hours) }; }),
+          pointRadius: 5,
+          pointHoverRadius: 7,
+          pointStyle: points.map(function (e) { return e.record.leakage ? 'triangle' : 'circle'; }),
+          backgroundColor: points.map(function (e) {
+            var a = e.record.appearance;
+            if (a && a !== '正常') return '#c0392b';
+            return e.record.leakage ? '#e67e22' : '#2e86c1';
+          }),
+          borderColor: 'transparent',
+          showLine: false
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        scales: {
+          x: {
+            type: 'time',
+            time: { tooltipFormat: 'yyyy-MM-dd HH:mm', displayFormats: { hour: 'MM-dd HH:mm', day: 'MM-dd' } },
+            title: { display: true, text: '日期时间' }
+          },
+          y: { beginAtZero: true, title: { display: true, text: '小时' } }
+        },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              afterBody: function (items) {
+                if (!items.length) return '';
+                var r = points[items[0].dataIndex].record;
+                var lines = [];
+                if (r.leakage) lines.push('漏尿');
+                if (r.appearance) lines.push('尿色: ' + r.appearance);
+                if (r.note) lines.push('备注: ' + r.note);
+                return lines;
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  function buildDailyTable(days) {
+    var html = '<table class="fl-table">';
+    html += '<thead><tr><th>日期</th><th>饮水 (ml)</th><th>饮水次数</th><th>排尿次数</th>';
+    html += '<th>平均间隔</th><th>最长间隔</th><th>漏尿</th><th>异常尿色</th></tr></thead><tbody>';
+    days.slice().reverse().forEach(function (d) {
+      html += '<tr>';
+      html += '<td><strong>' + d.date + '</strong></td>';
+      html += '<td>' + (d.drinks ? d.intakeMl : '—') + '</td>';
+      html += '<td>' + d.drinks + '</td>';
+      html += '<td>' + d.urinations + '</td>';
+      html += '<td>' + (d.meanHours === null ? '—' : formatHours(d.meanHours)) + '</td>';
+      html += '<td>' + (d.maxHours === null ? '—' : formatHours(d.maxHours)) + '</td>';
+      html += '<td' + (d.leaks ? ' class="fl-warn"' : '') + '>' + d.leaks + '</td>';
+      html += '<td' + (d.abnormal.length ? ' class="fl-warn"' : '') + '>' + escapeHtml(d.abnormal.join('、') || '—') + '</td>';
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+    return html;
+  }
+
+  /** Both logs merged, newest first. */
+  function buildEventTable(log, events, since) {
+    var rows = log.intake.map(function (r) {
+      return { record: r, t: parseDateTime(r.date, r.time).getTime(), intake: true };
+    }).concat(events.map(function (e) {
+      return { record: e.record, t: e.t, hours: e.hours };
+    })).filter(function (row) {
+      return !since || row.record.date >= since;
+    }).sort(function (a, b) { return b.t - a.t; });
+
+    var html = '<table class="fl-table">';
+    html += '<thead><tr><th>日期</th><th>时间</th><th>记录</th><th>详情</th><th>距上次排尿</th><th>备注</th></tr></thead><tbody>';
+    var lastDate = null;
+    rows.forEach(function (row) {
+      var r = row.record;
+      var isNewDay = r.date !== lastDate;
+      lastDate = r.date;
+      var localBadge = window.LocalStore && window.LocalStore.isLocal(r)
+        ? '<span class="fl-local-badge" title="本地录入，尚未导出">本地</span>' : '';
+      var kind;
+      var detail;
+      if (row.intake) {
+        kind = '饮水';
+        detail = r.amountMl + ' ml' + (r.source ? '（' + escapeHtml(r.source) + '）' : '');
+      } else {
+        kind = r.walk ? '遛狗排尿' : '排尿';
+        var parts = [];
+        if (r.leakage) parts.push('<span class="fl-warn">漏尿</span>');
+        if (r.appearance) parts.push(r.appearance === '正常' ? '尿色正常' : '<span class="fl-warn">' + escapeHtml(r.appearance) + '</span>');
+        if (r.amount) parts.push('尿量' + escapeHtml(r.amount));
+        detail = parts.join('，') || '—';
+      }
+      html += '<tr' + (isNewDay ? ' class="fl-day-start"' : '') + '>';
+      html += '<td>' + (isNewDay ? '<strong>' + r.date + '</strong>' : '') + '</td>';
+      html += '<td>' + escapeHtml(r.time || '') + localBadge + '</td>';
+      html += '<td>' + kind + '</td>';
+      html += '<td>' + detail + '</td>';
+      html += '<td>' + (row.hours == null ? '—' : formatHours(row.hours)) + '</td>';
+      html += '<td>' + escapeHtml(r.note) + '</td>';
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+    return html;
+  }
+
+  function buildBody() {
+    var log = currentLog();
+    var body = document.getElementById('fl-body');
+    var target = (log.settings && log.settings.dailyIntakeTargetMl) || null;
+    var since = rangeStart(log);
+    // Intervals are computed over every record, so the first one in range
+    // still counts from the last record before it
+    var events = urinationEvents(log.urination).filter(function (e) {
+      return !since || e.record.date >= since;
+    });
+    var days = dailySummary(log, events, since);
+
+    destroyCharts();
+
+    if (!days.length) {
+      body.innerHTML = '<p class="fl-empty">还没有饮水或排尿记录。用上方按钮添加第一条记录。</p>';
+      return;
+    }
+
+    var html = buildCards(days, events, target);
+    html += '<div class="fl-title">每日饮水与排尿次数</div>';
+    html += '<div class="fl-chart-wrap"><canvas id="fl-daily-chart"></canvas></div>';
+    var hasIntervals = events.some(function (e) { return e.hours !== null; });
+    if (hasIntervals) {
+      html += '<div class="fl-title">排尿间隔分布</div>';
+      html += '<div class="fl-chart-wrap"><canvas id="fl-histogram-chart"></canvas></div>';
+      html += '<div class="fl-title">排尿间隔变化（三角为漏尿，红色为尿色异常）</div>';
+      html += '<div class="fl-chart-wrap"><canvas id="fl-interval-chart"></canvas></div>';
+    } else {
+      html += '<p class="fl-empty">至少两次排尿记录后显示排尿间隔。</p>';
+    }
+    html += '<div class="fl-title">每日汇总</div>';
+    html += '<div class="fl-table-wrap">' + buildDailyTable(days) + '</div>';
+    html += '<div class="fl-title">全部记录</div>';
+    html += '<div class="fl-table-wrap">' + buildEventTable(log, events, since) + '</div>';
+    body.innerHTML = html;
+
+    buildDailyChart(days, target);
+    if (hasIntervals) {
+      buildHistogramChart(events);
+      buildIntervalChart(events);
+    }
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Entry Forms                                                        */
+  /* ------------------------------------------------------------------ */
+
+  function options(values, blankLabel) {
+    var html = blankLabel ? '<option value="">' + blankLabel + '</option>' : '';
+    return html + values.map(function (v) {
+      return '<option value="' + v + '">' + v + '</option>';
+    }).join('');
+  }
+
+  function buildForm(kind) {
+    var now = new Date();
+    var html = '<form id="fl-form" data-kind="' + kind + '" novalidate>';
+    html += '<div class="fl-form-grid">';
+    html += '  <label class="fl-field">日期<input type="date" name="date" value="' + isoDate(now) + '" required></label>';
+    html += '  <label class="fl-field">时间<input type="time" name="time" value="' + isoTime(now) + '" required></label>';
+    if (kind === 'intake') {
+      html += '  <label class="fl-field">饮水量 (ml)<input type="number" name="amountMl" min="1" max="3000" step="1" inputmode="numeric" required></label>';
+      html += '  <label class="fl-field">方式<select name="source">' + options(INTAKE_SOURCES) + '</select></label>';
+    } else {
+      html += '  <label class="fl-field">尿色<select name="appearance">' + options(APPEARANCES, '未记录') + '</select></label>';
+      html += '  <label class="fl-field">尿量<select name="amount">' + options(AMOUNTS, '未记录') + '</select></label>';
+      html += '  <label class="fl-field fl-field--check"><input type="checkbox" name="walk" checked> 遛狗时</label>';
+      html += '  <label class="fl-field fl-field--check"><input type="checkbox" name="leakage"> 漏尿</label>';
+    }
+    html += '  <label class="fl-field fl-field--wide">备注<input type="text" name="note" maxlength="200"></label>';
+    html += '</div>';
+    html += '<div class="fl-form-errors" id="fl-form-errors"></div>';
+    html += '<div class="fl-form-actions">';
+    html += '  <button type="submit" class="fl-action fl-action--primary">保存</button>';
+    html += '  <button type="button" class="fl-action" id="fl-form-cancel">取消</button>';
+    html += '</div>';
+    html += '</form>';
+    return html;
+  }
+
+  /**
+   * Read and validate an entry form.
+   * @returns {{ record: object|null, errors: string[] }}
+   */
+  function readForm(form, kind) {
+    var errors = [];
+    var date = form.elements.date.value;
+    var time = form.elements.time.value;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) errors.push('请选择日期');
+    if (!/^\d{2}:\d{2}$/.test(time)) errors.push('请选择时间');
+
+    // Key order mirrors data/fluid-log.json so exports diff cleanly
+    var record = { date: date, time: time };
+    if (kind === 'intake') {
+      var raw = form.elements.amountMl.value.trim();
+      var ml = Number(raw);
+      if (raw === '') errors.push('请填写饮水量');
+      else if (!/^\d+$/.test(raw) || ml < 1 || ml > 3000) errors.push('饮水量应为 1–3000 之间的整数');
+      record.amountMl = ml;
+      record.source = form.elements.source.value;
+    } else {
+      record.walk = form.elements.walk.checked;
+      record.leakage = form.elements.leakage.checked;
+      if (form.elements.appearance.value) record.appearance = form.elements.appearance.value;
+      if (form.elements.amount.value) record.amount = form.elements.amount.value;
+    }
+    var note = form.elements.note.value.trim();
+    if (note) record.note = note;
+
+    if (errors.length) return { record: null, errors: errors };
+    return { record: record, errors: [] };
+  }
+
+  function initForms() {
+    var wrap = document.getElementById('fl-form-wrap');
+    var openKind = null;
+
+    function closeForm() {
+      wrap.style.display = 'none';
+      wrap.innerHTML = '';
+      openKind = null;
+    }
+
+    document.querySelectorAll('.fl-actions [data-form]').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        var kind = btn.getAttribute('data-form');
+        if (openKind === kind) {
+          closeForm();
+          return;
+        }
+        openKind = kind;
+        wrap.innerHTML = buildForm(kind);
+        wrap.style.display = '';
+
+        var form = document.getElementById('fl-form');
+        var errorsEl = document.getElementById('fl-form-errors');
+        document.getElementById('fl-form-cancel').addEventListener('click', closeForm);
+
+        form.addEventListener('submit', function (e) {
+          e.preventDefault();
+          var result = readForm(form, kind);
+          errorsEl.innerHTML = result.errors.map(escapeHtml).join('<br>');
+          if (!result.record) return;
+
+          if (!window.LocalStore) {
+            errorsEl.textContent = '本地存储模块未加载，无法保存。';
+            return;
+          }
+
+          // LocalStore appends the saved record to AppData.fluidLog[kind]
+          window.LocalStore.addRecord('fluidLog', kind, result.record).then(function () {
+            closeForm();
+            buildBody();
+          }).catch(function (err) {
+            console.error('[FluidTracker] Failed to save record:', err);
+            errorsEl.textContent = '保存失败：' + (err && err.message ? err.message : err);
+          });
+        });
+
+        (kind === 'intake' ? form.elements.amountMl : form.elements.appearance).focus();
+      });
+    });
+
+    document.getElementById('fl-export').addEventListener('click', function () {
+      if (!window.LocalStore) return;
+      window.LocalStore.downloadDataset('fluidLog');
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Range                                                              */
+  /* ------------------------------------------------------------------ */
+
+  function parseRangeToken(token) {
+    var m = /^(\d{1,4})d$/.exec(token || '');
+    return m && +m[1] > 0 ? +m[1] : null;
+  }
+
+  /** Reflect the range in the URL (#fluids/7d) without triggering a re-route. */
+  function updateRangeHash() {
+    if (window.location.hash.indexOf('#fluids') !== 0 || !window.history.replaceState) return;
+    window.history.replaceState(null, '', '#fluids' + (currentDays ? '/' + currentDays + 'd' : ''));
+  }
+
+  function initRangeControls() {
+    var buttons = document.querySelectorAll('.fl-filter');
+
+    function sync() {
+      buttons.forEach(function (btn) {
+        btn.classList.toggle('fl-filter--active', btn.getAttribute('data-range') === (currentDays ? String(currentDays) : 'all'));
+      });
+    }
+
+    buttons.forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        var range = btn.getAttribute('data-range');
+        currentDays = range === 'all' ? null : parseInt(range, 10);
+        sync();
+        updateRangeHash();
+        buildBody();
+      });
+    });
+    sync();
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Public render()                                                    */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * @param {string} [rangeParam] - Range from the hash (#fluids/<range>), e.g. "7d"
+   */
+  function render(rangeParam) {
+    currentDays = parseRangeToken(rangeParam);
+
+    injectStyles();
+    buildSkeleton();
+    initRangeControls();
+    initForms();
+    buildBody();
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Export                                                              */
+  /* ------------------------------------------------------------------ */
+
+  window.FluidTracker = { render: render };
+
+})();
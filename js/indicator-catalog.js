@@ -0,0 +1,162 @@
+/**
+ * IndicatorCatalog - Lab indicator lookup and unit conversion for StrongToby
+ * Resolves the names different clinics use for the same analyte
+ * ("PLT/血小板", "血小板 PLT", "PLT") to one entry of
+ * data/indicator-catalog.json, and converts values reported in other units
+ * (e.g. conventional mg/dL) into the entry's canonical SI unit.
+ *
+ * Catalog entry: { name, aliases[], unit, conversions: { unit: factor },
+ *                  refRange, institutionRanges: { institution: refRange } }
+ * where value_in_unit = value_in_other_unit * factor.
+ *
+ * Data source: window.AppData.indicatorCatalog
+ * Usage:
+ *   window.IndicatorCatalog.find(name)            - Catalog entry for an indicator name, or null
+ *   window.IndicatorCatalog.categoryOf(entry)     - Name of the catalog category holding `entry`
+ *   window.IndicatorCatalog.units(entry)          - Canonical unit first, then convertible units
+ *   window.IndicatorCatalog.factor(entry, unit)   - Multiplier from `unit` to entry.unit, or null
+ *   window.IndicatorCatalog.normalizeUnit(unit)   - Spelling-insensitive form of a unit
+ */
+(function () {
+  'use strict';
+
+  /* ======================================================================
+   *  Name and Unit Normalization
+   * ====================================================================== */
+
+  var SUPERSCRIPTS = { '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹' };
+
+  /**
+   * Lookup key for an indicator name: case, whitespace and separators
+   * ("/", "()", "（）", "-", "_", "·") are ignored.
+   */
+  function nameKey(name) {
+    return String(name || '').toLowerCase().replace(/[\s\/()（）\-_·:：]/g, '');
+  }
+
+  /**
+   * Spelling-insensitive form of a unit, so "10^9/L", "×10⁹/L" and "10⁹/l"
+   * compare equal, as do the micro sign (µ), Greek mu (μ) and "u" in "umol/L".
+   */
+  function normalizeUnit(unit) {
+    return String(unit || '')
+      .replace(/\s+/g, '')
+      .replace(/^[×x*]/i, '')
+      .replace(/\^(\d+)/g, function (m, digits) {
+        return digits.split('').map(function (d) { return SUPERSCRIPTS[d]; }).join('');
+      })
+      .replace(/µ/g, 'μ')
+      .replace(/(^|[\/\d])u(?=mol|g|l)/gi, '$1μ')
+      .toLowerCase();
+  }
+
+  /* ======================================================================
+   *  Catalog Index
+   * ====================================================================== */
+
+  var indexedCatalog = null;
+  var byKey = {};
+  var categoryByEntry = [];
+
+  /**
+   * (Re)build the name index when AppData.indicatorCatalog changes
+   * (e.g. after a backup restore).
+   */
+  function ensureIndex() {
+    var catalog = window.AppData && window.AppData.indicatorCatalog;
+    if (catalog === indexedCatalog) return;
+
+    indexedCatalog = catalog;
+    byKey = {};
+    categoryByEntry = [];
+
+    ((catalog && catalog.categories) || []).forEach(function (cat) {
+      (cat.items || []).forEach(function (entry) {
+        categoryByEntry.push({ entry: entry, category: cat.name });
+        [entry.name].concat(entry.aliases || []).forEach(function (alias) {
+          var key = nameKey(alias);
+          if (key && !byKey[key]) byKey[key] = entry;
+        });
+      });
+    });
+  }
+
+  var RELATIVE_NAME = /[%％]|百分比|比率/;
+
+  /**
+   * Catalog entry for an indicator name. Tries the whole name first, then
+   * each word of it, so "PLT 血小板计数" still resolves via "PLT".
+   * Percentages and ratios skip the word fallback: "NEU% 中性粒细胞" must
+   * not land on the absolute-count NEU entry through its second word.
+   * @param {string} name
+   * @returns {object|null}
+   */
+  function find(name) {
+    ensureIndex();
+    var key = nameKey(name);
+    if (!key) return null;
+    if (byKey[key]) return byKey[key];
+    if (RELATIVE_NAME.test(name)) return null;
+
+    var words = String(name).split(/[\s\/()（）]+/);
+    for (var i = 0; i < words.length; i++) {
+      var entry = byKey[nameKey(words[i])];
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * @param {object} entry - Catalog entry
+   * @returns {string|null} Name of its catalog category
+   */
+  function categoryOf(entry) {
+    ensureIndex();
+    for (var i = 0; i < categoryByEntry.length; i++) {
+      if (categoryByEntry[i].entry === entry) return categoryByEntry[i].category;
+    }
+    return null;
+  }
+
+  /* ======================================================================
+   *  Unit Conversion
+   * ====================================================================== */
+
+  /**
+   * @param {object} entry - Catalog entry
+   * @returns {string[]} The canonical unit followed by every convertible unit
+   */
+  function units(entry) {
+    return [entry.unit].concat(Object.keys(entry.conversions || {}));
+  }
+
+  /**
+   * Multiplier that converts a value in `unit` into entry.unit.
+   * @returns {number|null} 1 for the canonical unit (or a missing unit),
+   *   null when the unit is unknown for this indicator
+   */
+  function factor(entry, unit) {
+    var target = normalizeUnit(unit);
+    if (!target || target === normalizeUnit(entry.unit)) return 1;
+
+    var conversions = entry.conversions || {};
+    var keys = Object.keys(conversions);
+    for (var i = 0; i < keys.length; i++) {
+      if (normalizeUnit(keys[i]) === target) return conversions[keys[i]];
+    }
+    return null;
+  }
+
+  /* ======================================================================
+   *  Public API
+   * ====================================================================== */
+
+  window.IndicatorCatalog = {
+    find: find,
+    categoryOf: categoryOf,
+    units: units,
+    factor: factor,
+    normalizeUnit: normalizeUnit
+  };
+
+})();
@@ -0,0 +1,604 @@
+/**
+ * journal.js
+ * Daily symptom & wellbeing journal page for StrongToby pet medical records.
+ * Renders the entry form, a chart of the scores over time and the entry
+ * list into #content.
+ *
+ * Data source: window.AppData.journal
+ *   { entries: [{ id, date, appetite, energy, flankPain, stool, vomiting,
+ *                 note, photos: [path], timeline }] }
+ *
+ * Each day gets structured scores (see FIELDS) instead of free text. Entries
+ * that stand out - poor appetite or energy, clear pain on palpation of the
+ * left flank, vomiting, loose stool, or a drop of two points since the
+ * previous entry - are surfaced on the overview timeline automatically;
+ * `timeline: true / false` on an entry overrides that. Photos are kept as
+ * LocalStore assets under assets/journal/, travel with full backups and are
+ * deleted with their entry.
+ *
+ * Exports: window.Journal = {
+ *   render(entryId)     - Render the page; scrolls to an entry when given
+ *   notableReasons(entry, previous) - Why an entry stands out (array of labels)
+ *   timelineEvents()    - Overview timeline events for notable entries
+ * }
+ */
+
+(function () {
+  'use strict';
+
+  /* ------------------------------------------------------------------ */
+  /*  Constants                                                          */
+  /* ------------------------------------------------------------------ */
+
+  var DATASET = 'journal';
+  var PATH = 'entries';
+
+  /**
+   * Scored fields. `good` is the healthy end of the scale; `labels` name
+   * each score from `min` upwards.
+   */
+  var FIELDS = [
+    { key: 'appetite', label: '食欲', min: 0, max: 4, good: 'high', labels: ['拒食', '很差', '减少', '略减', '正常'] },
+    { key: 'energy', label: '精神', min: 0, max: 4, good: 'high', labels: ['萎靡', '很差', '较差', '略差', '正常'] },
+    { key: 'flankPain', label: '左腹触痛', min: 0, max: 3, good: 'low', labels: ['无', '轻微', '明显', '剧烈'] },
+    { key: 'stool', label: '大便', min: 1, max: 7, good: 2, labels: ['干硬', '成形', '湿润成形', '软', '软烂成堆', '糊状', '水样'] }
+  ];
+
+  var MAX_PHOTOS = 6;
+
+  var charts = {};
+
+  /* ------------------------------------------------------------------ */
+  /*  Helpers                                                            */
+  /* ------------------------------------------------------------------ */
+
+  function escapeHtml(str) {
+    if (str == null) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /** Format a Date as "YYYY-MM-DD" (local time). */
+  function isoDate(dt) {
+    return dt.getFullYear() + '-' +
+      String(dt.getMonth() + 1).padStart(2, '0') + '-' +
+      String(dt.getDate()).padStart(2, '0');
+  }
+
+  function newId() {
+    return 'jn-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function entries() {
+    var data = window.AppData && window.AppData[DATASET];
+    return (data && Array.isArray(data[PATH])) ? data[PATH] : [];
+  }
+
+  /** Entries ascending by date. */
+  function sortedEntries() {
+    return entries().slice().sort(function (a, b) {
+      return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+    });
+  }
+
+  function findLive(id) {
+    return entries().filter(function (e) { return e.id === id; })[0] || null;
+  }
+
+  function hasScore(entry, key) {
+    return typeof entry[key] === 'number';
+  }
+
+  function scoreLabel(field, value) {
+    return field.labels[value - field.min] || String(value);
+  }
+
+  /** 0 (fine) .. 2 (bad) for colouring a score chip. */
+  function severity(field, value) {
+    var distance;
+    if (field.good === 'high') distance = field.max - value;
+    else if (field.good === 'low') distance = value - field.min;
+    else distance = Math.abs(value - field.good);
+    return distance === 0 ? 0 : distance === 1 ? 1 : 2;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Notable Entries                                                    */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * Why an entry stands out, as short labels; empty when it doesn't.
+   * @param {object} entry
+   * @param {object} [previous] - The entry before it, for sudden drops
+   * @returns {string[]}
+   */
+  function notableReasons(entry, previous) {
+    var reasons = [];
+    if (hasScore(entry, 'appetite') && entry.appetite <= 2) reasons.push('食欲' + scoreLabel(FIELDS[0], entry.appetite));
+    if (hasScore(entry, 'energy') && entry.energy <= 2) reasons.push('精神' + scoreLabel(FIELDS[1], entry.energy));
+    if (hasScore(entry, 'flankPain') && entry.flankPain >= 2) reasons.push('左腹触痛' + scoreLabel(FIELDS[2], entry.flankPain));
+    if (entry.vomiting > 0) reasons.push('呕吐 ' + entry.vomiting + ' 次');
+    if (hasScore(entry, 'stool') && (entry.stool >= 5 || entry.stool === 1)) reasons.push('大便' + scoreLabel(FIELDS[3], entry.stool));
+
+    if (previous) {
+      ['appetite', 'energy'].forEach(function (key, i) {
+        if (hasScore(entry, key) && hasScore(previous, key) && previous[key] - entry[key] >= 2 && entry[key] > 2) {
+          reasons.push(FIELDS[i].label + '较前次下降');
+        }
+      });
+    }
+    return reasons;
+  }
+
+  /** Whether an entry goes on the overview timeline, and why. */
+  function timelineReasons(entry, previous) {
+    if (entry.timeline === false) return [];
+    var reasons = notableReasons(entry, previous);
+    if (!reasons.length && entry.timeline === true) reasons.push('手动标记');
+    return reasons;
+  }
+
+  /**
+   * Events for window.Timeline: one per notable entry, linking back to it.
+   * @returns {Array<{ date, title, description, tags, href }>}
+   */
+  function timelineEvents() {
+    var events = [];
+    var previous = null;
+    sortedEntries().forEach(function (entry) {
+      var reasons = timelineReasons(entry, previous);
+      previous = entry;
+      if (!reasons.length) return;
+      events.push({
+        date: entry.date,
+        title: '日志：' + reasons.join('、'),
+        description: entry.note || '',
+        tags: ['日志', '症状'],
+        href: '#journal/' + entry.id
+      });
+    });
+    return events;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Inject scoped CSS                                                  */
+  /* ------------------------------------------------------------------ */
+
+  function injectStyles() {
+    if (document.getElementById('jn-styles')) return;
+
+    var css = '';
+
+    /* Toolbar */
+    css += '.jn-toolbar { display:flex; flex-wrap:wrap; align-items:center; justify-content:flex-end; gap:8px; margin-bottom:16px; }';
+    css += '.jn-action { padding:5px 14px; border:1px solid #ccc; border-radius:6px; background:#fff; font-size:13px; cursor:pointer; transition:all .15s; }';
+    css += '.jn-action:hover { border-color:#3498db; color:#3498db; }';
+    css += '.jn-action--primary { background:#8e44ad; border-color:#8e44ad; color:#fff; }';
+    css += '.jn-action--primary:hover { background:#6c3483; border-color:#6c3483; color:#fff; }';
+    css += '.jn-action--danger:hover { border-color:#e74c3c; color:#e74c3c; }';
+
+    /* Form */
+    css += '.jn-form-wrap { max-width:900px; margin-bottom:24px; padding:16px 20px; background:#f8fafc; border:1px solid #e2e8f0; border-radius:8px; }';
+    css += '.jn-form-row { display:flex; flex-wrap:wrap; align-items:center; gap:8px 12px; margin-bottom:12px; font-size:13px; color:#555; }';
+    css += '.jn-form-label { min-width:72px; font-weight:600; }';
+    css += '.jn-form-row input[type="date"], .jn-form-row input[type="number"], .jn-form-row select { padding:5px 8px; border:1px solid #ccc; border-radius:4px; font-size:14px; }';
+    css += '.jn-form-row textarea { flex:1; min-width:240px; min-height:64px; padding:6px 8px; border:1px solid #ccc; border-radius:4px; font:inherit; font-size:14px; }';
+    css += '.jn-scale { display:flex; flex-wrap:wrap; }';
+    css += '.jn-scale label { cursor:pointer; }';
+    css += '.jn-scale input { position:absolute; opacity:0; pointer-events:none; }';
+    css += '.jn-scale span { display:inline-block; padding:4px 10px; border:1px solid #ccc; margin-left:-1px; background:#fff; font-size:12px; }';
+    css += '.jn-scale label:first-child span { border-radius:4px 0 0 4px; margin-left:0; }';
+    css += '.jn-scale label:last-child span { border-radius:0 4px 4px 0; }';
+    css += '.jn-scale input:checked + span { background:#8e44ad; border-color:#8e44ad; color:#fff; }';
+    css += '.jn-scale input:focus-visible + span { outline:2px solid #3498db; }';
+    css += '.jn-form-errors { margin-top:4px; color:#c0392b; font-size:13px; }';
+    css += '.jn-form-errors:empty { display:none; }';
+    css += '.jn-form-actions { display:flex; gap:8px; margin-top:14px; }';
+
+    /* Chart */
+    css += '.jn-chart-wrap { position:relative; width:100%; max-width:900px; margin-bottom:28px; }';
+
+    /* Entry list */
+    css += '.jn-list { max-width:900px; }';
+    css += '.jn-entry { padding:14px 18px; margin-bottom:12px; background:#fff; border:1px solid #e0e0e0; border-radius:8px; }';
+    css += '.jn-entry--notable { border-left:4px solid #e67e22; }';
+    css += '.jn-entry--focus { box-shadow:0 0 0 3px rgba(142,68,173,0.35); }';
+    css += '.jn-entry-head { display:flex; flex-wrap:wrap; align-items:center; gap:8px; margin-bottom:8px; }';
+    css += '.jn-entry-date { font-size:15px; font-weight:700; color:#2c3e50; margin-right:auto; }';
+    css += '.jn-chips { display:flex; flex-wrap:wrap; gap:6px; margin-bottom:6px; }';
+    css += '.jn-chip { padding:2px 10px; border-radius:10px; font-size:12px; background:#eafaf1; color:#1e8449; }';
+    css += '.jn-chip--1 { background:#fef5e7; color:#b9770e; }';
+    css += '.jn-chip--2 { background:#fdedec; color:#c0392b; }';
+    css += '.jn-reasons { font-size:12px; color:#b9770e; margin-bottom:6px; }';
+    css += '.jn-note { font-size:14px; color:#333; line-height:1.6; white-space:pre-wrap; }';
+    css += '.jn-photos { display:flex; flex-wrap:wrap; gap:8px; margin-top:8px; }';
+    css += '.jn-photo { width:96px; height:96px; object-fit:cover; border-radius:4px; border:1px solid #e0e0e0; cursor:zoom-in; }';
+    css += '.jn-local-badge { display:inline-block; padding:0 6px; border-radius:8px; background:#f4ecf7; color:#8e44ad; font-size:11px; font-weight:600; }';
+    css += '.jn-empty { color:#aaa; font-size:14px; }';
+
+    var style = document.createElement('style');
+    style.id = 'jn-styles';
+    style.textContent = css;
+    document.head.appendChild(style);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Chart                                                              */
+  /* ------------------------------------------------------------------ */
+
+  function destroyCharts() {
+    Object.keys(charts).forEach(function (key) {
+      charts[key].destroy();
+    });
+    charts = {};
+  }
+
+  function buildChart(list) {
+    var colors = { appetite: '#27ae60', energy: '#2e86c1', flankPain: '#c0392b', stool: '#8e6e53' };
+    var datasets = FIELDS.map(function (f) {
+      return {
+        label: f.label + ' (' + f.min + '–' + f.max + ')',
+        data: list.map(function (e) { return hasScore(e, f.key) ? { x: e.date, y: e[f.key] } : null; })
+          .filter(Boolean),
+        borderColor: colors[f.key],
+        backgroundColor: colors[f.key],
+        yAxisID: f.key === 'stool' ? 'stool' : 'y',
+        borderDash: f.key === 'stool' ? [6, 4] : undefined,
+        pointRadius: 4,
+        borderWidth: 2,
+        tension: 0.2,
+        spanGaps: true
+      };
+    });
+    datasets.push({
+      type: 'bar',
+      label: '呕吐 (次)',
+      data: list.filter(function (e) { return e.vomiting > 0; }).map(function (e) { return { x: e.date, y: e.vomiting }; }),
+      backgroundColor: 'rgba(230,126,34,0.5)',
+      yAxisID: 'y',
+      barThickness: 10
+    });
+
+    charts.scores = new Chart(document.getElementById('jn-chart').getContext('2d'), {
+      type: 'line',
+      data: { datasets: datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        interaction: { mode: 'x', intersect: false },
+        scales: {
+          x: {
+            type: 'time',
+            time: { unit: 'day', tooltipFormat: 'yyyy-MM-dd', displayFormats: { day: 'MM-dd' } },
+            title: { display: true, text: '日期' }
+          },
+          y: { min: 0, suggestedMax: 4, ticks: { stepSize: 1 }, title: { display: true, text: '评分 / 次数' } },
+          stool: {
+            position: 'right',
+            min: 1,
+            max: 7,
+            ticks: { stepSize: 1 },
+            grid: { drawOnChartArea: false },
+            title: { display: true, text: '大便评分' }
+          }
+        },
+        plugins: {
+          legend: { labels: { usePointStyle: true } },
+          tooltip: {
+            callbacks: {
+              label: function (item) {
+                var field = FIELDS[item.datasetIndex];
+                if (!field) return '呕吐: ' + item.parsed.y + ' 次';
+                return field.label + ': ' + item.parsed.y + ' ' + scoreLabel(field, item.parsed.y);
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Entry List                                                         */
+  /* ------------------------------------------------------------------ */
+
+  function buildEntry(entry, previous) {
+    var reasons = timelineReasons(entry, previous);
+    var localBadge = window.LocalStore && window.LocalStore.isLocal(entry)
+      ? ' <span class="jn-local-badge" title="本地录入，尚未导出">本地</span>' : '';
+
+    var html = '<div class="jn-entry' + (reasons.length ? ' jn-entry--notable' : '') + '" data-id="' + escapeHtml(entry.id) + '">';
+    html += '<div class="jn-entry-head"><span class="jn-entry-date">' + escapeHtml(entry.date) + localBadge + '</span>';
+    html += '<button class="jn-action" data-action="edit">编辑</button>';
+    html += '<button class="jn-action jn-action--danger" data-action="delete">删除</button></div>';
+
+    html += '<div class="jn-chips">';
+    FIELDS.forEach(function (f) {
+      if (!hasScore(entry, f.key)) return;
+      html += '<span class="jn-chip jn-chip--' + severity(f, entry[f.key]) + '">' + f.label + ' ' +
+        entry[f.key] + ' · ' + scoreLabel(f, entry[f.key]) + '</span>';
+    });
+    if (typeof entry.vomiting === 'number') {
+      html += '<span class="jn-chip jn-chip--' + (entry.vomiting ? 2 : 0) + '">呕吐 ' + entry.vomiting + ' 次</span>';
+    }
+    html += '</div>';
+
+    if (reasons.length) html += '<div class="jn-reasons">已显示在概览时间线：' + escapeHtml(reasons.join('、')) + '</div>';
+    if (entry.note) html += '<div class="jn-note">' + escapeHtml(entry.note) + '</div>';
+    if (entry.photos && entry.photos.length) {
+      html += '<div class="jn-photos">';
+      entry.photos.forEach(function (path) {
+        html += '<img class="jn-photo" src="' + escapeHtml(window.App.assetUrl(path)) + '" alt="日志照片" loading="lazy">';
+      });
+      html += '</div>';
+    }
+    html += '</div>';
+    return html;
+  }
+
+  function buildBody() {
+    var body = document.getElementById('jn-body');
+    var list = sortedEntries();
+
+    destroyCharts();
+
+    if (!list.length) {
+      body.innerHTML = '<p class="jn-empty">还没有日志。点击“+ 今日记录”记录今天的状态。</p>';
+      return;
+    }
+
+    var html = '<div class="jn-chart-wrap"><canvas id="jn-chart"></canvas></div>';
+    html += '<div class="jn-list">';
+    for (var i = list.length - 1; i >= 0; i--) {
+      html += buildEntry(list[i], list[i - 1] || null);
+    }
+    html += '</div>';
+    body.innerHTML = html;
+
+    buildChart(list);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Entry Form                                                         */
+  /* ------------------------------------------------------------------ */
+
+  function buildForm(entry) {
+    var html = '<form id="jn-form" novalidate>';
+    html += '<div class="jn-form-row"><span class="jn-form-label">日期</span>' +
+      '<input type="date" name="date" value="' + escapeHtml(entry.date) + '" required></div>';
+
+    FIELDS.forEach(function (f) {
+      html += '<div class="jn-form-row"><span class="jn-form-label">' + f.label + '</span><div class="jn-scale" role="radiogroup" aria-label="' + f.label + '">';
+      for (var v = f.min; v <= f.max; v++) {
+        html += '<label><input type="radio" name="' + f.key + '" value="' + v + '"' + (entry[f.key] === v ? ' checked' : '') + '>' +
+          '<span>' + v + ' ' + scoreLabel(f, v) + '</span></label>';
+      }
+      html += '</div></div>';
+    });
+
+    html += '<div class="jn-form-row"><span class="jn-form-label">呕吐次数</span>' +
+      '<input type="number" name="vomiting" min="0" max="20" step="1" inputmode="numeric" value="' +
+      (typeof entry.vomiting === 'number' ? entry.vomiting : 0) + '"></div>';
+    html += '<div class="jn-form-row"><span class="jn-form-label">备注</span>' +
+      '<textarea name="note" maxlength="1000">' + escapeHtml(entry.note || '') + '</textarea></div>';
+    html += '<div class="jn-form-row"><span class="jn-form-label">照片</span>' +
+      '<input type="file" name="photos" accept="image/*" multiple>' +
+      (entry.photos && entry.photos.length ? '<span>已有 ' + entry.photos.length + ' 张，新选的照片会追加</span>' : '') + '</div>';
+    html += '<div class="jn-form-row"><span class="jn-form-label">概览时间线</span><select name="timeline">' +
+      '<option value=""' + (entry.timeline == null ? ' selected' : '') + '>自动（有异常时显示）</option>' +
+      '<option value="true"' + (entry.timeline === true ? ' selected' : '') + '>显示</option>' +
+      '<option value="false"' + (entry.timeline === false ? ' selected' : '') + '>不显示</option>' +
+      '</select></div>';
+
+    html += '<div class="jn-form-errors" id="jn-form-errors"></div>';
+    html += '<div class="jn-form-actions">';
+    html += '  <button type="submit" class="jn-action jn-action--primary">保存</button>';
+    html += '  <button type="button" class="jn-action" id="jn-form-cancel">取消</button>';
+    html += '</div>';
+    html += '</form>';
+    return html;
+  }
+
+  /**
+   * Read and validate the form (photos are handled separately).
+   * @returns {{ record: object|null, errors: string[] }}
+   */
+  function readForm(form, existing) {
+    var errors = [];
+    var date = form.elements.date.value;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) errors.push('请选择日期');
+    var clash = entries().filter(function (e) {
+      return e.date === date && (!existing || e.id !== existing.id);
+    })[0];
+    if (clash) errors.push(date + ' 已有日志，请编辑那一条');
+
+    var rawVomiting = form.elements.vomiting.value.trim();
+    var vomiting = rawVomiting === '' ? 0 : Number(rawVomiting);
+    if (!/^\d*$/.test(rawVomiting) || vomiting > 20) errors.push('呕吐次数应为 0–20 之间的整数');
+
+    if (errors.length) return { record: null, errors: errors };
+
+    // Key order mirrors data/journal.json so exports diff cleanly
+    var record = { id: existing ? existing.id : newId(), date: date };
+    FIELDS.forEach(function (f) {
+      var checked = form.querySelector('input[name="' + f.key + '"]:checked');
+      if (checked) record[f.key] = Number(checked.value);
+    });
+    record.vomiting = vomiting;
+    var note = form.elements.note.value.trim();
+    if (note) record.note = note;
+    if (existing && existing.photos && existing.photos.length) record.photos = existing.photos.slice();
+    var timeline = form.elements.timeline.value;
+    if (timeline) record.timeline = timeline === 'true';
+
+    return { record: record, errors: [] };
+  }
+
+  /** Hex SHA-256 of a file, or null where crypto.subtle is unavailable. */
+  function fileHash(file) {
+    if (!window.crypto || !window.crypto.subtle || !file.arrayBuffer) return Promise.resolve(null);
+    return file.arrayBuffer().then(function (buffer) {
+      return window.crypto.subtle.digest('SHA-256', buffer);
+    }).then(function (digest) {
+      return Array.prototype.map.call(new Uint8Array(digest), function (b) {
+        return ('0' + b.toString(16)).slice(-2);
+      }).join('');
+    });
+  }
+
+  /**
+   * Keep the chosen photos as LocalStore assets, one after another.
+   * @returns {Promise<string[]>} Their asset paths
+   */
+  function savePhotos(entryId, files, startIndex) {
+    var paths = [];
+    var chain = Promise.resolve();
+    files.forEach(function (file, i) {
+      var ext = (/\.(\w+)$/.exec(file.name) || [null, 'jpg'])[1].toLowerCase();
+      var path = 'assets/journal/' + entryId + '-' + (startIndex + i + 1) + '.' + ext;
+      chain = chain.then(function () {
+        return fileHash(file);
+      }).then(function (hash) {
+        return window.LocalStore.putAsset(path, file, hash);
+      }).then(function () {
+        paths.push(path);
+      });
+    });
+    return chain.then(function () { return paths; });
+  }
+
+  function initForm() {
+    var wrap = document.getElementById('jn-form-wrap');
+
+    function closeForm() {
+      wrap.style.display = 'none';
+      wrap.innerHTML = '';
+    }
+
+    function openForm(existing) {
+      var draft = existing || { date: isoDate(new Date()) };
+      wrap.innerHTML = buildForm(draft);
+      wrap.style.display = '';
+
+      var form = document.getElementById('jn-form');
+      var errorsEl = document.getElementById('jn-form-errors');
+      document.getElementById('jn-form-cancel').addEventListener('click', closeForm);
+
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        var result = readForm(form, existing);
+        var files = Array.prototype.slice.call(form.elements.photos.files || []);
+        var already = (result.record && result.record.photos) ? result.record.photos.length : 0;
+        if (already + files.length > MAX_PHOTOS) result.errors.push('每条日志最多 ' + MAX_PHOTOS + ' 张照片');
+        errorsEl.innerHTML = result.errors.map(escapeHtml).join('<br>');
+        if (!result.record || result.errors.length) return;
+
+        if (!window.LocalStore) {
+          errorsEl.textContent = '本地存储模块未加载，无法保存。';
+          return;
+        }
+
+        var record = result.record;
+        savePhotos(record.id, files, already).then(function (paths) {
+          if (paths.length) record.photos = (record.photos || []).concat(paths);
+          return existing
+            ? window.LocalStore.updateRecord(DATASET, PATH, existing, record)
+            : window.LocalStore.addRecord(DATASET, PATH, record);
+        }).then(function () {
+          closeForm();
+          buildBody();
+        }).catch(function (err) {
+          console.error('[Journal] Failed to save entry:', err);
+          errorsEl.textContent = '保存失败：' + (err && err.message ? err.message : err);
+        });
+      });
+
+      wrap.scrollIntoView({ block: 'nearest' });
+    }
+
+    document.getElementById('jn-add').addEventListener('click', function () {
+      var today = isoDate(new Date());
+      // One entry per day: today's existing entry opens for editing
+      var todays = entries().filter(function (e) { return e.date === today; })[0];
+      openForm(todays || null);
+    });
+
+    document.getElementById('jn-export').addEventListener('click', function () {
+      if (!window.LocalStore) return;
+      window.LocalStore.downloadDataset(DATASET);
+    });
+
+    document.getElementById('jn-body').addEventListener('click', function (e) {
+      var entryEl = e.target.closest('.jn-entry');
+      if (!entryEl) return;
+      var entry = findLive(entryEl.getAttribute('data-id'));
+      if (!entry) return;
+
+      if (e.target.classList.contains('jn-photo')) {
+        if (window.ReportViewer) window.ReportViewer.showImage(e.target.src, entry.date + ' 日志照片');
+        return;
+      }
+      var action = e.target.getAttribute('data-action');
+      if (action === 'edit') {
+        openForm(entry);
+      } else if (action === 'delete') {
+        if (!window.confirm('确定删除 ' + entry.date + ' 的日志？')) return;
+        window.LocalStore.removeRecord(DATASET, PATH, entry).then(function () {
+          // The photos have no other copy; drop them with the entry
+          return window.LocalStore.removeAssets(entry.photos || []);
+        }).then(buildBody).catch(function (err) {
+          console.error('[Journal] Failed to delete entry:', err);
+          document.getElementById('jn-status').textContent = '删除失败：' + err.message;
+        });
+      }
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Public render()                                                    */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * @param {string} [entryId] - From the hash (#journal/<id>); scrolled to and outlined
+   */
+  function render(entryId) {
+    var container = document.getElementById('content');
+
+    injectStyles();
+
+    var html = '';
+    html += '<div class="jn-toolbar">';
+    html += '  <span class="jn-form-errors" id="jn-status"></span>';
+    html += '  <button class="jn-action jn-action--primary" id="jn-add">+ 今日记录</button>';
+    html += '  <button class="jn-action" id="jn-export">导出 JSON</button>';
+    html += '</div>';
+    html += '<div class="jn-form-wrap" id="jn-form-wrap" style="display:none;"></div>';
+    html += '<div id="jn-body"></div>';
+    container.innerHTML = html;
+
+    initForm();
+    buildBody();
+
+    if (entryId) {
+      var target = container.querySelector('.jn-entry[data-id="' + entryId.replace(/"/g, '') + '"]');
+      if (target) {
+        target.classList.add('jn-entry--focus');
+        target.scrollIntoView({ block: 'center' });
+      }
+    }
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Export                                                              */
+  /* ------------------------------------------------------------------ */
+
+  window.Journal = {
+    render: render,
+    notableReasons: notableReasons,
+    timelineEvents: timelineEvents
+  };
+
+})();
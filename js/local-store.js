@@ -0,0 +1,961 @@
+/**
+ * LocalStore - Browser-side persistence for StrongToby
+ * Keeps per-dataset change sets in IndexedDB and overlays them on top of the
+ * read-only data/*.json files after they are fetched, so edits made in the
+ * browser survive a reload and can be exported back into the repo.
+ *
+ * A change targets a collection inside a dataset by path. Paths are dotted;
+ * a segment of the form `key[name]` picks the array element whose `name`
+ * equals `name`:
+ *   "records"                                   - bloodPressure.records
+ *   "dosageChanges"                             - medications.dosageChanges
+ *   "categories[血常规].items[WBC 白细胞].results" - one blood-work indicator
+ *
+ * Every record in a touched collection is tagged (non-enumerable, so it never
+ * leaks into exports) with its origin: "shipped", "local" or "modified".
+ * A dataset restored from a backup is stored as a single "replace" change and
+ * becomes the baseline that later changes apply on top of.
+ *
+ * Asset files (report PDFs, images) restored from a backup are kept as blobs
+ * and served through object URLs via assetUrl(). Text extracted from report
+ * PDFs is cached alongside them (see pdf-text.js).
+ *
+ * Usage:
+ *   window.LocalStore.mergeInto(appData)                         - Overlay change sets onto AppData
+ *   window.LocalStore.addRecord(dataset, path, record)           - Add a record
+ *   window.LocalStore.updateRecord(dataset, path, old, record)   - Replace a record
+ *   window.LocalStore.removeRecord(dataset, path, record)        - Remove a record
+ *   window.LocalStore.setValue(dataset, path, value)             - Overwrite a field
+ *   window.LocalStore.replaceDataset(dataset, data)              - Replace a whole dataset
+ *   window.LocalStore.restoreBackup({ reset, replace, assets })  - Write a verified backup in one transaction
+ *   window.LocalStore.stableStringify(value)                     - JSON with sorted keys, for comparisons
+ *   window.LocalStore.getOrigin(record) / isLocal(record)        - Local vs. shipped
+ *   window.LocalStore.getChanges(dataset)                        - Pending changes
+ *   window.LocalStore.discardChanges(dataset)                    - Drop a dataset's changes
+ *   window.LocalStore.exportDataset(dataset)                     - Merged snapshot (plain JSON)
+ *   window.LocalStore.downloadDataset(dataset)                   - Save the snapshot as its data/ file
+ *   window.LocalStore.putAsset(path, blob, sha256)               - Keep an asset file (restored, or a journal photo)
+ *   window.LocalStore.getAssets()                                - Kept assets: [{ path, sha256, size, origin }]
+ *   window.LocalStore.removeAssets(paths)                        - Delete some kept assets
+ *   window.LocalStore.clearAssets()                              - Delete restored assets; journal photos stay
+ *   window.LocalStore.assetUrl(path)                             - Object URL of a restored asset, or null
+ *   window.LocalStore.assetSha256(path)                          - Checksum of a kept asset, or null
+ *   window.LocalStore.putPdfText(path, pages, version, sha256)   - Cache text extracted from a PDF
+ *   window.LocalStore.getPdfTexts()                              - All cached PDF text
+ *   window.LocalStore.clearPdfText()                             - Drop the PDF text cache
+ */
+(function () {
+  'use strict';
+
+  /* ======================================================================
+   *  Constants
+   * ====================================================================== */
+
+  var DB_NAME = 'strongtoby';
+  var DB_VERSION = 4;
+  var STORE_CHANGES = 'changes';
+  var STORE_ASSETS = 'assets';
+  var STORE_PDF_TEXT = 'pdfText';
+
+  /** v1 store holding plain appended records; migrated into STORE_CHANGES */
+  var LEGACY_STORE_RECORDS = 'records';
+
+  var ORIGIN_SHIPPED = 'shipped';
+  var ORIGIN_LOCAL = 'local';
+  var ORIGIN_MODIFIED = 'modified';
+
+  /**
+   * Assets under this prefix were created in the browser (journal photos)
+   * and exist nowhere else; everything else was restored from a backup and
+   * can be fetched again.
+   */
+  var USER_ASSET_PREFIX = 'assets/journal/';
+  var ASSET_ORIGIN_USER = 'user';
+  var ASSET_ORIGIN_RESTORED = 'restored';
+
+  /* ======================================================================
+   *  Internal state
+   * ====================================================================== */
+
+  var _dbPromise = null;
+
+  /** The AppData object last passed to mergeInto(); edits are mirrored into it */
+  var _appData = null;
+
+  /** Restored asset path -> object URL, filled by mergeInto() */
+  var _assetUrls = {};
+
+  /** Kept asset path -> sha256 of the copy behind its object URL */
+  var _assetShas = {};
+
+  /* ======================================================================
+   *  IndexedDB helpers
+   * ====================================================================== */
+
+  /**
+   * Open (and lazily upgrade) the database. Resolves to null when IndexedDB
+   * is unavailable (e.g. private browsing in some WebViews), so callers can
+   * fall back to the shipped data without special-casing.
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  function openDB() {
+    if (_dbPromise) return _dbPromise;
+
+    _dbPromise = new Promise(function (resolve) {
+      if (!window.indexedDB) {
+        console.warn('[LocalStore] IndexedDB is not available; local changes are disabled.');
+        resolve(null);
+        return;
+      }
+
+      var req = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      req.onupgradeneeded = function () {
+        var db = req.result;
+        var tx = req.transaction;
+
+        if (!db.objectStoreNames.contains(STORE_CHANGES)) {
+          var store = db.createObjectStore(STORE_CHANGES, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('dataset', 'dataset', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(STORE_ASSETS)) {
+          db.createObjectStore(STORE_ASSETS, { keyPath: 'path' });
+        }
+
+        if (!db.objectStoreNames.contains(STORE_PDF_TEXT)) {
+          db.createObjectStore(STORE_PDF_TEXT, { keyPath: 'path' });
+        }
+
+        if (db.objectStoreNames.contains(LEGACY_STORE_RECORDS)) {
+          migrateLegacyRecords(db, tx);
+        }
+      };
+
+      req.onsuccess = function () {
+        var db = req.result;
+        // Let a newer version of the app (open in another tab) upgrade the schema
+        db.onversionchange = function () {
+          db.close();
+          _dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = function () {
+        console.error('[LocalStore] Failed to open database:', req.error);
+        resolve(null);
+      };
+    });
+
+    return _dbPromise;
+  }
+
+  /**
+   * Move v1 records (always appended to `records`) into the change-set store
+   * as "add" changes, then drop the old store.
+   */
+  function migrateLegacyRecords(db, tx) {
+    var changes = tx.objectStore(STORE_CHANGES);
+    var cursorReq = tx.objectStore(LEGACY_STORE_RECORDS).openCursor();
+    cursorReq.onsuccess = function () {
+      var cursor = cursorReq.result;
+      if (cursor) {
+        changes.add({
+          dataset: cursor.value.dataset,
+          op: 'add',
+          path: 'records',
+          record: cursor.value.record,
+          createdAt: cursor.value.createdAt
+        });
+        cursor.continue();
+      } else {
+        db.deleteObjectStore(LEGACY_STORE_RECORDS);
+      }
+    };
+  }
+
+  /**
+   * Wrap an IDBRequest in a Promise.
+   */
+  function promisify(req) {
+    return new Promise(function (resolve, reject) {
+      req.onsuccess = function () { resolve(req.result); };
+      req.onerror = function () { reject(req.error); };
+    });
+  }
+
+  /**
+   * Run `fn(store)` inside a transaction on one store (default: changes) and resolve
+   * with its (promised) result once the transaction completes.
+   */
+  function withStore(mode, fn, storeName) {
+    storeName = storeName || STORE_CHANGES;
+    return openDB().then(function (db) {
+      if (!db) throw new Error('本地存储不可用');
+      var tx = db.transaction(storeName, mode);
+      var result = fn(tx.objectStore(storeName));
+      return new Promise(function (resolve, reject) {
+        tx.oncomplete = function () { resolve(result); };
+        tx.onerror = function () { reject(tx.error); };
+        tx.onabort = function () { reject(tx.error); };
+      });
+    });
+  }
+
+  /**
+   * Read all changes, optionally limited to one dataset, in the order they
+   * were made.
+   * @param {string} [dataset]
+   * @returns {Promise<Array>}
+   */
+  function getChanges(dataset) {
+    return openDB().then(function (db) {
+      if (!db) return [];
+      var store = db.transaction(STORE_CHANGES, 'readonly').objectStore(STORE_CHANGES);
+      var req = dataset ? store.index('dataset').getAll(dataset) : store.getAll();
+      return promisify(req);
+    }).then(function (rows) {
+      return rows.sort(function (a, b) { return a.id - b.id; });
+    });
+  }
+
+  function putChange(change) {
+    var idReq;
+    return withStore('readwrite', function (store) {
+      idReq = store.put(change);
+    }).then(function () {
+      change.id = idReq.result;
+      return change;
+    });
+  }
+
+  function deleteChanges(ids) {
+    if (!ids.length) return Promise.resolve();
+    return withStore('readwrite', function (store) {
+      ids.forEach(function (id) { store.delete(id); });
+    });
+  }
+
+  /* ======================================================================
+   *  Record tagging & comparison
+   * ====================================================================== */
+
+  /**
+   * JSON with object keys sorted, so equality does not depend on key order.
+   */
+  function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(stableStringify).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort().map(function (k) {
+        return JSON.stringify(k) + ':' + stableStringify(value[k]);
+      }).join(',') + '}';
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  function sameRecord(a, b) {
+    return stableStringify(a) === stableStringify(b);
+  }
+
+  /** Small non-cryptographic string hash (FNV-1a, 32 bit) as 8 hex chars. */
+  function hashString(str) {
+    var h = 0x811c9dc5;
+    for (var i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return ('0000000' + (h >>> 0).toString(16)).slice(-8);
+  }
+
+  /** Attach the non-enumerable identity/origin tags to a record. */
+  function tag(record, key, origin) {
+    Object.defineProperty(record, '_key', { value: key, enumerable: false, configurable: true });
+    Object.defineProperty(record, '_origin', { value: origin, enumerable: false, configurable: true });
+    return record;
+  }
+
+  /**
+   * Give every not-yet-tagged object in a shipped collection a content-based
+   * key, so changes can target it across reloads. Identical records get an
+   * occurrence suffix.
+   */
+  function tagCollection(arr) {
+    var seen = {};
+    arr.forEach(function (record) {
+      if (!record || typeof record !== 'object' || record._key) return;
+      var key = 'shipped:' + hashString(stableStringify(record));
+      seen[key] = (seen[key] || 0) + 1;
+      if (seen[key] > 1) key += '#' + seen[key];
+      tag(record, key, ORIGIN_SHIPPED);
+    });
+    return arr;
+  }
+
+  /** Plain deep copy, stripping the tags. */
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /* ======================================================================
+   *  Path resolution
+   * ====================================================================== */
+
+  /**
+   * Split "categories[血常规].items" into [{ key: 'categories', match: '血常规' }, { key: 'items' }].
+   */
+  function parsePath(path) {
+    return String(path).split('.').map(function (seg) {
+      var m = /^([^\[]+)\[(.*)\]$/.exec(seg);
+      return m ? { key: m[1], match: m[2] } : { key: seg, match: null };
+    });
+  }
+
+  /**
+   * Walk `path` inside `root`. With `create`, missing containers are made
+   * (arrays for `key[name]` lookups get a `{ name }` element appended).
+   * @returns {*} The value at the path, or undefined
+   */
+  function resolvePath(root, path, create) {
+    var segments = parsePath(path);
+    var node = root;
+
+    for (var i = 0; i < segments.length; i++) {
+      var seg = segments[i];
+      var isLast = i === segments.length - 1;
+      if (!node || typeof node !== 'object') return undefined;
+
+      if (seg.match === null) {
+        if (node[seg.key] === undefined) {
+          if (!create) return undefined;
+          node[seg.key] = isLast ? [] : {};
+        }
+        node = node[seg.key];
+        continue;
+      }
+
+      if (!Array.isArray(node[seg.key])) {
+        if (!create) return undefined;
+        node[seg.key] = [];
+      }
+      var arr = node[seg.key];
+      var found = null;
+      for (var j = 0; j < arr.length; j++) {
+        if (arr[j] && arr[j].name === seg.match) { found = arr[j]; break; }
+      }
+      if (!found) {
+        if (!create) return undefined;
+        found = { name: seg.match };
+        arr.push(found);
+      }
+      node = found;
+      if (isLast) return node;
+    }
+
+    return node;
+  }
+
+  /** Split "a.b.c" into the parent path "a.b" and the final key "c". */
+  function splitParent(path) {
+    var idx = String(path).lastIndexOf('.');
+    return idx === -1 ? { parent: null, key: path } : { parent: path.slice(0, idx), key: path.slice(idx + 1) };
+  }
+
+  function indexOfKey(arr, key) {
+    for (var i = 0; i < arr.length; i++) {
+      if (arr[i] && arr[i]._key === key) return i;
+    }
+    return -1;
+  }
+
+  /* ======================================================================
+   *  Applying changes
+   * ====================================================================== */
+
+  /**
+   * Apply one change to a dataset object in place.
+   * @returns {boolean} false when the change no longer applies (its effect is
+   *   already part of the shipped file, or its target is gone) and can be pruned
+   */
+  function applyChange(data, change) {
+    var arr, idx;
+
+    switch (change.op) {
+      case 'add':
+        arr = resolvePath(data, change.path, true);
+        if (!Array.isArray(arr)) return false;
+        tagCollection(arr);
+        for (var i = 0; i < arr.length; i++) {
+          if (arr[i] && arr[i]._origin === ORIGIN_SHIPPED && sameRecord(arr[i], change.record)) return false;
+        }
+        arr.push(tag(clone(change.record), 'local:' + change.id, ORIGIN_LOCAL));
+        return true;
+
+      case 'update':
+        arr = resolvePath(data, change.path, false);
+        if (!Array.isArray(arr)) return false;
+        tagCollection(arr);
+        idx = indexOfKey(arr, change.target);
+        if (idx === -1 || sameRecord(arr[idx], change.record)) return false;
+        arr[idx] = tag(clone(change.record), change.target, ORIGIN_MODIFIED);
+        return true;
+
+      case 'remove':
+        arr = resolvePath(data, change.path, false);
+        if (!Array.isArray(arr)) return false;
+        tagCollection(arr);
+        idx = indexOfKey(arr, change.target);
+        if (idx === -1) return false;
+        arr.splice(idx, 1);
+        return true;
+
+      case 'set':
+        var parts = splitParent(change.path);
+        var parent = parts.parent ? resolvePath(data, parts.parent, true) : data;
+        if (!parent || typeof parent !== 'object') return false;
+        if (sameRecord(parent[parts.key], change.value)) return false;
+        parent[parts.key] = clone(change.value);
+        return true;
+
+      default:
+        console.warn('[LocalStore] Unknown change op "' + change.op + '".');
+        return false;
+    }
+  }
+
+  /**
+   * Apply every stored change onto the freshly fetched AppData. Changes
+   * whose effect is already in the shipped files are deleted. Datasets that
+   * failed to load are left untouched (and their changes kept).
+   * @param {object} appData - window.AppData
+   * @returns {Promise<void>}
+   */
+  function mergeInto(appData) {
+    _appData = appData;
+
+    return getChanges().then(function (changes) {
+      var obsolete = [];
+      changes.forEach(function (change) {
+        if (change.op === 'replace') {
+          // Restored datasets apply even when the shipped file failed to load
+          if (sameRecord(appData[change.dataset], change.value)) {
+            obsolete.push(change.id);
+          } else {
+            appData[change.dataset] = clone(change.value);
+          }
+          return;
+        }
+        var data = appData[change.dataset];
+        if (!data) return;
+        if (!applyChange(data, change)) obsolete.push(change.id);
+      });
+      return deleteChanges(obsolete);
+    }).then(loadAssetUrls);
+  }
+
+  /**
+   * Collection inside the in-memory AppData for a dataset/path, tagged so
+   * records have keys.
+   */
+  function liveCollection(dataset, path) {
+    var data = _appData && _appData[dataset];
+    if (!data) return null;
+    var arr = resolvePath(data, path, false);
+    return Array.isArray(arr) ? tagCollection(arr) : null;
+  }
+
+  /* ======================================================================
+   *  Record API
+   * ====================================================================== */
+
+  /**
+   * Add a record to a collection.
+   * @param {string} dataset - AppData key (e.g. "bloodPressure")
+   * @param {string} path    - Collection path (e.g. "records")
+   * @param {object} record
+   * @returns {Promise<object>} The in-memory (tagged) record
+   */
+  function addRecord(dataset, path, record) {
+    var change = {
+      dataset: dataset,
+      op: 'add',
+      path: path,
+      record: clone(record),
+      createdAt: new Date().toISOString()
+    };
+    return putChange(change).then(function (saved) {
+      var data = _appData && _appData[dataset];
+      if (!data) return tag(clone(saved.record), 'local:' + saved.id, ORIGIN_LOCAL);
+
+      if (applyChange(data, saved)) {
+        var arr = resolvePath(data, path, false);
+        return arr[arr.length - 1];
+      }
+
+      // Identical to a shipped record: keep nothing, hand back the shipped one
+      return deleteChanges([saved.id]).then(function () {
+        var existing = resolvePath(data, path, false) || [];
+        return existing.filter(function (r) { return sameRecord(r, saved.record); })[0] || null;
+      });
+    });
+  }
+
+  /**
+   * Replace `oldRecord` (an element of the in-memory collection) with `record`.
+   * Local records are rewritten in place; shipped ones get a single
+   * "update" change that later edits overwrite.
+   * @returns {Promise<object>} The in-memory (tagged) replacement
+   */
+  function updateRecord(dataset, path, oldRecord, record) {
+    var arr = liveCollection(dataset, path);
+    if (!arr || arr.indexOf(oldRecord) === -1) {
+      return Promise.reject(new Error('记录不存在'));
+    }
+    var key = oldRecord._key;
+
+    var saving;
+    if (oldRecord._origin === ORIGIN_LOCAL) {
+      saving = getChanges(dataset).then(function (changes) {
+        var id = Number(key.split(':')[1]);
+        var existing = changes.filter(function (c) { return c.id === id; })[0];
+        if (!existing) throw new Error('本地记录不存在');
+        existing.record = clone(record);
+        return putChange(existing);
+      });
+    } else {
+      saving = getChanges(dataset).then(function (changes) {
+        var existing = changes.filter(function (c) {
+          return c.op === 'update' && c.path === path && c.target === key;
+        })[0];
+        var change = existing || { dataset: dataset, op: 'update', path: path, target: key };
+        change.record = clone(record);
+        change.createdAt = new Date().toISOString();
+        return putChange(change);
+      });
+    }
+
+    return saving.then(function () {
+      var origin = oldRecord._origin === ORIGIN_LOCAL ? ORIGIN_LOCAL : ORIGIN_MODIFIED;
+      var live = tag(clone(record), key, origin);
+      var idx = arr.indexOf(oldRecord);
+      if (idx !== -1) arr[idx] = live;
+      return live;
+    });
+  }
+
+  /**
+   * Remove a record from a collection. Removing a local record simply drops
+   * its "add" change.
+   * @returns {Promise<void>}
+   */
+  function removeRecord(dataset, path, record) {
+    var arr = liveCollection(dataset, path);
+    if (!arr || arr.indexOf(record) === -1) {
+      return Promise.reject(new Error('记录不存在'));
+    }
+    var key = record._key;
+
+    return getChanges(dataset).then(function (changes) {
+      if (record._origin === ORIGIN_LOCAL) {
+        return deleteChanges([Number(key.split(':')[1])]);
+      }
+      var pendingUpdates = changes.filter(function (c) {
+        return c.op === 'update' && c.path === path && c.target === key;
+      }).map(function (c) { return c.id; });
+      return deleteChanges(pendingUpdates).then(function () {
+        return putChange({
+          dataset: dataset,
+          op: 'remove',
+          path: path,
+          target: key,
+          createdAt: new Date().toISOString()
+        });
+      });
+    }).then(function () {
+      var idx = arr.indexOf(record);
+      if (idx !== -1) arr.splice(idx, 1);
+    });
+  }
+
+  /**
+   * Overwrite a non-collection field (e.g. a settings object).
+   * Replaces any earlier "set" for the same path.
+   * @returns {Promise<void>}
+   */
+  function setValue(dataset, path, value) {
+    return getChanges(dataset).then(function (changes) {
+      var previous = changes.filter(function (c) {
+        return c.op === 'set' && c.path === path;
+      }).map(function (c) { return c.id; });
+      return deleteChanges(previous);
+    }).then(function () {
+      return putChange({
+        dataset: dataset,
+        op: 'set',
+        path: path,
+        value: clone(value),
+        createdAt: new Date().toISOString()
+      });
+    }).then(function (change) {
+      var data = _appData && _appData[dataset];
+      if (data) applyChange(data, change);
+    });
+  }
+
+  /**
+   * Replace a whole dataset (e.g. when restoring a backup). Earlier changes
+   * for the dataset are dropped; the new data becomes its baseline.
+   * @returns {Promise<void>}
+   */
+  function replaceDataset(dataset, data) {
+    return discardChanges(dataset).then(function () {
+      return putChange({
+        dataset: dataset,
+        op: 'replace',
+        value: clone(data),
+        createdAt: new Date().toISOString()
+      });
+    }).then(function () {
+      if (_appData) _appData[dataset] = clone(data);
+    });
+  }
+
+  /**
+   * Restore a backup in one transaction, so a failure leaves the store as
+   * it was. Every dataset in `reset` loses its local changes; those in
+   * `replace` then get the backup's data as their baseline. Assets are
+   * stored with their cached PDF text dropped.
+   * @param {{ reset: string[], replace: Object<string, object>,
+   *   assets: Array<{ path: string, blob: Blob, sha256: string }> }} plan
+   * @returns {Promise<void>}
+   */
+  function restoreBackup(plan) {
+    var reset = {};
+    plan.reset.concat(Object.keys(plan.replace)).forEach(function (dataset) { reset[dataset] = true; });
+    var now = new Date().toISOString();
+
+    return openDB().then(function (db) {
+      if (!db) throw new Error('本地存储不可用');
+      var tx = db.transaction([STORE_CHANGES, STORE_ASSETS, STORE_PDF_TEXT], 'readwrite');
+      return new Promise(function (resolve, reject) {
+        var failed = null;
+        tx.oncomplete = function () { resolve(); };
+        tx.onerror = function () { reject(failed || tx.error); };
+        tx.onabort = function () { reject(failed || tx.error); };
+
+        // A put that throws (e.g. an uncloneable value) must not let the
+        // rest of the transaction commit
+        function guard(fn) {
+          try {
+            fn();
+          } catch (err) {
+            failed = err;
+            tx.abort();
+          }
+        }
+
+        guard(function () {
+          var changes = tx.objectStore(STORE_CHANGES);
+          var cursorReq = changes.openCursor();
+          cursorReq.onsuccess = function () {
+            guard(function () {
+              var cursor = cursorReq.result;
+              if (cursor) {
+                if (reset[cursor.value.dataset]) cursor.delete();
+                cursor.continue();
+                return;
+              }
+              // Add the new baselines only after the old changes are gone
+              Object.keys(plan.replace).forEach(function (dataset) {
+                changes.put({ dataset: dataset, op: 'replace', value: clone(plan.replace[dataset]), createdAt: now });
+              });
+            });
+          };
+          plan.assets.forEach(function (asset) {
+            tx.objectStore(STORE_ASSETS).put({ path: asset.path, blob: asset.blob, sha256: asset.sha256, savedAt: now });
+            tx.objectStore(STORE_PDF_TEXT).delete(asset.path);
+          });
+        });
+      });
+    }).then(function () {
+      Object.keys(plan.replace).forEach(function (dataset) {
+        if (_appData) _appData[dataset] = clone(plan.replace[dataset]);
+      });
+      plan.assets.forEach(function (asset) {
+        if (_assetUrls[asset.path]) URL.revokeObjectURL(_assetUrls[asset.path]);
+        _assetUrls[asset.path] = URL.createObjectURL(asset.blob);
+        _assetShas[asset.path] = asset.sha256 || null;
+      });
+    });
+  }
+
+  /**
+   * Drop every local change for a dataset. The in-memory AppData still
+   * contains them until the data is reloaded.
+   * @returns {Promise<void>}
+   */
+  function discardChanges(dataset) {
+    return getChanges(dataset).then(function (changes) {
+      return deleteChanges(changes.map(function (c) { return c.id; }));
+    });
+  }
+
+  /**
+   * Where a record came from: "shipped", "local", "modified", or
+   * undefined for values that are not tracked (e.g. plain strings).
+   */
+  function getOrigin(record) {
+    if (!record || typeof record !== 'object') return undefined;
+    return record._origin || ORIGIN_SHIPPED;
+  }
+
+  /**
+   * Whether a record was added or edited in this browser rather than shipped in data/.
+   * @param {object} record
+   * @returns {boolean}
+   */
+  function isLocal(record) {
+    var origin = getOrigin(record);
+    return origin === ORIGIN_LOCAL || origin === ORIGIN_MODIFIED;
+  }
+
+  /* ======================================================================
+   *  Restored assets
+   * ====================================================================== */
+
+  /**
+   * Keep a copy of an asset file (report PDF, image, journal photo) locally.
+   * @param {string} path    - Path as referenced by reports-index.json or a journal entry
+   * @param {Blob}   blob
+   * @param {string|null} sha256 - Hex checksum, recorded for later comparison
+   * @returns {Promise<void>}
+   */
+  function putAsset(path, blob, sha256) {
+    return withStore('readwrite', function (store) {
+      store.put({ path: path, blob: blob, sha256: sha256, savedAt: new Date().toISOString() });
+    }, STORE_ASSETS).then(function () {
+      if (_assetUrls[path]) URL.revokeObjectURL(_assetUrls[path]);
+      _assetUrls[path] = URL.createObjectURL(blob);
+      _assetShas[path] = sha256 || null;
+      // Text extracted from the previous copy no longer applies
+      return withStore('readwrite', function (store) {
+        store.delete(path);
+      }, STORE_PDF_TEXT);
+    });
+  }
+
+  /**
+   * List locally kept assets (without their blobs). `origin` is "user" for
+   * journal photos and "restored" for files restored from a backup.
+   * @returns {Promise<Array<{ path: string, sha256: string, size: number, origin: string }>>}
+   */
+  function getAssets() {
+    return openDB().then(function (db) {
+      if (!db) return [];
+      return promisify(db.transaction(STORE_ASSETS, 'readonly').objectStore(STORE_ASSETS).getAll());
+    }).then(function (rows) {
+      return rows.map(function (row) {
+        return {
+          path: row.path,
+          sha256: row.sha256,
+          size: row.blob ? row.blob.size : 0,
+          origin: row.path.indexOf(USER_ASSET_PREFIX) === 0 ? ASSET_ORIGIN_USER : ASSET_ORIGIN_RESTORED
+        };
+      });
+    });
+  }
+
+  /**
+   * Delete the given locally kept assets and their cached PDF text.
+   * @param {string[]} paths
+   * @returns {Promise<void>}
+   */
+  function removeAssets(paths) {
+    if (!paths || !paths.length) return Promise.resolve();
+    return withStore('readwrite', function (store) {
+      paths.forEach(function (path) { store.delete(path); });
+    }, STORE_ASSETS).then(function () {
+      paths.forEach(function (path) {
+        if (_assetUrls[path]) URL.revokeObjectURL(_assetUrls[path]);
+        delete _assetUrls[path];
+        delete _assetShas[path];
+      });
+      return withStore('readwrite', function (store) {
+        paths.forEach(function (path) { store.delete(path); });
+      }, STORE_PDF_TEXT);
+    });
+  }
+
+  /**
+   * Delete every asset restored from a backup, and the PDF text cache.
+   * Journal photos are kept: they have no other copy.
+   * @returns {Promise<void>}
+   */
+  function clearAssets() {
+    return getAssets().then(function (assets) {
+      return removeAssets(assets.filter(function (a) {
+        return a.origin === ASSET_ORIGIN_RESTORED;
+      }).map(function (a) { return a.path; }));
+    }).then(clearPdfText);
+  }
+
+  function loadAssetUrls() {
+    return openDB().then(function (db) {
+      if (!db) return [];
+      return promisify(db.transaction(STORE_ASSETS, 'readonly').objectStore(STORE_ASSETS).getAll());
+    }).then(function (rows) {
+      rows.forEach(function (row) {
+        if (!row.blob || _assetUrls[row.path]) return;
+        _assetUrls[row.path] = URL.createObjectURL(row.blob);
+        _assetShas[row.path] = row.sha256 || null;
+      });
+    });
+  }
+
+  /**
+   * Object URL for a locally kept asset, or null when the path should be
+   * loaded from the server as usual.
+   * @param {string} path
+   * @returns {string|null}
+   */
+  function assetUrl(path) {
+    return (path && _assetUrls[path]) || null;
+  }
+
+  /**
+   * Checksum of a locally kept asset, or null when the path is served from
+   * the server (or was kept without one).
+   * @param {string} path
+   * @returns {string|null}
+   */
+  function assetSha256(path) {
+    return (path && _assetShas[path]) || null;
+  }
+
+  /* ======================================================================
+   *  Extracted PDF text
+   * ====================================================================== */
+
+  /**
+   * Cache the text extracted from a report PDF, one string per page.
+   * @param {string}   path  - Asset path as referenced by reports-index.json
+   * @param {string[]} pages
+   * @param {number}   version - Extractor version; stale versions are re-extracted
+   * @param {string|null} sha256 - Checksum of the kept asset the text came from (null for server files)
+   * @returns {Promise<void>}
+   */
+  function putPdfText(path, pages, version, sha256) {
+    return withStore('readwrite', function (store) {
+      store.put({ path: path, pages: pages, version: version, sha256: sha256 || null, extractedAt: new Date().toISOString() });
+    }, STORE_PDF_TEXT);
+  }
+
+  /**
+   * Every cached PDF text entry.
+   * @returns {Promise<Array<{ path: string, pages: string[], version: number, sha256: string|null }>>}
+   */
+  function getPdfTexts() {
+    return openDB().then(function (db) {
+      if (!db) return [];
+      return promisify(db.transaction(STORE_PDF_TEXT, 'readonly').objectStore(STORE_PDF_TEXT).getAll());
+    });
+  }
+
+  /**
+   * Drop all cached PDF text.
+   * @returns {Promise<void>}
+   */
+  function clearPdfText() {
+    return withStore('readwrite', function (store) {
+      store.clear();
+    }, STORE_PDF_TEXT);
+  }
+
+  /* ======================================================================
+   *  Export
+   * ====================================================================== */
+
+  /**
+   * Data file name for an AppData key (e.g. "bloodPressure" -> "blood-pressure.json").
+   */
+  function fileNameFor(dataset) {
+    var keys = (window.App && window.App.DATA_KEYS) || {};
+    for (var file in keys) {
+      if (keys[file] === dataset) return file;
+    }
+    return dataset + '.json';
+  }
+
+  /**
+   * Merged (shipped + local) snapshot of a dataset as plain JSON data.
+   * @param {string} dataset
+   * @returns {object|null}
+   */
+  function exportDataset(dataset) {
+    var data = _appData && _appData[dataset];
+    return data ? clone(data) : null;
+  }
+
+  /**
+   * Trigger a browser download of `data` as pretty-printed JSON, matching
+   * the 2-space formatting of the files under data/.
+   * @param {string} filename
+   * @param {object} data
+   */
+  function downloadJSON(filename, data) {
+    var blob = new Blob([JSON.stringify(data, null, 2) + '\n'], { type: 'application/json' });
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+  }
+
+  /**
+   * Download the merged snapshot of a dataset under its data/ file name,
+   * ready to be committed back into the repo.
+   * @param {string} dataset
+   */
+  function downloadDataset(dataset) {
+    var snapshot = exportDataset(dataset);
+    if (!snapshot) return;
+    downloadJSON(fileNameFor(dataset), snapshot);
+  }
+
+  /* ======================================================================
+   *  Public API  --  window.LocalStore
+   * ====================================================================== */
+
+  window.LocalStore = {
+    mergeInto: mergeInto,
+    addRecord: addRecord,
+    updateRecord: updateRecord,
+    removeRecord: removeRecord,
+    setValue: setValue,
+    replaceDataset: replaceDataset,
+    restoreBackup: restoreBackup,
+    stableStringify: stableStringify,
+    getChanges: getChanges,
+    discardChanges: discardChanges,
+    getOrigin: getOrigin,
+    isLocal: isLocal,
+    fileNameFor: fileNameFor,
+    exportDataset: exportDataset,
+    downloadJSON: downloadJSON,
+    downloadDataset: downloadDataset,
+    putAsset: putAsset,
+    getAssets: getAssets,
+    removeAssets: removeAssets,
+    clearAssets: clearAssets,
+    assetUrl: assetUrl,
+    assetSha256: assetSha256,
+    putPdfText: putPdfText,
+    getPdfTexts: getPdfTexts,
+    clearPdfText: clearPdfText
+  };
+
+})();
@@ -1,17 +1,114 @@
 /**
  * medication.js
  * Medication records page for StrongToby pet medical records.
- * Renders current medications, dosage change timeline, and history into #content.
+ * Renders the dose checklist, adherence per drug, current medications,
+ * dosage change timeline, and history into #content.
  *
  * Data source: window.AppData.medications
- *   { current: [...], history: [...], dosageChanges: [...] }
+ *   { current: [...], history: [...], dosageChanges: [...],
+ *     administrations: [{ date, medication, scheduled, status, time, note }] }
  *
- * Exports: window.Medication = { render() }
+ * Dose schedule: each current drug's daily dose times are generated from its
+ * `frequency` text ("每日两次（早/晚）" -> 08:00 / 20:00, "每8小时", "隔日一次",
+ * ...), or taken from an optional `doseTimes: ["07:30", "19:30"]` on the
+ * entry. The checklist marks each scheduled dose given / late / skipped with
+ * the actual time; marks are kept in `administrations` via window.LocalStore.
+ *
+ * Adherence counts every dose due since the first mark for that drug: given
+ * and late doses count as taken, skipped and unmarked ones as missed.
+ *
+ * Dosage model: entries carry a structured `dose` and dosage changes a
+ * `fromDose` / `toDose`:
+ *   { amount: 3.75, unit: "mg", basis: "perDose" | "perDay",
+ *     timesPerDay: 2, route: null }
+ * timesPerDay is an average, so "隔日一次" gives 0.5. The stored object is
+ * the source of truth and the dosage text shown is generated from it; the
+ * free-text `dosage` / `from` / `to` is kept for reference, parsed by
+ * parseDosage() ("3.75mg*2", "250mgx2", "每次一片", "2.5mg bid", "10mg/日",
+ * ...) only for entries without an object, and flagged when it reads as a
+ * different dose. Medication cards show the daily total and, for mass
+ * units, mg/kg against the latest weight.json record; the dosage timeline
+ * shows the daily total per change.
+ *
+ * Exports: window.Medication = {
+ *   render(),
+ *   parseDosage(text, frequency) - Structured dose from a dosage string, or null
+ *   doseOf(med)               - Structured dose of an entry (see above)
+ *   describeDose(med)         - Dose text, daily total, mg/kg and text mismatch of an entry
+ *   describeChange(dc, side)  - The same for the "from" / "to" side of a dosage change
+ *   doseSchedule(med, date)   - Scheduled doses of a drug on a day: [{ time, label }]
+ *   lastDoses(date, time)     - Latest actual dose of each drug before a moment
+ * }
  */
 
 (function () {
   'use strict';
 
+  /* ------------------------------------------------------------------ */
+  /*  Constants                                                          */
+  /* ------------------------------------------------------------------ */
+
+  var DATASET = 'medications';
+  var DOSE_PATH = 'administrations';
+
+  var DOSE_STATUS = {
+    given:   { label: '已服', cls: 'given' },
+    late:    { label: '迟服', cls: 'late' },
+    skipped: { label: '跳过', cls: 'skipped' }
+  };
+
+  /** First and last dose of the day when a frequency gives only a count */
+  var DAY_FIRST_DOSE_MIN = 8 * 60;
+  var DAY_LAST_DOSE_MIN = 20 * 60;
+
+  /** Latin frequency abbreviations -> doses per day */
+  var LATIN_DAILY_COUNTS = { qd: 1, sid: 1, od: 1, bid: 2, tid: 3, qid: 4 };
+
+  /** Most doses per day the frequency parser accepts */
+  var MAX_DAILY_DOSES = 6;
+
+  /** Second adherence column: the last N days */
+  var ADHERENCE_RECENT_DAYS = 7;
+
+  /** lastDoses() ignores doses older than this */
+  var LAST_DOSE_WINDOW_HOURS = 48;
+
+  var CN_NUMBERS = {
+    '一': 1, '两': 2, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9, '十': 10, '十二': 12
+  };
+
+  /** Dose units as written -> canonical unit */
+  var DOSE_UNITS = {
+    'mg': 'mg', '毫克': 'mg',
+    'g': 'g', '克': 'g',
+    'mcg': 'mcg', 'μg': 'mcg', 'ug': 'mcg', '微克': 'mcg',
+    'ml': 'ml', '毫升': 'ml',
+    'iu': 'IU', '单位': 'IU',
+    '片': '片', 'tab': '片', 'tabs': '片', 'tablet': '片', 'tablets': '片',
+    '粒': '粒', 'cap': '粒', 'caps': '粒', 'capsule': '粒', 'capsules': '粒',
+    '颗': '颗', '滴': '滴', '袋': '袋', '支': '支'
+  };
+
+  /** Words after the amount that say how often; unread ones leave the dose unread */
+  var FREQUENCY_WORDS = /次|小时|隔|周|\b(?:q\d*[a-z]*|[a-z]id|sid|od|eod)\b/i;
+
+  /** Canonical mass units -> mg; other units have no mg/kg */
+  var MASS_TO_MG = { mg: 1, g: 1000, mcg: 0.001 };
+
+  /** Route keywords -> stored route */
+  var DOSE_ROUTES = [
+    { re: /口服|\bPO\b/i, route: '口服' },
+    { re: /皮下|\bSC\b|\bSQ\b/i, route: '皮下注射' },
+    { re: /肌注|肌肉|\bIM\b/i, route: '肌肉注射' },
+    { re: /静脉|\bIV\b/i, route: '静脉' },
+    { re: /滴眼|眼用/, route: '滴眼' },
+    { re: /滴耳|耳用/, route: '滴耳' },
+    { re: /外用|涂抹/, route: '外用' }
+  ];
+
+  /** Day shown in the checklist; kept across re-renders */
+  var checklistDate = null;
+
   /* ------------------------------------------------------------------ */
   /*  Inject scoped CSS                                                  */
   /* ------------------------------------------------------------------ */
@@ -48,6 +145,8 @@
     css += '.med-timeline-arrow { color:#9b59b6; font-size:16px; font-weight:700; flex-shrink:0; }';
     css += '.med-timeline-to { background:#eafaf1; padding:3px 10px; border-radius:12px; color:#27ae60; font-size:12px; }';
     css += '.med-timeline-reason { margin-top:6px; font-size:12px; color:#888; }';
+    css += '.med-timeline-daily { margin-top:6px; font-size:12px; color:#555; }';
+    css += '.med-dose-mismatch { color:#b9770e; font-size:12px; }';
 
     /* History table */
     css += '.med-table-wrap { overflow-x:auto; margin-bottom:32px; }';
@@ -64,12 +163,678 @@
     /* Empty state */
     css += '.med-empty { color:#aaa; font-size:14px; padding:20px 0; }';
 
+    /* Dose checklist */
+    css += '.med-check-bar { display:flex; flex-wrap:wrap; align-items:center; gap:8px; margin-bottom:12px; font-size:13px; color:#555; }';
+    css += '.med-check-bar input[type="date"] { padding:5px 8px; border:1px solid #ccc; border-radius:4px; font-size:14px; }';
+    css += '.med-btn { padding:4px 12px; border:1px solid #ccc; border-radius:6px; background:#fff; font-size:12px; cursor:pointer; transition:all .15s; }';
+    css += '.med-btn:hover { border-color:#3498db; color:#3498db; }';
+    css += '.med-btn--given:hover { border-color:#27ae60; color:#27ae60; }';
+    css += '.med-btn--late:hover { border-color:#e67e22; color:#e67e22; }';
+    css += '.med-btn--skipped:hover { border-color:#e74c3c; color:#e74c3c; }';
+    css += '.med-dose-time-input { width:96px; padding:3px 6px; border:1px solid #ccc; border-radius:4px; font-size:13px; }';
+    css += '.med-dose-actions { display:flex; flex-wrap:wrap; align-items:center; gap:6px; }';
+    css += '.med-dose-status { display:inline-block; padding:2px 10px; border-radius:10px; font-size:12px; font-weight:600; background:#f3f4f6; color:#6b7280; }';
+    css += '.med-dose-status--given { background:#eafaf1; color:#1e8449; }';
+    css += '.med-dose-status--late { background:#fef5e7; color:#b9770e; }';
+    css += '.med-dose-status--skipped { background:#fdedec; color:#c0392b; }';
+    css += '.med-check-table td { color:#333; vertical-align:middle; }';
+    css += '.med-check-errors { color:#c0392b; font-size:13px; }';
+    css += '.med-check-errors:empty { display:none; }';
+
+    /* Adherence */
+    css += '.med-adherence-good { color:#1e8449 !important; font-weight:700; }';
+    css += '.med-adherence-fair { color:#b9770e !important; font-weight:700; }';
+    css += '.med-adherence-poor { color:#c0392b !important; font-weight:700; }';
+
     var style = document.createElement('style');
     style.id = 'med-styles';
     style.textContent = css;
     document.head.appendChild(style);
   }
 
+  /* ------------------------------------------------------------------ */
+  /*  Dose Schedule                                                      */
+  /* ------------------------------------------------------------------ */
+
+  function pad2(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  /** Format a Date as "YYYY-MM-DD" (local time). */
+  function isoDate(dt) {
+    return dt.getFullYear() + '-' + pad2(dt.getMonth() + 1) + '-' + pad2(dt.getDate());
+  }
+
+  /** "HH:MM" for the current local time. */
+  function nowTime() {
+    var now = new Date();
+    return pad2(now.getHours()) + ':' + pad2(now.getMinutes());
+  }
+
+  function parseDateTime(date, time) {
+    return new Date(date + 'T' + (time || '00:00') + ':00');
+  }
+
+  function minutesToTime(min) {
+    return pad2(Math.floor(min / 60)) + ':' + pad2(min % 60);
+  }
+
+  /** Whole days from date string a to b (b - a). */
+  function daysBetween(a, b) {
+    return Math.round((parseDateTime(b) - parseDateTime(a)) / 86400000);
+  }
+
+  function addDays(date, n) {
+    var dt = parseDateTime(date);
+    dt.setDate(dt.getDate() + n);
+    return isoDate(dt);
+  }
+
+  /** Time-of-day label for a dose time. */
+  function slotLabel(time) {
+    var h = parseInt(time, 10);
+    if (h < 5) return '夜';
+    if (h < 11) return '早';
+    if (h < 17) return '午';
+    if (h < 21) return '晚';
+    return '夜';
+  }
+
+  /** Replace Chinese numerals with digits ("每日两次" -> "每日2次"). */
+  function cnDigits(text) {
+    return String(text || '').replace(/十二|[一两二三四五六七八九十]/g, function (c) { return CN_NUMBERS[c]; });
+  }
+
+  /**
+   * Read a frequency text into a dosing pattern.
+   * @param {string} text - e.g. "每日两次（早/晚）", "每日1次", "每8小时", "隔日一次",
+   *   or the Latin abbreviations "bid", "q12h", "qod"
+   * @returns {{ perDay: number, everyDays: number, stepHours: number|null }|null}
+   *   null when not understood (e.g. "按需")
+   */
+  function parseFrequency(text) {
+    // "b.i.d." -> "bid"
+    var t = cnDigits(text).replace(/\b([a-z])\.(?=[a-z]\b|[a-z]\.)/gi, '$1').replace(/\b([a-z]{2,4})\./gi, '$1');
+    var m;
+
+    if ((m = /\b(qd|sid|od|bid|tid|qid)\b/i.exec(t))) {
+      return { perDay: LATIN_DAILY_COUNTS[m[1].toLowerCase()], everyDays: 1, stepHours: null };
+    }
+    if (/\b(qod|eod)\b/i.test(t)) {
+      return { perDay: 1, everyDays: 2, stepHours: null };
+    }
+    if ((m = /每\s*(\d+)\s*个?\s*小时/.exec(t) || /\bq\s*(\d+)\s*h\b/i.exec(t))) {
+      var hours = parseInt(m[1], 10);
+      if (24 % hours !== 0 || 24 / hours > MAX_DAILY_DOSES) return null;
+      return { perDay: 24 / hours, everyDays: 1, stepHours: hours };
+    }
+    if (/隔日|隔天|每\s*2\s*[日天]/.test(t)) {
+      return { perDay: 1, everyDays: 2, stepHours: null };
+    }
+    if ((m = /每\s*周\s*(\d*)\s*次?/.exec(t))) {
+      return (!m[1] || m[1] === '1') ? { perDay: 1, everyDays: 7, stepHours: null } : null;
+    }
+    if ((m = /[日天]\s*(\d+)\s*次/.exec(t))) {
+      var n = parseInt(m[1], 10);
+      if (n < 1 || n > MAX_DAILY_DOSES) return null;
+      return { perDay: n, everyDays: 1, stepHours: null };
+    }
+    if (/早晚/.test(t)) return { perDay: 2, everyDays: 1, stepHours: null };
+    return null;
+  }
+
+  /**
+   * Dose times for one day: `doseTimes` from the entry; else every N hours
+   * from 08:00 for "每N小时", or spread evenly from 08:00 to 20:00.
+   */
+  function doseTimes(med) {
+    if (Array.isArray(med.doseTimes) && med.doseTimes.length) return med.doseTimes.slice().sort();
+    var freq = parseFrequency(med.frequency);
+    if (!freq) {
+      // "3.75mg*2" still says how often, even when the frequency text doesn't
+      var dose = doseOf(med);
+      if (!dose || !dose.timesPerDay || dose.timesPerDay % 1 !== 0 || dose.timesPerDay > MAX_DAILY_DOSES) return [];
+      freq = { perDay: dose.timesPerDay, everyDays: 1, stepHours: null };
+    }
+    var times = [];
+    for (var i = 0; i < freq.perDay; i++) {
+      var min;
+      if (freq.stepHours) {
+        min = (DAY_FIRST_DOSE_MIN + i * freq.stepHours * 60) % (24 * 60);
+      } else if (freq.perDay === 1) {
+        min = DAY_FIRST_DOSE_MIN;
+      } else {
+        min = Math.round(DAY_FIRST_DOSE_MIN + i * (DAY_LAST_DOSE_MIN - DAY_FIRST_DOSE_MIN) / (freq.perDay - 1));
+      }
+      times.push(minutesToTime(min));
+    }
+    return times.sort();
+  }
+
+  /**
+   * Day an every-N-days course counts from: its startDate, else the first
+   * dose marked for it.
+   * @returns {string|null} "YYYY-MM-DD", or null when neither is known
+   */
+  function scheduleAnchor(med) {
+    if (med.startDate) return med.startDate;
+    return administrations().reduce(function (first, a) {
+      return a.medication === med.name && (!first || a.date < first) ? a.date : first;
+    }, null);
+  }
+
+  function everyDaysOf(med) {
+    var freq = parseFrequency(med.frequency);
+    return freq ? freq.everyDays : 1;
+  }
+
+  /**
+   * Scheduled doses of a drug on a day, within its startDate / endDate.
+   * Every-N-days drugs with no scheduleAnchor() have no dose days.
+   * @param {object} med  - An entry of medications.json current / history
+   * @param {string} date - "YYYY-MM-DD"
+   * @returns {Array<{ time: string, label: string }>}
+   */
+  function doseSchedule(med, date) {
+    if (med.startDate && date < med.startDate) return [];
+    if (med.endDate && date > med.endDate) return [];
+    var everyDays = everyDaysOf(med);
+    if (everyDays > 1) {
+      var anchor = scheduleAnchor(med);
+      if (!anchor || ((daysBetween(anchor, date) % everyDays) + everyDays) % everyDays !== 0) return [];
+    }
+    return doseTimes(med).map(function (time) {
+      return { time: time, label: slotLabel(time) };
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Dosage Model                                                       */
+  /* ------------------------------------------------------------------ */
+
+  function round3(n) {
+    return Math.round(n * 1000) / 1000;
+  }
+
+  function round2(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  /**
+   * Read a free-text dosage into the structured form.
+   * @param {string} text       - e.g. "3.75mg*2", "每次一片", "0.625mg 每日两次",
+   *                               "2.5mg bid", "1 tab q12h"
+   * @param {string} [frequency] - The entry's frequency, for doses per day when
+   *                               the dosage doesn't say
+   * @returns {{ amount, unit, basis, timesPerDay, route }|null} null for "—" / "停药",
+   *   when no amount is found, or when the dosage names a frequency that
+   *   can't be read
+   */
+  function parseDosage(text, frequency) {
+    var t = cnDigits(text)
+      .replace(/[\uFF01-\uFF5E]/g, function (c) { return String.fromCharCode(c.charCodeAt(0) - 0xFEE0); })
+      .replace(/(\d\s*[a-z\u4e00-\u9fff]*)\s*[×xX＊]\s*(?=\d)/gi, '$1*');
+    if (!t.trim() || /停药/.test(t) || /^[\s—–-]+$/.test(t)) return null;
+
+    var m = /(\d+(?:\.\d+)?(?:\/\d+)?|半)\s*(mg|mcg|μg|ug|ml|iu|g|tablets?|tabs?|capsules?|caps?|毫克|微克|毫升|单位|克|片|粒|颗|滴|袋|支)(?![a-z])/i.exec(t);
+    if (!m) return null;
+    var amount;
+    if (m[1] === '半') {
+      amount = 0.5;
+    } else if (m[1].indexOf('/') !== -1) {
+      var parts = m[1].split('/');
+      amount = parseFloat(parts[0]) / parseFloat(parts[1]);
+    } else {
+      amount = parseFloat(m[1]);
+    }
+    if (!(amount > 0)) return null;
+
+    var rest = t.slice(m.index + m[0].length);
+    var dose = {
+      amount: round3(amount),
+      unit: DOSE_UNITS[m[2].toLowerCase()] || m[2],
+      basis: 'perDose',
+      timesPerDay: null,
+      route: null
+    };
+
+    var count = /^\s*\*\s*(\d+)/.exec(rest);
+    var own = parseFrequency(rest);
+    if (count) {
+      dose.timesPerDay = parseInt(count[1], 10);
+    } else if (/^\s*\/\s*(?:[日天]|d\b)/i.test(rest) || /(?:每\s*[日天]|日总量)\s*$/.test(t.slice(0, m.index))) {
+      // "10mg/日", "每日 10mg" - the amount is the whole day's
+      dose.basis = 'perDay';
+    } else if (own) {
+      dose.timesPerDay = round3(own.perDay / own.everyDays);
+    } else if (FREQUENCY_WORDS.test(rest.replace(/口服|\b(?:PO|SC|SQ|IM|IV)\b/gi, ''))) {
+      // The dosage says how often but not in a way we read; guessing from
+      // the entry's frequency would give a wrong daily total
+      return null;
+    }
+    if (!dose.timesPerDay) {
+      var freq = parseFrequency(frequency);
+      if (freq) dose.timesPerDay = round3(freq.perDay / freq.everyDays);
+    }
+
+    for (var i = 0; i < DOSE_ROUTES.length; i++) {
+      if (DOSE_ROUTES[i].re.test(t)) {
+        dose.route = DOSE_ROUTES[i].route;
+        break;
+      }
+    }
+    return dose;
+  }
+
+  function isDose(value) {
+    return !!value && typeof value === 'object' && value.amount > 0 && !!value.unit;
+  }
+
+  /**
+   * The stored dose object is the source of truth; the text is only parsed
+   * for entries that don't carry one yet.
+   * @returns {object|null}
+   */
+  function resolveDose(stored, text, frequency) {
+    return isDose(stored) ? stored : parseDosage(text, frequency);
+  }
+
+  /**
+   * Whether the free text reads as a different dose than the stored object,
+   * e.g. after the text was edited by hand.
+   */
+  function textDisagrees(stored, text, frequency) {
+    if (!isDose(stored)) return false;
+    var parsed = parseDosage(text, frequency);
+    return !!parsed && ['amount', 'unit', 'basis', 'timesPerDay'].some(function (k) {
+      return stored[k] !== parsed[k];
+    });
+  }
+
+  /**
+   * Structured dose of a current / history entry.
+   * @returns {object|null}
+   */
+  function doseOf(med) {
+    return resolveDose(med.dose, med.dosage, med.frequency);
+  }
+
+  /**
+   * Amount per day in the dose's unit, or null when doses per day are unknown.
+   * @returns {number|null}
+   */
+  function dailyAmount(dose) {
+    if (!dose) return null;
+    if (dose.basis === 'perDay') return dose.amount;
+    return dose.timesPerDay ? round3(dose.amount * dose.timesPerDay) : null;
+  }
+
+  /** Amount of one dose, derived when the dose is given per day. */
+  function perDoseAmount(dose) {
+    if (dose.basis !== 'perDay') return dose.amount;
+    return dose.timesPerDay ? round3(dose.amount / dose.timesPerDay) : null;
+  }
+
+  /** Latest weight.json record in kg, or null. */
+  function latestWeight() {
+    var data = window.AppData && window.AppData.weight;
+    var records = ((data && data.records) || []).filter(function (r) {
+      return typeof r.weight === 'number';
+    }).sort(function (a, b) {
+      return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+    });
+    var r = records[records.length - 1];
+    if (!r) return null;
+    var kg = window.BPWeightTracker && window.BPWeightTracker.toKg
+      ? window.BPWeightTracker.toKg(r.weight, r.unit)
+      : (!r.unit || r.unit === 'kg' ? r.weight : null);
+    return kg ? { kg: kg, date: r.date } : null;
+  }
+
+  /**
+   * How often a dose is taken: "每日 2 次", or "每 2 日 1 次" when
+   * timesPerDay is a fraction (隔日, 每周).
+   */
+  function doseCountText(dose) {
+    if (dose.timesPerDay >= 1) return '每日 ' + dose.timesPerDay + ' 次';
+    return '每 ' + Math.round(1 / dose.timesPerDay) + ' 日 1 次';
+  }
+
+  /** Display text of a structured dose: "每次 3.75 mg，每日 2 次（口服）". */
+  function doseText(dose) {
+    var text = (dose.basis === 'perDay' ? '每日 ' : '每次 ') + dose.amount + ' ' + dose.unit;
+    if (dose.timesPerDay) {
+      text += '，' + (dose.basis === 'perDay' ? '分 ' + dose.timesPerDay + ' 次' : doseCountText(dose));
+    }
+    if (dose.route) text += '（' + dose.route + '）';
+    return text;
+  }
+
+  /**
+   * Everything shown for one dose, so the medication page and the vet
+   * summary render the same thing.
+   * @param {object} [stored]   - Structured dose, if the entry has one
+   * @param {string} rawText    - The free-text dosage
+   * @param {string} [frequency]
+   * @param {object} [weight]   - latestWeight(); looked up when omitted
+   * @returns {{ dose: object|null, text: string, daily: string|null,
+   *   perKg: string|null, mismatch: string|null }} `text` falls back to the
+   *   raw text ("—", "停药") without a dose; `mismatch` is the raw text when
+   *   it reads as a different dose than the stored one
+   */
+  function describe(stored, rawText, frequency, weight) {
+    var dose = resolveDose(stored, rawText, frequency);
+    var info = {
+      dose: dose,
+      text: dose ? doseText(dose) : (rawText || '—'),
+      daily: null,
+      perKg: null,
+      mismatch: textDisagrees(stored, rawText, frequency) ? rawText : null
+    };
+    if (!dose) return info;
+
+    var daily = dailyAmount(dose);
+    var average = dose.timesPerDay > 0 && dose.timesPerDay < 1;
+    info.daily = daily === null ? '每日次数未知' : (average ? '平均 ' : '') + daily + ' ' + dose.unit + '/日';
+
+    if (weight === undefined) weight = latestWeight();
+    if (MASS_TO_MG[dose.unit] && weight) {
+      var parts = [];
+      var single = perDoseAmount(dose);
+      if (single !== null) parts.push(round2(single * MASS_TO_MG[dose.unit] / weight.kg) + ' mg/kg/次');
+      if (daily !== null) parts.push((average ? '平均 ' : '') + round2(daily * MASS_TO_MG[dose.unit] / weight.kg) + ' mg/kg/日');
+      if (parts.length) info.perKg = parts.join(' · ') + '（按 ' + round2(weight.kg) + ' kg，' + weight.date + '）';
+    } else if (!MASS_TO_MG[dose.unit]) {
+      info.perKg = '—（剂量单位为' + dose.unit + '）';
+    } else {
+      info.perKg = '—（无体重记录）';
+    }
+    return info;
+  }
+
+  /** describe() for a current / history entry. */
+  function describeDose(med, weight) {
+    return describe(med.dose, med.dosage, med.frequency, weight);
+  }
+
+  /** describe() for one side ("from" / "to") of a dosage change. */
+  function describeChange(dc, side, weight) {
+    return describe(dc[side + 'Dose'], dc[side], null, weight);
+  }
+
+  /** Dose text, with a flag when the free text says something else. */
+  function doseHtml(info) {
+    var html = escapeHtml(info.text);
+    if (info.mismatch) {
+      html += ' <span class="med-dose-mismatch" title="剂量文字与结构化剂量不一致，以结构化剂量为准">' +
+        '⚠ 文字记录为“' + escapeHtml(info.mismatch) + '”</span>';
+    }
+    return html;
+  }
+
+  /** Card rows for the daily total and mg/kg of a dose. */
+  function renderDoseRows(info) {
+    var html = '';
+    html += '  <div class="med-card-row"><span class="med-card-label">每日总量</span><span class="med-card-value">' + escapeHtml(info.daily || '—') + '</span></div>';
+    if (info.perKg) {
+      html += '  <div class="med-card-row"><span class="med-card-label">按体重</span><span class="med-card-value">' + escapeHtml(info.perKg) + '</span></div>';
+    }
+    return html;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Dose Log                                                           */
+  /* ------------------------------------------------------------------ */
+
+  function administrations() {
+    var data = window.AppData && window.AppData[DATASET];
+    return (data && Array.isArray(data[DOSE_PATH])) ? data[DOSE_PATH] : [];
+  }
+
+  /** The mark for one scheduled dose, or null. */
+  function findDose(medName, date, scheduled) {
+    return administrations().filter(function (a) {
+      return a.medication === medName && a.date === date && a.scheduled === scheduled;
+    })[0] || null;
+  }
+
+  /**
+   * Latest actual dose (given or late, with a time) of each drug at or
+   * before a moment, within the last LAST_DOSE_WINDOW_HOURS.
+   * @param {string} date - "YYYY-MM-DD"
+   * @param {string} time - "HH:MM"
+   * @returns {Array<{ medication: string, date: string, time: string, hours: number }>} Most recent first
+   */
+  function lastDoses(date, time) {
+    var at = parseDateTime(date, time);
+    var latest = {};
+    administrations().forEach(function (a) {
+      if (a.status === 'skipped' || !a.time) return;
+      var dt = parseDateTime(a.date, a.time);
+      var hours = (at - dt) / 3600000;
+      if (hours < 0 || hours > LAST_DOSE_WINDOW_HOURS) return;
+      if (!latest[a.medication] || hours < latest[a.medication].hours) {
+        latest[a.medication] = { medication: a.medication, date: a.date, time: a.time, hours: hours };
+      }
+    });
+    return Object.keys(latest).map(function (k) { return latest[k]; })
+      .sort(function (a, b) { return a.hours - b.hours; });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Adherence                                                          */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * Count the doses of a drug due from `fromDate` until now.
+   * @returns {{ due, given, late, skipped, unmarked }}
+   */
+  function countDoses(med, fromDate) {
+    var counts = { due: 0, given: 0, late: 0, skipped: 0, unmarked: 0 };
+    var now = new Date();
+    var today = isoDate(now);
+    for (var date = fromDate; date <= today; date = addDays(date, 1)) {
+      doseSchedule(med, date).forEach(function (slot) {
+        var dose = findDose(med.name, date, slot.time);
+        // Doses not yet due only count once marked
+        if (!dose && parseDateTime(date, slot.time) > now) return;
+        counts.due++;
+        counts[dose ? dose.status : 'unmarked']++;
+      });
+    }
+    return counts;
+  }
+
+  function percent(part, whole) {
+    return whole ? Math.round(part / whole * 100) : null;
+  }
+
+  function adherenceCell(pct) {
+    if (pct === null) return '<td>—</td>';
+    var cls = pct >= 90 ? 'good' : pct >= 75 ? 'fair' : 'poor';
+    return '<td class="med-adherence-' + cls + '">' + pct + '%</td>';
+  }
+
+  function renderAdherence(current) {
+    var rows = '';
+    current.forEach(function (med) {
+      var marked = administrations().filter(function (a) { return a.medication === med.name; });
+      if (!marked.length) return;
+      var first = marked.reduce(function (min, a) { return a.date < min ? a.date : min; }, marked[0].date);
+      var all = countDoses(med, first);
+      var recentFrom = addDays(isoDate(new Date()), -(ADHERENCE_RECENT_DAYS - 1));
+      var recent = countDoses(med, recentFrom > first ? recentFrom : first);
+
+      rows += '<tr>';
+      rows += '<td class="med-inactive-name">' + escapeHtml(med.name) + '</td>';
+      rows += '<td>' + escapeHtml(first) + '</td>';
+      rows += '<td>' + all.due + '</td><td>' + all.given + '</td><td>' + all.late + '</td>';
+      rows += '<td>' + all.skipped + '</td><td>' + all.unmarked + '</td>';
+      rows += adherenceCell(percent(all.given + all.late, all.due));
+      rows += adherenceCell(percent(all.given, all.due));
+      rows += adherenceCell(percent(recent.given + recent.late, recent.due));
+      rows += '</tr>';
+    });
+
+    if (!rows) return '<p class="med-empty">在上方打卡后显示各药的服药率。</p>';
+
+    var html = '<div class="med-table-wrap"><table class="med-table">';
+    html += '<thead><tr>';
+    html += '<th>药品</th><th>记录起始</th><th>应服</th><th>已服</th><th>迟服</th><th>跳过</th><th>未记录</th>';
+    html += '<th>服药率</th><th>按时率</th><th>近 ' + ADHERENCE_RECENT_DAYS + ' 天服药率</th>';
+    html += '</tr></thead><tbody>' + rows + '</tbody></table></div>';
+    return html;
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Dose Checklist                                                     */
+  /* ------------------------------------------------------------------ */
+
+  function renderChecklistRows(current, date) {
+    var isToday = date === isoDate(new Date());
+    var rows = '';
+    var unscheduled = [];
+    var undated = [];
+
+    current.forEach(function (med) {
+      var slots = doseSchedule(med, date);
+      if (!slots.length) {
+        if (!doseTimes(med).length) unscheduled.push(med.name);
+        else if (everyDaysOf(med) > 1 && !scheduleAnchor(med)) undated.push(med.name);
+        return;
+      }
+      // One slot is one dose: "3.75mg*2" shows as "3.75 mg"
+      var structured = doseOf(med);
+      var single = structured ? perDoseAmount(structured) : null;
+      var perDose = single !== null ? single + ' ' + structured.unit : med.dosage;
+      slots.forEach(function (slot) {
+        var dose = findDose(med.name, date, slot.time);
+        rows += '<tr data-med="' + escapeHtml(med.name) + '" data-scheduled="' + slot.time + '">';
+        rows += '<td>' + slot.label + ' ' + slot.time + '</td>';
+        rows += '<td class="med-inactive-name">' + escapeHtml(med.name) + '</td>';
+        rows += '<td>' + escapeHtml(perDose) + '</td>';
+        rows += '<td>';
+        if (dose) {
+          var st = DOSE_STATUS[dose.status] || { label: dose.status, cls: '' };
+          rows += '<span class="med-dose-status med-dose-status--' + st.cls + '">' + st.label +
+            (dose.time ? ' ' + escapeHtml(dose.time) : '') + '</span>';
+          if (window.LocalStore && window.LocalStore.isLocal(dose)) {
+            rows += ' <span class="med-dose-status" title="本地录入，尚未导出">本地</span>';
+          }
+        } else {
+          rows += '<span class="med-dose-status">未记录</span>';
+        }
+        rows += '</td>';
+        rows += '<td><div class="med-dose-actions">';
+        rows += '<input type="time" class="med-dose-time-input" value="' +
+          escapeHtml(dose && dose.time ? dose.time : (isToday ? nowTime() : slot.time)) + '" aria-label="服药时间">';
+        Object.keys(DOSE_STATUS).forEach(function (status) {
+          rows += '<button class="med-btn med-btn--' + status + '" data-status="' + status + '">' + DOSE_STATUS[status].label + '</button>';
+        });
+        if (dose) rows += '<button class="med-btn" data-status="">撤销</button>';
+        rows += '</div></td>';
+        rows += '</tr>';
+      });
+    });
+
+    var html = '';
+    if (rows) {
+      html += '<div class="med-table-wrap"><table class="med-table med-check-table">';
+      html += '<thead><tr><th>计划时间</th><th>药品</th><th>剂量</th><th>状态</th><th>打卡</th></tr></thead>';
+      html += '<tbody>' + rows + '</tbody></table></div>';
+    } else {
+      html += '<p class="med-empty">' + escapeHtml(date) + ' 没有计划服用的药品。</p>';
+    }
+    if (unscheduled.length) {
+      html += '<p class="med-empty">无法从频次生成服药时间：' + escapeHtml(unscheduled.join('、')) +
+        '（可在 medications.json 中为其填写 doseTimes）。</p>';
+    }
+    if (undated.length) {
+      html += '<p class="med-empty">无法确定隔日用药的服药日：' + escapeHtml(undated.join('、')) +
+        '（可在 medications.json 中为其填写 startDate）。</p>';
+    }
+    return html;
+  }
+
+  function renderChecklist(current) {
+    var html = '<div class="med-check-bar">';
+    html += '<label>日期 <input type="date" id="med-check-date" value="' + escapeHtml(checklistDate) + '"></label>';
+    html += '<button class="med-btn" id="med-check-today">今天</button>';
+    html += '<button class="med-btn" id="med-dose-export">导出 JSON</button>';
+    html += '<span class="med-check-errors" id="med-check-errors"></span>';
+    html += '</div>';
+    html += '<div id="med-check-rows">' + renderChecklistRows(current, checklistDate) + '</div>';
+    return html;
+  }
+
+  /**
+   * Save a mark for one dose: add, replace, or (status "") remove it.
+   * @returns {Promise}
+   */
+  function markDose(medName, scheduled, status, time) {
+    var existing = findDose(medName, checklistDate, scheduled);
+    if (!status) {
+      return existing ? window.LocalStore.removeRecord(DATASET, DOSE_PATH, existing) : Promise.resolve();
+    }
+    // Key order mirrors data/medications.json so exports diff cleanly
+    var record = { date: checklistDate, medication: medName, scheduled: scheduled, status: status };
+    if (status !== 'skipped') record.time = time;
+    if (existing && existing.note) record.note = existing.note;
+    return existing
+      ? window.LocalStore.updateRecord(DATASET, DOSE_PATH, existing, record)
+      : window.LocalStore.addRecord(DATASET, DOSE_PATH, record);
+  }
+
+  function initChecklist(current) {
+    var errorsEl = document.getElementById('med-check-errors');
+
+    function refresh() {
+      document.getElementById('med-check-rows').innerHTML = renderChecklistRows(current, checklistDate);
+      document.getElementById('med-adherence').innerHTML = renderAdherence(current);
+    }
+
+    document.getElementById('med-check-date').addEventListener('change', function (e) {
+      if (!e.target.value) return;
+      checklistDate = e.target.value;
+      refresh();
+    });
+
+    document.getElementById('med-check-today').addEventListener('click', function () {
+      checklistDate = isoDate(new Date());
+      document.getElementById('med-check-date').value = checklistDate;
+      refresh();
+    });
+
+    document.getElementById('med-dose-export').addEventListener('click', function () {
+      if (!window.LocalStore) return;
+      window.LocalStore.downloadDataset(DATASET);
+    });
+
+    document.getElementById('med-check-rows').addEventListener('click', function (e) {
+      var status = e.target.getAttribute('data-status');
+      if (status === null) return;
+      var row = e.target.closest('tr');
+      var time = row.querySelector('.med-dose-time-input').value;
+
+      errorsEl.textContent = '';
+      if (!window.LocalStore) {
+        errorsEl.textContent = '本地存储模块未加载，无法保存。';
+        return;
+      }
+      if (status && status !== 'skipped' && !/^\d{2}:\d{2}$/.test(time)) {
+        errorsEl.textContent = '请填写服药时间';
+        return;
+      }
+
+      markDose(row.getAttribute('data-med'), row.getAttribute('data-scheduled'), status, time)
+        .then(refresh)
+        .catch(function (err) {
+          console.error('[Medication] Failed to save dose:', err);
+          errorsEl.textContent = '保存失败：' + err.message;
+        });
+    });
+  }
+
   /* ------------------------------------------------------------------ */
   /*  Current Medications (card layout)                                  */
   /* ------------------------------------------------------------------ */
@@ -79,14 +844,17 @@
       return '<p class="med-empty">暂无正在使用的药品。</p>';
     }
 
+    var weight = latestWeight();
     var html = '<div class="med-cards">';
 
     current.forEach(function (med) {
       html += '<div class="med-card">';
       html += '  <div class="med-card-name">' + escapeHtml(med.name) + '</div>';
 
-      html += '  <div class="med-card-row"><span class="med-card-label">剂量</span><span class="med-card-value">' + escapeHtml(med.dosage) + '</span></div>';
+      var info = describeDose(med, weight);
+      html += '  <div class="med-card-row"><span class="med-card-label">剂量</span><span class="med-card-value">' + doseHtml(info) + '</span></div>';
       html += '  <div class="med-card-row"><span class="med-card-label">频次</span><span class="med-card-value">' + escapeHtml(med.frequency) + '</span></div>';
+      html += renderDoseRows(info);
       html += '  <div class="med-card-row"><span class="med-card-label">用途</span><span class="med-card-value">' + escapeHtml(med.purpose) + '</span></div>';
       html += '  <div class="med-card-row"><span class="med-card-label">起始日期</span><span class="med-card-value">' + escapeHtml(med.startDate) + '</span></div>';
 
@@ -124,10 +892,16 @@
       html += '  <div class="med-timeline-body">';
       html += '    <div class="med-timeline-med">' + escapeHtml(dc.medication) + '</div>';
       html += '    <div class="med-timeline-change">';
-      html += '      <span class="med-timeline-from">' + escapeHtml(dc.from) + '</span>';
+      var from = describeChange(dc, 'from', null);
+      var to = describeChange(dc, 'to', null);
+      html += '      <span class="med-timeline-from">' + doseHtml(from) + '</span>';
       html += '      <span class="med-timeline-arrow">&rarr;</span>';
-      html += '      <span class="med-timeline-to">' + escapeHtml(dc.to) + '</span>';
+      html += '      <span class="med-timeline-to">' + doseHtml(to) + '</span>';
       html += '    </div>';
+      if (from.daily || to.daily) {
+        html += '    <div class="med-timeline-daily">每日总量 ' + escapeHtml(from.daily || from.text) +
+          ' &rarr; ' + escapeHtml(to.daily || to.text) + '</div>';
+      }
       if (dc.reason) {
         html += '    <div class="med-timeline-reason">' + escapeHtml(dc.reason) + '</div>';
       }
@@ -156,7 +930,7 @@
     history.forEach(function (med) {
       html += '<tr>';
       html += '<td class="med-inactive-name">' + escapeHtml(med.name) + '</td>';
-      html += '<td>' + escapeHtml(med.dosage) + '</td>';
+      html += '<td>' + doseHtml(describeDose(med, null)) + '</td>';
       html += '<td>' + escapeHtml(med.frequency) + '</td>';
       html += '<td>' + escapeHtml(med.purpose) + '</td>';
       html += '<td>' + escapeHtml(med.startDate) + '</td>';
@@ -192,33 +966,53 @@
     var history = data.history || [];
     var dosageChanges = data.dosageChanges || [];
 
+    if (!checklistDate) checklistDate = isoDate(new Date());
+
     injectStyles();
 
     var container = document.getElementById('content');
 
     var html = '<div class="med-page">';
 
-    // Section 1: Current Medications
+    // Section 1: Dose checklist
+    html += '<div class="med-section-title">服药打卡</div>';
+    html += renderChecklist(current);
+
+    // Section 2: Adherence
+    html += '<div class="med-section-title">服药依从性</div>';
+    html += '<div id="med-adherence">' + renderAdherence(current) + '</div>';
+
+    // Section 3: Current Medications
     html += '<div class="med-section-title">正在使用的药品</div>';
     html += renderCurrentCards(current);
 
-    // Section 2: Dosage Changes Timeline
+    // Section 4: Dosage Changes Timeline
     html += '<div class="med-section-title">剂量变更记录</div>';
     html += renderDosageTimeline(dosageChanges);
 
-    // Section 3: History
+    // Section 5: History
     html += '<div class="med-section-title">历史用药</div>';
     html += renderHistoryTable(history);
 
     html += '</div>';
 
     container.innerHTML = html;
+
+    initChecklist(current);
   }
 
   /* ------------------------------------------------------------------ */
   /*  Export                                                              */
   /* ------------------------------------------------------------------ */
 
-  window.Medication = { render: render };
+  window.Medication = {
+    render: render,
+    parseDosage: parseDosage,
+    doseOf: doseOf,
+    describeDose: describeDose,
+    describeChange: describeChange,
+    doseSchedule: doseSchedule,
+    lastDoses: lastDoses
+  };
 
 })();
@@ -3,7 +3,7 @@
  * Renders basic info, condition summary, timeline, past history,
  * and main symptoms into the #content element.
  *
- * Depends on: window.AppData.basicInfo, window.Timeline
+ * Depends on: window.AppData.basicInfo, window.Timeline, window.Journal (optional)
  * Usage:      Overview.render()
  */
 (function () {
@@ -313,8 +313,13 @@
 
     var timelineContainer = el('div');
 
+    // Notable journal entries join the curated events from info.json
+    var events = (info.timeline || []).concat(
+      window.Journal ? window.Journal.timelineEvents() : []
+    );
+
     if (window.Timeline && typeof window.Timeline.render === 'function') {
-      window.Timeline.render(timelineContainer, info.timeline || []);
+      window.Timeline.render(timelineContainer, events);
     } else {
       timelineContainer.innerHTML = '<p style="color:#9ca3af;font-size:0.9rem;">时间线组件未加载。</p>';
     }
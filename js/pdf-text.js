@@ -0,0 +1,252 @@
+/**
+ * PdfText - Text extraction from report PDFs for StrongToby
+ * Reads the text layer of the PDFs referenced by reports-index.json with
+ * pdf.js, in the browser, one string per page, and caches the result in
+ * LocalStore so the global search can match report contents and the
+ * report viewer can jump to the page a match is on.
+ *
+ * Extraction is lazy: a PDF is read when its report is opened, or when the
+ * search box asks for everything still missing.
+ *
+ * Cached text is tied to the sha256 of the locally kept copy of a PDF (none
+ * for server files), so replacing an asset, e.g. by restoring a backup,
+ * re-extracts it instead of searching the old text.
+ *
+ * Depends on: pdf.js (CDN, window.pdfjsLib), window.LocalStore, window.App
+ * Usage:
+ *   window.PdfText.available()              - Whether pdf.js is loaded
+ *   window.PdfText.openDocument(url)        - Promise<PDFDocumentProxy>; pdf.js set up for CJK
+ *   window.PdfText.load()                   - Promise; read the cache into memory (once)
+ *   window.PdfText.pages(path)              - Cached page texts of a PDF, or null
+ *   window.PdfText.extract(path)            - Promise<string[]>; cached or freshly extracted
+ *   window.PdfText.pendingReports()         - PDF reports whose text isn't cached yet
+ *   window.PdfText.extractAll(onProgress)   - Promise; extract every pending report, one at a time
+ */
+(function () {
+  'use strict';
+
+  /* ======================================================================
+   *  Constants
+   * ====================================================================== */
+
+  var PDFJS_BASE = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/';
+
+  /** Bump when the extraction output changes so cached text is redone */
+  var EXTRACTOR_VERSION = 1;
+
+  /* ======================================================================
+   *  Internal state
+   * ====================================================================== */
+
+  /** Text key (see textKey) -> page texts */
+  var _pages = {};
+
+  /** Text key -> Promise of an extraction in progress */
+  var _inflight = {};
+
+  /** Text keys that failed to extract this session; not retried by extractAll */
+  var _failed = {};
+
+  var _loadPromise = null;
+
+  /* ======================================================================
+   *  Extraction
+   * ====================================================================== */
+
+  function assetSha256(path) {
+    return window.LocalStore ? window.LocalStore.assetSha256(path) : null;
+  }
+
+  /** Cache key for the PDF currently served at a path */
+  function textKey(path, sha256) {
+    return sha256 ? path + '#' + sha256 : path;
+  }
+
+  function available() {
+    return typeof window.pdfjsLib !== 'undefined';
+  }
+
+  function configure() {
+    var lib = window.pdfjsLib;
+    if (!lib.GlobalWorkerOptions.workerSrc) {
+      lib.GlobalWorkerOptions.workerSrc = PDFJS_BASE + 'build/pdf.worker.min.js';
+    }
+  }
+
+  /**
+   * Join a page's text items. Whitespace runs collapse to one space, and
+   * spaces that pdf.js leaves between CJK characters are dropped so that
+   * Chinese phrases match as written.
+   */
+  function pageText(content) {
+    var text = content.items.map(function (item) {
+      return (item.str || '') + (item.hasEOL ? '\n' : '');
+    }).join('');
+    return text
+      .replace(/[ \t\u3000]+/g, ' ')
+      .replace(/([\u3000-\u9fff\uff00-\uffef]) (?=[\u3000-\u9fff\uff00-\uffef])/g, '$1')
+      .replace(/\s*\n\s*/g, '\n')
+      .trim();
+  }
+
+  /**
+   * Open a PDF with the worker and character maps configured. Shared with
+   * PdfViewer so both read documents the same way.
+   * @param {string} url
+   * @returns {Promise<object>} pdf.js document proxy; call destroy() when done
+   */
+  function openDocument(url) {
+    configure();
+    return window.pdfjsLib.getDocument({
+      url: url,
+      // Character maps for CJK fonts without a ToUnicode table
+      cMapUrl: PDFJS_BASE + 'cmaps/',
+      cMapPacked: true
+    }).promise;
+  }
+
+  function extractFromUrl(url) {
+    return openDocument(url).then(function (pdf) {
+      var pages = [];
+      var chain = Promise.resolve();
+      for (var n = 1; n <= pdf.numPages; n++) {
+        chain = chain.then(pdf.getPage.bind(pdf, n)).then(function (page) {
+          return page.getTextContent().then(function (content) {
+            pages.push(pageText(content));
+            page.cleanup();
+          });
+        });
+      }
+      return chain.then(function () {
+        pdf.destroy();
+        return pages;
+      }, function (err) {
+        pdf.destroy();
+        throw err;
+      });
+    });
+  }
+
+  /**
+   * Page texts of a PDF: from memory, else extracted and cached.
+   * @param {string} path - Asset path as referenced by reports-index.json
+   * @returns {Promise<string[]>}
+   */
+  function extract(path) {
+    var sha256 = assetSha256(path);
+    var key = textKey(path, sha256);
+    if (_pages[key]) return Promise.resolve(_pages[key]);
+    if (_inflight[key]) return _inflight[key];
+    if (!available()) return Promise.reject(new Error('PDF 组件 (pdf.js) 未加载'));
+
+    var url = window.App ? window.App.assetUrl(path) : path;
+    _inflight[key] = load().then(function () {
+      if (_pages[key]) return _pages[key];
+      return extractFromUrl(url).then(function (pages) {
+        _pages[key] = pages;
+        if (!window.LocalStore) return pages;
+        return window.LocalStore.putPdfText(path, pages, EXTRACTOR_VERSION, sha256).catch(function (err) {
+          console.warn('[PdfText] Could not cache text of ' + path + ':', err);
+        }).then(function () {
+          return pages;
+        });
+      });
+    }).then(function (pages) {
+      delete _inflight[key];
+      return pages;
+    }, function (err) {
+      delete _inflight[key];
+      _failed[key] = true;
+      throw err;
+    });
+
+    return _inflight[key];
+  }
+
+  /* ======================================================================
+   *  Cache
+   * ====================================================================== */
+
+  /**
+   * Read the cached texts from LocalStore into memory. Safe to call often.
+   * @returns {Promise<void>}
+   */
+  function load() {
+    if (_loadPromise) return _loadPromise;
+    if (!window.LocalStore) return Promise.resolve();
+
+    _loadPromise = window.LocalStore.getPdfTexts().then(function (rows) {
+      rows.forEach(function (row) {
+        var key = textKey(row.path, row.sha256);
+        if (row.version === EXTRACTOR_VERSION && !_pages[key]) _pages[key] = row.pages;
+      });
+    }).catch(function (err) {
+      console.warn('[PdfText] Could not read the text cache:', err);
+    });
+    return _loadPromise;
+  }
+
+  /**
+   * @param {string} path
+   * @returns {string[]|null}
+   */
+  function pages(path) {
+    return _pages[textKey(path, assetSha256(path))] || null;
+  }
+
+  function pdfReports() {
+    var index = window.AppData && window.AppData.reportsIndex;
+    return ((index && index.reports) || []).filter(function (r) {
+      return r.fileType === 'pdf' && r.filePath;
+    });
+  }
+
+  /**
+   * PDF reports whose text is neither cached nor known to fail.
+   * @returns {Array<object>}
+   */
+  function pendingReports() {
+    return pdfReports().filter(function (r) {
+      var key = textKey(r.filePath, assetSha256(r.filePath));
+      return !_pages[key] && !_failed[key];
+    });
+  }
+
+  /**
+   * Extract every pending report, one PDF at a time to keep memory flat.
+   * Failures are logged and skipped.
+   * @param {function(number, number, object)} [onProgress] - (done, total, report) after each PDF
+   * @returns {Promise<void>}
+   */
+  function extractAll(onProgress) {
+    return load().then(function () {
+      var pending = pendingReports();
+      var chain = Promise.resolve();
+      pending.forEach(function (report, i) {
+        chain = chain.then(function () {
+          return extract(report.filePath).catch(function (err) {
+            console.warn('[PdfText] Failed to extract ' + report.filePath + ':', err);
+          }).then(function () {
+            if (onProgress) onProgress(i + 1, pending.length, report);
+          });
+        });
+      });
+      return chain;
+    });
+  }
+
+  /* ======================================================================
+   *  Public API
+   * ====================================================================== */
+
+  window.PdfText = {
+    available: available,
+    openDocument: openDocument,
+    load: load,
+    pages: pages,
+    extract: extract,
+    pendingReports: pendingReports,
+    extractAll: extractAll
+  };
+
+})();
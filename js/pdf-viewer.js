@@ -0,0 +1,821 @@
+/**
+ * PdfViewer - Embedded pdf.js document viewer for StrongToby
+ * Draws PDF pages onto canvases with a selectable text layer on top, rather
+ * than handing the file to the browser's PDF plugin, which mobile Safari and
+ * in-app browsers (WeChat) render partly or not at all.
+ *
+ * Toolbar: thumbnail sidebar toggle, previous / next page with a page number
+ * box, zoom out / in and fit-to-width, and find-in-document with a match
+ * counter. Pages and thumbnails are drawn lazily as they scroll into view,
+ * one at a time, so long reports stay light on memory.
+ *
+ * Depends on: pdf.js (CDN, window.pdfjsLib), window.PdfText (openDocument)
+ * Usage:
+ *   window.PdfViewer.available()                  - Whether pdf.js is loaded
+ *   window.PdfViewer.create(container, url, opts) - Build a viewer inside `container`
+ *       opts: { page, query, title, onPageChange(page), onLoad(), onScroll(position), onZoom(scale, fit) }
+ *       returns { goToPage(n), find(text), currentPage(), pageElements(),
+ *                 position(), scrollToPosition(position), setZoom(scale, fit), destroy() }
+ *
+ * onScroll / onZoom report user scrolling and zooming (not changes made
+ * through scrollToPosition / setZoom), so two viewers can follow each other.
+ */
+(function () {
+  'use strict';
+
+  /* ======================================================================
+   *  Constants
+   * ====================================================================== */
+
+  var MIN_SCALE = 0.25;
+  var MAX_SCALE = 4;
+  var ZOOM_STEP = 1.25;
+
+  /** Thumbnail width in CSS pixels */
+  var THUMB_WIDTH = 96;
+
+  /** Padding around the pages inside the scroll area, in CSS pixels */
+  var PAGES_PADDING = 12;
+
+  /** Below this viewport width the thumbnail sidebar starts closed */
+  var NARROW_WIDTH = 768;
+
+  /* ======================================================================
+   *  Helpers
+   * ====================================================================== */
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined && text !== null) node.textContent = text;
+    return node;
+  }
+
+  function button(className, text, label) {
+    var btn = el('button', 'pv-btn ' + className, text);
+    btn.type = 'button';
+    if (label) {
+      btn.title = label;
+      btn.setAttribute('aria-label', label);
+    }
+    return btn;
+  }
+
+  function available() {
+    return typeof window.pdfjsLib !== 'undefined' && !!window.PdfText;
+  }
+
+  /** Text items of a page in text-layer order (marked-content markers have no str) */
+  function textItems(textContent) {
+    return textContent.items.filter(function (item) { return item.str !== undefined; });
+  }
+
+  /**
+   * Page text prepared for find: whitespace dropped and lower-cased, so
+   * "腹 水" in a PDF still matches "腹水". `map[i]` locates character i of
+   * `text` as [item index, offset within the item].
+   */
+  function findIndex(items) {
+    var text = '';
+    var map = [];
+    items.forEach(function (item, i) {
+      var str = item.str;
+      for (var c = 0; c < str.length; c++) {
+        if (/\s/.test(str[c])) continue;
+        text += str[c].toLowerCase();
+        map.push([i, c]);
+      }
+    });
+    return { text: text, map: map };
+  }
+
+  /* ======================================================================
+   *  Styles
+   * ====================================================================== */
+
+  function injectStyles() {
+    if (document.getElementById('pv-styles')) return;
+
+    var css = [
+      '.pv-viewer {',
+      '  display: flex; flex-direction: column;',
+      '  width: 100%; height: 100%; min-height: 0;',
+      '  background: #525659;',
+      '}',
+
+      /* Toolbar */
+      '.pv-toolbar {',
+      '  display: flex; flex-wrap: wrap; align-items: center; gap: 6px 12px;',
+      '  padding: 6px 10px; background: #f5f5f5; border-bottom: 1px solid #e0e0e0;',
+      '  font-size: 13px; color: #333;',
+      '}',
+      '.pv-group { display: inline-flex; align-items: center; gap: 4px; }',
+      '.pv-btn {',
+      '  min-width: 30px; height: 28px; padding: 0 8px;',
+      '  border: 1px solid #d4d4d4; border-radius: 4px; background: #fff;',
+      '  color: #333; font-size: 14px; line-height: 1; cursor: pointer;',
+      '}',
+      '.pv-btn:hover:not(:disabled) { background: #eef2f7; }',
+      '.pv-btn:disabled { opacity: 0.4; cursor: default; }',
+      '.pv-btn.pv-btn-active { background: #dbeafe; border-color: #93c5fd; }',
+      '.pv-page-input {',
+      '  width: 44px; height: 28px; padding: 0 4px; text-align: center;',
+      '  border: 1px solid #d4d4d4; border-radius: 4px; font-size: 13px;',
+      '}',
+      '.pv-zoom-label { min-width: 44px; text-align: center; font-variant-numeric: tabular-nums; }',
+      '.pv-find { margin-left: auto; }',
+      '.pv-find-input {',
+      '  width: 140px; height: 28px; padding: 0 8px;',
+      '  border: 1px solid #d4d4d4; border-radius: 4px; font-size: 13px;',
+      '}',
+      '.pv-find-count { min-width: 48px; color: #666; font-size: 12px; text-align: center; }',
+
+      /* Body */
+      '.pv-body { display: flex; flex: 1; min-height: 0; }',
+      '.pv-thumbs {',
+      '  position: relative; flex-shrink: 0; width: ' + (THUMB_WIDTH + 32) + 'px; overflow-y: auto;',
+      '  padding: 10px 0; background: #3b3e40;',
+      '}',
+      '.pv-thumbs[hidden] { display: none; }',
+      '.pv-thumb {',
+      '  display: block; margin: 0 auto 10px; padding: 3px;',
+      '  border: 2px solid transparent; border-radius: 3px;',
+      '  background: none; cursor: pointer; color: #ddd; font-size: 11px;',
+      '}',
+      '.pv-thumb canvas { display: block; background: #fff; }',
+      '.pv-thumb.pv-thumb-active { border-color: #60a5fa; }',
+      '.pv-pages {',
+      '  position: relative; flex: 1; min-width: 0; overflow: auto;',
+      '  padding: ' + PAGES_PADDING + 'px;',
+      '}',
+      '.pv-page {',
+      '  position: relative; margin: 0 auto ' + PAGES_PADDING + 'px;',
+      '  background: #fff; box-shadow: 0 1px 4px rgba(0,0,0,0.4);',
+      '}',
+      '.pv-page canvas { display: block; }',
+      '.pv-status { padding: 40px 20px; color: #eee; font-size: 14px; text-align: center; }',
+
+      /* Text layer (positions come from pdf.js) */
+      '.pv-text-layer {',
+      '  position: absolute; inset: 0; overflow: hidden;',
+      '  line-height: 1; text-size-adjust: none; -webkit-text-size-adjust: none;',
+      '}',
+      '.pv-text-layer span, .pv-text-layer br {',
+      '  position: absolute; white-space: pre; color: transparent;',
+      '  cursor: text; transform-origin: 0 0;',
+      '}',
+      '.pv-text-layer span.markedContent { top: 0; height: 0; }',
+      '.pv-text-layer ::selection { background: rgba(37,99,235,0.3); }',
+      '.pv-text-layer mark { color: transparent; background: rgba(250,204,21,0.45); border-radius: 2px; }',
+      '.pv-text-layer mark.pv-find-current { background: rgba(249,115,22,0.6); }',
+
+      '@media (max-width: 600px) {',
+      '  .pv-toolbar { gap: 6px; padding: 6px; }',
+      '  .pv-find { margin-left: 0; }',
+      '  .pv-find-input { width: 110px; }',
+      '}'
+    ].join('\n');
+
+    var style = document.createElement('style');
+    style.id = 'pv-styles';
+    style.textContent = css;
+    document.head.appendChild(style);
+  }
+
+  /* ======================================================================
+   *  Viewer
+   * ====================================================================== */
+
+  /**
+   * Build a viewer for the PDF at `url` inside `container`.
+   * @param {HTMLElement} container - Should have a height; the viewer fills it
+   * @param {string} url
+   * @param {object} [opts]
+   * @param {number} [opts.page]             - 1-based page to open at
+   * @param {string} [opts.query]            - Text to find once loaded
+   * @param {string} [opts.title]            - Accessible name of the viewer
+   * @param {function(number)} [opts.onPageChange] - Called when the current page changes
+   * @param {function()} [opts.onLoad]  - Called once the page elements exist
+   * @param {function(object)} [opts.onScroll] - User scrolled; receives position()
+   * @param {function(number, boolean)} [opts.onZoom] - User zoomed; receives (scale, fitWidth)
+   * @returns {{ goToPage: function(number), find: function(string), currentPage: function(): number,
+   *            pageElements: function(): HTMLElement[], position: function(): object,
+   *            scrollToPosition: function(object), setZoom: function(number, boolean), destroy: function() }}
+   */
+  function create(container, url, opts) {
+    opts = opts || {};
+    injectStyles();
+
+    var pdf = null;
+    var pages = [];        // { proxy, index, base (scale-1 viewport), el, canvas, layer, items, textDivs, rendered, thumb, thumbDrawn }
+    var scale = 1;
+    var fitWidth = true;
+    var current = parseInt(opts.page, 10) > 0 ? parseInt(opts.page, 10) : 1;
+    var generation = 0;    // bumped on zoom; stale renders are dropped
+    var renderChain = Promise.resolve();
+    var matches = [];      // { page, segments: [{ item, from, to }] }
+    var matchIndex = -1;
+    var destroyed = false;
+    var ready = false;     // onPageChange fires only after the initial jump
+    var pageObserver = null;
+    var thumbObserver = null;
+    var resizeTimer = null;
+    var silentScroll = null;  // { top, left } set by scrollToPosition(); a scroll event ending there isn't reported
+
+    /* --- DOM --- */
+
+    var root = el('div', 'pv-viewer');
+    root.setAttribute('role', 'region');
+    root.setAttribute('aria-label', opts.title || 'PDF查看器');
+
+    var toolbar = el('div', 'pv-toolbar');
+
+    var thumbsBtn = button('pv-thumbs-toggle', '☰', '页面缩略图');
+
+    var navGroup = el('div', 'pv-group');
+    var prevBtn = button('pv-prev', '‹', '上一页');
+    var pageInput = el('input', 'pv-page-input');
+    pageInput.type = 'text';
+    pageInput.inputMode = 'numeric';
+    pageInput.setAttribute('aria-label', '页码');
+    var pageTotal = el('span', 'pv-page-total', '/ -');
+    var nextBtn = button('pv-next', '›', '下一页');
+    [prevBtn, pageInput, pageTotal, nextBtn].forEach(function (n) { navGroup.appendChild(n); });
+
+    var zoomGroup = el('div', 'pv-group');
+    var zoomOutBtn = button('pv-zoom-out', '−', '缩小');
+    var zoomLabel = el('span', 'pv-zoom-label', '100%');
+    var zoomInBtn = button('pv-zoom-in', '+', '放大');
+    var fitBtn = button('pv-fit', '适应宽度', '适应宽度');
+    [zoomOutBtn, zoomLabel, zoomInBtn, fitBtn].forEach(function (n) { zoomGroup.appendChild(n); });
+
+    var findGroup = el('div', 'pv-group pv-find');
+    var findInput = el('input', 'pv-find-input');
+    findInput.type = 'search';
+    findInput.placeholder = '在文档中查找';
+    findInput.setAttribute('aria-label', '在文档中查找');
+    var findCount = el('span', 'pv-find-count');
+    findCount.setAttribute('aria-live', 'polite');
+    var findPrevBtn = button('pv-find-prev', '↑', '上一个匹配');
+    var findNextBtn = button('pv-find-next', '↓', '下一个匹配');
+    [findInput, findCount, findPrevBtn, findNextBtn].forEach(function (n) { findGroup.appendChild(n); });
+
+    [thumbsBtn, navGroup, zoomGroup, findGroup].forEach(function (n) { toolbar.appendChild(n); });
+
+    var body = el('div', 'pv-body');
+    var thumbsEl = el('div', 'pv-thumbs');
+    thumbsEl.hidden = window.innerWidth < NARROW_WIDTH;
+    var pagesEl = el('div', 'pv-pages');
+    var statusEl = el('div', 'pv-status', '正在加载PDF…');
+    pagesEl.appendChild(statusEl);
+    body.appendChild(thumbsEl);
+    body.appendChild(pagesEl);
+
+    root.appendChild(toolbar);
+    root.appendChild(body);
+    container.appendChild(root);
+    thumbsBtn.classList.toggle('pv-btn-active', !thumbsEl.hidden);
+
+    /* --- Rendering --- */
+
+    /** Run `fn` after every earlier render; one canvas is drawn at a time. */
+    function enqueue(fn) {
+      renderChain = renderChain.then(function () {
+        if (!destroyed) return fn();
+      }).catch(function (err) {
+        console.warn('[PdfViewer] Render failed:', err);
+      });
+      return renderChain;
+    }
+
+    function drawCanvas(proxy, viewport) {
+      var ratio = window.devicePixelRatio || 1;
+      var canvas = document.createElement('canvas');
+      canvas.width = Math.floor(viewport.width * ratio);
+      canvas.height = Math.floor(viewport.height * ratio);
+      canvas.style.width = Math.floor(viewport.width) + 'px';
+      canvas.style.height = Math.floor(viewport.height) + 'px';
+      return proxy.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport: viewport,
+        transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+      }).promise.then(function () {
+        return canvas;
+      });
+    }
+
+    /** A page's text content, fetched once; also keeps page.items for find. */
+    function textContentOf(page) {
+      if (!page.textPromise) {
+        page.textPromise = page.proxy.getTextContent().then(function (textContent) {
+          page.items = textItems(textContent);
+          return textContent;
+        }, function (err) {
+          page.textPromise = null;
+          throw err;
+        });
+      }
+      return page.textPromise;
+    }
+
+    /** Draw a page and its text layer at the current scale (once per zoom level). */
+    function renderPage(page) {
+      if (page.rendered === generation) return Promise.resolve();
+      page.rendered = generation;
+      var gen = generation;
+
+      return enqueue(function () {
+        if (gen !== generation) return;
+        var viewport = page.proxy.getViewport({ scale: scale });
+        return drawCanvas(page.proxy, viewport).then(function (canvas) {
+          if (gen !== generation) return;
+          if (page.canvas) page.el.replaceChild(canvas, page.canvas);
+          else page.el.insertBefore(canvas, page.layer);
+          page.canvas = canvas;
+          return textContentOf(page);
+        }).then(function (textContent) {
+          if (!textContent || gen !== generation) return;
+          page.layer.textContent = '';
+          page.layer.style.setProperty('--scale-factor', viewport.scale);
+          page.textDivs = [];
+          return window.pdfjsLib.renderTextLayer({
+            textContentSource: textContent,
+            container: page.layer,
+            viewport: viewport,
+            textDivs: page.textDivs
+          }).promise.then(function () {
+            if (gen === generation) highlightPage(page);
+          });
+        });
+      });
+    }
+
+    function renderThumb(page) {
+      if (page.thumbDrawn) return;
+      page.thumbDrawn = true;
+      enqueue(function () {
+        var viewport = page.proxy.getViewport({ scale: THUMB_WIDTH / page.base.width });
+        return drawCanvas(page.proxy, viewport).then(function (canvas) {
+          page.thumb.replaceChild(canvas, page.thumb.firstChild);
+        });
+      });
+    }
+
+    /** Size every page box for the current scale; canvases are redrawn lazily. */
+    function layout() {
+      generation++;
+      zoomLabel.textContent = Math.round(scale * 100) + '%';
+      zoomOutBtn.disabled = scale <= MIN_SCALE;
+      zoomInBtn.disabled = scale >= MAX_SCALE;
+      fitBtn.classList.toggle('pv-btn-active', fitWidth);
+
+      pages.forEach(function (page) {
+        page.el.style.width = Math.floor(page.base.width * scale) + 'px';
+        page.el.style.height = Math.floor(page.base.height * scale) + 'px';
+        if (page.canvas) page.canvas.style.width = page.canvas.style.height = '100%';
+        page.layer.textContent = '';
+        page.textDivs = null;
+      });
+
+      observePages();
+    }
+
+    function observePages() {
+      if (!window.IntersectionObserver) {
+        pages.forEach(renderPage);
+        return;
+      }
+      if (pageObserver) pageObserver.disconnect();
+      pageObserver = new IntersectionObserver(function (entries) {
+        entries.forEach(function (entry) {
+          if (entry.isIntersecting) renderPage(pages[entry.target.dataset.index]);
+        });
+      }, { root: pagesEl, rootMargin: '300px 0px' });
+      pages.forEach(function (page) { pageObserver.observe(page.el); });
+    }
+
+    function observeThumbs() {
+      if (!window.IntersectionObserver) {
+        pages.forEach(renderThumb);
+        return;
+      }
+      thumbObserver = new IntersectionObserver(function (entries) {
+        entries.forEach(function (entry) {
+          if (entry.isIntersecting) renderThumb(pages[entry.target.dataset.index]);
+        });
+      }, { root: thumbsEl, rootMargin: '200px 0px' });
+      pages.forEach(function (page) { thumbObserver.observe(page.thumb); });
+    }
+
+    /* --- Navigation --- */
+
+    function setCurrent(n) {
+      if (n === current && ready) return;
+      current = n;
+      pageInput.value = n;
+      prevBtn.disabled = n <= 1;
+      nextBtn.disabled = n >= pages.length;
+
+      pages.forEach(function (page, i) {
+        page.thumb.classList.toggle('pv-thumb-active', i === n - 1);
+      });
+      if (!thumbsEl.hidden && pages[n - 1]) {
+        var thumb = pages[n - 1].thumb;
+        if (thumb.offsetTop < thumbsEl.scrollTop ||
+            thumb.offsetTop + thumb.offsetHeight > thumbsEl.scrollTop + thumbsEl.clientHeight) {
+          thumbsEl.scrollTop = thumb.offsetTop - PAGES_PADDING;
+        }
+      }
+
+      if (ready && opts.onPageChange) opts.onPageChange(n);
+    }
+
+    /** The page occupying the upper third of the scroll area. */
+    function pageAtScroll() {
+      var line = pagesEl.scrollTop + pagesEl.clientHeight / 3;
+      var n = 1;
+      for (var i = 0; i < pages.length; i++) {
+        if (pages[i].el.offsetTop <= line) n = i + 1;
+        else break;
+      }
+      return n;
+    }
+
+    /**
+     * Scroll to a page.
+     * @param {number} n - 1-based; clamped to the document
+     */
+    function goToPage(n) {
+      if (!pages.length) return;
+      n = Math.max(1, Math.min(pages.length, parseInt(n, 10) || 1));
+      pagesEl.scrollTop = pages[n - 1].el.offsetTop - PAGES_PADDING;
+      setCurrent(n);
+    }
+
+    /* --- Zoom --- */
+
+    function fitScale() {
+      var width = pagesEl.clientWidth - PAGES_PADDING * 2;
+      if (!pages.length || width <= 0) return 1;
+      return Math.max(MIN_SCALE, Math.min(MAX_SCALE, width / pages[0].base.width));
+    }
+
+    /** Change the zoom, keeping the current page in view. */
+    function setScale(next, fit) {
+      fitWidth = !!fit;
+      next = Math.max(MIN_SCALE, Math.min(MAX_SCALE, next));
+      if (next === scale) {
+        fitBtn.classList.toggle('pv-btn-active', fitWidth);
+        return;
+      }
+      var page = current;
+      scale = next;
+      layout();
+      goToPage(page);
+    }
+
+    /** Zoom requested from the toolbar; reported through opts.onZoom. */
+    function userZoom(next, fit) {
+      setScale(next, fit);
+      if (opts.onZoom) opts.onZoom(scale, fitWidth);
+    }
+
+    /**
+     * Scroll position as a page plus the fraction of it scrolled past, and
+     * the horizontal scroll fraction.
+     * @returns {{ page: number, offset: number, left: number }}
+     */
+    function position() {
+      var top = pagesEl.scrollTop + PAGES_PADDING;
+      var i = 0;
+      while (i < pages.length - 1 && pages[i + 1].el.offsetTop <= top) i++;
+      var pageEl = pages[i] ? pages[i].el : null;
+      var maxLeft = pagesEl.scrollWidth - pagesEl.clientWidth;
+      return {
+        page: i + 1,
+        offset: pageEl && pageEl.offsetHeight ? Math.max(0, Math.min(1, (top - pageEl.offsetTop) / pageEl.offsetHeight)) : 0,
+        left: maxLeft > 0 ? pagesEl.scrollLeft / maxLeft : 0
+      };
+    }
+
+    /** Scroll to a position() (of this or another viewer), without reporting it. */
+    function scrollToPosition(pos) {
+      if (!pages.length || !pos) return;
+      var n = Math.max(1, Math.min(pages.length, pos.page || 1));
+      var pageEl = pages[n - 1].el;
+      pagesEl.scrollTop = pageEl.offsetTop - PAGES_PADDING + (pos.offset || 0) * pageEl.offsetHeight;
+      pagesEl.scrollLeft = (pos.left || 0) * Math.max(0, pagesEl.scrollWidth - pagesEl.clientWidth);
+      // Compare against where the scroll landed (after clamping) rather than
+      // a flag: when nothing moves no event fires to clear a flag
+      silentScroll = { top: pagesEl.scrollTop, left: pagesEl.scrollLeft };
+      setCurrent(pageAtScroll());
+    }
+
+    /* --- Find --- */
+
+    /** Wrap the matched parts of a rendered page's text spans in <mark>. */
+    function highlightPage(page) {
+      if (!page.textDivs || !page.items) return;
+      var items = page.items;
+
+      // Restore spans marked by a previous search
+      (page.marked || []).forEach(function (i) {
+        if (page.textDivs[i]) page.textDivs[i].textContent = items[i].str;
+      });
+      page.marked = [];
+
+      var byItem = {};
+      matches.forEach(function (match, m) {
+        if (match.page !== page.index + 1) return;
+        match.segments.forEach(function (seg) {
+          (byItem[seg.item] = byItem[seg.item] || []).push({ from: seg.from, to: seg.to, current: m === matchIndex });
+        });
+      });
+
+      Object.keys(byItem).forEach(function (key) {
+        var i = Number(key);
+        var div = page.textDivs[i];
+        if (!div) return;
+        var str = items[i].str;
+        var segs = byItem[key].sort(function (a, b) { return a.from - b.from; });
+        var pos = 0;
+        div.textContent = '';
+        segs.forEach(function (seg) {
+          if (seg.from < pos) return;
+          if (seg.from > pos) div.appendChild(document.createTextNode(str.slice(pos, seg.from)));
+          div.appendChild(el('mark', seg.current ? 'pv-find-current' : null, str.slice(seg.from, seg.to)));
+          pos = seg.to;
+        });
+        if (pos < str.length) div.appendChild(document.createTextNode(str.slice(pos)));
+        page.marked.push(i);
+      });
+    }
+
+    function updateFindCount() {
+      if (!findInput.value.trim()) findCount.textContent = '';
+      else if (!matches.length) findCount.textContent = '无结果';
+      else findCount.textContent = (matchIndex + 1) + ' / ' + matches.length;
+      findPrevBtn.disabled = findNextBtn.disabled = matches.length < 2;
+    }
+
+    /** Scroll the current match into view, drawing its page first. */
+    function showMatch() {
+      pages.forEach(highlightPage);
+      updateFindCount();
+      var match = matches[matchIndex];
+      if (!match) return;
+
+      var page = pages[match.page - 1];
+      goToPage(match.page);
+      renderPage(page).then(function () {
+        if (destroyed) return;
+        highlightPage(page);
+        var mark = page.el.querySelector('mark.pv-find-current');
+        if (!mark) return;
+        var markRect = mark.getBoundingClientRect();
+        var areaRect = pagesEl.getBoundingClientRect();
+        pagesEl.scrollTop += markRect.top - areaRect.top - pagesEl.clientHeight / 3;
+        pagesEl.scrollLeft += markRect.left - areaRect.left - PAGES_PADDING;
+      });
+    }
+
+    /**
+     * Find `text` in the document and jump to the first match at or after
+     * the current page.
+     * @param {string} text
+     * @returns {Promise<number>} Number of matches (0 when the text can't be read)
+     */
+    function find(text) {
+      text = String(text || '');
+      if (findInput.value !== text) findInput.value = text;
+      var needle = text.replace(/\s+/g, '').toLowerCase();
+
+      matches = [];
+      matchIndex = -1;
+      if (!needle || !pages.length) {
+        pages.forEach(highlightPage);
+        updateFindCount();
+        return Promise.resolve(0);
+      }
+
+      findInput.dataset.searched = text;
+      return Promise.all(pages.map(textContentOf)).then(function () {
+        if (destroyed || findInput.value !== text) return matches.length;
+
+        pages.forEach(function (page, p) {
+          var index = findIndex(page.items);
+          var at = index.text.indexOf(needle);
+          while (at !== -1) {
+            var segments = [];
+            for (var c = at; c < at + needle.length; c++) {
+              var loc = index.map[c];
+              var last = segments[segments.length - 1];
+              if (last && last.item === loc[0]) last.to = loc[1] + 1;
+              else segments.push({ item: loc[0], from: loc[1], to: loc[1] + 1 });
+            }
+            matches.push({ page: p + 1, segments: segments });
+            at = index.text.indexOf(needle, at + needle.length);
+          }
+        });
+
+        if (matches.length) {
+          matchIndex = 0;
+          for (var m = 0; m < matches.length; m++) {
+            if (matches[m].page >= current) { matchIndex = m; break; }
+          }
+          showMatch();
+        } else {
+          pages.forEach(highlightPage);
+          updateFindCount();
+        }
+        return matches.length;
+      }).catch(function (err) {
+        if (destroyed) return 0;
+        console.warn('[PdfViewer] Find failed:', err);
+        // Let Enter search again instead of stepping through nothing
+        delete findInput.dataset.searched;
+        matches = [];
+        matchIndex = -1;
+        pages.forEach(highlightPage);
+        updateFindCount();
+        if (findInput.value === text) findCount.textContent = '搜索失败';
+        return 0;
+      });
+    }
+
+    function stepMatch(delta) {
+      if (!matches.length) return;
+      matchIndex = (matchIndex + delta + matches.length) % matches.length;
+      showMatch();
+    }
+
+    /* --- Events --- */
+
+    thumbsBtn.addEventListener('click', function () {
+      thumbsEl.hidden = !thumbsEl.hidden;
+      thumbsBtn.classList.toggle('pv-btn-active', !thumbsEl.hidden);
+      if (fitWidth) setScale(fitScale(), true);
+    });
+
+    prevBtn.addEventListener('click', function () { goToPage(current - 1); });
+    nextBtn.addEventListener('click', function () { goToPage(current + 1); });
+
+    pageInput.addEventListener('keydown', function (e) {
+      if (e.key === 'Enter') goToPage(pageInput.value);
+    });
+    pageInput.addEventListener('blur', function () { pageInput.value = current; });
+
+    zoomOutBtn.addEventListener('click', function () { userZoom(scale / ZOOM_STEP, false); });
+    zoomInBtn.addEventListener('click', function () { userZoom(scale * ZOOM_STEP, false); });
+    fitBtn.addEventListener('click', function () { userZoom(fitScale(), true); });
+
+    var findTimer = null;
+    findInput.addEventListener('input', function () {
+      clearTimeout(findTimer);
+      findTimer = setTimeout(function () { find(findInput.value); }, 250);
+    });
+    findInput.addEventListener('keydown', function (e) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        clearTimeout(findTimer);
+        // Enter on a new query searches; on the same query it steps
+        if (findInput.dataset.searched !== findInput.value) {
+          find(findInput.value);
+        } else {
+          stepMatch(e.shiftKey ? -1 : 1);
+        }
+      } else if (e.key === 'Escape' && findInput.value) {
+        e.stopPropagation();
+        find('');
+      }
+    });
+    findPrevBtn.addEventListener('click', function () { stepMatch(-1); });
+    findNextBtn.addEventListener('click', function () { stepMatch(1); });
+
+    root.addEventListener('keydown', function (e) {
+      if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+        e.preventDefault();
+        findInput.focus();
+        findInput.select();
+      }
+    });
+
+    pagesEl.addEventListener('scroll', function () {
+      if (!pages.length) return;
+      setCurrent(pageAtScroll());
+      var programmatic = silentScroll &&
+        pagesEl.scrollTop === silentScroll.top && pagesEl.scrollLeft === silentScroll.left;
+      silentScroll = null;
+      if (!programmatic && opts.onScroll) opts.onScroll(position());
+    });
+
+    function onResize() {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(function () {
+        if (fitWidth && !destroyed) setScale(fitScale(), true);
+      }, 200);
+    }
+    window.addEventListener('resize', onResize);
+
+    /* --- Load --- */
+
+    window.PdfText.openDocument(url).then(function (doc) {
+      if (destroyed) {
+        doc.destroy();
+        return;
+      }
+      pdf = doc;
+
+      var chain = Promise.resolve();
+      for (var n = 1; n <= pdf.numPages; n++) {
+        chain = chain.then(pdf.getPage.bind(pdf, n)).then(function (proxy) {
+          pages.push({ proxy: proxy, index: pages.length, base: proxy.getViewport({ scale: 1 }) });
+        });
+      }
+      return chain;
+    }).then(function () {
+      if (destroyed || !pdf) return;
+      statusEl.remove();
+      pageTotal.textContent = '/ ' + pages.length;
+
+      pages.forEach(function (page, i) {
+        page.el = el('div', 'pv-page');
+        page.el.dataset.index = i;
+        page.layer = el('div', 'pv-text-layer');
+        page.el.appendChild(page.layer);
+        pagesEl.appendChild(page.el);
+
+        page.thumb = el('button', 'pv-thumb');
+        page.thumb.type = 'button';
+        page.thumb.title = '第 ' + (i + 1) + ' 页';
+        page.thumb.dataset.index = i;
+        var placeholder = el('canvas');
+        placeholder.width = THUMB_WIDTH;
+        placeholder.height = Math.round(THUMB_WIDTH * page.base.height / page.base.width);
+        page.thumb.appendChild(placeholder);
+        page.thumb.appendChild(el('div', null, String(i + 1)));
+        page.thumb.addEventListener('click', function () { goToPage(i + 1); });
+        thumbsEl.appendChild(page.thumb);
+      });
+
+      scale = fitScale();
+      layout();
+      observeThumbs();
+      goToPage(current);
+      ready = true;
+      if (opts.onLoad) opts.onLoad();
+      if (opts.query) find(opts.query);
+    }).catch(function (err) {
+      if (destroyed) return;
+      console.error('[PdfViewer] Failed to load ' + url + ':', err);
+      statusEl.textContent = '无法加载PDF：' + (err && err.message ? err.message : err);
+    });
+
+    /* --- API --- */
+
+    return {
+      goToPage: goToPage,
+      find: find,
+      currentPage: function () { return current; },
+
+      /** Page boxes in page order, e.g. for drawing overlays; sized to the zoom */
+      pageElements: function () {
+        return pages.map(function (page) { return page.el; });
+      },
+
+      position: position,
+      scrollToPosition: scrollToPosition,
+
+      /**
+       * Zoom without reporting it through opts.onZoom.
+       * @param {number} next - Scale (1 = 100%); ignored when `fit` is set
+       * @param {boolean} [fit] - Fit the page width instead
+       */
+      setZoom: function (next, fit) {
+        if (pages.length) setScale(fit ? fitScale() : next, fit);
+      },
+
+      /** Release the document and listeners. The DOM is left to the caller. */
+      destroy: function () {
+        if (destroyed) return;
+        destroyed = true;
+        window.removeEventListener('resize', onResize);
+        clearTimeout(resizeTimer);
+        clearTimeout(findTimer);
+        if (pageObserver) pageObserver.disconnect();
+        if (thumbObserver) thumbObserver.disconnect();
+        if (pdf) pdf.destroy();
+      }
+    };
+  }
+
+  /* ======================================================================
+   *  Public API
+   * ====================================================================== */
+
+  window.PdfViewer = {
+    available: available,
+    create: create
+  };
+
+})();
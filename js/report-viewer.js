@@ -3,9 +3,30 @@
  * Handles displaying individual reports: PDF, images, galleries, and video.
  * Also provides a reusable PDF modal viewer for other modules (e.g., blood work page).
  *
+ * PDFs are shown in the embedded pdf.js viewer (window.PdfViewer), falling
+ * back to the browser's own viewer in an iframe when pdf.js isn't loaded.
+ * They open at a given page when the route carries "page=N", and the route
+ * follows the page being read; with "q=..." the pages containing the search
+ * text are listed above the PDF, and clicking one jumps the viewer there.
+ * PDF and image reports get an annotation panel (window.Annotations) beside
+ * them for highlights and notes.
+ *
+ * Image reports open in the lightbox with radiograph tools: overlay another
+ * image report (opacity or swipe divider) with manual alignment,
+ * brightness / contrast / invert, and a ruler whose calibration (mmPerPx)
+ * is saved on the report.
+ *
+ * Compare mode (#compare/<idA>/<idB>) shows two reports side by side with
+ * synchronized scrolling / zoom, and pickers suggesting reports of the same
+ * subcategory.
+ *
  * Usage:
- *   window.ReportViewer.render(reportId)    - Render a report into #content
+ *   window.ReportViewer.render(reportId, params)  - Render a report into #content;
+ *                                                   params: { page, q } from the route
+ *   window.ReportViewer.renderCompare(idA, idB)   - Render two reports side by side
  *   window.ReportViewer.showPdfModal(path, title) - Open a modal PDF viewer
+ *   window.ReportViewer.showImage(src, caption)   - Open an image in the lightbox
+ *   window.ReportViewer.release()                 - Free the viewers on screen (on route change)
  */
 (function () {
   'use strict';
@@ -28,6 +49,16 @@
     return null;
   }
 
+  /**
+   * Resolve an asset path to a loadable URL (a restored local copy if any).
+   */
+  function assetUrl(path) {
+    if (window.App && typeof window.App.assetUrl === 'function') {
+      return window.App.assetUrl(path);
+    }
+    return path;
+  }
+
   /**
    * Create a DOM element with optional className and textContent.
    */
@@ -53,6 +84,7 @@
 
   var lightbox = {
     overlay: null,
+    stage: null,
     img: null,
     closeBtn: null,
     prevBtn: null,
@@ -75,6 +107,11 @@
     panOriginX: 0,
     panOriginY: 0,
 
+    // Touch gesture state
+    gesture: null,    // { type: 'pinch' | 'single', ... } while fingers are down
+    lastTap: null,    // { x, y, time } of the previous tap, for double-tap
+    tapTimer: null,   // pending single-tap close, cancelled by a second tap
+
     /**
      * Build the lightbox DOM (once). Appends to document.body.
      */
@@ -91,11 +128,14 @@
       this.closeBtn.setAttribute('aria-label', '关闭');
       this.overlay.appendChild(this.closeBtn);
 
-      // Image container (for centring + zoom transforms)
+      // Image container (for centring), holding the stage that zoom / pan
+      // transform: the image plus the image tools' comparison and ruler layers
       var container = el('div', 'rv-lightbox-container');
+      this.stage = el('div', 'rv-lightbox-stage');
       this.img = el('img', 'rv-lightbox-img');
       this.img.setAttribute('draggable', 'false');
-      container.appendChild(this.img);
+      this.stage.appendChild(this.img);
+      container.appendChild(this.stage);
       this.overlay.appendChild(container);
 
       // Caption
@@ -110,6 +150,8 @@
       this.overlay.appendChild(this.prevBtn);
       this.overlay.appendChild(this.nextBtn);
 
+      imageTools.init(this);
+
       document.body.appendChild(this.overlay);
 
       // --- Bind events ---
@@ -124,9 +166,9 @@
         }
       });
 
-      // Prevent clicks on image from closing when zoomed
-      this.img.addEventListener('click', function (e) {
-        if (self.scale <= 1) {
+      // Prevent clicks on image from closing when zoomed or using the tools
+      this.stage.addEventListener('click', function (e) {
+        if (self.scale <= 1 && !imageTools.enabled) {
           self.close();
         }
         e.stopPropagation();
@@ -137,27 +179,25 @@
 
       // Scroll wheel zoom
       this.overlay.addEventListener('wheel', function (e) {
+        if (imageTools.ownsEvent(e)) return; // let the tools panel scroll
         e.preventDefault();
         self._handleWheel(e);
       }, { passive: false });
 
-      // Drag to pan
-      this.img.addEventListener('mousedown', function (e) { self._panStart(e); });
-      this.overlay.addEventListener('mousemove', function (e) { self._panMove(e); });
-      this.overlay.addEventListener('mouseup', function () { self._panEnd(); });
-      this.overlay.addEventListener('mouseleave', function () { self._panEnd(); });
-
-      // Touch support for pan
-      this.img.addEventListener('touchstart', function (e) {
-        if (e.touches.length === 1) self._panStart(e.touches[0]);
-      }, { passive: false });
-      this.overlay.addEventListener('touchmove', function (e) {
-        if (e.touches.length === 1) {
-          e.preventDefault();
-          self._panMove(e.touches[0]);
-        }
-      }, { passive: false });
-      this.overlay.addEventListener('touchend', function () { self._panEnd(); });
+      // Drag to pan (or to align / measure with the image tools)
+      this.stage.addEventListener('mousedown', function (e) { self._dragStart(e); });
+      this.overlay.addEventListener('mousemove', function (e) { self._dragMove(e); });
+      this.overlay.addEventListener('mouseup', function () { self._dragEnd(); });
+      this.overlay.addEventListener('mouseleave', function () { self._dragEnd(); });
+
+      // Touch: pan, pinch zoom, double-tap zoom, swipe to navigate / close.
+      // Listened for on the whole container (touch-action:none, so the
+      // browser doesn't zoom the page), so a pinch whose fingers land
+      // beside the image still works
+      container.addEventListener('touchstart', function (e) { self._touchStart(e); }, { passive: false });
+      this.overlay.addEventListener('touchmove', function (e) { self._touchMove(e); }, { passive: false });
+      this.overlay.addEventListener('touchend', function (e) { self._touchEnd(e); });
+      this.overlay.addEventListener('touchcancel', function (e) { self._touchEnd(e); });
 
       // Prev / Next
       this.prevBtn.addEventListener('click', function (e) {
@@ -175,9 +215,13 @@
 
     /**
      * Open the lightbox with a single image.
+     * @param {string} src
+     * @param {string} [captionText]
+     * @param {object} [toolOptions] - Enables the image tools; see imageTools.open()
      */
-    openSingle: function (src, captionText) {
+    openSingle: function (src, captionText, toolOptions) {
       this.init();
+      imageTools.open(toolOptions || null);
       this.images = [{ path: src, caption: captionText || '' }];
       this.currentIndex = 0;
       this._showImage(0);
@@ -193,6 +237,7 @@
      */
     openGallery: function (images, startIndex) {
       this.init();
+      imageTools.open(null);
       this.images = images;
       this.currentIndex = startIndex || 0;
       this._showImage(this.currentIndex);
@@ -216,6 +261,10 @@
 
     close: function () {
       if (!this.overlay) return;
+      clearTimeout(this.tapTimer);
+      this.gesture = null;
+      this.lastTap = null;
+      this.overlay.style.opacity = '';
       this.overlay.classList.remove('rv-lightbox-visible');
       document.removeEventListener('keydown', this._onKeyDown);
       document.body.style.overflow = '';
@@ -243,12 +292,12 @@
       this.panY = 0;
       this._applyTransform();
       // Reset cursor
-      this.img.style.cursor = 'zoom-in';
+      this.stage.style.cursor = 'zoom-in';
     },
 
     _applyTransform: function () {
-      this.img.style.transform = 'translate(' + this.panX + 'px, ' + this.panY + 'px) scale(' + this.scale + ')';
-      this.img.style.cursor = this.scale > 1 ? 'grab' : 'zoom-in';
+      this.stage.style.transform = 'translate(' + this.panX + 'px, ' + this.panY + 'px) scale(' + this.scale + ')';
+      this.stage.style.cursor = this.scale > 1 ? 'grab' : 'zoom-in';
     },
 
     _handleKey: function (e) {
@@ -267,31 +316,199 @@
 
     _handleWheel: function (e) {
       var delta = e.deltaY < 0 ? 1.15 : 1 / 1.15;
-      var newScale = this.scale * delta;
+      this._zoomAt(this.scale * delta, e.clientX, e.clientY);
+    },
+
+    /**
+     * Zoom to `newScale` (clamped), keeping the image point under
+     * (clientX, clientY) in place.
+     */
+    _zoomAt: function (newScale, clientX, clientY) {
       newScale = Math.max(this.minScale, Math.min(this.maxScale, newScale));
+      if (newScale === this.scale) return;
+
+      // Zoom towards the point relative to image centre
+      var rect = this.stage.getBoundingClientRect();
+      var imgCenterX = rect.left + rect.width / 2;
+      var imgCenterY = rect.top + rect.height / 2;
+      var cursorX = clientX - imgCenterX;
+      var cursorY = clientY - imgCenterY;
+
+      var ratio = 1 - newScale / this.scale;
+      this.panX += cursorX * ratio;
+      this.panY += cursorY * ratio;
+      this.scale = newScale;
+
+      // If zoomed back to 1x, reset pan
+      if (this.scale <= 1.01) {
+        this.scale = 1;
+        this.panX = 0;
+        this.panY = 0;
+      }
+
+      this._applyTransform();
+    },
+
+    _resetZoom: function () {
+      this.scale = 1;
+      this.panX = 0;
+      this.panY = 0;
+      this._applyTransform();
+    },
+
+    // --- Touch gestures ---
+
+    /** Finger distance and midpoint of a two-finger touch list. */
+    _pinchMetrics: function (touches) {
+      var a = touches[0];
+      var b = touches[1];
+      var dx = a.clientX - b.clientX;
+      var dy = a.clientY - b.clientY;
+      return {
+        dist: Math.max(1, Math.sqrt(dx * dx + dy * dy)),
+        midX: (a.clientX + b.clientX) / 2,
+        midY: (a.clientY + b.clientY) / 2
+      };
+    },
+
+    _touchStart: function (e) {
+      if (e.touches.length === 2) {
+        // A second finger turns any pan / tool drag into a pinch
+        clearTimeout(this.tapTimer);
+        this.stage.classList.add('rv-lightbox-gesture'); // no transition while following fingers
+        this._dragEnd();
+        this.gesture = this._pinchMetrics(e.touches);
+        this.gesture.type = 'pinch';
+        e.preventDefault();
+        return;
+      }
+      // One finger beside the image is left to the click that closes the lightbox
+      if (e.touches.length !== 1 || !this.stage.contains(e.target)) return;
+      clearTimeout(this.tapTimer);
+      this.stage.classList.add('rv-lightbox-gesture');
+
+      var t = e.touches[0];
+      this.gesture = {
+        type: 'single',
+        startX: t.clientX,
+        startY: t.clientY,
+        time: Date.now(),
+        moved: false,
+        axis: null,       // 'x' | 'y' once a swipe direction is clear
+        tool: imageTools.dragStart(t)
+      };
+      if (!this.gesture.tool) this._panStart(t);
+    },
+
+    _touchMove: function (e) {
+      var g = this.gesture;
+      if (!g || imageTools.ownsEvent(e)) return;
+      e.preventDefault();
+
+      if (g.type === 'pinch') {
+        if (e.touches.length < 2) return;
+        var m = this._pinchMetrics(e.touches);
+        this._zoomAt(this.scale * m.dist / g.dist, m.midX, m.midY);
+        if (this.scale > 1) {
+          // Two fingers moving together pan the image
+          this.panX += m.midX - g.midX;
+          this.panY += m.midY - g.midY;
+          this._applyTransform();
+        }
+        g.dist = m.dist;
+        g.midX = m.midX;
+        g.midY = m.midY;
+        return;
+      }
 
-      // Zoom towards cursor position relative to image centre
-      if (newScale !== this.scale) {
-        var rect = this.img.getBoundingClientRect();
-        var imgCenterX = rect.left + rect.width / 2;
-        var imgCenterY = rect.top + rect.height / 2;
-        var cursorX = e.clientX - imgCenterX;
-        var cursorY = e.clientY - imgCenterY;
-
-        var ratio = 1 - newScale / this.scale;
-        this.panX += cursorX * ratio;
-        this.panY += cursorY * ratio;
-        this.scale = newScale;
-
-        // If zoomed back to 1x, reset pan
-        if (this.scale <= 1.01) {
-          this.scale = 1;
-          this.panX = 0;
-          this.panY = 0;
+      var t = e.touches[0];
+      var dx = t.clientX - g.startX;
+      var dy = t.clientY - g.startY;
+      if (Math.abs(dx) + Math.abs(dy) > 10) g.moved = true;
+
+      if (g.tool) {
+        imageTools.dragMove(t);
+      } else if (this.isPanning) {
+        this._panMove(t);
+      } else if (g.moved) {
+        // Not zoomed: the image follows a swipe
+        if (!g.axis) g.axis = Math.abs(dx) > Math.abs(dy) ? 'x' : 'y';
+        if (g.axis === 'x' && this.images.length > 1) {
+          this.stage.style.transform = 'translateX(' + dx + 'px)';
+        } else if (g.axis === 'y' && dy > 0) {
+          this.stage.style.transform = 'translateY(' + dy + 'px)';
+          this.overlay.style.opacity = String(Math.max(0.3, 1 - dy / 400));
         }
+      }
+    },
 
-        this._applyTransform();
+    _touchEnd: function (e) {
+      var g = this.gesture;
+      if (!g) return;
+
+      if (g.type === 'pinch') {
+        if (e.touches.length === 1 && this.scale > 1) {
+          // Lifting one finger carries on as a pan with the other
+          this.gesture = { type: 'single', startX: 0, startY: 0, time: 0, moved: true, axis: null, tool: false };
+          this._panStart(e.touches[0]);
+        } else if (e.touches.length === 0) {
+          this.gesture = null;
+          this.stage.classList.remove('rv-lightbox-gesture');
+        }
+        return;
+      }
+      if (e.touches.length) return;
+
+      this.gesture = null;
+      this._dragEnd();
+      this.stage.classList.remove('rv-lightbox-gesture');
+      this.overlay.style.opacity = '';
+
+      var t = e.changedTouches && e.changedTouches[0];
+      if (!t || g.tool) return;
+      var dx = t.clientX - g.startX;
+      var dy = t.clientY - g.startY;
+
+      if (g.axis) {
+        this._applyTransform(); // undo the swipe offset
+        if (g.axis === 'x' && Math.abs(dx) > 60 && this.images.length > 1) {
+          if (dx < 0) this.next(); else this.prev();
+        } else if (g.axis === 'y' && dy > 100) {
+          this.close();
+        }
+        return;
+      }
+      if (g.moved || Date.now() - g.time > 300) return;
+
+      // A tap: handled here (not by the synthetic click) so that the first
+      // tap of a double-tap doesn't close the lightbox
+      if (e.cancelable) e.preventDefault();
+      var now = Date.now();
+      var last = this.lastTap;
+      if (last && now - last.time < 300 && Math.abs(t.clientX - last.x) + Math.abs(t.clientY - last.y) < 40) {
+        this.lastTap = null;
+        if (this.scale > 1) this._resetZoom();
+        else this._zoomAt(2.5, t.clientX, t.clientY);
+        return;
       }
+      this.lastTap = { x: t.clientX, y: t.clientY, time: now };
+      var self = this;
+      this.tapTimer = setTimeout(function () {
+        if (self.scale <= 1 && !imageTools.enabled) self.close();
+      }, 300);
+    },
+
+    _dragStart: function (e) {
+      if (!imageTools.dragStart(e)) this._panStart(e);
+    },
+
+    _dragMove: function (e) {
+      if (!imageTools.dragMove(e)) this._panMove(e);
+    },
+
+    _dragEnd: function () {
+      imageTools.dragEnd();
+      this._panEnd();
     },
 
     _panStart: function (e) {
@@ -301,7 +518,7 @@
       this.panStartY = e.clientY;
       this.panOriginX = this.panX;
       this.panOriginY = this.panY;
-      this.img.style.cursor = 'grabbing';
+      this.stage.style.cursor = 'grabbing';
     },
 
     _panMove: function (e) {
@@ -309,13 +526,13 @@
       this.panX = this.panOriginX + (e.clientX - this.panStartX);
       this.panY = this.panOriginY + (e.clientY - this.panStartY);
       this._applyTransform();
-      this.img.style.cursor = 'grabbing';
+      this.stage.style.cursor = 'grabbing';
     },
 
     _panEnd: function () {
       if (!this.isPanning) return;
       this.isPanning = false;
-      this.img.style.cursor = this.scale > 1 ? 'grab' : 'zoom-in';
+      this.stage.style.cursor = this.scale > 1 ? 'grab' : 'zoom-in';
     },
 
     /**
@@ -343,15 +560,21 @@
         '.rv-lightbox-container {',
         '  display: flex; align-items: center; justify-content: center;',
         '  flex: 1; width: 100%; overflow: hidden;',
+        '  touch-action: none;',
         '}',
 
-        /* Image */
+        /* Stage (zoom / pan target) and image */
+        '.rv-lightbox-stage {',
+        '  position: relative; display: inline-block; line-height: 0;',
+        '  user-select: none;',
+        '  transition: transform 0.15s ease;',
+        '}',
+        '.rv-lightbox-stage.rv-lightbox-gesture { transition: none; }',
         '.rv-lightbox-img {',
         '  max-width: 90vw; max-height: 85vh;',
         '  object-fit: contain;',
         '  user-select: none;',
         '  -webkit-user-drag: none;',
-        '  transition: transform 0.15s ease;',
         '}',
 
         /* Close button */
@@ -385,6 +608,86 @@
         '  max-width: 80%; word-break: break-word;',
         '}',
 
+        /* ---- Image tools ---- */
+        '.rv-lb-overlay-clip {',
+        '  position: absolute; top: 0; left: 0; width: 100%; height: 100%;',
+        '  overflow: hidden; pointer-events: none;',
+        '}',
+        '.rv-lb-overlay-img {',
+        '  position: absolute; width: 100%; height: 100%;',
+        '  object-fit: contain; transform-origin: 50% 50%;',
+        '}',
+        '.rv-lb-swipe-handle {',
+        '  position: absolute; top: 0; bottom: 0; width: 14px; margin-left: -7px;',
+        '  cursor: ew-resize;',
+        '}',
+        '.rv-lb-swipe-handle::after {',
+        '  content: ""; position: absolute; top: 0; bottom: 0; left: 6px; width: 2px;',
+        '  background: #ffd54f; box-shadow: 0 0 3px rgba(0,0,0,0.8);',
+        '}',
+        '.rv-lb-measure {',
+        '  position: absolute; top: 0; left: 0; width: 100%; height: 100%;',
+        '  pointer-events: none; overflow: visible;',
+        '}',
+        '.rv-lb-measure line {',
+        '  stroke: #4fc3f7; stroke-width: 2; vector-effect: non-scaling-stroke;',
+        '}',
+        '.rv-lb-measure-labels {',
+        '  position: absolute; top: 0; left: 0; width: 100%; height: 100%;',
+        '  pointer-events: none;',
+        '}',
+        '.rv-lb-measure-label {',
+        '  position: absolute; transform: translate(-50%, -130%);',
+        '  background: rgba(0,0,0,0.7); color: #4fc3f7;',
+        '  font-size: 12px; line-height: 1.4; padding: 1px 5px; border-radius: 3px;',
+        '  white-space: nowrap;',
+        '}',
+        '.rv-lightbox-stage.rv-lb-tool-measure { cursor: crosshair !important; }',
+        '.rv-lightbox-stage.rv-lb-tool-align { cursor: move !important; }',
+        '.rv-lb-tools-toggle {',
+        '  position: absolute; top: 16px; left: 20px; z-index: 10001;',
+        '  background: rgba(255,255,255,0.12); border: 1px solid rgba(255,255,255,0.3);',
+        '  color: #fff; font-size: 14px; padding: 6px 14px; border-radius: 4px;',
+        '  cursor: pointer;',
+        '}',
+        '.rv-lb-tools-toggle:hover, .rv-lb-tools-toggle[aria-expanded="true"] { background: rgba(255,255,255,0.25); }',
+        '.rv-lb-tools {',
+        '  position: absolute; top: 60px; left: 20px; z-index: 10001;',
+        '  width: 280px; max-height: calc(100% - 120px); overflow-y: auto;',
+        '  background: rgba(30,30,30,0.95); color: #eee; font-size: 13px;',
+        '  border-radius: 6px; padding: 4px 14px;',
+        '  box-shadow: 0 4px 16px rgba(0,0,0,0.5);',
+        '}',
+        '.rv-lb-tools[hidden], .rv-lb-tools [hidden], .rv-lb-tools-toggle[hidden] { display: none; }',
+        '.rv-lb-tools-section { padding: 10px 0; border-bottom: 1px solid rgba(255,255,255,0.12); }',
+        '.rv-lb-tools-section:last-child { border-bottom: none; }',
+        '.rv-lb-tools-title {',
+        '  display: flex; justify-content: space-between; align-items: center;',
+        '  font-weight: 600; margin: 4px 0 6px;',
+        '}',
+        '.rv-lb-tools label { display: flex; align-items: center; gap: 8px; margin: 6px 0; }',
+        '.rv-lb-tools input[type="range"] { flex: 1; min-width: 0; }',
+        '.rv-lb-tools select { width: 100%; padding: 4px; }',
+        '.rv-lb-seg { display: flex; margin: 4px 0 8px; }',
+        '.rv-lb-seg button {',
+        '  flex: 1; background: transparent; color: #ddd; cursor: pointer;',
+        '  border: 1px solid rgba(255,255,255,0.3); padding: 4px 6px; font-size: 12px;',
+        '}',
+        '.rv-lb-seg button + button { border-left: none; }',
+        '.rv-lb-seg button.rv-lb-seg-active { background: #1976d2; border-color: #1976d2; color: #fff; }',
+        '.rv-lb-seg button:disabled { opacity: 0.4; cursor: default; }',
+        '.rv-lb-row { display: flex; gap: 8px; }',
+        '.rv-lb-btn {',
+        '  background: rgba(255,255,255,0.12); color: #fff; cursor: pointer;',
+        '  border: 1px solid rgba(255,255,255,0.3); border-radius: 4px; padding: 4px 10px;',
+        '}',
+        '.rv-lb-link {',
+        '  background: none; border: none; color: #90caf9; cursor: pointer;',
+        '  font-size: 12px; font-weight: normal; padding: 0;',
+        '}',
+        '.rv-lb-hint { color: #aaa; font-size: 12px; margin: 6px 0 0; line-height: 1.5; }',
+        '.rv-lb-hint:empty { display: none; }',
+
         /* ---- PDF Modal ---- */
         '.rv-pdf-modal-overlay {',
         '  position: fixed; top: 0; left: 0; width: 100%; height: 100%;',
@@ -418,6 +721,7 @@
         '  transition: color 0.2s;',
         '}',
         '.rv-pdf-modal-close:hover { color: #333; }',
+        '.rv-pdf-modal-body { flex: 1; min-height: 0; display: flex; }',
         '.rv-pdf-modal-iframe {',
         '  flex: 1; border: none; width: 100%;',
         '}'
@@ -430,6 +734,392 @@
     }
   };
 
+  // ---------------------------------------------------------------------------
+  // Lightbox Image Tools (radiograph comparison and measurement)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Extra layers and a panel for the lightbox, enabled per image: overlay a
+   * second image (onion-skin opacity or swipe divider) with manual
+   * alignment, brightness / contrast / invert, and a ruler that measures in
+   * millimetres once calibrated. Everything sits on the lightbox stage, so
+   * the lightbox's zoom and pan apply to it unchanged.
+   */
+  var imageTools = {
+    lightbox: null,
+    enabled: false,
+    options: null,
+
+    // DOM
+    toggleBtn: null,
+    panel: null,
+    clip: null,         // clips the overlay image for the swipe mode
+    overlayImg: null,
+    handle: null,       // swipe divider
+    svg: null,          // ruler lines, in natural image pixels
+    labels: null,       // ruler length labels
+
+    // State
+    tool: 'pan',        // 'pan' | 'align' | 'measure'
+    adjust: null,       // { brightness, contrast, invert }
+    compare: null,      // { index, mode, opacity, swipe, dx, dy, scale, rotate }
+    measures: [],       // [{ x1, y1, x2, y2 }] in natural image pixels
+    mmPerPx: null,
+    drag: null,
+
+    /**
+     * Build the tool DOM into the lightbox (once, from lightbox.init).
+     */
+    init: function (lb) {
+      this.lightbox = lb;
+      var self = this;
+
+      this.clip = el('div', 'rv-lb-overlay-clip');
+      this.overlayImg = el('img', 'rv-lb-overlay-img');
+      this.overlayImg.setAttribute('draggable', 'false');
+      this.overlayImg.alt = '';
+      this.clip.appendChild(this.overlayImg);
+      this.handle = el('div', 'rv-lb-swipe-handle');
+      this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      this.svg.setAttribute('class', 'rv-lb-measure');
+      this.svg.setAttribute('preserveAspectRatio', 'none');
+      this.labels = el('div', 'rv-lb-measure-labels');
+      [this.clip, this.handle, this.svg, this.labels].forEach(function (n) { lb.stage.appendChild(n); });
+
+      this.toggleBtn = el('button', 'rv-lb-tools-toggle', '工具');
+      this.toggleBtn.type = 'button';
+      this.toggleBtn.setAttribute('aria-expanded', 'false');
+      this.panel = el('div', 'rv-lb-tools');
+      this.panel.hidden = true;
+      this.panel.innerHTML =
+        '<div class="rv-lb-tools-section">' +
+        '  <div class="rv-lb-tools-title">操作</div>' +
+        '  <div class="rv-lb-seg" role="radiogroup">' +
+        '    <button type="button" data-tool="pan" role="radio">平移</button>' +
+        '    <button type="button" data-tool="align" role="radio">移动叠加图</button>' +
+        '    <button type="button" data-tool="measure" role="radio">标尺</button>' +
+        '  </div>' +
+        '</div>' +
+        '<div class="rv-lb-tools-section">' +
+        '  <div class="rv-lb-tools-title">图像调节 <button type="button" class="rv-lb-link" data-action="reset-adjust">重置</button></div>' +
+        '  <label>亮度 <input type="range" min="50" max="200" data-adjust="brightness"></label>' +
+        '  <label>对比度 <input type="range" min="50" max="300" data-adjust="contrast"></label>' +
+        '  <label class="rv-lb-check"><input type="checkbox" data-adjust="invert"> 反相</label>' +
+        '</div>' +
+        '<div class="rv-lb-tools-section">' +
+        '  <div class="rv-lb-tools-title">对比图像</div>' +
+        '  <select data-role="compare" aria-label="对比图像"></select>' +
+        '  <div data-role="compare-controls">' +
+        '    <div class="rv-lb-seg" role="radiogroup">' +
+        '      <button type="button" data-mode="onion" role="radio">叠加</button>' +
+        '      <button type="button" data-mode="swipe" role="radio">滑动分割</button>' +
+        '    </div>' +
+        '    <label data-role="opacity">透明度 <input type="range" min="0" max="100" data-compare="opacity"></label>' +
+        '    <label data-role="swipe">分割线 <input type="range" min="0" max="100" data-compare="swipe"></label>' +
+        '    <div class="rv-lb-tools-title">对齐 <button type="button" class="rv-lb-link" data-action="reset-align">重置</button></div>' +
+        '    <label>缩放 <input type="range" min="50" max="150" data-compare="scale"></label>' +
+        '    <label>旋转 <input type="range" min="-30" max="30" data-compare="rotate"></label>' +
+        '    <p class="rv-lb-hint">选择“移动叠加图”后拖动以对齐位置。</p>' +
+        '  </div>' +
+        '</div>' +
+        '<div class="rv-lb-tools-section">' +
+        '  <div class="rv-lb-tools-title">测量</div>' +
+        '  <p class="rv-lb-hint" data-role="scale"></p>' +
+        '  <div class="rv-lb-row">' +
+        '    <button type="button" class="rv-lb-btn" data-action="calibrate">标定…</button>' +
+        '    <button type="button" class="rv-lb-btn" data-action="clear-measures">清除测量</button>' +
+        '  </div>' +
+        '  <p class="rv-lb-hint" data-role="measure-status"></p>' +
+        '</div>';
+
+      lb.overlay.appendChild(this.toggleBtn);
+      lb.overlay.appendChild(this.panel);
+
+      this.toggleBtn.addEventListener('click', function (e) {
+        e.stopPropagation();
+        self.panel.hidden = !self.panel.hidden;
+        self.toggleBtn.setAttribute('aria-expanded', String(!self.panel.hidden));
+      });
+
+      this.panel.addEventListener('click', function (e) {
+        var btn = e.target.closest('button');
+        if (!btn) return;
+        if (btn.hasAttribute('data-tool')) self.setTool(btn.getAttribute('data-tool'));
+        if (btn.hasAttribute('data-mode')) {
+          self.compare.mode = btn.getAttribute('data-mode');
+          self.render();
+        }
+        switch (btn.getAttribute('data-action')) {
+          case 'reset-adjust':
+            self.adjust = { brightness: 100, contrast: 100, invert: false };
+            self.render();
+            break;
+          case 'reset-align':
+            self.compare.dx = self.compare.dy = self.compare.rotate = 0;
+            self.compare.scale = 100;
+            self.render();
+            break;
+          case 'calibrate':
+            self.calibrate();
+            break;
+          case 'clear-measures':
+            self.measures = [];
+            self.render();
+            break;
+        }
+      });
+
+      this.panel.addEventListener('input', function (e) {
+        var input = e.target;
+        if (input.hasAttribute('data-adjust')) {
+          var key = input.getAttribute('data-adjust');
+          self.adjust[key] = input.type === 'checkbox' ? input.checked : Number(input.value);
+        } else if (input.hasAttribute('data-compare')) {
+          self.compare[input.getAttribute('data-compare')] = Number(input.value);
+        }
+        self.render();
+      });
+
+      this.panel.addEventListener('change', function (e) {
+        if (e.target.getAttribute('data-role') !== 'compare') return;
+        self.compare.index = e.target.value === '' ? null : Number(e.target.value);
+        var item = self.compare.index === null ? null : self.options.compareImages[self.compare.index];
+        self.overlayImg.src = item ? item.path : '';
+        if (!item && self.tool === 'align') self.tool = 'pan';
+        self.render();
+      });
+
+      // Keys typed into the panel (range arrows, select) stay in the panel
+      this.panel.addEventListener('keydown', function (e) {
+        if (e.key !== 'Escape') e.stopPropagation();
+      });
+    },
+
+    /**
+     * Reset for a newly opened image.
+     * @param {object|null} options - null disables the tools
+     * @param {Array<{ path: string, label: string }>} [options.compareImages] - Images to overlay
+     * @param {number} [options.mmPerPx]  - Known calibration of the image
+     * @param {function(number): Promise} [options.onCalibrate] - Saves a new mm-per-pixel value
+     */
+    open: function (options) {
+      this.enabled = !!options;
+      this.options = options || { compareImages: [] };
+      this.options.compareImages = this.options.compareImages || [];
+      this.tool = 'pan';
+      this.adjust = { brightness: 100, contrast: 100, invert: false };
+      this.compare = { index: null, mode: 'onion', opacity: 50, swipe: 50, dx: 0, dy: 0, scale: 100, rotate: 0 };
+      this.measures = [];
+      this.mmPerPx = this.options.mmPerPx || null;
+      this.drag = null;
+
+      this.toggleBtn.hidden = !this.enabled;
+      this.panel.hidden = true;
+      this.toggleBtn.setAttribute('aria-expanded', 'false');
+      this.overlayImg.removeAttribute('src');
+      this.panel.querySelector('[data-role="measure-status"]').textContent = '';
+
+      var select = this.panel.querySelector('[data-role="compare"]');
+      select.innerHTML = '<option value="">无</option>' + this.options.compareImages.map(function (item, i) {
+        return '<option value="' + i + '">' + escapeHtml(item.label) + '</option>';
+      }).join('');
+      select.disabled = !this.options.compareImages.length;
+
+      this.render();
+    },
+
+    setTool: function (tool) {
+      if (tool === 'align' && this.compare.index === null) return;
+      this.tool = tool;
+      this.render();
+    },
+
+    /** Whether a wheel / touch event belongs to the tools panel. */
+    ownsEvent: function (e) {
+      return !!(this.panel && this.panel.contains(e.target));
+    },
+
+    /** Natural image size (falls back to the displayed size before load). */
+    _imageSize: function () {
+      var img = this.lightbox.img;
+      var rect = this.lightbox.stage.getBoundingClientRect();
+      return {
+        width: img.naturalWidth || rect.width || 1,
+        height: img.naturalHeight || rect.height || 1
+      };
+    },
+
+    /** Client point -> natural image pixels (zoom / pan aware). */
+    _imagePoint: function (e) {
+      var rect = this.lightbox.stage.getBoundingClientRect();
+      var size = this._imageSize();
+      return {
+        x: (e.clientX - rect.left) / (rect.width || 1) * size.width,
+        y: (e.clientY - rect.top) / (rect.height || 1) * size.height
+      };
+    },
+
+    _length: function (m) {
+      return Math.sqrt(Math.pow(m.x2 - m.x1, 2) + Math.pow(m.y2 - m.y1, 2));
+    },
+
+    _lengthLabel: function (m) {
+      var px = this._length(m);
+      return this.mmPerPx ? (px * this.mmPerPx).toFixed(1) + ' mm' : Math.round(px) + ' px';
+    },
+
+    /**
+     * Start an align / measure / swipe drag.
+     * @returns {boolean} true if the tools took the drag (no panning then)
+     */
+    dragStart: function (e) {
+      if (!this.enabled) return false;
+      var rect = this.lightbox.stage.getBoundingClientRect();
+
+      if (e.target === this.handle && this.compare.index !== null && this.compare.mode === 'swipe') {
+        this.drag = { type: 'swipe', rect: rect };
+      } else if (this.tool === 'align' && this.compare.index !== null) {
+        this.drag = { type: 'align', rect: rect, x: e.clientX, y: e.clientY, dx: this.compare.dx, dy: this.compare.dy };
+      } else if (this.tool === 'measure') {
+        var p = this._imagePoint(e);
+        this.drag = { type: 'measure', line: { x1: p.x, y1: p.y, x2: p.x, y2: p.y } };
+        this.measures.push(this.drag.line);
+      } else {
+        return false;
+      }
+      if (e.preventDefault) e.preventDefault();
+      this.render();
+      return true;
+    },
+
+    dragMove: function (e) {
+      var drag = this.drag;
+      if (!drag) return false;
+      if (drag.type === 'swipe') {
+        this.compare.swipe = Math.max(0, Math.min(100, (e.clientX - drag.rect.left) / (drag.rect.width || 1) * 100));
+      } else if (drag.type === 'align') {
+        this.compare.dx = drag.dx + (e.clientX - drag.x) / (drag.rect.width || 1);
+        this.compare.dy = drag.dy + (e.clientY - drag.y) / (drag.rect.height || 1);
+      } else {
+        var p = this._imagePoint(e);
+        drag.line.x2 = p.x;
+        drag.line.y2 = p.y;
+      }
+      this.render();
+      return true;
+    },
+
+    dragEnd: function () {
+      var drag = this.drag;
+      if (!drag) return;
+      this.drag = null;
+      // A click without a drag leaves no zero-length ruler behind
+      if (drag.type === 'measure' && Math.abs(drag.line.x2 - drag.line.x1) + Math.abs(drag.line.y2 - drag.line.y1) < 2) {
+        this.measures.pop();
+      }
+      this.render();
+    },
+
+    /** Turn the last ruler into a calibration by asking for its real length. */
+    calibrate: function () {
+      var status = this.panel.querySelector('[data-role="measure-status"]');
+      var m = this.measures[this.measures.length - 1];
+      if (!m) {
+        status.textContent = '请先用标尺沿已知长度（如标尺刻度）画一条线。';
+        return;
+      }
+      var px = this._length(m);
+      var answer = window.prompt('最后一条线段的实际长度（毫米）：', '');
+      if (answer === null) return;
+      var mm = parseFloat(answer);
+      if (!(mm > 0)) {
+        status.textContent = '请输入大于 0 的长度。';
+        return;
+      }
+      this.mmPerPx = mm / px;
+      status.textContent = '';
+      this.render();
+      if (!this.options.onCalibrate) return;
+      Promise.resolve(this.options.onCalibrate(this.mmPerPx)).then(function () {
+        status.textContent = '标定已保存。';
+      }, function (err) {
+        console.error('[ReportViewer] Failed to save calibration:', err);
+        status.textContent = '保存失败：' + err.message;
+      });
+    },
+
+    /** Apply the state to the layers and the panel controls. */
+    render: function () {
+      var self = this;
+      var lb = this.lightbox;
+      var a = this.adjust;
+      var c = this.compare;
+      var comparing = this.enabled && c.index !== null;
+
+      var filter = this.enabled
+        ? 'brightness(' + a.brightness + '%) contrast(' + a.contrast + '%)' + (a.invert ? ' invert(1)' : '')
+        : '';
+      lb.img.style.filter = filter;
+      this.overlayImg.style.filter = filter;
+
+      // Comparison overlay
+      this.clip.hidden = !comparing;
+      this.handle.hidden = !comparing || c.mode !== 'swipe';
+      this.clip.style.clipPath = c.mode === 'swipe' ? 'inset(0 0 0 ' + c.swipe + '%)' : '';
+      this.overlayImg.style.opacity = c.mode === 'swipe' ? 1 : c.opacity / 100;
+      this.overlayImg.style.left = (c.dx * 100) + '%';
+      this.overlayImg.style.top = (c.dy * 100) + '%';
+      this.overlayImg.style.transform = 'rotate(' + c.rotate + 'deg) scale(' + (c.scale / 100) + ')';
+      this.handle.style.left = c.swipe + '%';
+
+      // Rulers
+      var size = this._imageSize();
+      this.svg.setAttribute('viewBox', '0 0 ' + size.width + ' ' + size.height);
+      this.svg.innerHTML = this.measures.map(function (m) {
+        return '<line x1="' + m.x1 + '" y1="' + m.y1 + '" x2="' + m.x2 + '" y2="' + m.y2 + '"></line>';
+      }).join('');
+      this.labels.innerHTML = '';
+      this.measures.forEach(function (m) {
+        var label = el('span', 'rv-lb-measure-label', self._lengthLabel(m));
+        label.style.left = ((m.x1 + m.x2) / 2 / size.width * 100) + '%';
+        label.style.top = ((m.y1 + m.y2) / 2 / size.height * 100) + '%';
+        self.labels.appendChild(label);
+      });
+
+      lb.stage.classList.toggle('rv-lb-tool-measure', this.enabled && this.tool === 'measure');
+      lb.stage.classList.toggle('rv-lb-tool-align', comparing && this.tool === 'align');
+
+      // Panel controls
+      var panel = this.panel;
+      Array.prototype.forEach.call(panel.querySelectorAll('[data-tool]'), function (btn) {
+        var on = btn.getAttribute('data-tool') === self.tool;
+        btn.classList.toggle('rv-lb-seg-active', on);
+        btn.setAttribute('aria-checked', String(on));
+        btn.disabled = btn.getAttribute('data-tool') === 'align' && !comparing;
+      });
+      Array.prototype.forEach.call(panel.querySelectorAll('[data-mode]'), function (btn) {
+        var on = btn.getAttribute('data-mode') === c.mode;
+        btn.classList.toggle('rv-lb-seg-active', on);
+        btn.setAttribute('aria-checked', String(on));
+      });
+      Array.prototype.forEach.call(panel.querySelectorAll('[data-adjust]'), function (input) {
+        var key = input.getAttribute('data-adjust');
+        if (input.type === 'checkbox') input.checked = a[key];
+        else input.value = a[key];
+      });
+      Array.prototype.forEach.call(panel.querySelectorAll('[data-compare]'), function (input) {
+        input.value = c[input.getAttribute('data-compare')];
+      });
+      panel.querySelector('[data-role="compare"]').value = c.index === null ? '' : String(c.index);
+      panel.querySelector('[data-role="compare-controls"]').hidden = !comparing;
+      panel.querySelector('[data-role="opacity"]').hidden = c.mode !== 'onion';
+      panel.querySelector('[data-role="swipe"]').hidden = c.mode !== 'swipe';
+      panel.querySelector('[data-role="scale"]').textContent = this.mmPerPx
+        ? '比例：' + this.mmPerPx.toPrecision(3) + ' mm/像素'
+        : '未标定：长度以像素显示。画一条已知长度的线后点“标定”。';
+    }
+  };
+
   // ---------------------------------------------------------------------------
   // PDF Modal (reusable by other modules, e.g. blood work page)
   // ---------------------------------------------------------------------------
@@ -461,10 +1151,9 @@
         header.appendChild(closeBtn);
         content.appendChild(header);
 
-        // Iframe
-        this._iframe = el('iframe', 'rv-pdf-modal-iframe');
-        this._iframe.setAttribute('title', 'PDF查看器');
-        content.appendChild(this._iframe);
+        // Viewer area (pdf.js viewer, or an iframe without pdf.js)
+        this._body = el('div', 'rv-pdf-modal-body');
+        content.appendChild(this._body);
 
         this.overlay.appendChild(content);
         document.body.appendChild(this.overlay);
@@ -482,7 +1171,15 @@
 
       // Populate
       this._titleEl.textContent = title || 'PDF';
-      this._iframe.src = filePath;
+      this._clearBody();
+      if (window.PdfViewer && window.PdfViewer.available()) {
+        this._viewer = window.PdfViewer.create(this._body, assetUrl(filePath), { title: title });
+      } else {
+        var iframe = el('iframe', 'rv-pdf-modal-iframe');
+        iframe.setAttribute('title', 'PDF查看器');
+        iframe.src = assetUrl(filePath);
+        this._body.appendChild(iframe);
+      }
 
       // Show
       void this.overlay.offsetHeight;
@@ -496,8 +1193,16 @@
       this.overlay.classList.remove('rv-pdf-modal-visible');
       document.removeEventListener('keydown', this._onKeyDown);
       document.body.style.overflow = '';
-      // Clear iframe to stop any ongoing loading
-      this._iframe.src = 'about:blank';
+      // Release the document / stop any ongoing loading
+      this._clearBody();
+    },
+
+    _clearBody: function () {
+      if (this._viewer) {
+        this._viewer.destroy();
+        this._viewer = null;
+      }
+      this._body.innerHTML = '';
     }
   };
 
@@ -566,9 +1271,39 @@
       '  padding: 20px; text-align: center; color: #666; font-size: 14px;',
       '}',
       '.rv-pdf-fallback a { color: #2563eb; text-decoration: underline; }',
+      '.rv-pdf-viewer { height: calc(100vh - 300px); min-height: 500px; }',
+
+      /* Content + annotation panel */
+      '.rv-annot-layout { display: flex; gap: 16px; align-items: flex-start; margin-top: 24px; }',
+      '.rv-annot-main { flex: 1; min-width: 0; }',
+      '.rv-annot-main > .rv-content-section { margin-top: 0; }',
+      '.rv-annot-layout > .an-panel {',
+      '  width: 280px; flex-shrink: 0; box-sizing: border-box;',
+      '  position: sticky; top: 16px; max-height: calc(100vh - 32px); overflow-y: auto;',
+      '}',
+
+      /* PDF text matches */
+      '.rv-pdf-matches {',
+      '  margin-bottom: 16px; padding: 12px 16px;',
+      '  background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 8px;',
+      '}',
+      '.rv-pdf-matches-title { margin: 0 0 8px 0; font-size: 14px; font-weight: 600; color: #334155; }',
+      '.rv-pdf-matches-status { margin: 0; font-size: 13px; color: #888; }',
+      '.rv-pdf-matches-list { list-style: none; margin: 0; padding: 0; max-height: 240px; overflow-y: auto; }',
+      '.rv-pdf-match {',
+      '  display: flex; gap: 12px; width: 100%; align-items: baseline;',
+      '  padding: 6px 8px; border: none; border-radius: 4px;',
+      '  background: none; text-align: left; cursor: pointer; font: inherit;',
+      '}',
+      '.rv-pdf-match:hover { background: #eef2f7; }',
+      '.rv-pdf-match.rv-pdf-match-active { background: #dbeafe; }',
+      '.rv-pdf-match-page { flex-shrink: 0; font-size: 13px; font-weight: 600; color: #2563eb; }',
+      '.rv-pdf-match-snippet { font-size: 13px; color: #475569; line-height: 1.5; }',
+      '.rv-pdf-match-snippet mark { background: #fde68a; color: inherit; padding: 0 1px; border-radius: 2px; }',
 
       /* Single image */
       '.rv-image-wrapper { text-align: center; }',
+      '.rv-image-frame { display: inline-block; position: relative; max-width: 100%; line-height: 0; }',
       '.rv-image-single {',
       '  max-width: 100%; border-radius: 8px; cursor: pointer;',
       '  box-shadow: 0 2px 8px rgba(0,0,0,0.1);',
@@ -619,6 +1354,10 @@
       '  .rv-gallery-grid { grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 10px; }',
       '  .rv-lightbox-arrow { font-size: 32px; padding: 8px 10px; }',
       '  .rv-pdf-modal-content { width: 96vw; height: 80vh; }',
+      '}',
+      '@media (max-width: 900px) {',
+      '  .rv-annot-layout { flex-direction: column; align-items: stretch; }',
+      '  .rv-annot-layout > .an-panel { width: auto; position: static; max-height: none; }',
       '}'
     ].join('\n');
 
@@ -665,14 +1404,16 @@
     if (downloadPath) {
       var btn = document.createElement('a');
       btn.className = 'rv-download-btn';
-      btn.href = downloadPath;
-      btn.download = '';
+      btn.href = assetUrl(downloadPath);
+      btn.download = downloadPath.split('/').pop();
       btn.target = '_blank';
       btn.rel = 'noopener';
       btn.innerHTML = downloadIcon() + ' 下载原件';
       header.appendChild(btn);
     }
 
+    header.appendChild(buildCompareLink(report));
+
     return header;
   }
 
@@ -709,12 +1450,12 @@
   /**
    * Build the content section based on fileType.
    */
-  function buildContent(report) {
+  function buildContent(report, params) {
     var section = el('div', 'rv-content-section');
 
     switch (report.fileType) {
       case 'pdf':
-        section.appendChild(buildPdfContent(report));
+        section.appendChild(buildPdfContent(report, params));
         break;
       case 'image':
         section.appendChild(buildImageContent(report));
@@ -736,25 +1477,153 @@
     return section;
   }
 
+  /** PdfViewer of the report currently shown, if any */
+  var activeViewer = null;
+
+  /** Annotation panel of the report currently shown, if any */
+  var activeAnnotations = null;
+
+  /** Bring an annotation into view: its PDF page, or the report image. */
+  function goToAnnotation(annotation) {
+    if (activeViewer && annotation.page) {
+      activeViewer.goToPage(annotation.page);
+      return;
+    }
+    var frame = document.querySelector('.rv-image-frame');
+    if (frame) frame.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+
+  /**
+   * PDF URL with an open-parameters fragment ("#page=3&search=腹水"), which
+   * the browsers' built-in viewers use to open at a page / highlight text.
+   */
+  function pdfSrc(path, page, query) {
+    var frag = [];
+    if (page) frag.push('page=' + page);
+    if (query) frag.push('search=' + encodeURIComponent(query));
+    return assetUrl(path) + (frag.length ? '#' + frag.join('&') : '');
+  }
+
   /**
-   * PDF content: full-width iframe with fallback.
+   * PDF content: embedded viewer (or iframe) with fallback, opened at params.page.
+   * With params.q, a list of the pages containing the text comes first.
    */
-  function buildPdfContent(report) {
+  function buildPdfContent(report, params) {
+    params = params || {};
+    var page = parseInt(params.page, 10) > 0 ? parseInt(params.page, 10) : null;
+    var query = params.q ? String(params.q).trim() : '';
+
+    var container = el('div');
     var wrapper = el('div', 'rv-pdf-wrapper');
+    var iframe = null;
 
-    var iframe = document.createElement('iframe');
-    iframe.className = 'rv-pdf-iframe';
-    iframe.src = report.filePath;
-    iframe.setAttribute('title', report.title || 'PDF文档');
-    wrapper.appendChild(iframe);
+    function updateHash(n) {
+      if (window.history && window.history.replaceState && window.App) {
+        window.history.replaceState(null, '', window.App.reportHash(report, { page: n, q: query }));
+      }
+    }
+
+    if (window.PdfViewer && window.PdfViewer.available()) {
+      var viewerEl = el('div', 'rv-pdf-viewer');
+      wrapper.appendChild(viewerEl);
+      var annotations = activeAnnotations;
+      var viewer = activeViewer = window.PdfViewer.create(viewerEl, assetUrl(report.filePath), {
+        page: page,
+        query: query,
+        title: report.title,
+        onPageChange: updateHash,
+        onLoad: function () {
+          if (!annotations) return;
+          viewer.pageElements().forEach(function (pageEl, i) {
+            annotations.addSurface(pageEl, i + 1);
+          });
+        }
+      });
+    } else {
+      iframe = document.createElement('iframe');
+      iframe.className = 'rv-pdf-iframe';
+      iframe.src = pdfSrc(report.filePath, page, query);
+      iframe.setAttribute('title', report.title || 'PDF文档');
+      wrapper.appendChild(iframe);
+    }
 
     // Fallback
     var fallback = el('div', 'rv-pdf-fallback');
     fallback.innerHTML = '如果PDF无法显示，请 <a href="' +
-      escapeHtml(report.filePath) + '" target="_blank" rel="noopener">点击此处直接打开</a>。';
+      escapeHtml(assetUrl(report.filePath)) + '" target="_blank" rel="noopener">点击此处直接打开</a>。';
     wrapper.appendChild(fallback);
 
-    return wrapper;
+    if (query) {
+      container.appendChild(buildPdfMatches(report, query, page, function (n) {
+        if (activeViewer) {
+          activeViewer.goToPage(n);
+          return;
+        }
+        // Browser viewers ignore fragment-only src changes, so load a fresh frame
+        var fresh = iframe.cloneNode(false);
+        fresh.src = pdfSrc(report.filePath, n, query);
+        wrapper.replaceChild(fresh, iframe);
+        iframe = fresh;
+        updateHash(n);
+      }));
+    } else if (window.PdfText && window.PdfText.available()) {
+      // Warm the text cache so the report's contents become searchable
+      window.PdfText.extract(report.filePath).catch(function (err) {
+        console.warn('[ReportViewer] Could not extract PDF text:', err);
+      });
+    }
+
+    container.appendChild(wrapper);
+    return container;
+  }
+
+  /**
+   * List of the PDF pages containing `query`, each jumping the viewer to
+   * its page via onPage(n).
+   */
+  function buildPdfMatches(report, query, activePage, onPage) {
+    var panel = el('div', 'rv-pdf-matches');
+    panel.appendChild(el('h3', 'rv-pdf-matches-title', '原文中的 “' + query + '”'));
+    var status = el('p', 'rv-pdf-matches-status', '正在读取PDF文字…');
+    panel.appendChild(status);
+
+    if (!window.PdfText || !window.Search) {
+      status.textContent = '原文搜索不可用。';
+      return panel;
+    }
+
+    window.PdfText.extract(report.filePath).then(function (pages) {
+      var matches = window.Search.findInPages(pages, query);
+      if (!matches.length) {
+        status.textContent = '原文中未找到该内容。';
+        return;
+      }
+
+      status.remove();
+      var list = el('ul', 'rv-pdf-matches-list');
+      matches.forEach(function (match) {
+        var li = el('li');
+        var btn = el('button', 'rv-pdf-match' + (match.page === activePage ? ' rv-pdf-match-active' : ''));
+        btn.type = 'button';
+        btn.appendChild(el('span', 'rv-pdf-match-page', '第 ' + match.page + ' 页'));
+        var snippet = el('span', 'rv-pdf-match-snippet');
+        snippet.innerHTML = match.snippet;
+        btn.appendChild(snippet);
+        btn.addEventListener('click', function () {
+          var prev = list.querySelector('.rv-pdf-match-active');
+          if (prev) prev.classList.remove('rv-pdf-match-active');
+          btn.classList.add('rv-pdf-match-active');
+          onPage(match.page);
+        });
+        li.appendChild(btn);
+        list.appendChild(li);
+      });
+      panel.appendChild(list);
+    }, function (err) {
+      status.textContent = '无法读取PDF文字：' + (err && err.message ? err.message : err);
+    });
+
+    return panel;
   }
 
   /**
@@ -766,6 +1635,32 @@
     return div.innerHTML;
   }
 
+  /**
+   * Lightbox tool options for an image report: the other image reports to
+   * overlay (same kind first) and the report's saved ruler calibration,
+   * which a new calibration overwrites in reports-index.
+   */
+  function imageToolOptions(report) {
+    var groups = compareCandidates(report);
+    var images = groups.similar.concat(groups.rest).filter(function (r) {
+      return r.fileType === 'image' && r.filePath;
+    }).map(function (r) {
+      return { path: assetUrl(r.filePath), label: (r.date ? r.date + ' ' : '') + (r.title || r.id) };
+    });
+
+    return {
+      compareImages: images,
+      mmPerPx: report.mmPerPx || null,
+      onCalibrate: function (mmPerPx) {
+        var old = getReport(report.id);
+        if (!old || !window.LocalStore) return Promise.resolve();
+        var record = JSON.parse(JSON.stringify(old));
+        record.mmPerPx = mmPerPx;
+        return window.LocalStore.updateRecord('reportsIndex', 'reports', old, record);
+      }
+    };
+  }
+
   /**
    * Image content: single image with lightbox on click.
    */
@@ -774,15 +1669,20 @@
 
     var img = document.createElement('img');
     img.className = 'rv-image-single';
-    img.src = report.filePath;
+    img.src = assetUrl(report.filePath);
     img.alt = report.title || '报告图片';
     img.loading = 'lazy';
 
     img.addEventListener('click', function () {
-      lightbox.openSingle(report.filePath, report.title);
+      lightbox.openSingle(assetUrl(report.filePath), report.title, imageToolOptions(getReport(report.id) || report));
     });
 
-    wrapper.appendChild(img);
+    // The frame hugs the image so annotations line up with it
+    var frame = el('span', 'rv-image-frame');
+    frame.appendChild(img);
+    if (activeAnnotations) activeAnnotations.addSurface(frame, null);
+
+    wrapper.appendChild(frame);
     return wrapper;
   }
 
@@ -790,7 +1690,9 @@
    * Gallery content: grid of thumbnails with lightbox.
    */
   function buildGalleryContent(report) {
-    var files = report.files || [];
+    var files = (report.files || []).map(function (file) {
+      return { path: assetUrl(file.path), caption: file.caption };
+    });
     var grid = el('div', 'rv-gallery-grid');
 
     files.forEach(function (file, index) {
@@ -827,7 +1729,7 @@
     video.className = 'rv-video';
     video.controls = true;
     video.preload = 'metadata';
-    video.src = report.filePath;
+    video.src = assetUrl(report.filePath);
     video.textContent = '您的浏览器不支持视频播放。';
 
     wrapper.appendChild(video);
@@ -846,6 +1748,371 @@
     return wrapper;
   }
 
+  // ---------------------------------------------------------------------------
+  // Compare Mode  (#compare/<idA>/<idB>)
+  // ---------------------------------------------------------------------------
+
+  /** Panes of the comparison currently shown: { viewer } per side */
+  var comparePanes = [];
+
+  var IMAGE_ZOOM_MIN = 1;
+  var IMAGE_ZOOM_MAX = 6;
+  var IMAGE_ZOOM_STEP = 1.25;
+
+  /**
+   * Free the viewers of the report or comparison on screen (pdf.js
+   * documents, resize listeners). The App router calls this before every
+   * route it renders, so leaving a report for any other page releases them.
+   */
+  function releaseActive() {
+    if (activeViewer) {
+      activeViewer.destroy();
+      activeViewer = null;
+    }
+    if (activeAnnotations) {
+      activeAnnotations.destroy();
+      activeAnnotations = null;
+    }
+    comparePanes.forEach(function (pane) {
+      if (pane.viewer) pane.viewer.destroy();
+    });
+    comparePanes = [];
+  }
+
+  function allReports() {
+    var index = window.AppData && window.AppData.reportsIndex;
+    return (index && index.reports) || [];
+  }
+
+  /**
+   * Reports to offer next to `other`: the same category / subcategory
+   * first, then the rest, each newest first.
+   * @returns {{ similar: Array<object>, rest: Array<object> }}
+   */
+  function compareCandidates(other) {
+    var similar = [];
+    var rest = [];
+    allReports().forEach(function (r) {
+      if (other && r.id === other.id) return;
+      var same = other && r.category === other.category &&
+        (r.subcategory || null) === (other.subcategory || null);
+      (same ? similar : rest).push(r);
+    });
+    function byDateDesc(a, b) {
+      return (b.date || '').localeCompare(a.date || '');
+    }
+    return { similar: similar.sort(byDateDesc), rest: rest.sort(byDateDesc) };
+  }
+
+  function compareHash(idA, idB) {
+    return '#compare/' + (idA || '') + (idB ? '/' + idB : '');
+  }
+
+  /**
+   * Header button linking to the comparison of `report` with the most
+   * recent report of the same kind.
+   */
+  function buildCompareLink(report) {
+    var partner = compareCandidates(report).similar[0];
+    var link = document.createElement('a');
+    link.className = 'rv-compare-btn';
+    link.href = compareHash(report.id, partner ? partner.id : null);
+    link.textContent = '对比';
+    link.title = partner ? '与 ' + (partner.title || partner.id) + ' 对比' : '选择报告进行对比';
+    return link;
+  }
+
+  /**
+   * Report picker for one side; suggestions match the other side's report.
+   */
+  function buildComparePicker(current, other, onPick) {
+    var select = el('select', 'rv-cmp-select');
+    select.setAttribute('aria-label', '选择报告');
+
+    var placeholder = el('option', null, '选择报告…');
+    placeholder.value = '';
+    select.appendChild(placeholder);
+
+    var groups = compareCandidates(other);
+    [[groups.similar, '同类报告'], [groups.rest, other ? '其他报告' : '全部报告']].forEach(function (g) {
+      if (!g[0].length) return;
+      var group = document.createElement('optgroup');
+      group.label = g[1];
+      g[0].forEach(function (r) {
+        var option = el('option', null, (r.date ? r.date + ' ' : '') + (r.title || r.id));
+        option.value = r.id;
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    });
+
+    select.value = current ? current.id : '';
+    select.addEventListener('change', function () {
+      onPick(select.value || null);
+    });
+    return select;
+  }
+
+  /**
+   * Image with its own zoom and scroll, reporting user changes through
+   * onChange so the other side can follow.
+   * @returns {{ el: HTMLElement, apply: function(object) }}
+   */
+  function buildCompareImage(src, alt, onChange) {
+    var wrap = el('div', 'rv-cmp-image');
+    var toolbar = el('div', 'rv-cmp-image-toolbar');
+    var outBtn = el('button', 'rv-cmp-zoom', '−');
+    var label = el('span', 'rv-cmp-zoom-label', '100%');
+    var inBtn = el('button', 'rv-cmp-zoom', '+');
+    var fitBtn = el('button', 'rv-cmp-zoom', '适应');
+    [outBtn, inBtn, fitBtn].forEach(function (b) { b.type = 'button'; });
+    outBtn.setAttribute('aria-label', '缩小');
+    inBtn.setAttribute('aria-label', '放大');
+    [outBtn, label, inBtn, fitBtn].forEach(function (n) { toolbar.appendChild(n); });
+
+    var view = el('div', 'rv-cmp-image-view');
+    var img = document.createElement('img');
+    img.src = src;
+    img.alt = alt || '报告图片';
+    img.draggable = false;
+    view.appendChild(img);
+    wrap.appendChild(toolbar);
+    wrap.appendChild(view);
+
+    var zoom = 1;
+    // Where the last programmatic scroll landed; a scroll event ending there
+    // isn't reported back. Not a flag: no event fires when nothing moves.
+    var silent = null;
+
+    function scrollSilently(x, y) {
+      view.scrollLeft = x * Math.max(0, view.scrollWidth - view.clientWidth);
+      view.scrollTop = y * Math.max(0, view.scrollHeight - view.clientHeight);
+      silent = { left: view.scrollLeft, top: view.scrollTop };
+    }
+
+    function scrollFractions() {
+      var maxX = view.scrollWidth - view.clientWidth;
+      var maxY = view.scrollHeight - view.clientHeight;
+      return { x: maxX > 0 ? view.scrollLeft / maxX : 0, y: maxY > 0 ? view.scrollTop / maxY : 0 };
+    }
+
+    function setZoom(next) {
+      var keep = scrollFractions();
+      zoom = Math.max(IMAGE_ZOOM_MIN, Math.min(IMAGE_ZOOM_MAX, next));
+      img.style.width = (zoom * 100) + '%';
+      label.textContent = Math.round(zoom * 100) + '%';
+      outBtn.disabled = zoom <= IMAGE_ZOOM_MIN;
+      inBtn.disabled = zoom >= IMAGE_ZOOM_MAX;
+      scrollSilently(keep.x, keep.y);
+    }
+
+    function userZoom(next) {
+      setZoom(next);
+      onChange({ kind: 'image', zoom: zoom });
+    }
+
+    outBtn.addEventListener('click', function () { userZoom(zoom / IMAGE_ZOOM_STEP); });
+    inBtn.addEventListener('click', function () { userZoom(zoom * IMAGE_ZOOM_STEP); });
+    fitBtn.addEventListener('click', function () { userZoom(1); });
+    view.addEventListener('wheel', function (e) {
+      if (!e.ctrlKey) return;
+      e.preventDefault();
+      userZoom(zoom * (e.deltaY < 0 ? IMAGE_ZOOM_STEP : 1 / IMAGE_ZOOM_STEP));
+    }, { passive: false });
+    view.addEventListener('scroll', function () {
+      var programmatic = silent && view.scrollLeft === silent.left && view.scrollTop === silent.top;
+      silent = null;
+      if (programmatic) return;
+      var f = scrollFractions();
+      onChange({ kind: 'image', x: f.x, y: f.y });
+    });
+
+    setZoom(1);
+
+    return {
+      el: wrap,
+      apply: function (change) {
+        if (change.zoom) setZoom(change.zoom);
+        if (change.x !== undefined) scrollSilently(change.x, change.y);
+      }
+    };
+  }
+
+  /**
+   * One side of the comparison: picker, report details and its content.
+   * PDFs and single images report scrolling / zooming through onChange.
+   */
+  function buildComparePane(report, other, onPick, onChange) {
+    var pane = { el: el('section', 'rv-cmp-pane'), kind: null, viewer: null, apply: function () {} };
+
+    var head = el('div', 'rv-cmp-head');
+    head.appendChild(buildComparePicker(report, other, onPick));
+    if (report) {
+      var meta = el('p', 'rv-subtitle');
+      if (report.date) meta.appendChild(el('span', null, formatDate(report.date)));
+      if (report.institution) meta.appendChild(el('span', null, report.institution));
+      var open = document.createElement('a');
+      open.href = window.App ? window.App.reportHash(report) : '#archive/' + report.id;
+      open.textContent = '查看详情';
+      meta.appendChild(open);
+      head.appendChild(meta);
+    }
+    pane.el.appendChild(head);
+
+    var body = el('div', 'rv-cmp-body');
+    pane.el.appendChild(body);
+
+    if (!report) {
+      body.appendChild(el('p', 'rv-cmp-empty', '请选择要对比的报告'));
+      return pane;
+    }
+
+    if (report.fileType === 'pdf' && window.PdfViewer && window.PdfViewer.available()) {
+      pane.kind = 'pdf';
+      pane.viewer = window.PdfViewer.create(body, assetUrl(report.filePath), {
+        title: report.title,
+        onScroll: function (pos) { onChange({ kind: 'pdf', position: pos }); },
+        onZoom: function (scale, fit) { onChange({ kind: 'pdf', scale: scale, fit: fit }); }
+      });
+      pane.apply = function (change) {
+        if (change.position) pane.viewer.scrollToPosition(change.position);
+        else pane.viewer.setZoom(change.scale, change.fit);
+      };
+    } else if (report.fileType === 'image') {
+      pane.kind = 'image';
+      var image = buildCompareImage(assetUrl(report.filePath), report.title, onChange);
+      body.appendChild(image.el);
+      pane.apply = image.apply;
+    } else {
+      // Galleries, videos and PDFs without pdf.js scroll on their own
+      body.classList.add('rv-cmp-body--scroll');
+      body.appendChild(buildContent(report, {}));
+    }
+
+    return pane;
+  }
+
+  function injectCompareStyles() {
+    if (document.getElementById('rv-compare-styles')) return;
+
+    var css = [
+      '.rv-compare-btn {',
+      '  display: inline-flex; align-items: center; margin-left: 8px;',
+      '  padding: 8px 18px; border-radius: 6px; border: 1px solid #2563eb;',
+      '  color: #2563eb; text-decoration: none; font-size: 14px; font-weight: 500;',
+      '}',
+      '.rv-compare-btn:hover { background: #eff6ff; }',
+      '.rv-cmp-toolbar {',
+      '  display: flex; flex-wrap: wrap; align-items: center; gap: 12px;',
+      '  margin-bottom: 12px; font-size: 14px; color: #475569;',
+      '}',
+      '.rv-cmp-toolbar .rv-title { margin: 0; margin-right: auto; }',
+      '.rv-cmp-toolbar label { display: inline-flex; align-items: center; gap: 6px; cursor: pointer; }',
+      '.rv-cmp-swap {',
+      '  padding: 6px 12px; border: 1px solid #cbd5e1; border-radius: 6px;',
+      '  background: #fff; color: #334155; font-size: 13px; cursor: pointer;',
+      '}',
+      '.rv-cmp-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }',
+      '.rv-cmp-pane { display: flex; flex-direction: column; min-width: 0; }',
+      '.rv-cmp-head { margin-bottom: 8px; }',
+      '.rv-cmp-head .rv-subtitle { margin: 6px 0 0 0; }',
+      '.rv-cmp-head .rv-subtitle a { color: #2563eb; }',
+      '.rv-cmp-select {',
+      '  width: 100%; padding: 6px 8px; font-size: 14px;',
+      '  border: 1px solid #cbd5e1; border-radius: 6px; background: #fff;',
+      '}',
+      '.rv-cmp-body {',
+      '  height: calc(100vh - 240px); min-height: 420px;',
+      '  border: 1px solid #e2e8f0; border-radius: 8px; overflow: hidden;',
+      '}',
+      '.rv-cmp-body--scroll { overflow: auto; padding: 8px; }',
+      '.rv-cmp-empty { padding: 60px 20px; text-align: center; color: #94a3b8; }',
+      '.rv-cmp-image { display: flex; flex-direction: column; height: 100%; }',
+      '.rv-cmp-image-toolbar {',
+      '  display: flex; align-items: center; gap: 4px; padding: 6px 10px;',
+      '  background: #f5f5f5; border-bottom: 1px solid #e0e0e0; font-size: 13px;',
+      '}',
+      '.rv-cmp-zoom {',
+      '  min-width: 30px; height: 28px; padding: 0 8px; cursor: pointer;',
+      '  border: 1px solid #d4d4d4; border-radius: 4px; background: #fff;',
+      '}',
+      '.rv-cmp-zoom:disabled { opacity: 0.4; cursor: default; }',
+      '.rv-cmp-zoom-label { min-width: 44px; text-align: center; }',
+      '.rv-cmp-image-view { flex: 1; min-height: 0; overflow: auto; background: #111; }',
+      '.rv-cmp-image-view img { display: block; max-width: none; }',
+      '@media (max-width: 900px) {',
+      '  .rv-cmp-grid { grid-template-columns: 1fr; }',
+      '  .rv-cmp-body { height: 70vh; min-height: 320px; }',
+      '}'
+    ].join('\n');
+
+    var style = document.createElement('style');
+    style.id = 'rv-compare-styles';
+    style.textContent = css;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Render two reports side by side into #content. While "sync" is on,
+   * scrolling or zooming one PDF (or image) moves the other the same way;
+   * PDFs follow page by page, so reports of different length stay aligned.
+   * @param {string|null} idA
+   * @param {string|null} idB
+   */
+  function renderCompare(idA, idB) {
+    injectPageStyles();
+    injectCompareStyles();
+    releaseActive();
+
+    var container = document.getElementById('content');
+    if (!container) {
+      console.error('[ReportViewer] #content element not found.');
+      return;
+    }
+    container.innerHTML = '';
+
+    var reportA = idA ? getReport(idA) : null;
+    var reportB = idB ? getReport(idB) : null;
+    var sync = true;
+
+    var toolbar = el('div', 'rv-cmp-toolbar');
+    toolbar.appendChild(el('h1', 'rv-title', '报告对比'));
+    var syncLabel = el('label');
+    var syncBox = el('input');
+    syncBox.type = 'checkbox';
+    syncBox.checked = true;
+    syncBox.addEventListener('change', function () { sync = syncBox.checked; });
+    syncLabel.appendChild(syncBox);
+    syncLabel.appendChild(document.createTextNode('同步滚动与缩放'));
+    var swapBtn = el('button', 'rv-cmp-swap', '⇄ 交换左右');
+    swapBtn.type = 'button';
+    swapBtn.addEventListener('click', function () {
+      window.location.hash = compareHash(idB, idA);
+    });
+    toolbar.appendChild(syncLabel);
+    toolbar.appendChild(swapBtn);
+    container.appendChild(toolbar);
+
+    function follow(from) {
+      return function (change) {
+        var to = comparePanes[from === 0 ? 1 : 0];
+        if (sync && to && to.kind === change.kind) to.apply(change);
+      };
+    }
+
+    var grid = el('div', 'rv-cmp-grid');
+    comparePanes = [
+      buildComparePane(reportA, reportB, function (id) {
+        window.location.hash = compareHash(id, idB);
+      }, follow(0)),
+      buildComparePane(reportB, reportA, function (id) {
+        window.location.hash = compareHash(idA, id);
+      }, follow(1))
+    ];
+    comparePanes.forEach(function (pane) { grid.appendChild(pane.el); });
+    container.appendChild(grid);
+  }
+
   // ---------------------------------------------------------------------------
   // Public API
   // ---------------------------------------------------------------------------
@@ -853,10 +2120,14 @@
   /**
    * Render a report into the #content element.
    * @param {string} reportId  The report ID to look up and render.
+   * @param {object} [params]  Route params: { page, q } for PDFs.
    */
-  function render(reportId) {
+  function render(reportId, params) {
     injectPageStyles();
 
+    // Release the previous report's PDF documents and annotation panel
+    releaseActive();
+
     var container = document.getElementById('content');
     if (!container) {
       console.error('[ReportViewer] #content element not found.');
@@ -883,8 +2154,25 @@
       container.appendChild(summary);
     }
 
-    // 3. Content (PDF / image / gallery / video)
-    container.appendChild(buildContent(report));
+    // 3. Content (PDF / image / gallery / video); PDFs shown in the
+    //    embedded viewer and images get the annotation panel beside them
+    var annotatable = report.fileType === 'image' ||
+      (report.fileType === 'pdf' && window.PdfViewer && window.PdfViewer.available());
+    if (window.Annotations && annotatable) {
+      activeAnnotations = window.Annotations.createPanel(report, { goTo: goToAnnotation });
+    }
+
+    var content = buildContent(report, params);
+    if (activeAnnotations) {
+      var layout = el('div', 'rv-annot-layout');
+      var main = el('div', 'rv-annot-main');
+      main.appendChild(content);
+      layout.appendChild(main);
+      layout.appendChild(activeAnnotations.el);
+      container.appendChild(layout);
+    } else {
+      container.appendChild(content);
+    }
   }
 
   /**
@@ -896,13 +2184,26 @@
     pdfModal.show(filePath, title);
   }
 
+  /**
+   * Open an image in the lightbox (zoom and gestures, no radiograph tools).
+   * Used for photos outside reports, e.g. journal entries.
+   * @param {string} src          Image URL.
+   * @param {string} [caption]    Caption below the image.
+   */
+  function showImage(src, caption) {
+    lightbox.openSingle(src, caption);
+  }
+
   // ---------------------------------------------------------------------------
   // Export
   // ---------------------------------------------------------------------------
 
   window.ReportViewer = {
     render: render,
-    showPdfModal: showPdfModal
+    renderCompare: renderCompare,
+    showPdfModal: showPdfModal,
+    showImage: showImage,
+    release: releaseActive
   };
 
 })();
@@ -0,0 +1,444 @@
+/**
+ * Search - Sidebar full-text search for StrongToby
+ * Lists matches that link to the existing hash routes.
+ *
+ * Indexed sources (window.AppData):
+ *   reportsIndex   - title, summary, highlights, institution
+ *   report PDFs    - page text via PdfText; a match opens that page
+ *   basicInfo      - markdown fields and timeline events
+ *   medications    - current / history entries and dosage changes
+ *   bloodWork      - indicator names
+ *   bloodPressure  - record notes
+ *   fluidLog       - intake / urination notes
+ *   journal        - entry notes
+ *
+ * Matching is plain substring matching on case- and width-folded text, so
+ * Chinese queries such as "血小板" or "腹水" need no word segmentation;
+ * whitespace in the query separates terms that must all match.
+ *
+ * The index is rebuilt from window.AppData each time the box gains focus,
+ * so records added in the browser are found too. PDFs whose text hasn't
+ * been extracted yet are extracted in the background on first focus.
+ *
+ * Depends on: window.AppData, window.App (reportHash, closeSidebarMobile),
+ *             window.PdfText (optional)
+ * Usage:
+ *   window.Search.query(text)               - Ranked matches: [{ doc, score, field, index }]
+ *   window.Search.buildIndex()              - Rebuild the index from AppData
+ *   window.Search.findInPages(pages, text)  - Pages containing `text`: [{ page, snippet }]
+ */
+(function () {
+  'use strict';
+
+  /* ======================================================================
+   *  Constants
+   * ====================================================================== */
+
+  var MAX_RESULTS = 30;
+  var SNIPPET_RADIUS = 24;
+
+  /** Result type labels, in display order */
+  var TYPE_LABELS = {
+    report:     '报告',
+    pdf:        '报告原文',
+    info:       '病情',
+    timeline:   '时间线',
+    medication: '用药',
+    bloodwork:  '检验指标',
+    bp:         '血压备注',
+    fluids:     '饮水/排尿备注',
+    journal:    '日常记录'
+  };
+
+  /* ======================================================================
+   *  Text Helpers
+   * ====================================================================== */
+
+  function esc(str) {
+    return window.App ? window.App.escapeHtml(String(str)) : String(str);
+  }
+
+  /**
+   * Fold text for matching: full-width ASCII to half-width, lower case.
+   * Keeps the length unchanged so match offsets apply to the original text.
+   */
+  function fold(str) {
+    return String(str || '').replace(/[！-～]/g, function (c) {
+      return String.fromCharCode(c.charCodeAt(0) - 0xFEE0);
+    }).replace(/　/g, ' ').toLowerCase();
+  }
+
+  /** Markdown to plain text, good enough for snippets. */
+  function plainText(markdown) {
+    return String(markdown || '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[*_`>#]+/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  function splitTerms(query) {
+    return fold(query).split(/\s+/).filter(Boolean);
+  }
+
+  /* ======================================================================
+   *  Index
+   * ====================================================================== */
+
+  var docs = [];
+
+  /**
+   * Add a searchable document.
+   * @param {string} type   - Key of TYPE_LABELS
+   * @param {string} title
+   * @param {string} hash   - Route to open
+   * @param {Array<string>} fields - Further text to search, in weight order
+   * @param {string} [date]
+   */
+  function addDoc(type, title, hash, fields, date) {
+    var texts = [title].concat(fields).map(function (t) {
+      return Array.isArray(t) ? t.join('、') : plainText(t);
+    }).filter(Boolean);
+    var doc = {
+      type: type,
+      title: title,
+      hash: hash,
+      date: date || '',
+      texts: texts,
+      folded: texts.map(fold)
+    };
+    docs.push(doc);
+    return doc;
+  }
+
+  /**
+   * (Re)build the index from window.AppData.
+   * @returns {number} Number of indexed documents
+   */
+  function buildIndex() {
+    var data = window.AppData || {};
+    docs = [];
+
+    var reports = (data.reportsIndex && data.reportsIndex.reports) || [];
+    reports.forEach(function (r) {
+      addDoc('report', r.title || r.id, window.App.reportHash(r),
+        [r.summary, r.highlights, r.institution], r.date);
+    });
+
+    // One document per PDF page, so a hit can open the right page
+    if (window.PdfText) {
+      reports.forEach(function (r) {
+        var pages = r.filePath ? window.PdfText.pages(r.filePath) : null;
+        (pages || []).forEach(function (text, i) {
+          if (!text) return;
+          var doc = addDoc('pdf', (r.title || r.id) + ' · 第 ' + (i + 1) + ' 页',
+            window.App.reportHash(r, { page: i + 1 }), [text], r.date);
+          doc.report = r;
+          doc.page = i + 1;
+          // Match the page text only; the title already has its own document
+          doc.folded[0] = '';
+        });
+      });
+    }
+
+    var info = data.basicInfo;
+    if (info) {
+      [
+        ['conditionSummary', '病情概述'],
+        ['currentStatus', '目前状况'],
+        ['pastHistory', '既往病史']
+      ].forEach(function (f) {
+        if (info[f[0]]) addDoc('info', f[1], '#overview', [info[f[0]]]);
+      });
+      (info.timeline || []).forEach(function (ev) {
+        addDoc('timeline', ev.title, '#overview', [ev.description, ev.tags], ev.date);
+      });
+    }
+
+    var meds = data.medications;
+    if (meds) {
+      (meds.current || []).concat(meds.history || []).forEach(function (m) {
+        addDoc('medication', m.name, '#medications',
+          [m.purpose, m.notes, m.stopReason, m.dosage, m.frequency], m.startDate);
+      });
+      (meds.dosageChanges || []).forEach(function (c) {
+        addDoc('medication', c.medication + ' ' + c.from + ' → ' + c.to, '#medications', [c.reason], c.date);
+      });
+    }
+
+    var bloodWork = data.bloodWork;
+    ((bloodWork && bloodWork.categories) || []).forEach(function (cat) {
+      (cat.items || []).forEach(function (item) {
+        addDoc('bloodwork', item.name, '#bloodwork', [cat.name, item.unit]);
+      });
+    });
+
+    var bp = data.bloodPressure;
+    ((bp && bp.records) || []).forEach(function (r) {
+      if (!r.note) return;
+      addDoc('bp', r.date + ' ' + (r.time || '') + ' ' + r.systolic + '/' + r.diastolic,
+        '#bp/' + r.date + '~' + r.date, [r.note], r.date);
+    });
+
+    var fluidLog = data.fluidLog || {};
+    ((fluidLog.intake || []).concat(fluidLog.urination || [])).forEach(function (r) {
+      if (!r.note) return;
+      addDoc('fluids', r.date + ' ' + (r.time || '') + ' ' + (r.amountMl ? r.amountMl + ' ml' : '排尿'),
+        '#fluids', [r.note], r.date);
+    });
+
+    var journal = data.journal;
+    ((journal && journal.entries) || []).forEach(function (e) {
+      if (!e.note) return;
+      addDoc('journal', e.date + ' 日志', '#journal/' + e.id, [e.note], e.date);
+    });
+
+    return docs.length;
+  }
+
+  /**
+   * Find documents containing every term of `text`. Title matches rank
+   * above matches in later fields; ties go to the newer document.
+   * @param {string} text
+   * @returns {Array<{ doc: object, score: number, field: number, index: number }>}
+   *   `field` / `index` locate the first term's best match for the snippet
+   */
+  function query(text) {
+    var terms = splitTerms(text);
+    if (!terms.length) return [];
+
+    var hits = [];
+    docs.forEach(function (doc) {
+      var score = 0;
+      var where = null;
+
+      for (var t = 0; t < terms.length; t++) {
+        var found = false;
+        for (var f = 0; f < doc.folded.length; f++) {
+          var idx = doc.folded[f].indexOf(terms[t]);
+          if (idx === -1) continue;
+          if (!found) score += f === 0 ? 10 : 1;
+          found = true;
+          if (!where) where = { field: f, index: idx };
+          break;
+        }
+        if (!found) return;
+      }
+
+      hits.push({ doc: doc, score: score, field: where.field, index: where.index });
+    });
+
+    hits.sort(function (a, b) {
+      if (b.score !== a.score) return b.score - a.score;
+      return b.doc.date < a.doc.date ? -1 : b.doc.date > a.doc.date ? 1 : 0;
+    });
+    return hits.slice(0, MAX_RESULTS);
+  }
+
+  /* ======================================================================
+   *  Rendering
+   * ====================================================================== */
+
+  /**
+   * Escape `text` and wrap every occurrence of the terms in <mark>.
+   */
+  function highlight(text, terms) {
+    var folded = fold(text);
+    var marks = [];
+    terms.forEach(function (term) {
+      var from = 0;
+      var idx;
+      while ((idx = folded.indexOf(term, from)) !== -1) {
+        marks.push([idx, idx + term.length]);
+        from = idx + term.length;
+      }
+    });
+    marks.sort(function (a, b) { return a[0] - b[0]; });
+
+    var html = '';
+    var pos = 0;
+    marks.forEach(function (m) {
+      if (m[0] < pos) return;
+      html += esc(text.slice(pos, m[0])) + '<mark>' + esc(text.slice(m[0], m[1])) + '</mark>';
+      pos = m[1];
+    });
+    return html + esc(text.slice(pos));
+  }
+
+  /** Excerpt of `text` around offset `index`, with highlights. */
+  function excerpt(text, index, terms) {
+    var start = Math.max(0, index - SNIPPET_RADIUS);
+    var end = Math.min(text.length, index + SNIPPET_RADIUS * 2);
+    return (start > 0 ? '…' : '') + highlight(text.slice(start, end), terms) + (end < text.length ? '…' : '');
+  }
+
+  function snippet(hit, terms) {
+    if (hit.field === 0) return '';
+    return excerpt(hit.doc.texts[hit.field], hit.index, terms);
+  }
+
+  /**
+   * Pages of a document that contain every term of `text`, with a
+   * highlighted excerpt around the first term's first occurrence.
+   * @param {string[]} pages - Page texts (e.g. from PdfText.pages)
+   * @param {string}   text
+   * @returns {Array<{ page: number, snippet: string }>} page is 1-based; snippet is HTML
+   */
+  function findInPages(pages, text) {
+    var terms = splitTerms(text);
+    if (!terms.length) return [];
+
+    var found = [];
+    (pages || []).forEach(function (pageText, i) {
+      var folded = fold(pageText);
+      var all = terms.every(function (term) { return folded.indexOf(term) !== -1; });
+      if (all) found.push({ page: i + 1, snippet: excerpt(pageText, folded.indexOf(terms[0]), terms) });
+    });
+    return found;
+  }
+
+  function renderResults(listEl, text) {
+    var terms = splitTerms(text);
+    if (!terms.length) {
+      listEl.innerHTML = '';
+      listEl.hidden = true;
+      return;
+    }
+
+    var hits = query(text);
+    listEl.hidden = false;
+    if (!hits.length) {
+      listEl.innerHTML = '<li class="search-empty">没有找到「' + esc(text.trim()) + '」</li>';
+      return;
+    }
+
+    listEl.innerHTML = hits.map(function (hit, i) {
+      var doc = hit.doc;
+      var text = snippet(hit, terms);
+      var href = doc.page ? window.App.reportHash(doc.report, { page: doc.page, q: terms.join(' ') }) : doc.hash;
+      return '<li class="search-result" role="option" id="search-result-' + i + '">' +
+        '<a href="' + esc(href) + '">' +
+        '<span class="search-result__meta">' + esc(TYPE_LABELS[doc.type]) +
+        (doc.date ? ' · ' + esc(doc.date) : '') + '</span>' +
+        '<span class="search-result__title">' + highlight(doc.title, terms) + '</span>' +
+        (text ? '<span class="search-result__snippet">' + text + '</span>' : '') +
+        '</a></li>';
+    }).join('');
+  }
+
+  /* ======================================================================
+   *  Wiring
+   * ====================================================================== */
+
+  /**
+   * Load cached PDF text, then extract whatever is missing in the
+   * background, refreshing the index (and open results) as PDFs finish.
+   */
+  var _pdfTextStarted = false;
+
+  function startPdfText(input, listEl, statusEl) {
+    if (_pdfTextStarted || !window.PdfText || !window.PdfText.available()) return;
+    _pdfTextStarted = true;
+
+    function refresh() {
+      buildIndex();
+      if (input.value) renderResults(listEl, input.value);
+    }
+
+    window.PdfText.load().then(function () {
+      refresh();
+      if (!window.PdfText.pendingReports().length) return;
+      statusEl.hidden = false;
+      statusEl.textContent = '正在提取报告原文…';
+      return window.PdfText.extractAll(function (done, total) {
+        statusEl.textContent = '正在提取报告原文 (' + done + '/' + total + ')…';
+        refresh();
+      }).then(function () {
+        statusEl.hidden = true;
+      });
+    }).catch(function (err) {
+      statusEl.hidden = true;
+      console.warn('[Search] Could not load PDF text:', err);
+    });
+  }
+
+  function init() {
+    var input = document.getElementById('searchInput');
+    var listEl = document.getElementById('searchResults');
+    var statusEl = document.getElementById('searchStatus');
+    if (!input || !listEl) return;
+
+    var active = -1;
+
+    function setActive(i) {
+      var items = listEl.querySelectorAll('.search-result');
+      if (!items.length) return;
+      if (active >= 0 && items[active]) items[active].classList.remove('search-result--active');
+      active = (i + items.length) % items.length;
+      items[active].classList.add('search-result--active');
+      items[active].scrollIntoView({ block: 'nearest' });
+      input.setAttribute('aria-activedescendant', items[active].id);
+    }
+
+    function clear() {
+      input.value = '';
+      active = -1;
+      input.removeAttribute('aria-activedescendant');
+      renderResults(listEl, '');
+    }
+
+    input.addEventListener('focus', function () {
+      buildIndex();
+      if (input.value) renderResults(listEl, input.value);
+      if (statusEl) startPdfText(input, listEl, statusEl);
+    });
+
+    input.addEventListener('input', function () {
+      active = -1;
+      input.removeAttribute('aria-activedescendant');
+      renderResults(listEl, input.value);
+    });
+
+    input.addEventListener('keydown', function (e) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+      } else if (e.key === 'Enter') {
+        var items = listEl.querySelectorAll('.search-result a');
+        var target = items[active >= 0 ? active : 0];
+        if (target) {
+          e.preventDefault();
+          target.click();
+        }
+      } else if (e.key === 'Escape') {
+        clear();
+        input.blur();
+      }
+    });
+
+    // Following a result: the hash change routes; tidy up the sidebar
+    listEl.addEventListener('click', function (e) {
+      if (!e.target.closest('a')) return;
+      clear();
+      if (window.App) window.App.closeSidebarMobile();
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  /* ======================================================================
+   *  Public API
+   * ====================================================================== */
+
+  window.Search = {
+    query: query,
+    buildIndex: buildIndex,
+    findInPages: findInPages
+  };
+
+})();
@@ -3,6 +3,8 @@
  * Renders a vertical timeline of medical events.
  *
  * Usage: Timeline.render(containerElement, eventsArray)
+ * Events: { date, title, description, tags, linkedReports, href }; `href`
+ * (optional) makes the title a link.
  */
 (function () {
   'use strict';
@@ -18,7 +20,8 @@
     '体检': { bg: '#dcfce7', text: '#166534', dot: '#22c55e' },
     '症状': { bg: '#f3f4f6', text: '#374151', dot: '#6b7280' },
     '术后': { bg: '#fce7f3', text: '#9d174d', dot: '#ec4899' },
-    '病理': { bg: '#e0e7ff', text: '#3730a3', dot: '#6366f1' }
+    '病理': { bg: '#e0e7ff', text: '#3730a3', dot: '#6366f1' },
+    '日志': { bg: '#f3e8ff', text: '#6b21a8', dot: '#a855f7' }
   };
 
   var DEFAULT_TAG_COLOR = { bg: '#f3f4f6', text: '#374151', dot: '#6b7280' };
@@ -85,6 +88,16 @@
       '  line-height: 1.4;',
       '}',
 
+      '.tl-title a {',
+      '  color: inherit;',
+      '  text-decoration: none;',
+      '}',
+
+      '.tl-title a:hover {',
+      '  color: #2563eb;',
+      '  text-decoration: underline;',
+      '}',
+
       '.tl-desc {',
       '  font-size: 0.88rem;',
       '  color: #4b5563;',
@@ -247,7 +260,15 @@
     // Title
     var titleEl = document.createElement('div');
     titleEl.className = 'tl-title';
-    titleEl.textContent = evt.title || '';
+    if (evt.href) {
+      // Events generated from other pages (e.g. journal entries) link back
+      var titleLink = document.createElement('a');
+      titleLink.href = evt.href;
+      titleLink.textContent = evt.title || '';
+      titleEl.appendChild(titleLink);
+    } else {
+      titleEl.textContent = evt.title || '';
+    }
     node.appendChild(titleEl);
 
     // Description
@@ -0,0 +1,522 @@
+/**
+ * vet-summary.js
+ * Printable vet-visit summary for StrongToby pet medical records.
+ * Condenses the whole record onto a few pages that can be handed to a new
+ * clinic or saved as PDF from the browser's print dialog.
+ *
+ * Sections: patient info, condition summary / current status, past history,
+ * current medications + dosage history, latest BP / weight statistics,
+ * abnormal blood-work values and a condensed timeline.
+ *
+ * Data source: window.AppData (basicInfo, medications, bloodPressure,
+ *              weight, bloodWork); doses via window.Medication.describeDose
+ * Print layout: css/print.css
+ *
+ * Exports: window.VetSummary = { render() }
+ */
+
+(function () {
+  'use strict';
+
+  /** Days covered by the "recent" BP statistics */
+  var BP_STATS_DAYS = 7;
+
+  /* ------------------------------------------------------------------ */
+  /*  Inject scoped CSS (screen; print overrides live in css/print.css)  */
+  /* ------------------------------------------------------------------ */
+
+  function injectStyles() {
+    if (document.getElementById('vs-styles')) return;
+
+    var css = '';
+
+    css += '.vs-page { max-width:820px; margin:0 auto; padding:24px 16px 48px; animation: vs-fadeIn .25s ease; }';
+    css += '@keyframes vs-fadeIn { from { opacity:0; transform:translateY(6px); } to { opacity:1; transform:translateY(0); } }';
+
+    /* Toolbar (screen only) */
+    css += '.vs-toolbar { display:flex; align-items:center; justify-content:space-between; gap:12px; margin-bottom:20px; padding:12px 16px; background:#f5f6fa; border-radius:8px; font-size:13px; color:#666; }';
+    css += '.vs-print-btn { padding:8px 18px; border:none; border-radius:6px; background:#6B9B7B; color:#fff; font-size:14px; font-weight:600; cursor:pointer; }';
+    css += '.vs-print-btn:hover { background:#4F7A5E; }';
+
+    /* Document header */
+    css += '.vs-header { display:flex; justify-content:space-between; align-items:flex-end; border-bottom:3px solid #2c3e50; padding-bottom:10px; margin-bottom:18px; }';
+    css += '.vs-title { font-size:24px; font-weight:800; color:#2c3e50; margin:0; }';
+    css += '.vs-generated { font-size:12px; color:#888; }';
+
+    /* Sections */
+    css += '.vs-section { margin-bottom:22px; }';
+    css += '.vs-section-title { font-size:16px; font-weight:700; color:#2c3e50; margin:0 0 10px 0; padding-bottom:6px; border-bottom:1px solid #ccc; }';
+    css += '.vs-sub-label { font-size:12px; font-weight:700; color:#777; margin:10px 0 4px 0; }';
+    css += '.vs-text { font-size:13px; color:#333; line-height:1.6; }';
+    css += '.vs-text p { margin:0 0 6px 0; }';
+    css += '.vs-list { margin:0; padding-left:20px; font-size:13px; color:#333; line-height:1.6; }';
+    css += '.vs-empty { font-size:13px; color:#aaa; }';
+    css += '.vs-note { font-size:11px; color:#777; }';
+
+    /* Patient info grid */
+    css += '.vs-info { display:grid; grid-template-columns:repeat(3, 1fr); gap:6px 20px; font-size:13px; }';
+    css += '.vs-info-label { color:#777; margin-right:6px; }';
+    css += '.vs-info-value { color:#222; font-weight:600; }';
+
+    /* Tables */
+    css += '.vs-table { width:100%; border-collapse:collapse; font-size:12px; margin-bottom:8px; }';
+    css += '.vs-table th { background:#f5f6fa; text-align:left; padding:6px 8px; border-bottom:2px solid #ddd; color:#555; font-weight:600; white-space:nowrap; }';
+    css += '.vs-table td { padding:5px 8px; border-bottom:1px solid #eee; color:#333; vertical-align:top; }';
+    css += '.vs-high { color:#c0392b; font-weight:700; }';
+    css += '.vs-low { color:#2471a3; font-weight:700; }';
+
+    /* Stats */
+    css += '.vs-stats { display:grid; grid-template-columns:repeat(2, 1fr); gap:12px; }';
+    css += '.vs-stat-box { border:1px solid #ddd; border-radius:6px; padding:10px 14px; }';
+    css += '.vs-stat-head { font-size:13px; font-weight:700; color:#2c3e50; margin-bottom:6px; }';
+    css += '.vs-stat-row { display:flex; justify-content:space-between; font-size:12px; color:#444; padding:2px 0; }';
+    css += '.vs-stat-row span:first-child { color:#777; }';
+
+    /* Timeline */
+    css += '.vs-timeline td:first-child { white-space:nowrap; color:#777; width:90px; }';
+
+    css += '@media (max-width: 768px) {';
+    css += '  .vs-info { grid-template-columns:1fr 1fr; }';
+    css += '  .vs-stats { grid-template-columns:1fr; }';
+    css += '}';
+
+    var style = document.createElement('style');
+    style.id = 'vs-styles';
+    style.textContent = css;
+    document.head.appendChild(style);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Utility                                                            */
+  /* ------------------------------------------------------------------ */
+
+  function escapeHtml(str) {
+    if (str == null) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Render markdown text to HTML. Falls back to escaped plain text if
+   * marked.js is not loaded.
+   */
+  function renderMarkdown(text) {
+    if (typeof marked !== 'undefined' && marked.parse) {
+      return marked.parse(text);
+    }
+    return escapeHtml(text).replace(/\n/g, '<br>');
+  }
+
+  function parseDateTime(date, time) {
+    return new Date(date + 'T' + (time || '00:00') + ':00');
+  }
+
+  function formatDate(dt) {
+    return dt.getFullYear() + '-' +
+      String(dt.getMonth() + 1).padStart(2, '0') + '-' +
+      String(dt.getDate()).padStart(2, '0');
+  }
+
+  /**
+   * Mean / min / max of a list of numbers, ignoring null/undefined.
+   * @returns {{ n: number, mean: number, min: number, max: number }|null}
+   */
+  function summarize(values) {
+    var nums = values.filter(function (v) { return typeof v === 'number' && !isNaN(v); });
+    if (!nums.length) return null;
+    var sum = nums.reduce(function (a, b) { return a + b; }, 0);
+    return {
+      n: nums.length,
+      mean: sum / nums.length,
+      min: Math.min.apply(null, nums),
+      max: Math.max.apply(null, nums)
+    };
+  }
+
+  function calcAge(birthDateStr) {
+    if (!birthDateStr) return '--';
+    var today = new Date();
+    var parts = birthDateStr.split('-');
+    var years = today.getFullYear() - parseInt(parts[0], 10);
+    var months = today.getMonth() + 1 - parseInt(parts[1], 10);
+    if (today.getDate() < parseInt(parts[2], 10)) months--;
+    if (months < 0) {
+      years--;
+      months += 12;
+    }
+    return (years > 0 ? years + '岁' : '') + (months > 0 ? months + '个月' : '') || '不到1个月';
+  }
+
+  function section(title, body) {
+    return '<section class="vs-section">' +
+      '<h2 class="vs-section-title">' + escapeHtml(title) + '</h2>' +
+      body +
+      '</section>';
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Patient info & condition                                           */
+  /* ------------------------------------------------------------------ */
+
+  function renderPatientInfo(info) {
+    var latestWeight = latestRecord((window.AppData.weight || {}).records);
+
+    var fields = [
+      { label: '姓名', value: info.name },
+      { label: '物种', value: info.species },
+      { label: '品种', value: info.breed },
+      { label: '性别', value: info.sex },
+      { label: '出生日期', value: info.birthDate },
+      { label: '年龄', value: calcAge(info.birthDate) },
+      { label: '毛色', value: info.color },
+      { label: '绝育', value: info.neutered ? '已绝育' + (info.neuteredDate ? ' (' + info.neuteredDate + ')' : '') : '未绝育' },
+      { label: '最近体重', value: latestWeight ? latestWeight.weight + ' ' + weightUnitLabel(latestWeight.unit) + ' (' + latestWeight.date + ')' : null }
+    ];
+
+    var html = '<div class="vs-info">';
+    fields.forEach(function (f) {
+      html += '<div><span class="vs-info-label">' + f.label + '</span>' +
+        '<span class="vs-info-value">' + escapeHtml(f.value || '--') + '</span></div>';
+    });
+    html += '</div>';
+    return section('基本信息', html);
+  }
+
+  function renderCondition(info) {
+    var html = '';
+    if (info.conditionSummary) {
+      html += '<div class="vs-sub-label">病情摘要</div>';
+      html += '<div class="vs-text">' + renderMarkdown(info.conditionSummary) + '</div>';
+    }
+    if (info.currentStatus) {
+      html += '<div class="vs-sub-label">当前状态</div>';
+      html += '<div class="vs-text">' + renderMarkdown(info.currentStatus) + '</div>';
+    }
+    if (info.pastHistory && info.pastHistory.length) {
+      html += '<div class="vs-sub-label">既往病史</div>';
+      html += '<ul class="vs-list">';
+      info.pastHistory.forEach(function (item) {
+        html += '<li>' + escapeHtml(item) + '</li>';
+      });
+      html += '</ul>';
+    }
+    return section('病情概况', html || '<p class="vs-empty">暂无记录。</p>');
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Medications                                                        */
+  /* ------------------------------------------------------------------ */
+
+  /**
+   * Dose text, daily total, mg/kg and text mismatch from Medication, so the
+   * printout matches the medication page; the raw text otherwise.
+   */
+  function describeDose(m) {
+    if (window.Medication && window.Medication.describeDose) return window.Medication.describeDose(m);
+    return { text: m.dosage, daily: null, perKg: null, mismatch: null };
+  }
+
+  function describeChange(dc, side) {
+    if (window.Medication && window.Medication.describeChange) return window.Medication.describeChange(dc, side, null);
+    return { text: dc[side], daily: null, perKg: null, mismatch: null };
+  }
+
+  function doseCell(info) {
+    return escapeHtml(info.text) +
+      (info.mismatch ? '<div class="vs-note">文字记录为“' + escapeHtml(info.mismatch) + '”</div>' : '');
+  }
+
+  function renderMedications(meds) {
+    var current = meds.current || [];
+    var changes = (meds.dosageChanges || []).slice().sort(function (a, b) {
+      return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+    });
+    var html = '';
+
+    if (current.length) {
+      html += '<table class="vs-table"><thead><tr>' +
+        '<th>药品</th><th>剂量</th><th>每日总量</th><th>频次</th><th>用途</th><th>起始</th>' +
+        '</tr></thead><tbody>';
+      current.forEach(function (m) {
+        var info = describeDose(m);
+        html += '<tr>' +
+          '<td><strong>' + escapeHtml(m.name) + '</strong></td>' +
+          '<td>' + doseCell(info) + '</td>' +
+          '<td>' + escapeHtml(info.daily || '—') +
+            (info.perKg ? '<div class="vs-note">' + escapeHtml(info.perKg) + '</div>' : '') + '</td>' +
+          '<td>' + escapeHtml(m.frequency) + '</td>' +
+          '<td>' + escapeHtml(m.purpose) + '</td>' +
+          '<td>' + escapeHtml(m.startDate) + '</td>' +
+          '</tr>';
+      });
+      html += '</tbody></table>';
+    } else {
+      html += '<p class="vs-empty">暂无正在使用的药品。</p>';
+    }
+
+    if (changes.length) {
+      html += '<div class="vs-sub-label">剂量调整记录</div>';
+      html += '<table class="vs-table"><thead><tr>' +
+        '<th>日期</th><th>药品</th><th>调整</th><th>原因</th>' +
+        '</tr></thead><tbody>';
+      changes.forEach(function (dc) {
+        var from = describeChange(dc, 'from');
+        var to = describeChange(dc, 'to');
+        var daily = from.daily || to.daily
+          ? '<div class="vs-note">每日总量 ' + escapeHtml(from.daily || from.text) + ' &rarr; ' + escapeHtml(to.daily || to.text) + '</div>'
+          : '';
+        html += '<tr>' +
+          '<td>' + escapeHtml(dc.date) + '</td>' +
+          '<td>' + escapeHtml(dc.medication) + '</td>' +
+          '<td>' + doseCell(from) + ' &rarr; ' + doseCell(to) + daily + '</td>' +
+          '<td>' + escapeHtml(dc.reason || '') + '</td>' +
+          '</tr>';
+      });
+      html += '</tbody></table>';
+    }
+
+    if (meds.history && meds.history.length) {
+      html += '<div class="vs-sub-label">已停用药品</div>';
+      html += '<ul class="vs-list">';
+      meds.history.forEach(function (m) {
+        html += '<li>' + escapeHtml(m.name) + ' ' + escapeHtml(describeDose(m).text) + '，' +
+          escapeHtml(m.startDate) + ' ~ ' + escapeHtml(m.endDate || '') +
+          (m.stopReason ? '（' + escapeHtml(m.stopReason) + '）' : '') + '</li>';
+      });
+      html += '</ul>';
+    }
+
+    return section('用药', html);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  BP / weight statistics                                             */
+  /* ------------------------------------------------------------------ */
+
+  function latestRecord(records) {
+    if (!records || !records.length) return null;
+    return records.reduce(function (latest, r) {
+      return parseDateTime(r.date, r.time) > parseDateTime(latest.date, latest.time) ? r : latest;
+    });
+  }
+
+  function statRow(label, value) {
+    return '<div class="vs-stat-row"><span>' + label + '</span><span>' + value + '</span></div>';
+  }
+
+  function formatSummary(s, unit) {
+    if (!s) return '--';
+    return Math.round(s.mean) + ' ' + unit + '（' + s.min + '–' + s.max + '）';
+  }
+
+  function renderBPStats(records) {
+    var html = '<div class="vs-stat-box"><div class="vs-stat-head">血压</div>';
+    var latest = latestRecord(records);
+
+    if (!latest) {
+      return html + '<p class="vs-empty">暂无血压记录。</p></div>';
+    }
+
+    // Window is anchored to the latest reading, not today, so a summary
+    // printed a few days after the last measurement is still meaningful.
+    var end = parseDateTime(latest.date, latest.time);
+    var start = new Date(end.getTime() - BP_STATS_DAYS * 86400000);
+    var recent = records.filter(function (r) {
+      var dt = parseDateTime(r.date, r.time);
+      return dt > start && dt <= end;
+    });
+
+    html += statRow('最近一次', latest.date + ' ' + (latest.time || '') + '：' +
+      latest.systolic + '/' + latest.diastolic + ' mmHg' +
+      (latest.heartRate ? '，心率 ' + latest.heartRate : ''));
+    html += statRow('近' + BP_STATS_DAYS + '天测量次数', recent.length + ' 次（' +
+      formatDate(new Date(start.getTime() + 86400000)) + ' ~ ' + latest.date + '）');
+    html += statRow('收缩压 平均（范围）', formatSummary(summarize(recent.map(function (r) { return r.systolic; })), 'mmHg'));
+    html += statRow('舒张压 平均（范围）', formatSummary(summarize(recent.map(function (r) { return r.diastolic; })), 'mmHg'));
+    html += statRow('心率 平均（范围）', formatSummary(summarize(recent.map(function (r) { return r.heartRate; })), 'bpm'));
+    html += statRow('累计记录', records.length + ' 次');
+
+    return html + '</div>';
+  }
+
+  function weightUnitLabel(unit) {
+    return unit === 'jin' ? '斤' : (unit || 'kg');
+  }
+
+  /** Weight of a record in kg (records may be in kg, lb or jin). */
+  function weightKg(r) {
+    if (window.BPWeightTracker && window.BPWeightTracker.toKg) return window.BPWeightTracker.toKg(r.weight, r.unit);
+    return !r.unit || r.unit === 'kg' ? r.weight : null;
+  }
+
+  function renderWeightStats(records) {
+    var html = '<div class="vs-stat-box"><div class="vs-stat-head">体重</div>';
+    var sorted = (records || []).filter(function (r) {
+      return weightKg(r) !== null;
+    }).sort(function (a, b) {
+      return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+    });
+    if (!sorted.length) {
+      return html + '<p class="vs-empty">暂无体重记录。</p></div>';
+    }
+
+    // Summarized in kg whatever unit each record was entered in
+    var first = sorted[0];
+    var last = sorted[sorted.length - 1];
+    function kg(r) {
+      return Math.round(weightKg(r) * 100) / 100;
+    }
+
+    html += statRow('最近一次', last.date + '：' + kg(last) + ' kg');
+    if (sorted.length > 1) {
+      var diff = Math.round((kg(last) - kg(first)) * 100) / 100;
+      html += statRow('较首次记录', (diff > 0 ? '+' : '') + diff + ' kg（' + first.date + '：' + kg(first) + ' kg）');
+    }
+    var s = summarize(sorted.map(kg));
+    html += statRow('范围', s.min + ' – ' + s.max + ' kg');
+    if (typeof last.bcs === 'number') html += statRow('体况评分 (BCS)', last.bcs + '/9');
+    html += statRow('累计记录', sorted.length + ' 次');
+
+    return html + '</div>';
+  }
+
+  function renderVitals(appData) {
+    var bp = (appData.bloodPressure && appData.bloodPressure.records) || [];
+    var weight = (appData.weight && appData.weight.records) || [];
+    return section('血压 / 体重', '<div class="vs-stats">' + renderBPStats(bp) + renderWeightStats(weight) + '</div>');
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Abnormal blood work                                                */
+  /* ------------------------------------------------------------------ */
+
+  var STATUS_LABELS = { high: '偏高', low: '偏低', critical_high: '严重偏高', critical_low: '严重偏低' };
+
+  /** Status computed from value + refRange by BloodWork, else the stored one */
+  function resultStatus(r) {
+    if (window.BloodWork && window.BloodWork.evaluateResult) {
+      return window.BloodWork.evaluateResult(r).status;
+    }
+    return r.status;
+  }
+
+  function renderAbnormalBloodWork(bloodWork) {
+    var rows = [];
+
+    ((bloodWork && bloodWork.categories) || []).forEach(function (cat) {
+      (cat.items || []).forEach(function (item) {
+        (item.results || []).forEach(function (r) {
+          var status = resultStatus(r);
+          if (!status || status === 'normal') return;
+          rows.push({ category: cat.name, item: item, result: r, status: status });
+        });
+      });
+    });
+
+    if (!rows.length) {
+      return section('异常血检指标', '<p class="vs-empty">无异常指标。</p>');
+    }
+
+    rows.sort(function (a, b) {
+      return a.result.date < b.result.date ? 1 : a.result.date > b.result.date ? -1 : 0;
+    });
+
+    var html = '<table class="vs-table"><thead><tr>' +
+      '<th>日期</th><th>类别</th><th>指标</th><th>结果</th><th>参考范围</th><th>状态</th><th>机构</th>' +
+      '</tr></thead><tbody>';
+    rows.forEach(function (row) {
+      var r = row.result;
+      var cls = /low$/.test(row.status) ? 'vs-low' : 'vs-high';
+      html += '<tr>' +
+        '<td>' + escapeHtml(r.date) + '</td>' +
+        '<td>' + escapeHtml(row.category) + '</td>' +
+        '<td>' + escapeHtml(row.item.name) + '</td>' +
+        '<td class="' + cls + '">' + escapeHtml(r.value != null ? r.value : '--') + ' ' + escapeHtml(row.item.unit || '') + '</td>' +
+        '<td>' + escapeHtml(r.refRange || '') + '</td>' +
+        '<td class="' + cls + '">' + escapeHtml(STATUS_LABELS[row.status] || row.status) + '</td>' +
+        '<td>' + escapeHtml(r.institution || '') + '</td>' +
+        '</tr>';
+    });
+    html += '</tbody></table>';
+
+    return section('异常血检指标', html);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Condensed timeline                                                 */
+  /* ------------------------------------------------------------------ */
+
+  function renderTimeline(events) {
+    if (!events || !events.length) {
+      return section('诊疗经过', '<p class="vs-empty">暂无记录。</p>');
+    }
+
+    var sorted = events.slice().sort(function (a, b) {
+      return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+    });
+
+    var html = '<table class="vs-table vs-timeline"><tbody>';
+    sorted.forEach(function (evt) {
+      html += '<tr><td>' + escapeHtml(evt.date) + '</td><td><strong>' + escapeHtml(evt.title) + '</strong>' +
+        (evt.description ? '：' + escapeHtml(evt.description) : '') + '</td></tr>';
+    });
+    html += '</tbody></table>';
+
+    return section('诊疗经过', html);
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Public render()                                                    */
+  /* ------------------------------------------------------------------ */
+
+  function render() {
+    var container = document.getElementById('content');
+    var appData = window.AppData || {};
+    var info = appData.basicInfo;
+
+    if (!info) {
+      container.innerHTML = '<p style="padding:32px;color:#ef4444;">无法加载基本信息数据。</p>';
+      return;
+    }
+
+    injectStyles();
+
+    var html = '<div class="vs-page">';
+
+    html += '<div class="vs-toolbar">';
+    html += '  <span>本页为打印优化的就诊摘要，可通过浏览器打印或“另存为 PDF”。</span>';
+    html += '  <button type="button" class="vs-print-btn" id="vs-print">打印 / 保存 PDF</button>';
+    html += '</div>';
+
+    html += '<header class="vs-header">';
+    html += '  <h1 class="vs-title">' + escapeHtml(info.name || '') + ' 就诊摘要</h1>';
+    html += '  <span class="vs-generated">生成日期 ' + formatDate(new Date()) + '</span>';
+    html += '</header>';
+
+    html += renderPatientInfo(info);
+    html += renderCondition(info);
+    html += renderMedications(appData.medications || {});
+    html += renderVitals(appData);
+    html += renderAbnormalBloodWork(appData.bloodWork);
+    html += renderTimeline(info.timeline);
+
+    html += '<footer class="vs-footer vs-text">数据由家属记录整理，仅供参考；详细报告请见原始检查单。</footer>';
+    html += '</div>';
+
+    container.innerHTML = html;
+
+    document.getElementById('vs-print').addEventListener('click', function () {
+      window.print();
+    });
+  }
+
+  /* ------------------------------------------------------------------ */
+  /*  Export                                                              */
+  /* ------------------------------------------------------------------ */
+
+  window.VetSummary = { render: render };
+
+})();